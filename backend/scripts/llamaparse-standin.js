@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// Local stand-in for the LlamaParse cloud API, so the llamaparse parser can be tested offline
+//
+// Usage: npm run llamaparse:standin
+//   then start the server with LLAMAPARSE_BASE_URL=http://localhost:8787, any LLAMAPARSE_API_KEY
+//   and e.g. LLAMAPARSE_POLL_INTERVAL_MS=500
+//
+// Mimics the three endpoints the parser uses: POST /api/parsing/upload, GET /api/parsing/job/:id and
+// GET /api/parsing/job/:id/result/markdown. The "markdown" is the local pdf.js layout text of each
+// page (tables as markdown tables), with pages separated by horizontal rules like LlamaParse's output.
+//
+// Environment:
+//   LLAMAPARSE_STANDIN_PORT      port to listen on (default 8787)
+//   LLAMAPARSE_STANDIN_DELAY_MS  how long a job stays PENDING (default 1000)
+//   LLAMAPARSE_STANDIN_FAIL      true to end every job with status ERROR (tests the fallback)
+//   LLAMAPARSE_STANDIN_API_KEY   only accept this bearer token (default: any)
+
+const express = require('express');
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { processPDFLocal } = require('../src/services/pdfService');
+
+// LlamaParse puts a horizontal rule between pages
+const PAGE_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Turn a PDF into page-separated markdown with the local parser
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<object>} - { markdown, numPages }
+ */
+async function convertToMarkdown(buffer) {
+  const tempPath = path.join(os.tmpdir(), `llamaparse-standin-${uuidv4()}.pdf`);
+  await fs.writeFile(tempPath, buffer);
+
+  try {
+    const { text, pages, numPages } = await processPDFLocal(tempPath, { tables: true, ocr: 'off' });
+    const markdown = pages
+      .map(page => text.slice(page.startChar, page.endChar))
+      .join(PAGE_SEPARATOR);
+    return { markdown, numPages };
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Create the stand-in app
+ * @param {object} options - { delayMs: time a job stays PENDING, fail: end every job with ERROR,
+ *   apiKey: only accept this bearer token (default: any) }
+ * @returns {object} - Express app; app.locals.jobs holds the jobs by ID
+ */
+function createLlamaParseStandIn({ delayMs = 1000, fail = false, apiKey = null } = {}) {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+  const jobs = new Map();
+  app.locals.jobs = jobs;
+
+  // Every endpoint needs a bearer token, like the real API
+  app.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token || (apiKey && token !== apiKey)) {
+      return res.status(401).json({ detail: 'Invalid authentication credentials' });
+    }
+    next();
+  });
+
+  app.post('/api/parsing/upload', upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ detail: 'No file uploaded' });
+    }
+
+    const job = { id: uuidv4(), status: 'PENDING', readyAt: Date.now() + delayMs, result: null, error: null };
+    jobs.set(job.id, job);
+    console.log(`📥 Stand-in job ${job.id}: ${req.file.originalname} (${req.file.size} bytes)`);
+
+    convertToMarkdown(req.file.buffer)
+      .then(result => { job.result = result; })
+      .catch(error => { job.error = error.message; });
+
+    res.json({ id: job.id, status: job.status });
+  });
+
+  // PENDING until the delay has passed and the conversion is done
+  const getJob = (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+      res.status(404).json({ detail: 'Job not found' });
+      return null;
+    }
+
+    if (job.status === 'PENDING' && Date.now() >= job.readyAt && (job.result || job.error)) {
+      job.status = fail || job.error ? 'ERROR' : 'SUCCESS';
+      console.log(`📋 Stand-in job ${job.id}: ${job.status}${job.error ? ` (${job.error})` : ''}`);
+    }
+    return job;
+  };
+
+  app.get('/api/parsing/job/:jobId', (req, res) => {
+    const job = getJob(req, res);
+    if (!job) return;
+
+    res.json({ id: job.id, status: job.status, ...(job.status === 'ERROR' && { error_message: job.error || 'Parsing failed' }) });
+  });
+
+  app.get('/api/parsing/job/:jobId/result/markdown', (req, res) => {
+    const job = getJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'SUCCESS') {
+      return res.status(400).json({ detail: `Job is ${job.status}` });
+    }
+
+    res.json({
+      markdown: job.result.markdown,
+      job_metadata: {
+        credits_used: job.result.numPages,
+        job_pages: job.result.numPages,
+        job_is_cache_hit: false
+      }
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.LLAMAPARSE_STANDIN_PORT) || 8787;
+  const app = createLlamaParseStandIn({
+    delayMs: parseInt(process.env.LLAMAPARSE_STANDIN_DELAY_MS) || 1000,
+    fail: process.env.LLAMAPARSE_STANDIN_FAIL === 'true',
+    apiKey: process.env.LLAMAPARSE_STANDIN_API_KEY || null
+  });
+
+  app.listen(port, () => {
+    console.log(`🦙 LlamaParse stand-in listening on http://localhost:${port}`);
+    console.log(`   Set LLAMAPARSE_BASE_URL=http://localhost:${port} to use it`);
+  });
+}
+
+module.exports = {
+  createLlamaParseStandIn
+};
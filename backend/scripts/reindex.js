@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Re-embed stored documents whose vectors come from a different embedding model than the configured one
+//
+// Usage: npm run reindex -- [--dry-run] [--force] [documentId ...]
+//   --dry-run   only list the documents that would be re-indexed
+//   --force     re-embed every chunk, even those already using the configured model
+//   documentId  re-index just these documents (default: every stale document)
+//
+// Uses the same .env as the server (VECTOR_STORE, EMBEDDING_PROVIDER, ...). With VECTOR_STORE=file,
+// stop the server first: it keeps its own copy of the vectors in memory and would overwrite the result.
+// The admin route POST /api/admin/reindex does the same inside a running server.
+
+require('dotenv').config();
+
+const { reindexService } = require('../src/services/reindexService');
+
+const STATUS_ICONS = {
+  reindexed: '✅',
+  'up-to-date': '👌',
+  skipped: '⏭️',
+  'not-found': '❓',
+  failed: '❌'
+};
+
+function parseArgs(argv) {
+  const options = { dryRun: false, force: false, documentIds: [] };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.documentIds.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { dryRun, force, documentIds } = parseArgs(process.argv.slice(2));
+
+  if (dryRun) {
+    const { embeddingModel, documents } = await reindexService.findStaleDocuments();
+    console.log(`\nConfigured embedding model: ${embeddingModel}`);
+    console.log(`${documents.length} documents embedded with another model:`);
+    for (const document of documents) {
+      console.log(`  ${document.documentId}  ${document.filename || '(no filename)'}  ` +
+        `${document.embeddingModel || 'unknown model'} (${document.chunkCount} chunks)`);
+    }
+    return 0;
+  }
+
+  const report = await reindexService.reindex({
+    documentIds: documentIds.length > 0 ? documentIds : null,
+    force,
+    onDocument: (result) => {
+      const detail = result.error || result.reason ||
+        (result.status === 'reindexed' ? `${result.chunksReindexed} chunks` : '');
+      console.log(`${STATUS_ICONS[result.status]} ${result.documentId} ${result.status}${detail ? `: ${detail}` : ''}`);
+    }
+  });
+
+  console.log(`\nRe-indexed ${report.reindexed} of ${report.total} documents with ${report.embeddingModel} ` +
+    `(${report.upToDate} up to date, ${report.skipped} skipped, ${report.notFound} not found, ${report.failed} failed)`);
+  return report.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('❌ Re-index failed:', error.message);
+    process.exit(1);
+  });
@@ -8,9 +8,18 @@ require('dotenv').config();
 
 const pdfRoutes = require('./src/routes/pdf');
 const chatRoutes = require('./src/routes/chat');
+const collectionRoutes = require('./src/routes/collections');
+const workspaceRoutes = require('./src/routes/workspaces');
 const healthRoutes = require('./src/routes/health');
+const authRoutes = require('./src/routes/auth');
+const adminRoutes = require('./src/routes/admin');
+const { identifyApiKey, authenticate, requireAdmin } = require('./src/middleware/auth');
+const { apiKeyRateLimit } = require('./src/middleware/apiKeyLimits');
 const { errorHandler } = require('./src/middleware/errorHandler');
 const { createUploadsDir } = require('./src/utils/fileUtils');
+const vectorServiceSelector = require('./services/vectorServiceSelector');
+const { documentStatusService } = require('./src/services/documentStatusService');
+const jobQueue = require('./src/services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,18 +71,31 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:4200',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting
+// Requests with a valid API key are limited per key instead (see apiKeyRateLimit); anything else,
+// including unknown or revoked keys, counts against the IP
+app.use(identifyApiKey);
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => Boolean(req.apiKey)
 });
 app.use(limiter);
 
-// Logging
+// Failed logins and registrations per IP, against password guessing
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_FAILURES) || 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed attempts from this IP, please try again later.'
+});
+
+// Logging (session tokens passed in the query string are not written to the log)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/access_token=[^&]+/, 'access_token=[redacted]'));
 app.use(morgan('combined'));
 
 // Body parsing middleware
@@ -82,8 +104,14 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
 app.use('/api/health', healthRoutes);
-app.use('/api/pdf', pdfRoutes);
-app.use('/api/chat', chatRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
+
+// Everything below requires a logged-in user or an API key (req.user)
+app.use('/api/pdf', authenticate, apiKeyRateLimit, pdfRoutes);
+app.use('/api/chat', authenticate, apiKeyRateLimit, chatRoutes);
+app.use('/api/collections', authenticate, apiKeyRateLimit, collectionRoutes);
+app.use('/api/workspaces', authenticate, apiKeyRateLimit, workspaceRoutes);
+app.use('/api/admin', authenticate, requireAdmin, adminRoutes);
 
 // Serve Angular frontend in production
 if (process.env.NODE_ENV === 'production') {
@@ -191,14 +219,47 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 AI PDF Chat Backend running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🕐 Deployment Time: ${new Date().toISOString()}`);
+/**
+ * Reload processing jobs from the job journal, requeueing those a restart interrupted
+ */
+async function recoverJobs() {
+  try {
+    await jobQueue.recover();
+  } catch (error) {
+    console.warn('⚠️ Could not recover processing jobs:', error.message);
+  }
+}
 
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  const vectorMode = isDevelopment ? 'ChromaDB Vector Storage' : 'In-Memory Vector Storage';
-  console.log(`🔗 Vector DB: ${vectorMode}`);
-});
+/**
+ * Re-register documents kept by a persistent vector store so they stay chat-ready after a restart
+ */
+async function restoreStoredDocuments() {
+  if (vectorServiceSelector.storeType === 'memory') return;
+
+  try {
+    const documents = await vectorServiceSelector.listDocuments();
+    documentStatusService.restoreDocuments(documents);
+  } catch (error) {
+    console.warn('⚠️ Could not restore stored documents:', error.message);
+  }
+}
+
+/**
+ * Recover jobs and documents, then start accepting requests (so none see a half-restored state)
+ */
+async function startServer() {
+  // Unfinished jobs first, so their documents aren't restored as completed from partial vectors
+  await recoverJobs();
+  await restoreStoredDocuments();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 AI PDF Chat Backend running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+    console.log(`🕐 Deployment Time: ${new Date().toISOString()}`);
+    console.log(`🔗 Vector DB: ${vectorServiceSelector.storeLabel}`);
+  });
+}
+
+startServer();
 
 module.exports = app;
@@ -0,0 +1,241 @@
+// FILE-BACKED VECTOR SERVICE - IN-MEMORY SEARCH, PERSISTED TO DISK
+// Each document is stored as a binary Float32 embedding file plus a JSON chunk file,
+// indexed by manifest.json. Everything is loaded into memory at startup.
+const fs = require('fs').promises;
+const path = require('path');
+const { MemoryVectorService } = require('./memoryVectorService');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../src/utils/fileUtils');
+
+const MANIFEST_VERSION = 1;
+
+class FileVectorService extends MemoryVectorService {
+  constructor(directory = getDataDir('vectors')) {
+    super();
+    this.directory = directory;
+    this.manifestPath = path.join(directory, 'manifest.json');
+    this.manifest = { version: MANIFEST_VERSION, documents: {} };
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+    console.log(`💾 FileVectorService: persisting vectors to ${directory}`);
+  }
+
+  /**
+   * Load the persisted index from disk (only once)
+   */
+  initialize() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadFromDisk().catch(error => {
+        // Allow a later call to retry loading
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async loadFromDisk() {
+    const startTime = Date.now();
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const manifest = await readJsonFile(this.manifestPath, null);
+    if (!manifest) {
+      console.log(`🆕 FileVectorService: no manifest found, starting with an empty index`);
+      return;
+    }
+
+    let loadedChunks = 0;
+    const documents = {};
+
+    for (const [documentId, entry] of Object.entries(manifest.documents || {})) {
+      try {
+        const { chunks, embeddings } = await this.readDocumentFiles(documentId, entry);
+
+        this.memoryStore.ids.push(...chunks.ids);
+        this.memoryStore.documents.push(...chunks.documents);
+        this.memoryStore.metadatas.push(...chunks.metadatas);
+        this.memoryStore.embeddings.push(...embeddings);
+        this.lexicalIndex.addDocument(documentId, chunks.ids.map((id, index) => ({ id, text: chunks.documents[index] })));
+
+        documents[documentId] = entry;
+        loadedChunks += chunks.ids.length;
+      } catch (error) {
+        console.warn(`⚠️ Skipping document ${documentId}, stored vectors are unreadable:`, error.message);
+      }
+    }
+
+    this.manifest = { version: MANIFEST_VERSION, documents };
+    console.log(`✅ FileVectorService: loaded ${Object.keys(documents).length} documents (${loadedChunks} chunks) in ${Date.now() - startTime}ms`);
+  }
+
+  getChunksPath(documentId) {
+    return path.join(this.directory, `${documentId}.json`);
+  }
+
+  getVectorsPath(documentId) {
+    return path.join(this.directory, `${documentId}.vec`);
+  }
+
+  /**
+   * Read one document's chunk file and decode its embedding file
+   */
+  async readDocumentFiles(documentId, entry) {
+    const chunks = await readJsonFile(this.getChunksPath(documentId));
+    if (!chunks) {
+      throw new Error('chunk file missing');
+    }
+
+    const buffer = await fs.readFile(this.getVectorsPath(documentId));
+    const { dimension, chunkCount } = entry;
+    if (buffer.length !== chunkCount * dimension * Float32Array.BYTES_PER_ELEMENT) {
+      throw new Error(`vector file size mismatch (expected ${chunkCount} x ${dimension})`);
+    }
+
+    // Copy into an aligned buffer before viewing it as floats
+    const floats = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    const embeddings = [];
+    for (let i = 0; i < chunkCount; i++) {
+      embeddings.push(Array.from(floats.subarray(i * dimension, (i + 1) * dimension)));
+    }
+
+    return { chunks, embeddings };
+  }
+
+  /**
+   * Run disk writes one at a time so the manifest is never written concurrently
+   */
+  enqueueWrite(operation) {
+    const next = this.writeQueue.catch(() => {}).then(operation);
+    this.writeQueue = next;
+    return next;
+  }
+
+  /**
+   * Write one document's chunks and embeddings, then record it in the manifest
+   */
+  async persistDocument(documentId, metadata = {}) {
+    const ids = [];
+    const documents = [];
+    const metadatas = [];
+    const embeddings = [];
+
+    for (let i = 0; i < this.memoryStore.metadatas.length; i++) {
+      if (this.memoryStore.metadatas[i].document_id === documentId) {
+        ids.push(this.memoryStore.ids[i]);
+        documents.push(this.memoryStore.documents[i]);
+        metadatas.push(this.memoryStore.metadatas[i]);
+        embeddings.push(this.memoryStore.embeddings[i]);
+      }
+    }
+
+    const dimension = embeddings[0]?.length || 0;
+    const floats = new Float32Array(embeddings.length * dimension);
+    embeddings.forEach((embedding, index) => floats.set(embedding, index * dimension));
+
+    await this.enqueueWrite(async () => {
+      await writeJsonFile(this.getChunksPath(documentId), { documentId, ids, documents, metadatas });
+      await fs.writeFile(this.getVectorsPath(documentId), Buffer.from(floats.buffer));
+
+      this.manifest.documents[documentId] = {
+        chunkCount: ids.length,
+        dimension,
+        filename: metadata.filename || null,
+        numPages: metadata.numPages || null,
+        fileSize: metadata.fileSize || null,
+        uploadedAt: metadata.uploadedAt || null,
+        vectorizedAt: new Date().toISOString()
+      };
+      await writeJsonFile(this.manifestPath, this.manifest);
+    });
+
+    console.log(`💾 Persisted ${ids.length} chunks for document ${documentId}`);
+  }
+
+  /**
+   * Vectorize a document and persist it to disk
+   */
+  async vectorizeDocument(documentId, text, metadata = {}, options = {}) {
+    await this.initialize();
+    const result = await super.vectorizeDocument(documentId, text, metadata, options);
+
+    try {
+      await this.persistDocument(documentId, metadata);
+    } catch (error) {
+      // Keep memory and disk consistent: a document that couldn't be saved is not kept
+      await super.deleteDocument(documentId);
+      throw new Error(`Failed to persist document vectors: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a document from memory and disk
+   */
+  async deleteDocument(documentId) {
+    await this.initialize();
+    await super.deleteDocument(documentId);
+
+    await this.enqueueWrite(async () => {
+      for (const filePath of [this.getChunksPath(documentId), this.getVectorsPath(documentId)]) {
+        try {
+          await fs.unlink(filePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      if (this.manifest.documents[documentId]) {
+        delete this.manifest.documents[documentId];
+        await writeJsonFile(this.manifestPath, this.manifest);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Re-embed a document's chunks and persist the new vectors
+   */
+  async reindexDocument(documentId, options = {}) {
+    await this.initialize();
+    const result = await super.reindexDocument(documentId, options);
+
+    if (result?.chunksReindexed > 0) {
+      await this.persistDocument(documentId, this.manifest.documents[documentId] || {});
+    }
+
+    return result;
+  }
+
+  async getDocumentStats(documentId) {
+    await this.initialize();
+    return super.getDocumentStats(documentId);
+  }
+
+  async listDocuments() {
+    await this.initialize();
+    return super.listDocuments();
+  }
+}
+
+// Create singleton instance
+const fileVectorService = new FileVectorService();
+
+// Export functions
+module.exports = {
+  initialize: () =>
+    fileVectorService.initialize(),
+  vectorizeDocument: (documentId, text, metadata, options) =>
+    fileVectorService.vectorizeDocument(documentId, text, metadata, options),
+  searchSimilarChunks: (query, documentId, limit) =>
+    fileVectorService.searchSimilarChunks(query, documentId, limit),
+  deleteDocument: (documentId) =>
+    fileVectorService.deleteDocument(documentId),
+  getDocumentStats: (documentId) =>
+    fileVectorService.getDocumentStats(documentId),
+  listDocuments: () =>
+    fileVectorService.listDocuments(),
+  reindexDocument: (documentId, options) =>
+    fileVectorService.reindexDocument(documentId, options),
+  FileVectorService
+};
@@ -1,6 +1,11 @@
 // PURE IN-MEMORY VECTOR SERVICE - NO CHROMADB DEPENDENCIES
-const { chunkText } = require('../src/services/pdfService');
-const { generateEmbeddings } = require('../src/services/embeddingService');
+const {
+  generateEmbeddingsWithModel,
+  getConfiguredEmbeddingModel,
+  embedDocument
+} = require('../src/services/embeddingService');
+const { BM25Index, fuseResults, getCandidatePoolSize, toDocumentIdList } = require('../src/services/hybridSearch');
+const { formatHeadingPath } = require('../src/services/markdownChunker');
 
 class MemoryVectorService {
   constructor() {
@@ -13,6 +18,9 @@ class MemoryVectorService {
       metadatas: [],
       ids: []
     };
+
+    // Keyword index searched alongside the embeddings
+    this.lexicalIndex = new BM25Index();
     
     this.collectionName = 'pdf_documents';
     console.log(`✅ MemoryVectorService: Pure in-memory storage initialized`);
@@ -28,27 +36,27 @@ class MemoryVectorService {
 
   /**
    * Vectorize and store a document
+   * options: { pages, signal, embeddedChunks } - exact page boundaries, an AbortSignal that cancels embedding,
+   * and chunks already embedded by an ingestion worker ({ chunks, embeddings, model, dimension } from embedDocument)
    */
-  async vectorizeDocument(documentId, text, metadata = {}) {
+  async vectorizeDocument(documentId, text, metadata = {}, options = {}) {
     const startTime = Date.now();
     
     try {
       await this.initialize();
 
-      // Chunk the text
-      const chunkObjects = chunkText(text, 1000, 200);
-
-      if (chunkObjects.length === 0) {
-        throw new Error('No text chunks generated from document');
-      }
+      // Chunk and embed the text, unless an ingestion worker already has
+      const { chunks: chunkObjects, embeddings, model, dimension } = options.embeddedChunks ||
+        await embedDocument(text, {
+          numPages: metadata.numPages,
+          pages: options.pages,
+          format: metadata.pdfMetadata?.format,
+          signal: options.signal
+        });
 
       // Extract text strings from chunk objects
       const chunks = chunkObjects.map(chunk => chunk.text);
 
-      // Generate embeddings for all chunks
-      console.log(`🔄 Generating embeddings for ${chunkObjects.length} chunks...`);
-      const embeddings = await generateEmbeddings(chunks);
-
       // Prepare data
       const ids = chunkObjects.map((_, index) => `${documentId}_chunk_${index}`);
       const documents = chunks;
@@ -58,21 +66,32 @@ class MemoryVectorService {
         chunk_text: chunkObj.text.substring(0, 100) + '...',
         page_number: chunkObj.estimatedPage,
         estimated_page: chunkObj.estimatedPage, // Ensure compatibility
+        start_page: chunkObj.startPage,
+        end_page: chunkObj.endPage,
+        exact_pages: chunkObj.exactPages,
+        ocr: chunkObj.ocr || false,
+        heading_path: formatHeadingPath(chunkObj.headingPath),
         start_char: chunkObj.startChar,
         end_char: chunkObj.endChar,
         num_pages: metadata.numPages || 1, // Add total pages for validation
         contains_amounts: chunkObj.containsAmounts || false,
         contains_dates: chunkObj.containsDates || false,
         is_financial_content: chunkObj.isFinancialContent || false,
+        embedding_model: model,
+        embedding_dimension: dimension,
         ...metadata
       }));
 
+      // Nothing is stored for a cancelled job
+      options.signal?.throwIfAborted();
+
       // Store in memory
       console.log(`💾 Storing ${chunkObjects.length} chunks in memory...`);
       this.memoryStore.ids.push(...ids);
       this.memoryStore.embeddings.push(...embeddings);
       this.memoryStore.documents.push(...documents);
       this.memoryStore.metadatas.push(...metadatas);
+      this.lexicalIndex.addDocument(documentId, ids.map((id, index) => ({ id, text: documents[index] })));
 
       const processingTime = Date.now() - startTime;
       console.log(`✅ Document vectorized: ${chunkObjects.length} chunks in ${processingTime}ms`);
@@ -81,32 +100,51 @@ class MemoryVectorService {
         success: true,
         documentId,
         chunkCount: chunkObjects.length,
+        chunksCreated: chunkObjects.length,
+        embeddingModel: model,
+        embeddingDimension: dimension,
         processingTime
       };
 
     } catch (error) {
+      if (options.signal?.aborted) throw error;
+
       console.error('Vectorization error:', error);
-      throw new Error(`Failed to vectorize document: ${error.message}`);
+      throw new Error(`Failed to vectorize document: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Search for similar chunks
+   * Search for relevant chunks
+   * Vector similarity and BM25 keyword rankings are merged with reciprocal-rank fusion.
+   * documentId may be a single ID, a list of IDs, or null to search every document.
+   * Only chunks embedded with the same model as the query are searched.
    */
   async searchSimilarChunks(query, documentId = null, limit = 5) {
     try {
       await this.initialize();
 
-      // Generate embedding for the query
-      const queryEmbedding = await generateEmbeddings([query]);
+      // Embed the query with the configured model only: a fallback model's vector couldn't be
+      // compared with any stored chunk, so a failing provider fails the search instead
+      const { embeddings: queryEmbedding, model } = await generateEmbeddingsWithModel([query], {
+        model: getConfiguredEmbeddingModel()
+      });
+      const documentIds = toDocumentIdList(documentId);
 
       // In-memory search using cosine similarity
       console.log(`🔍 Searching ${this.memoryStore.embeddings.length} stored chunks...`);
       const results = [];
+      let otherModelCount = 0;
 
       for (let i = 0; i < this.memoryStore.embeddings.length; i++) {
         // Filter by document ID if specified
-        if (documentId && this.memoryStore.metadatas[i].document_id !== documentId) {
+        if (documentIds && !documentIds.includes(this.memoryStore.metadatas[i].document_id)) {
+          continue;
+        }
+
+        // Vectors from another embedding model aren't comparable with the query's
+        if (this.memoryStore.metadatas[i].embedding_model !== model) {
+          otherModelCount++;
           continue;
         }
 
@@ -114,17 +152,30 @@ class MemoryVectorService {
         const similarity = this.cosineSimilarity(queryEmbedding[0], this.memoryStore.embeddings[i]);
         results.push({
           content: this.memoryStore.documents[i],
-          similarity,
+          vectorScore: similarity,
           metadata: this.memoryStore.metadatas[i],
           id: this.memoryStore.ids[i]
         });
       }
 
-      // Sort by similarity and limit results
-      results.sort((a, b) => b.similarity - a.similarity);
-      const formattedResults = results.slice(0, limit);
+      if (otherModelCount > 0) {
+        console.warn(`⚠️ Skipped ${otherModelCount} chunks not embedded with ${model}; re-index them to search them again`);
+      }
 
-      console.log(`🔍 Found ${formattedResults.length} similar chunks (pure in-memory)`);
+      // Every in-scope chunk has a vector score, so lexical matches can be resolved from the same list
+      results.sort((a, b) => b.vectorScore - a.vectorScore);
+      const poolSize = getCandidatePoolSize(limit);
+      const lexicalResults = this.lexicalIndex.search(query, documentIds, poolSize);
+      const chunks = new Map(results.map(result => [result.id, result]));
+
+      const formattedResults = fuseResults(
+        results.slice(0, poolSize).map(result => result.id),
+        lexicalResults,
+        chunks,
+        limit
+      );
+
+      console.log(`🔍 Found ${formattedResults.length} chunks (${lexicalResults.length} keyword matches, pure in-memory)`);
       return formattedResults;
 
     } catch (error) {
@@ -137,12 +188,129 @@ class MemoryVectorService {
    * Calculate cosine similarity between two vectors
    */
   cosineSimilarity(vecA, vecB) {
+    if (vecA.length !== vecB.length) {
+      throw new Error(`Vectors must have the same length (${vecA.length} vs ${vecB.length})`);
+    }
+
     const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
     const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
     const magnitudeB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
     return dotProduct / (magnitudeA * magnitudeB);
   }
 
+  /**
+   * Re-embed a document's stored chunks with the configured embedding model
+   * options: { force, signal } - re-embed chunks that already use the configured model too,
+   * and an AbortSignal that stops before anything is replaced
+   * Returns null if the document has no stored chunks.
+   */
+  async reindexDocument(documentId, options = {}) {
+    await this.initialize();
+
+    const model = getConfiguredEmbeddingModel();
+    const chunkIndices = [];
+    for (let i = 0; i < this.memoryStore.metadatas.length; i++) {
+      if (this.memoryStore.metadatas[i].document_id === documentId) {
+        chunkIndices.push(i);
+      }
+    }
+
+    if (chunkIndices.length === 0) {
+      return null;
+    }
+
+    const previousModels = [...new Set(chunkIndices.map(i => this.memoryStore.metadatas[i].embedding_model || null))];
+    const staleIndices = options.force
+      ? chunkIndices
+      : chunkIndices.filter(i => this.memoryStore.metadatas[i].embedding_model !== model);
+
+    const result = {
+      documentId,
+      chunkCount: chunkIndices.length,
+      chunksReindexed: staleIndices.length,
+      previousModels,
+      embeddingModel: model,
+      embeddingDimension: this.memoryStore.embeddings[chunkIndices[0]].length
+    };
+
+    if (staleIndices.length === 0) {
+      return result;
+    }
+
+    const staleIds = staleIndices.map(i => this.memoryStore.ids[i]);
+    const { embeddings, dimension } = await generateEmbeddingsWithModel(
+      staleIndices.map(i => this.memoryStore.documents[i]),
+      { model, signal: options.signal }
+    );
+    if (embeddings.length !== staleIds.length) {
+      throw new Error(`Expected ${staleIds.length} embeddings, got ${embeddings.length}`);
+    }
+
+    options.signal?.throwIfAborted();
+
+    // Positions may have moved while embedding (other documents deleted), so look chunks up again by ID
+    const positions = new Map(this.memoryStore.ids.map((id, index) => [id, index]));
+    staleIds.forEach((id, i) => {
+      const index = positions.get(id);
+      if (index === undefined) return;
+
+      this.memoryStore.embeddings[index] = embeddings[i];
+      this.memoryStore.metadatas[index] = {
+        ...this.memoryStore.metadatas[index],
+        embedding_model: model,
+        embedding_dimension: dimension
+      };
+    });
+
+    console.log(`🔁 Re-indexed ${staleIds.length} chunks of document ${documentId} with ${model}`);
+    return { ...result, embeddingDimension: dimension };
+  }
+
+  /**
+   * Get chunk count and first chunk metadata for a document
+   */
+  async getDocumentStats(documentId) {
+    let chunkCount = 0;
+    let firstMetadata = null;
+
+    for (let i = 0; i < this.memoryStore.metadatas.length; i++) {
+      if (this.memoryStore.metadatas[i].document_id === documentId) {
+        chunkCount++;
+        if (!firstMetadata) {
+          firstMetadata = this.memoryStore.metadatas[i];
+        }
+      }
+    }
+
+    return {
+      documentId,
+      chunkCount,
+      metadata: firstMetadata || {}
+    };
+  }
+
+  /**
+   * List stored documents with their chunk counts and first chunk metadata
+   */
+  async listDocuments() {
+    const documents = new Map();
+
+    for (const metadata of this.memoryStore.metadatas) {
+      const existing = documents.get(metadata.document_id);
+      if (existing) {
+        existing.chunkCount++;
+      } else {
+        documents.set(metadata.document_id, {
+          documentId: metadata.document_id,
+          chunkCount: 1,
+          metadata
+        });
+      }
+    }
+
+    return Array.from(documents.values());
+  }
+
   /**
    * Delete a document and all its chunks
    */
@@ -163,6 +331,7 @@ class MemoryVectorService {
         this.memoryStore.documents.splice(index, 1);
         this.memoryStore.metadatas.splice(index, 1);
       }
+      this.lexicalIndex.removeDocument(documentId);
 
       console.log(`🗑️ Deleted document: ${documentId} (${indicesToRemove.length} chunks)`);
       return true;
@@ -174,34 +343,28 @@ class MemoryVectorService {
   }
 }
 
-// Create singleton instance
-const memoryVectorService = new MemoryVectorService();
+// Create singleton instance on first use
+let memoryVectorService = null;
+const getService = () => {
+  if (!memoryVectorService) {
+    memoryVectorService = new MemoryVectorService();
+  }
+  return memoryVectorService;
+};
 
 // Export functions
 module.exports = {
-  vectorizeDocument: (documentId, text, metadata) => 
-    memoryVectorService.vectorizeDocument(documentId, text, metadata),
-  searchSimilarChunks: (query, documentId, limit) => 
-    memoryVectorService.searchSimilarChunks(query, documentId, limit),
-  deleteDocument: (documentId) => 
-    memoryVectorService.deleteDocument(documentId),
-  getDocumentStats: async (documentId) => {
-    let chunkCount = 0;
-    let firstMetadata = null;
-    
-    for (let i = 0; i < memoryVectorService.memoryStore.metadatas.length; i++) {
-      if (memoryVectorService.memoryStore.metadatas[i].document_id === documentId) {
-        chunkCount++;
-        if (!firstMetadata) {
-          firstMetadata = memoryVectorService.memoryStore.metadatas[i];
-        }
-      }
-    }
-    
-    return {
-      documentId,
-      chunkCount,
-      metadata: firstMetadata || {}
-    };
-  }
+  vectorizeDocument: (documentId, text, metadata, options) =>
+    getService().vectorizeDocument(documentId, text, metadata, options),
+  searchSimilarChunks: (query, documentId, limit) =>
+    getService().searchSimilarChunks(query, documentId, limit),
+  deleteDocument: (documentId) =>
+    getService().deleteDocument(documentId),
+  getDocumentStats: (documentId) =>
+    getService().getDocumentStats(documentId),
+  listDocuments: () =>
+    getService().listDocuments(),
+  reindexDocument: (documentId, options) =>
+    getService().reindexDocument(documentId, options),
+  MemoryVectorService
 };
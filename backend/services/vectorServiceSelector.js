@@ -1,23 +1,42 @@
 // Vector Service Selector - Environment-based service selection
+// VECTOR_STORE=chroma|file|memory picks a service explicitly. Without it:
 // Development: Uses ChromaDB-based vectorService
-// Production: Uses in-memory memoryVectorService
+// Production: Uses file-backed fileVectorService (in-memory search, persisted to DATA_DIR)
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 const isProduction = process.env.NODE_ENV === 'production';
 
-// Default to production mode if NODE_ENV is not set or is unknown
-const useMemoryService = !isDevelopment;
+const VECTOR_STORES = {
+  chroma: {
+    label: 'ChromaDB Vector Storage',
+    load: () => require('../src/services/vectorService')
+  },
+  file: {
+    label: 'File-backed Vector Storage',
+    load: () => require('./fileVectorService')
+  },
+  memory: {
+    label: 'In-Memory Vector Storage',
+    load: () => require('./memoryVectorService')
+  }
+};
 
-let vectorService;
+// Default to the persistent file store if NODE_ENV is not set or is unknown
+let storeType = (process.env.VECTOR_STORE || (isDevelopment ? 'chroma' : 'file')).toLowerCase();
 
-if (isDevelopment) {
-  console.log('🔧 Development mode: Using ChromaDB vectorService');
-  vectorService = require('../src/services/vectorService');
-} else {
-  console.log(`🚀 ${isProduction ? 'Production' : 'Default'} mode: Using in-memory memoryVectorService`);
-  console.log(`📊 NODE_ENV: ${process.env.NODE_ENV || 'undefined'}`);
-  vectorService = require('./memoryVectorService');
+if (!VECTOR_STORES[storeType]) {
+  console.warn(`⚠️ Unknown VECTOR_STORE "${process.env.VECTOR_STORE}", falling back to file storage`);
+  storeType = 'file';
 }
 
-// Export the selected service
-module.exports = vectorService;
+console.log(`🔧 ${isDevelopment ? 'Development' : isProduction ? 'Production' : 'Default'} mode: Using ${storeType} vector service`);
+console.log(`📊 NODE_ENV: ${process.env.NODE_ENV || 'undefined'}`);
+
+const vectorService = VECTOR_STORES[storeType].load();
+
+// Export the selected service along with which one was chosen
+module.exports = {
+  ...vectorService,
+  storeType,
+  storeLabel: VECTOR_STORES[storeType].label
+};
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const { apiKeyService } = require('../services/apiKeyService');
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// keyId -> { windowStart, count } for the current one-minute window
+const requestWindows = new Map();
+
+// Per-key request rate limit; also counts the request towards the key's usage.
+// Session (non API key) requests pass through untouched.
+const apiKeyRateLimit = (req, res, next) => {
+  const key = req.apiKey;
+  if (!key) return next();
+
+  const limit = key.limits.requestsPerMinute;
+  if (limit !== null) {
+    const now = Date.now();
+    let window = requestWindows.get(key.id);
+    if (!window || now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+      window = { windowStart: now, count: 0 };
+      requestWindows.set(key.id, window);
+    }
+
+    const resetSeconds = Math.ceil((window.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000);
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - window.count - 1)),
+      'X-RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count >= limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `API key rate limit of ${limit} requests per minute exceeded`,
+        error: 'RATE_LIMIT_EXCEEDED',
+        data: { limit, retryAfterSeconds: resetSeconds }
+      });
+    }
+    window.count++;
+  }
+
+  apiKeyService.recordUsage(key, { requests: 1 });
+  next();
+};
+
+// Reject uploads that would exceed the key's daily page quota (runs after uploadValidation
+// has counted the pages) and reserve the pages of the others; the upload route gives them back
+// with releasePageQuota if it doesn't accept the upload after all
+const enforcePageQuota = async (req, res, next) => {
+  const key = req.apiKey;
+  if (!key) return next();
+
+  const pages = req.pdfPageCount || 0;
+  const limit = key.limits.dailyPages;
+  const used = apiKeyService.getTodayUsage(key).pages;
+
+  if (limit !== null && used + pages > limit) {
+    await fs.unlink(req.file.path).catch(() => {});
+    return res.status(429).json({
+      success: false,
+      message: `Daily page quota exceeded: ${pages} pages requested, ${Math.max(0, limit - used)} of ${limit} remaining today`,
+      error: 'PAGE_QUOTA_EXCEEDED',
+      data: { limit, used, requested: pages }
+    });
+  }
+
+  apiKeyService.recordUsage(key, { pages });
+  req.reservedPages = pages;
+  next();
+};
+
+/**
+ * Give back the pages enforcePageQuota reserved for an upload that was rejected or failed
+ * @param {object} req - Express request (req.apiKey set for API key requests)
+ */
+function releasePageQuota(req) {
+  if (!req.apiKey || !req.reservedPages) return;
+
+  // Today's counter may have been reset since the pages were reserved
+  const pages = Math.min(req.reservedPages, apiKeyService.getTodayUsage(req.apiKey).pages);
+  apiKeyService.recordUsage(req.apiKey, { pages: -pages });
+  req.reservedPages = 0;
+}
+
+// Reject chat requests once the key has used up its daily token budget (before searching the
+// documents; the request then reserves its tokens with reserveTokens)
+const enforceTokenBudget = (req, res, next) => {
+  const key = req.apiKey;
+  if (!key) return next();
+
+  const limit = key.limits.dailyTokens;
+  const used = apiKeyService.getTodayUsage(key).tokens;
+
+  if (limit !== null && used >= limit) {
+    return res.status(429).json({
+      success: false,
+      message: `Daily token budget of ${limit} tokens exhausted`,
+      error: 'TOKEN_BUDGET_EXCEEDED',
+      data: { limit, used }
+    });
+  }
+  next();
+};
+
+/**
+ * Reserve the most tokens an answer can use against the requesting key's daily budget, so neither
+ * one long answer nor concurrent requests can overshoot it; settleTokenUsage replaces the
+ * reservation with what the answer actually used
+ * @param {object} req - Express request (req.apiKey set for API key requests)
+ * @param {number} tokens - Estimated maximum tokens (see estimateMaxChatTokens)
+ * @returns {object|null} - { statusCode, body } to answer with if the budget can't cover it, otherwise null
+ */
+function reserveTokens(req, tokens) {
+  const key = req.apiKey;
+  if (!key) return null;
+
+  const limit = key.limits.dailyTokens;
+  const used = apiKeyService.getTodayUsage(key).tokens;
+
+  if (limit !== null && used + tokens > limit) {
+    return {
+      statusCode: 429,
+      body: {
+        success: false,
+        message: `Daily token budget exceeded: this request may use up to ${tokens} tokens, ${Math.max(0, limit - used)} of ${limit} remaining today`,
+        error: 'TOKEN_BUDGET_EXCEEDED',
+        data: { limit, used, requested: tokens }
+      }
+    };
+  }
+
+  apiKeyService.recordUsage(key, { tokens });
+  req.reservedTokens = tokens;
+  return null;
+}
+
+/**
+ * Replace the tokens reserved by reserveTokens with the tokens the answer used
+ * @param {object} req - Express request (req.apiKey set for API key requests)
+ * @param {number} tokens - Tokens used (0 if no answer was generated)
+ */
+function settleTokenUsage(req, tokens) {
+  if (!req.apiKey) return;
+
+  // Today's counter may have been reset since the tokens were reserved
+  const reserved = Math.min(req.reservedTokens || 0, apiKeyService.getTodayUsage(req.apiKey).tokens);
+  req.reservedTokens = 0;
+  if (tokens - reserved !== 0) {
+    apiKeyService.recordUsage(req.apiKey, { tokens: tokens - reserved });
+  }
+}
+
+module.exports = {
+  apiKeyRateLimit,
+  enforcePageQuota,
+  releasePageQuota,
+  enforceTokenBudget,
+  reserveTokens,
+  settleTokenUsage
+};
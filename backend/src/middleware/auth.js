@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { userService } = require('../services/userService');
+const { apiKeyService } = require('../services/apiKeyService');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+// Accounts allowed to use the admin routes
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  // Sessions won't survive a restart without a configured secret
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET is not set, using a random secret for this process');
+}
+
+/**
+ * Issue a session token for a user
+ * @param {object} user - Stored user
+ * @returns {string} - Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign({ email: user.email }, jwtSecret, {
+    subject: user.id,
+    expiresIn: JWT_EXPIRES_IN
+  });
+}
+
+// Routes read with EventSource, which can't send headers; only these accept ?access_token=,
+// so tokens don't end up in the URLs (and logs and browser history) of any other route
+const QUERY_TOKEN_ROUTES = [/^\/api\/pdf\/status\/[^/]+\/events$/];
+
+/**
+ * Read the bearer token (session token or API key) from a request
+ * API keys may also be sent as X-API-Key. GET requests to QUERY_TOKEN_ROUTES may pass it as ?access_token= instead.
+ * @param {object} req - Express request
+ * @returns {string|null} - Token or null
+ */
+function getRequestToken(req) {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.method === 'GET' && typeof req.query.access_token === 'string' &&
+      QUERY_TOKEN_ROUTES.some(route => route.test(req.baseUrl + req.path))) {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Look up an API key and the user it acts as
+ * @param {object} req - Express request
+ * @param {string} secret - Plain API key
+ * @returns {Promise<boolean>} - True if the key is valid; req.user and req.apiKey are then set
+ */
+async function attachApiKey(req, secret) {
+  const key = await apiKeyService.findActiveKey(secret);
+  const user = key && await userService.getUser(key.userId);
+  if (!user) return false;
+
+  req.user = userService.toPublicUser(user);
+  req.apiKey = key;
+  return true;
+}
+
+// Attach the key and its user for requests carrying a valid API key, so the per-IP limiter can
+// leave them to the per-key limits. Never rejects: authenticate answers invalid keys.
+const identifyApiKey = async (req, res, next) => {
+  const token = getRequestToken(req);
+  if (!apiKeyService.isApiKey(token)) return next();
+
+  try {
+    await attachApiKey(req, token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a valid session token or API key and attach the user as req.user
+// (and the key as req.apiKey for API key requests)
+const authenticate = async (req, res, next) => {
+  // Already checked by identifyApiKey
+  if (req.apiKey) return next();
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      error: 'AUTH_REQUIRED'
+    });
+  }
+
+  try {
+    if (apiKeyService.isApiKey(token)) {
+      if (!await attachApiKey(req, token)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API key',
+          error: 'INVALID_API_KEY'
+        });
+      }
+      return next();
+    }
+
+    const payload = jwt.verify(token, jwtSecret);
+    const user = await userService.getUser(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists',
+        error: 'AUTH_REQUIRED'
+      });
+    }
+
+    req.user = userService.toPublicUser(user);
+    next();
+  } catch (error) {
+    // JsonWebTokenError and TokenExpiredError are answered by errorHandler
+    next(error);
+  }
+};
+
+/**
+ * Check whether a user may use the admin routes (listed in ADMIN_EMAILS)
+ * @param {object} user - req.user
+ * @returns {boolean} - True for admins
+ */
+function isAdmin(user) {
+  return Boolean(user && ADMIN_EMAILS.includes(user.email));
+}
+
+// Only allow admins signed in with a session token (API keys can't manage keys)
+const requireAdmin = (req, res, next) => {
+  if (req.apiKey || !isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required',
+      error: 'ADMIN_REQUIRED'
+    });
+  }
+  next();
+};
+
+/**
+ * Check whether a user owns a record (documents, jobs, conversations, ...)
+ * Records created before accounts existed have no owner and are not accessible.
+ * @param {object} user - req.user
+ * @param {object|null} record - Record with an ownerId
+ * @returns {boolean} - True if the user owns the record
+ */
+function isOwner(user, record) {
+  return Boolean(user && record && record.ownerId && record.ownerId === user.id);
+}
+
+module.exports = {
+  identifyApiKey,
+  authenticate,
+  requireAdmin,
+  getRequestToken,
+  signToken,
+  isAdmin,
+  isOwner
+};
@@ -38,6 +38,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  if (err.name === 'TokenExpiredError') {
+    const message = 'Session expired, please log in again';
+    error = {
+      success: false,
+      message,
+      statusCode: 401
+    };
+  }
+
   // File upload error
   if (err.code === 'LIMIT_FILE_SIZE') {
     const message = 'File too large';
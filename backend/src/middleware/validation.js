@@ -1,6 +1,11 @@
 const Joi = require('joi');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
 const fs = require('fs').promises;
+const { DOCUMENT_TYPES, getDocumentType, convertDocument } = require('../services/documentConverter');
+
+// Characters of converted text returned as the upload's preview (non-PDF uploads)
+const PREVIEW_CHARS = 20000;
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -17,7 +22,9 @@ const validate = (schema) => {
   };
 };
 
-// PDF upload validation with page count check
+// Document upload validation with page count check
+// Other types than PDF are converted here to count their pages (or sections) and build a text preview;
+// the conversion is kept as req.convertedDocument so the processing job doesn't repeat it
 const uploadValidation = async (req, res, next) => {
   if (!req.file) {
     return res.status(400).json({
@@ -26,10 +33,12 @@ const uploadValidation = async (req, res, next) => {
     });
   }
 
-  if (req.file.mimetype !== 'application/pdf') {
+  const documentType = getDocumentType(req.file.mimetype, req.file.originalname);
+  if (!documentType) {
     return res.status(400).json({
       success: false,
-      message: 'Only PDF files are allowed'
+      message: 'Only PDF, Word (.docx), text, Markdown and HTML files are allowed',
+      error: 'INVALID_FILE_TYPE'
     });
   }
 
@@ -45,38 +54,58 @@ const uploadValidation = async (req, res, next) => {
   try {
     const maxPages = parseInt(process.env.MAX_PAGES) || 50;
     const dataBuffer = await fs.readFile(req.file.path);
-    const pdfData = await pdfParse(dataBuffer);
+    let numPages;
+    let preview = null;
+    let converted = null;
+
+    if (documentType === 'pdf') {
+      const pdfData = await pdfParse(dataBuffer);
+      numPages = pdfData.numpages;
+    } else {
+      converted = await convertDocument(req.file.path, documentType);
+      numPages = converted.numPages;
+      preview = converted.text.slice(0, PREVIEW_CHARS);
+    }
 
-    console.log(`📄 Page validation: ${pdfData.numpages} pages (limit: ${maxPages})`);
+    console.log(`📄 Page validation: ${numPages} pages (limit: ${maxPages})`);
 
-    if (pdfData.numpages > maxPages) {
+    if (numPages > maxPages) {
       return res.status(413).json({
         success: false,
-        message: `PDF has ${pdfData.numpages} pages. Maximum allowed is ${maxPages} pages.`,
+        message: `${DOCUMENT_TYPES[documentType].label} has ${numPages} pages. Maximum allowed is ${maxPages} pages.`,
         errorCode: 'PAGE_LIMIT_EXCEEDED',
         data: {
-          actualPages: pdfData.numpages,
+          actualPages: numPages,
           maxPages: maxPages
         }
       });
     }
 
-    // Add page count to request for later use
-    req.pdfPageCount = pdfData.numpages;
-    req.isLargeDocument = pdfData.numpages >= (parseInt(process.env.LARGE_DOC_THRESHOLD) || 20);
+    // Add type, page count, preview and content hash to request for later use
+    req.documentType = documentType;
+    req.documentPreview = preview;
+    req.convertedDocument = converted;
+    req.pdfPageCount = numPages;
+    req.contentHash = crypto.createHash('sha256').update(dataBuffer).digest('hex');
+    req.isLargeDocument = numPages >= (parseInt(process.env.LARGE_DOC_THRESHOLD) || 20);
 
   } catch (error) {
     console.error('Page count validation error:', error);
     return res.status(400).json({
       success: false,
-      message: 'Invalid PDF file or corrupted document',
-      errorCode: 'PDF_VALIDATION_FAILED'
+      message: documentType === 'pdf'
+        ? 'Invalid PDF file or corrupted document'
+        : `Could not read the ${DOCUMENT_TYPES[documentType].label}: ${error.message}`,
+      errorCode: documentType === 'pdf' ? 'PDF_VALIDATION_FAILED' : 'DOCUMENT_VALIDATION_FAILED'
     });
   }
 
   next();
 };
 
+// Maximum number of documents searched by one chat request
+const MAX_CHAT_DOCUMENTS = parseInt(process.env.MAX_CHAT_DOCUMENTS) || 10;
+
 // Chat message validation schema
 const chatSchema = Joi.object({
   message: Joi.string().min(1).max(1000).required().messages({
@@ -85,9 +114,23 @@ const chatSchema = Joi.object({
     'string.max': 'Message cannot exceed 1000 characters',
     'any.required': 'Message is required'
   }),
-  documentId: Joi.string().uuid().required().messages({
-    'string.guid': 'Document ID must be a valid UUID',
-    'any.required': 'Document ID is required'
+  documentId: Joi.string().uuid().messages({
+    'string.guid': 'Document ID must be a valid UUID'
+  }),
+  documentIds: Joi.array().items(Joi.string().uuid()).min(1).max(MAX_CHAT_DOCUMENTS).unique().messages({
+    'string.guid': 'Document IDs must be valid UUIDs',
+    'array.min': 'Select at least one document',
+    'array.max': `Cannot chat with more than ${MAX_CHAT_DOCUMENTS} documents at once`,
+    'array.unique': 'Document IDs must not repeat'
+  }),
+  collectionId: Joi.string().uuid().messages({
+    'string.guid': 'Collection ID must be a valid UUID'
+  }),
+  workspaceId: Joi.string().uuid().messages({
+    'string.guid': 'Workspace ID must be a valid UUID'
+  }),
+  conversationId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Conversation ID must be a valid UUID'
   }),
   conversationHistory: Joi.array().items(
     Joi.object({
@@ -98,10 +141,106 @@ const chatSchema = Joi.object({
   ).max(20).optional().messages({
     'array.max': 'Conversation history cannot exceed 20 messages'
   })
-});
+}).oxor('documentId', 'documentIds', 'collectionId')
+  .or('documentId', 'documentIds', 'collectionId', 'workspaceId')
+  .messages({
+    'object.missing': 'Document ID is required (documentId, documentIds, collectionId or workspaceId)',
+    'object.oxor': 'Provide only one of documentId, documentIds or collectionId'
+  });
 
 const chatValidation = validate(chatSchema);
 
+// Collection create/update validation schema
+const collectionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Collection name cannot be empty',
+    'string.max': 'Collection name cannot exceed 100 characters'
+  }),
+  documentIds: Joi.array().items(Joi.string().uuid()).max(MAX_CHAT_DOCUMENTS).unique().messages({
+    'string.guid': 'Document IDs must be valid UUIDs',
+    'array.max': `A collection cannot contain more than ${MAX_CHAT_DOCUMENTS} documents`
+  })
+});
+
+const collectionValidation = validate(collectionSchema.fork(['name'], schema => schema.required()));
+const collectionUpdateValidation = validate(collectionSchema.or('name', 'documentIds'));
+
+// Workspace create/update validation schema
+const workspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.empty': 'Workspace name cannot be empty',
+    'string.max': 'Workspace name cannot exceed 100 characters',
+    'any.required': 'Workspace name is required'
+  }),
+  // PDF parser for the workspace's uploads; null uses the server default
+  parser: Joi.string().max(50).allow(null)
+});
+
+const workspaceValidation = validate(workspaceSchema.fork(['name'], schema => schema.required()));
+const workspaceUpdateValidation = validate(workspaceSchema.or('name', 'parser'));
+
+// Account registration and login validation schemas
+const registerSchema = Joi.object({
+  email: Joi.string().trim().email().max(254).required().messages({
+    'string.email': 'Email must be a valid email address',
+    'any.required': 'Email is required'
+  }),
+  password: Joi.string().min(8).max(128).required().messages({
+    'string.min': 'Password must be at least 8 characters long',
+    'string.max': 'Password cannot exceed 128 characters',
+    'any.required': 'Password is required'
+  }),
+  name: Joi.string().trim().max(100).allow('').optional()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().required().messages({
+    'any.required': 'Email is required'
+  }),
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  })
+});
+
+const registerValidation = validate(registerSchema);
+const loginValidation = validate(loginSchema);
+
+// API key creation validation schema (a null limit means unlimited)
+const apiKeyLimitSchema = Joi.number().integer().min(1).allow(null);
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'API key name cannot be empty',
+    'string.max': 'API key name cannot exceed 100 characters',
+    'any.required': 'API key name is required'
+  }),
+  userId: Joi.string().uuid().optional().messages({
+    'string.guid': 'User ID must be a valid UUID'
+  }),
+  limits: Joi.object({
+    requestsPerMinute: apiKeyLimitSchema,
+    dailyPages: apiKeyLimitSchema,
+    dailyTokens: apiKeyLimitSchema
+  }).optional().messages({
+    'number.min': 'Limits must be at least 1 (or null for unlimited)',
+    'number.integer': 'Limits must be whole numbers'
+  })
+});
+
+const apiKeyValidation = validate(apiKeySchema);
+
+// Re-index request validation schema (no documentIds re-indexes every stale document)
+const reindexSchema = Joi.object({
+  documentIds: Joi.array().items(Joi.string().uuid()).min(1).unique().optional().messages({
+    'string.guid': 'Document IDs must be valid UUIDs',
+    'array.min': 'Provide at least one document ID, or omit documentIds to re-index every stale document',
+    'array.unique': 'Document IDs must not repeat'
+  }),
+  force: Joi.boolean().optional()
+});
+
+const reindexValidation = validate(reindexSchema);
+
 // Document ID validation schema
 const documentIdSchema = Joi.object({
   documentId: Joi.string().uuid().required().messages({
@@ -116,5 +255,14 @@ module.exports = {
   validate,
   uploadValidation,
   chatValidation,
-  documentIdValidation
+  collectionValidation,
+  collectionUpdateValidation,
+  workspaceValidation,
+  workspaceUpdateValidation,
+  registerValidation,
+  loginValidation,
+  apiKeyValidation,
+  reindexValidation,
+  documentIdValidation,
+  MAX_CHAT_DOCUMENTS
 };
@@ -0,0 +1,239 @@
+const express = require('express');
+const { apiKeyValidation, reindexValidation } = require('../middleware/validation');
+const { apiKeyService } = require('../services/apiKeyService');
+const { userService } = require('../services/userService');
+const { embeddingCache } = require('../services/embeddingCache');
+const { reindexService } = require('../services/reindexService');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+
+function sendApiKeyNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'API key not found',
+    error: 'API_KEY_NOT_FOUND'
+  });
+}
+
+// List API keys with today's usage
+router.get('/api-keys', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: keys.map(key => apiKeyService.toPublicKey(key)),
+        total: keys.length
+      }
+    });
+  } catch (error) {
+    console.error('API key listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys',
+      error: error.message
+    });
+  }
+});
+
+// Create an API key acting as a user (the admin by default); the key is only returned here
+router.post('/api-keys', apiKeyValidation, async (req, res) => {
+  try {
+    const { name, limits } = req.body;
+    const userId = req.body.userId || req.user.id;
+
+    if (!(await userService.getUser(userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'USER_NOT_FOUND'
+      });
+    }
+
+    const { key, secret } = await apiKeyService.createKey({
+      name: name.trim(),
+      userId,
+      createdBy: req.user.id,
+      limits
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the key now, it cannot be shown again.',
+      data: {
+        ...apiKeyService.toPublicKey(key),
+        key: secret
+      }
+    });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:keyId', async (req, res) => {
+  try {
+    const key = await apiKeyService.revokeKey(req.params.keyId);
+    if (!key) {
+      return sendApiKeyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKeyService.toPublicKey(key)
+    });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+});
+
+// Usage counters and remaining quota for an API key
+router.get('/api-keys/:keyId/usage', async (req, res) => {
+  try {
+    const key = await apiKeyService.getKey(req.params.keyId);
+    if (!key) {
+      return sendApiKeyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: apiKeyService.buildUsageReport(key)
+    });
+  } catch (error) {
+    console.error('API key usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API key usage',
+      error: error.message
+    });
+  }
+});
+
+// Statistics for every user's processing jobs
+router.get('/queue/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: jobQueue.getStats()
+    });
+  } catch (error) {
+    console.error('Queue stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get queue statistics',
+      error: error.message
+    });
+  }
+});
+
+// Embedding cache size and hit/miss metrics
+router.get('/embedding-cache', async (req, res) => {
+  try {
+    await embeddingCache.init();
+
+    res.json({
+      success: true,
+      data: embeddingCache.getStats()
+    });
+  } catch (error) {
+    console.error('Embedding cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get embedding cache statistics',
+      error: error.message
+    });
+  }
+});
+
+// Empty the embedding cache
+router.delete('/embedding-cache', async (req, res) => {
+  try {
+    await embeddingCache.init();
+    const cleared = embeddingCache.getStats().entries;
+    await embeddingCache.clear();
+
+    res.json({
+      success: true,
+      message: 'Embedding cache cleared',
+      data: { cleared }
+    });
+  } catch (error) {
+    console.error('Embedding cache clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear embedding cache',
+      error: error.message
+    });
+  }
+});
+
+// Documents whose vectors come from a different embedding model than the configured one
+router.get('/reindex', async (req, res) => {
+  try {
+    const { embeddingModel, documents } = await reindexService.findStaleDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        embeddingModel,
+        running: reindexService.isRunning,
+        staleDocuments: documents,
+        total: documents.length
+      }
+    });
+  } catch (error) {
+    console.error('Re-index status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find documents to re-index',
+      error: error.message
+    });
+  }
+});
+
+// Re-embed stale documents (or the given ones) with the configured embedding model
+router.post('/reindex', reindexValidation, async (req, res) => {
+  try {
+    if (reindexService.isRunning) {
+      return res.status(409).json({
+        success: false,
+        message: 'A re-index is already running',
+        error: 'REINDEX_IN_PROGRESS'
+      });
+    }
+
+    const report = await reindexService.reindex({
+      documentIds: req.body.documentIds || null,
+      force: Boolean(req.body.force)
+    });
+
+    res.json({
+      success: true,
+      message: `Re-indexed ${report.reindexed} of ${report.total} documents with ${report.embeddingModel}` +
+        (report.failed > 0 ? ` (${report.failed} failed)` : ''),
+      data: report
+    });
+  } catch (error) {
+    console.error('Re-index error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-index documents',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
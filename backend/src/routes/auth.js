@@ -0,0 +1,105 @@
+const express = require('express');
+const { registerValidation, loginValidation } = require('../middleware/validation');
+const { authenticate, signToken, isAdmin } = require('../middleware/auth');
+const { apiKeyService } = require('../services/apiKeyService');
+const { userService } = require('../services/userService');
+
+const router = express.Router();
+
+/**
+ * Build the session payload returned after registering or logging in
+ * @param {object} user - Stored user
+ * @returns {object} - { token, user }
+ */
+function buildSession(user) {
+  return {
+    token: signToken(user),
+    user: userService.toPublicUser(user)
+  };
+}
+
+// Create an account and start a session
+router.post('/register', registerValidation, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const user = await userService.createUser({ email, password, name: name?.trim() || null });
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+        error: 'EMAIL_TAKEN'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created',
+      data: buildSession(user)
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create account',
+      error: error.message
+    });
+  }
+});
+
+// Log in with email and password
+router.post('/login', loginValidation, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await userService.verifyCredentials(email, password);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        error: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged in',
+      data: buildSession(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in',
+      error: error.message
+    });
+  }
+});
+
+// Get the logged-in user
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: { ...req.user, isAdmin: isAdmin(req.user) }
+    }
+  });
+});
+
+// Usage counters and remaining quota of the API key making the request
+router.get('/usage', authenticate, (req, res) => {
+  if (!req.apiKey) {
+    return res.status(400).json({
+      success: false,
+      message: 'Usage is tracked per API key; call this endpoint with an API key',
+      error: 'API_KEY_REQUIRED'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: apiKeyService.buildUsageReport(req.apiKey)
+  });
+});
+
+module.exports = router;
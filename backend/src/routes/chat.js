@@ -1,8 +1,15 @@
 const express = require('express');
 const { chatValidation } = require('../middleware/validation');
 const { searchSimilarChunks } = require('../../services/vectorServiceSelector');
-const { generateResponse } = require('../services/aiService');
+const { generateResponse, generateResponseStream, estimateStreamTokens, estimateMaxChatTokens } = require('../services/aiService');
 const { documentStatusService, STATUS } = require('../services/documentStatusService');
+const { conversationService } = require('../services/conversationService');
+const { rerankChunks, getRerankPoolSize } = require('../services/rerankService');
+const { tableService } = require('../services/tableService');
+const { collectionService } = require('../services/collectionService');
+const { workspaceService } = require('../services/workspaceService');
+const { isOwner } = require('../middleware/auth');
+const { enforceTokenBudget, reserveTokens, settleTokenUsage } = require('../middleware/apiKeyLimits');
 
 const router = express.Router();
 
@@ -93,182 +100,513 @@ function requiresDocumentContext(message) {
   return true;
 }
 
-// Chat with PDF
-router.post('/message', chatValidation, async (req, res) => {
+/**
+ * Get the first and last page a chunk spans
+ * @param {object} chunk - Retrieved chunk with metadata
+ * @param {number|null} pageNumber - Validated primary page number
+ * @returns {object} - { startPage, endPage }, falling back to the primary page
+ */
+function getChunkPageRange(chunk, pageNumber) {
+  const startPage = chunk.metadata?.start_page >= 1 ? Math.round(chunk.metadata.start_page) : pageNumber;
+  const endPage = chunk.metadata?.end_page >= 1 ? Math.round(chunk.metadata.end_page) : startPage;
+  return { startPage, endPage };
+}
+
+/**
+ * Store the user turn and the assistant reply in a conversation
+ * A conversation started by this request is only stored here, with its first turn.
+ * Storage failures are logged but never fail the chat request.
+ * @param {object} prepared - Result of prepareChat
+ * @param {string} message - User message
+ * @param {object} responseData - Response sent to the client
+ */
+async function recordTurn(prepared, message, responseData) {
+  const conversationId = prepared.conversation.id;
   try {
-    const { message, documentId, conversationHistory = [] } = req.body;
+    if (prepared.isNewConversation) {
+      await conversationService.storeConversation(prepared.conversation);
+      prepared.isNewConversation = false;
+    }
+    await conversationService.addMessage(conversationId, { role: 'user', content: message });
+    await conversationService.addMessage(conversationId, {
+      role: 'assistant',
+      content: responseData.response,
+      citations: responseData.citations || [],
+      confidence: responseData.confidence,
+      tokensUsed: responseData.tokensUsed || 0
+    });
+  } catch (error) {
+    console.warn(`⚠️ Failed to record conversation turn for ${conversationId}:`, error.message);
+  }
+}
 
-    console.log(`💬 Chat request for document: ${documentId}`);
-    console.log(`📝 Message: ${message}`);
+// Number of chunks passed to the model as context
+const MAX_CONTEXT_CHUNKS = 5;
+// Upper bound when chatting with several documents, so each can contribute
+const MAX_MULTI_DOCUMENT_CONTEXT_CHUNKS = 10;
 
-    // Check document processing status
-    const documentStatus = documentStatusService.getStatus(documentId);
+const NO_RESULTS_RESPONSE = "I couldn't find relevant information in the uploaded PDF to answer your question. Please try rephrasing your question or upload a different document.";
+const NO_RESULTS_MULTI_DOCUMENT_RESPONSE = "I couldn't find relevant information in the selected documents to answer your question. Please try rephrasing your question or choose different documents.";
 
-    if (!documentStatus) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found. Please upload a PDF first.',
-        error: 'DOCUMENT_NOT_FOUND'
+/**
+ * Get the user-facing message for a document that is not ready for chat
+ * @param {object} documentStatus - Entry from documentStatusService
+ * @returns {string} - Message explaining why chat is blocked
+ */
+function getProcessingMessage(documentStatus) {
+  const progress = documentStatus.progress || 0;
+
+  switch (documentStatus.status) {
+    case STATUS.UPLOADING:
+    case STATUS.UPLOADED:
+      return 'Your document is being uploaded. Please wait...';
+    case STATUS.PROCESSING:
+      return `Your document is being processed (${Math.round(progress)}%). Please wait...`;
+    case STATUS.VECTORIZING:
+      return `Creating embeddings for your document (${Math.round(progress)}%). Almost ready...`;
+    case STATUS.ERROR:
+      return 'There was an error processing your document. Please try uploading again.';
+    case STATUS.CANCELLED:
+      return 'Processing of your document was cancelled. Retry the job or upload the document again.';
+    default:
+      return 'Your document is still being processed. Please wait...';
+  }
+}
+
+/**
+ * Build the result of prepareChat for a request that can't be answered
+ * @param {number} statusCode - HTTP status
+ * @param {object} body - Response body (success: false is added)
+ * @returns {object} - { rejection: { statusCode, body } }
+ */
+function rejectChat(statusCode, body) {
+  return { rejection: { statusCode, body: { success: false, ...body } } };
+}
+
+/**
+ * Resolve the documents a chat request is about: one document, a list, a collection,
+ * or every ready document of the workspace when only workspaceId is given
+ * @param {object} body - Validated request body
+ * @param {object} user - Requesting user (req.user)
+ * @returns {Promise<object>} - { rejection } or { documentIds, collectionId, workspaceId, isWorkspaceChat }
+ */
+async function resolveChatDocuments(body, user) {
+  let workspace = null;
+  if (body.workspaceId) {
+    workspace = await workspaceService.getWorkspace(body.workspaceId);
+    if (!isOwner(user, workspace)) {
+      return rejectChat(404, { message: 'Workspace not found', error: 'WORKSPACE_NOT_FOUND' });
+    }
+  }
+
+  let documentIds;
+  let collectionId = null;
+
+  if (body.collectionId) {
+    const collection = await collectionService.getCollection(body.collectionId);
+    if (!isOwner(user, collection)) {
+      return rejectChat(404, { message: 'Collection not found', error: 'COLLECTION_NOT_FOUND' });
+    }
+    if (collection.documentIds.length === 0) {
+      return rejectChat(400, { message: 'This collection has no documents yet', error: 'COLLECTION_EMPTY' });
+    }
+    documentIds = collection.documentIds;
+    collectionId = collection.id;
+  } else if (body.documentIds || body.documentId) {
+    documentIds = body.documentIds || [body.documentId];
+  } else {
+    documentIds = workspace.documentIds.filter(documentId => documentStatusService.isReadyForChat(documentId));
+    if (documentIds.length === 0) {
+      return rejectChat(400, { message: 'This workspace has no documents ready for chat yet', error: 'WORKSPACE_EMPTY' });
+    }
+  }
+
+  // Retrieval never reaches outside the workspace
+  if (workspace) {
+    const outsideDocumentIds = documentIds.filter(documentId => !workspace.documentIds.includes(documentId));
+    if (outsideDocumentIds.length > 0) {
+      return rejectChat(404, {
+        message: `Documents not found in this workspace: ${outsideDocumentIds.join(', ')}`,
+        error: 'DOCUMENT_NOT_FOUND',
+        data: { missingDocumentIds: outsideDocumentIds }
       });
     }
+  }
 
-    // Block chat if document is still processing
-    if (!documentStatusService.isReadyForChat(documentId)) {
-      const status = documentStatus.status;
-      const progress = documentStatus.progress || 0;
-      const progressMessage = documentStatus.progressMessage || 'Processing...';
-
-      let userMessage = '';
-      switch (status) {
-        case STATUS.UPLOADING:
-        case STATUS.UPLOADED:
-          userMessage = 'Your document is being uploaded. Please wait...';
-          break;
-        case STATUS.PROCESSING:
-          userMessage = `Your document is being processed (${Math.round(progress)}%). Please wait...`;
-          break;
-        case STATUS.VECTORIZING:
-          userMessage = `Creating embeddings for your document (${Math.round(progress)}%). Almost ready...`;
-          break;
-        case STATUS.ERROR:
-          userMessage = 'There was an error processing your document. Please try uploading again.';
-          break;
-        default:
-          userMessage = 'Your document is still being processed. Please wait...';
-      }
+  return {
+    documentIds,
+    collectionId,
+    workspaceId: workspace ? workspace.id : null,
+    isWorkspaceChat: !body.collectionId && !body.documentIds && !body.documentId
+  };
+}
 
-      return res.json({
-        success: false,
-        message: userMessage,
-        data: {
-          processingStatus: status,
-          progress: progress,
-          progressMessage: progressMessage,
-          isProcessing: true
-        },
-        error: 'DOCUMENT_PROCESSING'
+/**
+ * Get the display name of a document
+ * @param {string} documentId - Document ID
+ * @param {object} metadata - Chunk metadata, used if the document status has no filename
+ * @returns {string|null} - Document name
+ */
+function getDocumentName(documentId, metadata = {}) {
+  return documentStatusService.getStatus(documentId)?.filename || metadata.filename || null;
+}
+
+/**
+ * Check the documents, load the conversation and retrieve context for a chat request
+ * Documents, collections, workspaces and conversations of other users are treated as missing.
+ * @param {object} body - Validated request body
+ * @param {object} user - Requesting user (req.user)
+ * @returns {Promise<object>} - { rejection: { statusCode, body } } if the request can't be answered,
+ *   otherwise { documentIds, collectionId, workspaceId, conversation, isNewConversation, conversationHistory,
+ *   needsDocumentContext, relevantChunks }; a new conversation is not stored until recordTurn
+ */
+async function prepareChat(body, user) {
+  const { message, conversationId } = body;
+
+  const resolved = await resolveChatDocuments(body, user);
+  if (resolved.rejection) {
+    return resolved;
+  }
+
+  const { documentIds, collectionId, workspaceId, isWorkspaceChat } = resolved;
+  const isMultiDocument = documentIds.length > 1;
+
+  // Check document processing status
+  const missingDocumentIds = documentIds.filter(documentId => !isOwner(user, documentStatusService.getStatus(documentId)));
+
+  if (missingDocumentIds.length > 0) {
+    return rejectChat(404, {
+      message: isMultiDocument
+        ? `Documents not found: ${missingDocumentIds.join(', ')}`
+        : 'Document not found. Please upload a PDF first.',
+      error: 'DOCUMENT_NOT_FOUND',
+      ...(isMultiDocument && { data: { missingDocumentIds } })
+    });
+  }
+
+  // Block chat if any document is still processing
+  const pendingDocumentId = documentIds.find(documentId => !documentStatusService.isReadyForChat(documentId));
+
+  if (pendingDocumentId) {
+    const documentStatus = documentStatusService.getStatus(pendingDocumentId);
+    const processingMessage = getProcessingMessage(documentStatus);
+
+    return rejectChat(200, {
+      message: isMultiDocument
+        ? `"${documentStatus.filename || pendingDocumentId}" is not ready yet. ${processingMessage}`
+        : processingMessage,
+      data: {
+        documentId: pendingDocumentId,
+        processingStatus: documentStatus.status,
+        progress: documentStatus.progress || 0,
+        progressMessage: documentStatus.progressMessage || 'Processing...',
+        isProcessing: true
+      },
+      error: 'DOCUMENT_PROCESSING'
+    });
+  }
+
+  // Continue the requested conversation, or start a new one
+  let conversation;
+  const isNewConversation = !conversationId;
+  if (conversationId) {
+    conversation = await conversationService.getConversation(conversationId);
+    // Workspace-wide conversations follow the workspace as documents are added or removed
+    if (!isOwner(user, conversation) ||
+        !conversationService.matchesWorkspace(conversation, workspaceId) ||
+        (!isWorkspaceChat && !conversationService.matchesDocuments(conversation, documentIds))) {
+      return rejectChat(404, {
+        message: `Conversation not found for ${isMultiDocument ? 'these documents' : 'this document'}`,
+        error: 'CONVERSATION_NOT_FOUND'
       });
     }
+  } else {
+    conversation = conversationService.newConversation(documentIds, { collectionId, workspaceId, ownerId: user.id });
+  }
+
+  // Prior turns come from the server-side store unless the client sends its own history
+  let conversationHistory = [];
+  if (body.conversationHistory?.length) {
+    conversationHistory = body.conversationHistory;
+  } else if (!isNewConversation) {
+    conversationHistory = await conversationService.getHistory(conversation.id);
+  }
+
+  // Check if the question requires document context
+  const needsDocumentContext = requiresDocumentContext(message);
+  console.log(`🔍 Document context needed: ${needsDocumentContext}`);
+
+  let relevantChunks = [];
+
+  if (needsDocumentContext) {
+    const contextLimit = isMultiDocument
+      ? Math.min(Math.max(MAX_CONTEXT_CHUNKS, documentIds.length * 2), MAX_MULTI_DOCUMENT_CONTEXT_CHUNKS)
+      : MAX_CONTEXT_CHUNKS;
+
+    // Retrieve a larger candidate pool and keep the best chunks after reranking
+    const candidates = await searchSimilarChunks(message, documentIds, getRerankPoolSize(contextLimit));
+    relevantChunks = await rerankChunks(message, candidates, contextLimit);
+    console.log(`📊 Found ${candidates.length} candidate chunks across ${documentIds.length} document(s), using ${relevantChunks.length}`);
+
+    // Chunks only hold the part of a table that fell inside them; give the model whole tables
+    relevantChunks = await tableService.attachTables(relevantChunks);
+
+    // Name the source document in the model context when several documents are searched
+    if (isMultiDocument) {
+      relevantChunks = relevantChunks.map(chunk => ({
+        ...chunk,
+        documentName: getDocumentName(chunk.metadata?.document_id, chunk.metadata)
+      }));
+    }
 
-    // Check if the question requires document context
-    const needsDocumentContext = requiresDocumentContext(message);
-    console.log(`🔍 Document context needed: ${needsDocumentContext}`);
+    if (relevantChunks.length > 0) {
+      console.log(`📄 First chunk preview: ${relevantChunks[0].content.substring(0, 100)}...`);
+      console.log(`📋 First chunk metadata:`, relevantChunks[0].metadata);
+    }
+  }
 
-    let relevantChunks = [];
-    let aiResponse;
+  return {
+    documentIds,
+    collectionId,
+    workspaceId,
+    conversation,
+    isNewConversation,
+    conversationHistory,
+    needsDocumentContext,
+    relevantChunks
+  };
+}
 
-    if (needsDocumentContext) {
-      // Search for relevant chunks in the vector database
-      relevantChunks = await searchSimilarChunks(message, documentId, 5);
-      console.log(`📊 Found ${relevantChunks.length} relevant chunks`);
+/**
+ * Build the response for a question that found no relevant chunks
+ * @param {object} prepared - Result of prepareChat
+ * @returns {object} - Response data
+ */
+function buildNoResultsData(prepared) {
+  return {
+    response: prepared.documentIds.length > 1 ? NO_RESULTS_MULTI_DOCUMENT_RESPONSE : NO_RESULTS_RESPONSE,
+    sources: [],
+    citations: [],
+    confidence: 0,
+    conversationId: prepared.conversation.id,
+    documentIds: prepared.documentIds,
+    workspaceId: prepared.workspaceId
+  };
+}
 
-      if (relevantChunks.length > 0) {
-        console.log(`📄 First chunk preview: ${relevantChunks[0].content.substring(0, 100)}...`);
-        console.log(`📋 First chunk metadata:`, relevantChunks[0].metadata);
+/**
+ * Build the sources list returned with an answer
+ * @param {Array} relevantChunks - Chunks used as context
+ * @returns {Array} - Sources
+ */
+function buildSources(relevantChunks) {
+  return relevantChunks.map((chunk, index) => {
+    const documentId = chunk.metadata?.document_id || null;
+
+    // Get page number from metadata - prioritize page_number field (most reliable)
+    const pageNumber = chunk.metadata?.page_number;
+    const totalPages = chunk.metadata?.num_pages || chunk.metadata?.numPages || 1;
+
+    // Use page number directly if it exists and is valid, no strict validation against totalPages
+    const validPageNumber = (pageNumber && pageNumber >= 1) ? Math.round(pageNumber) : null;
+    const { startPage, endPage } = getChunkPageRange(chunk, validPageNumber);
+
+    return {
+      id: index + 1,
+      documentId,
+      documentName: getDocumentName(documentId, chunk.metadata),
+      content: chunk.content.substring(0, 200) + '...',
+      similarity: chunk.similarity,
+      retrievalScore: chunk.retrievalScore ?? null,
+      vectorScore: chunk.vectorScore ?? null,
+      lexicalScore: chunk.lexicalScore ?? null,
+      pageNumber: validPageNumber,
+      startPage,
+      endPage,
+      chunkIndex: chunk.metadata?.chunk_index || null,
+      headingPath: chunk.metadata?.heading_path || null,
+      metadata: {
+        ...chunk.metadata,
+        validated_page_number: validPageNumber,
+        total_pages: totalPages
       }
+    };
+  });
+}
 
-      if (relevantChunks.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            response: "I couldn't find relevant information in the uploaded PDF to answer your question. Please try rephrasing your question or upload a different document.",
-            sources: [],
-            confidence: 0
-          }
-        });
+/**
+ * Build the citations list returned with an answer
+ * @param {Array} relevantChunks - Chunks used as context
+ * @param {boolean} nameDocuments - Prefix labels with the document name (when several documents were searched)
+ * @returns {Array} - Citations
+ */
+function buildCitations(relevantChunks, nameDocuments = false) {
+  return relevantChunks.map((chunk, index) => {
+    // Get page number from metadata - prioritize page_number field (most reliable)
+    const pageNumber = chunk.metadata?.page_number;
+    const chunkIndex = chunk.metadata?.chunk_index;
+    const documentId = chunk.metadata?.document_id || null;
+    const documentName = getDocumentName(documentId, chunk.metadata);
+
+    // Use page number directly if it exists and is valid, no strict validation
+    const validPageNumber = (pageNumber && pageNumber >= 1) ? Math.round(pageNumber) : null;
+    const { startPage, endPage } = getChunkPageRange(chunk, validPageNumber);
+
+    // Headings the chunk sits under (structure-aware chunking), e.g. "Section 3 > Fees"
+    const headingPath = chunk.metadata?.heading_path || null;
+
+    // Create a more descriptive label
+    const generateSourceLabel = (pageNum, content, index, chunkIdx) => {
+      const sectionLabel = headingPath || (chunkIdx !== undefined ? `Section ${chunkIdx + 1}` : null);
+
+      if (pageNum) {
+        // Extract first few words for context
+        const firstWords = content.trim().split(/\s+/).slice(0, 4).join(' ');
+        const cleanWords = firstWords.replace(/[^\w\s$€£¥\d.,]/g, '').trim();
+        const pageLabel = startPage && endPage && startPage !== endPage
+          ? `Pages ${startPage}-${endPage}`
+          : `Page ${pageNum}`;
+
+        if (cleanWords.length > 0) {
+          const chunkInfo = sectionLabel ? ` (${sectionLabel})` : '';
+          return `${pageLabel}${chunkInfo}: "${cleanWords}..."`;
+        } else {
+          return pageLabel;
+        }
+      } else {
+        // Fallback for chunks without page numbers
+        const firstWords = content.trim().split(/\s+/).slice(0, 3).join(' ');
+        const cleanWords = firstWords.replace(/[^\w\s$€£¥\d.,]/g, '').trim();
+
+        if (cleanWords.length > 0) {
+          const chunkInfo = sectionLabel ? ` (${sectionLabel})` : '';
+          return `"${cleanWords}..."${chunkInfo}`;
+        } else {
+          return `Reference ${index + 1}`;
+        }
       }
+    };
 
-      // Generate AI response using the relevant context
-      aiResponse = await generateResponse(message, relevantChunks, conversationHistory);
-    } else {
-      // Generate general AI response without document context
-      aiResponse = await generateResponse(message, [], conversationHistory);
+    const sourceLabel = generateSourceLabel(validPageNumber, chunk.content, index, chunkIndex);
+
+    return {
+      id: index + 1,
+      documentId,
+      documentName,
+      pageNumber: validPageNumber,
+      startPage,
+      endPage,
+      text: chunk.content.substring(0, 150) + '...',
+      sourceLabel: nameDocuments && documentName ? `${documentName} · ${sourceLabel}` : sourceLabel,
+      similarity: chunk.similarity,
+      chunkIndex: chunkIndex,
+      headingPath
+    };
+  });
+}
+
+/**
+ * Build the response payload for a generated answer
+ * @param {object} aiResponse - Result of generateResponse / generateResponseStream
+ * @param {object} prepared - Result of prepareChat
+ * @returns {object} - Response data
+ */
+function buildResponseData(aiResponse, prepared) {
+  const { documentIds, workspaceId, conversation, needsDocumentContext, relevantChunks } = prepared;
+
+  const responseData = {
+    response: aiResponse.text,
+    confidence: aiResponse.confidence,
+    tokensUsed: aiResponse.tokensUsed,
+    conversationId: conversation.id,
+    documentIds,
+    workspaceId
+  };
+
+  // Only include sources and citations if the question needed document context
+  console.log(`🔧 Building response - needsDocumentContext: ${needsDocumentContext}, chunks: ${relevantChunks.length}`);
+
+  if (needsDocumentContext && relevantChunks.length > 0) {
+    console.log(`📝 Building sources and citations for ${relevantChunks.length} chunks`);
+    responseData.sources = buildSources(relevantChunks);
+    responseData.citations = buildCitations(relevantChunks, documentIds.length > 1);
+  } else {
+    // For general questions, don't include sources or citations
+    responseData.sources = [];
+    responseData.citations = [];
+  }
+
+  return responseData;
+}
+
+/**
+ * Describe what a chat request is about, for logging
+ * @param {object} body - Validated request body
+ * @returns {string} - e.g. "document <id>" or "collection <id>"
+ */
+function describeChatTarget(body) {
+  const workspaceInfo = body.workspaceId ? ` in workspace ${body.workspaceId}` : '';
+  if (body.collectionId) return `collection: ${body.collectionId}${workspaceInfo}`;
+  if (body.documentIds) return `documents: ${body.documentIds.join(', ')}${workspaceInfo}`;
+  if (body.documentId) return `document: ${body.documentId}${workspaceInfo}`;
+  return `workspace: ${body.workspaceId}`;
+}
+
+function sendDocumentNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Document not found',
+    error: 'DOCUMENT_NOT_FOUND'
+  });
+}
+
+/**
+ * Write a Server-Sent Event
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Chat with PDF
+router.post('/message', chatValidation, enforceTokenBudget, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    console.log(`💬 Chat request for ${describeChatTarget(req.body)}`);
+    console.log(`📝 Message: ${message}`);
+
+    const prepared = await prepareChat(req.body, req.user);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.statusCode).json(prepared.rejection.body);
     }
 
-    // Build response data
-    const responseData = {
-      response: aiResponse.text,
-      confidence: aiResponse.confidence,
-      tokensUsed: aiResponse.tokensUsed
-    };
+    const { conversationHistory, needsDocumentContext, relevantChunks } = prepared;
 
-    // Only include sources and citations if the question needed document context
-    console.log(`🔧 Building response - needsDocumentContext: ${needsDocumentContext}, chunks: ${relevantChunks.length}`);
-
-    if (needsDocumentContext && relevantChunks.length > 0) {
-      console.log(`📝 Building sources and citations for ${relevantChunks.length} chunks`);
-      responseData.sources = relevantChunks.map((chunk, index) => {
-        // Get page number from metadata - prioritize page_number field (most reliable)
-        const pageNumber = chunk.metadata?.page_number;
-        const totalPages = chunk.metadata?.num_pages || chunk.metadata?.numPages || 1;
-
-        // Use page number directly if it exists and is valid, no strict validation against totalPages
-        const validPageNumber = (pageNumber && pageNumber >= 1) ? Math.round(pageNumber) : null;
-
-        return {
-          id: index + 1,
-          content: chunk.content.substring(0, 200) + '...',
-          similarity: chunk.similarity,
-          pageNumber: validPageNumber,
-          chunkIndex: chunk.metadata?.chunk_index || null,
-          metadata: {
-            ...chunk.metadata,
-            validated_page_number: validPageNumber,
-            total_pages: totalPages
-          }
-        };
-      });
+    if (needsDocumentContext && relevantChunks.length === 0) {
+      const noResultsData = buildNoResultsData(prepared);
+      await recordTurn(prepared, message, noResultsData);
 
-      responseData.citations = relevantChunks.map((chunk, index) => {
-        // Get page number from metadata - prioritize page_number field (most reliable)
-        const pageNumber = chunk.metadata?.page_number;
-        const chunkIndex = chunk.metadata?.chunk_index;
-
-        // Use page number directly if it exists and is valid, no strict validation
-        const validPageNumber = (pageNumber && pageNumber >= 1) ? Math.round(pageNumber) : null;
-
-        // Create a more descriptive label
-        const generateSourceLabel = (pageNum, content, index, chunkIdx) => {
-          if (pageNum) {
-            // Extract first few words for context
-            const firstWords = content.trim().split(/\s+/).slice(0, 4).join(' ');
-            const cleanWords = firstWords.replace(/[^\w\s$€£¥\d.,]/g, '').trim();
-
-            if (cleanWords.length > 0) {
-              const chunkInfo = chunkIdx !== undefined ? ` (Section ${chunkIdx + 1})` : '';
-              return `Page ${pageNum}${chunkInfo}: "${cleanWords}..."`;
-            } else {
-              return `Page ${pageNum}`;
-            }
-          } else {
-            // Fallback for chunks without page numbers
-            const firstWords = content.trim().split(/\s+/).slice(0, 3).join(' ');
-            const cleanWords = firstWords.replace(/[^\w\s$€£¥\d.,]/g, '').trim();
-
-            if (cleanWords.length > 0) {
-              const chunkInfo = chunkIdx !== undefined ? ` (Section ${chunkIdx + 1})` : '';
-              return `"${cleanWords}..."${chunkInfo}`;
-            } else {
-              return `Reference ${index + 1}`;
-            }
-          }
-        };
-
-        return {
-          id: index + 1,
-          pageNumber: validPageNumber,
-          text: chunk.content.substring(0, 150) + '...',
-          sourceLabel: generateSourceLabel(validPageNumber, chunk.content, index, chunkIndex),
-          similarity: chunk.similarity,
-          chunkIndex: chunkIndex
-        };
+      return res.json({
+        success: true,
+        data: noResultsData
       });
-    } else {
-      // For general questions, don't include sources or citations
-      responseData.sources = [];
-      responseData.citations = [];
     }
 
+    const budgetRejection = reserveTokens(req, estimateMaxChatTokens(message, relevantChunks, conversationHistory));
+    if (budgetRejection) {
+      return res.status(budgetRejection.statusCode).json(budgetRejection.body);
+    }
+
+    // Generate AI response using the relevant context (empty for general questions)
+    const aiResponse = await generateResponse(message, relevantChunks, conversationHistory);
+    settleTokenUsage(req, aiResponse.tokensUsed);
+    const responseData = buildResponseData(aiResponse, prepared);
+
+    await recordTurn(prepared, message, responseData);
+
     console.log(`📤 Sending response with ${responseData.sources?.length || 0} sources and ${responseData.citations?.length || 0} citations`);
 
     res.json({
@@ -277,6 +615,8 @@ router.post('/message', chatValidation, async (req, res) => {
     });
 
   } catch (error) {
+    // Release whatever is still reserved; failed requests are not charged
+    settleTokenUsage(req, 0);
     console.error('Chat error:', error);
     res.status(500).json({
       success: false,
@@ -286,20 +626,148 @@ router.post('/message', chatValidation, async (req, res) => {
   }
 });
 
-// Get conversation history (if implementing conversation storage)
+// Chat with PDF, streaming the answer as Server-Sent Events:
+// `start` ({ conversationId }), `token` ({ text }) per generated delta, then `done` with the same
+// payload /message returns, or `error`. Requests that can't be answered get the same JSON as /message.
+router.post('/stream', chatValidation, enforceTokenBudget, async (req, res) => {
+  const abortController = new AbortController();
+  let streamStarted = false;
+  // Set while the answer is generated, so a cancelled or failed stream still counts its tokens
+  let generation = null;
+
+  try {
+    const { message } = req.body;
+
+    console.log(`💬 Streaming chat request for ${describeChatTarget(req.body)}`);
+    console.log(`📝 Message: ${message}`);
+
+    const prepared = await prepareChat(req.body, req.user);
+    if (prepared.rejection) {
+      return res.status(prepared.rejection.statusCode).json(prepared.rejection.body);
+    }
+
+    const { conversation, conversationHistory, needsDocumentContext, relevantChunks } = prepared;
+    const hasNoResults = needsDocumentContext && relevantChunks.length === 0;
+
+    if (!hasNoResults) {
+      const budgetRejection = reserveTokens(req, estimateMaxChatTokens(message, relevantChunks, conversationHistory));
+      if (budgetRejection) {
+        return res.status(budgetRejection.statusCode).json(budgetRejection.body);
+      }
+    }
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    streamStarted = true;
+
+    // Stop generating if the client cancels or disconnects
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    sendEvent(res, 'start', { conversationId: conversation.id });
+
+    if (hasNoResults) {
+      const noResultsData = buildNoResultsData(prepared);
+      await recordTurn(prepared, message, noResultsData);
+
+      sendEvent(res, 'token', { text: noResultsData.response });
+      sendEvent(res, 'done', noResultsData);
+      return res.end();
+    }
+
+    generation = { message, relevantChunks, conversationHistory, text: '' };
+    const aiResponse = await generateResponseStream(message, relevantChunks, conversationHistory, {
+      signal: abortController.signal,
+      onToken: (text) => {
+        generation.text += text;
+        sendEvent(res, 'token', { text });
+      }
+    });
+    generation = null;
+    settleTokenUsage(req, aiResponse.tokensUsed);
+    const responseData = buildResponseData(aiResponse, prepared);
+
+    // Cancelled answers are not recorded in the conversation
+    if (abortController.signal.aborted) return;
+
+    await recordTurn(prepared, message, responseData);
+
+    console.log(`📤 Streamed response with ${responseData.sources.length} sources and ${responseData.citations.length} citations`);
+
+    sendEvent(res, 'done', responseData);
+    res.end();
+
+  } catch (error) {
+    // The provider only reports usage at the end of the stream, so estimate what was used so far
+    if (generation) {
+      const { message, relevantChunks, conversationHistory, text } = generation;
+      settleTokenUsage(req, estimateStreamTokens(error.provider, message, relevantChunks, conversationHistory, text));
+    } else {
+      settleTokenUsage(req, 0);
+    }
+
+    if (abortController.signal.aborted) {
+      console.log('🛑 Chat stream cancelled by client');
+      return;
+    }
+
+    console.error('Chat stream error:', error);
+
+    if (!streamStarted) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process chat message',
+        error: error.message
+      });
+    }
+
+    sendEvent(res, 'error', {
+      message: 'Failed to process chat message',
+      error: error.message
+    });
+    res.end();
+  }
+});
+
+// Get conversation history for a document (latest conversation unless ?conversationId= is given;
+// ?workspaceId= limits it to conversations held in that workspace)
 router.get('/conversation/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
+    const { conversationId, workspaceId } = req.query;
 
-    // TODO: Implement conversation history retrieval
-    // This could be stored in a simple JSON file or database
+    if (!isOwner(req.user, documentStatusService.getStatus(documentId))) {
+      return sendDocumentNotFound(res);
+    }
+
+    const conversations = await conversationService.listConversations(documentId, { workspaceId, ownerId: req.user.id });
+    const conversation = conversationId
+      ? conversations.find(item => item.id === conversationId)
+      : conversations[0];
+
+    if (conversationId && !conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found for this document',
+        error: 'CONVERSATION_NOT_FOUND'
+      });
+    }
 
     res.json({
       success: true,
       data: {
         documentId,
-        messages: []
-        // Add conversation history here
+        conversationId: conversation ? conversation.id : null,
+        messages: conversation ? conversation.messages : [],
+        conversations: conversations.map(conversationService.summarizeConversation)
       }
     });
   } catch (error) {
@@ -312,16 +780,39 @@ router.get('/conversation/:documentId', async (req, res) => {
   }
 });
 
-// Clear conversation history
+// Clear conversation history (all conversations for the document unless ?conversationId= is given)
 router.delete('/conversation/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
+    const { conversationId } = req.query;
 
-    // TODO: Implement conversation history clearing
+    if (!isOwner(req.user, documentStatusService.getStatus(documentId))) {
+      return sendDocumentNotFound(res);
+    }
+
+    let deletedCount;
+    if (conversationId) {
+      const conversation = await conversationService.getConversation(conversationId);
+      if (!isOwner(req.user, conversation) || !conversationService.includesDocument(conversation, documentId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found for this document',
+          error: 'CONVERSATION_NOT_FOUND'
+        });
+      }
+      await conversationService.deleteConversation(conversationId);
+      deletedCount = 1;
+    } else {
+      deletedCount = await conversationService.deleteConversationsForDocument(documentId);
+    }
 
     res.json({
       success: true,
-      message: 'Conversation history cleared'
+      message: 'Conversation history cleared',
+      data: {
+        documentId,
+        deletedCount
+      }
     });
   } catch (error) {
     console.error('Conversation clearing error:', error);
@@ -0,0 +1,191 @@
+const express = require('express');
+const { collectionValidation, collectionUpdateValidation } = require('../middleware/validation');
+const { collectionService } = require('../services/collectionService');
+const { documentStatusService } = require('../services/documentStatusService');
+const { isOwner } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Find document IDs that are unknown or not owned by the requesting user
+ * @param {object} req - Express request (req.user set by authenticate)
+ * @param {Array<string>} documentIds - Document IDs
+ * @returns {Array<string>} - Unknown document IDs
+ */
+function findMissingDocuments(req, documentIds = []) {
+  return documentIds.filter(documentId => !isOwner(req.user, documentStatusService.getStatus(documentId)));
+}
+
+/**
+ * Get a collection owned by the requesting user
+ * @param {object} req - Express request (req.user set by authenticate)
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<object|null>} - Collection, or null if missing or owned by someone else
+ */
+async function getOwnedCollection(req, collectionId) {
+  const collection = await collectionService.getCollection(collectionId);
+  return isOwner(req.user, collection) ? collection : null;
+}
+
+/**
+ * Describe a collection along with the name and readiness of its documents
+ * @param {object} collection - Stored collection
+ * @returns {object} - Collection info
+ */
+function buildCollectionInfo(collection) {
+  return {
+    ...collection,
+    documents: collection.documentIds.map(documentId => {
+      const documentStatus = documentStatusService.getStatus(documentId);
+      return {
+        documentId,
+        filename: documentStatus?.filename || null,
+        status: documentStatus?.status || null,
+        isReady: Boolean(documentStatusService.isReadyForChat(documentId))
+      };
+    })
+  };
+}
+
+function sendCollectionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Collection not found',
+    error: 'COLLECTION_NOT_FOUND'
+  });
+}
+
+function sendDocumentsNotFound(res, missingDocumentIds) {
+  return res.status(404).json({
+    success: false,
+    message: `Documents not found: ${missingDocumentIds.join(', ')}`,
+    error: 'DOCUMENT_NOT_FOUND',
+    data: { missingDocumentIds }
+  });
+}
+
+// List collections
+router.get('/', async (req, res) => {
+  try {
+    const collections = await collectionService.listCollections(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(buildCollectionInfo),
+        total: collections.length
+      }
+    });
+  } catch (error) {
+    console.error('Collection listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list collections',
+      error: error.message
+    });
+  }
+});
+
+// Create a collection
+router.post('/', collectionValidation, async (req, res) => {
+  try {
+    const { name, documentIds = [] } = req.body;
+
+    const missingDocumentIds = findMissingDocuments(req, documentIds);
+    if (missingDocumentIds.length > 0) {
+      return sendDocumentsNotFound(res, missingDocumentIds);
+    }
+
+    const collection = await collectionService.createCollection(name, documentIds, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: buildCollectionInfo(collection)
+    });
+  } catch (error) {
+    console.error('Collection creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create collection',
+      error: error.message
+    });
+  }
+});
+
+// Get a collection
+router.get('/:collectionId', async (req, res) => {
+  try {
+    const collection = await getOwnedCollection(req, req.params.collectionId);
+    if (!collection) {
+      return sendCollectionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: buildCollectionInfo(collection)
+    });
+  } catch (error) {
+    console.error('Collection retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get collection',
+      error: error.message
+    });
+  }
+});
+
+// Rename a collection or replace its documents
+router.put('/:collectionId', collectionUpdateValidation, async (req, res) => {
+  try {
+    const { name, documentIds } = req.body;
+
+    if (!(await getOwnedCollection(req, req.params.collectionId))) {
+      return sendCollectionNotFound(res);
+    }
+
+    const missingDocumentIds = findMissingDocuments(req, documentIds);
+    if (missingDocumentIds.length > 0) {
+      return sendDocumentsNotFound(res, missingDocumentIds);
+    }
+
+    const collection = await collectionService.updateCollection(req.params.collectionId, { name, documentIds });
+
+    res.json({
+      success: true,
+      data: buildCollectionInfo(collection)
+    });
+  } catch (error) {
+    console.error('Collection update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update collection',
+      error: error.message
+    });
+  }
+});
+
+// Delete a collection (documents are kept)
+router.delete('/:collectionId', async (req, res) => {
+  try {
+    if (!(await getOwnedCollection(req, req.params.collectionId))) {
+      return sendCollectionNotFound(res);
+    }
+
+    await collectionService.deleteCollection(req.params.collectionId);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted',
+      data: { collectionId: req.params.collectionId }
+    });
+  } catch (error) {
+    console.error('Collection deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete collection',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,77 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { uploadValidation } = require('../middleware/validation');
 const jobQueue = require('../services/jobQueue');
+const { getDocumentStats, deleteDocument } = require('../../services/vectorServiceSelector');
 const { documentStatusService, STATUS } = require('../services/documentStatusService');
+const { workspaceService } = require('../services/workspaceService');
+const { collectionService } = require('../services/collectionService');
+const { conversationService } = require('../services/conversationService');
+const { tableService } = require('../services/tableService');
+const { parserRegistry } = require('../services/parserRegistry');
+const { DOCUMENT_TYPES, getDocumentType } = require('../services/documentConverter');
+const { deleteFile, fileExists } = require('../utils/fileUtils');
+const { isOwner } = require('../middleware/auth');
+const { enforcePageQuota, releasePageQuota } = require('../middleware/apiKeyLimits');
 
 const router = express.Router();
 
+/**
+ * Get the status entry of a document owned by the requesting user
+ * @param {object} req - Express request (req.user set by authenticate)
+ * @param {string} documentId - Document ID
+ * @returns {object|null} - Status entry, or null if missing or owned by someone else
+ */
+function getOwnedDocumentStatus(req, documentId) {
+  const documentStatus = documentStatusService.getStatus(documentId);
+  return isOwner(req.user, documentStatus) ? documentStatus : null;
+}
+
+/**
+ * Get a job owned by the requesting user
+ * @param {object} req - Express request (req.user set by authenticate)
+ * @param {string} jobId - Job ID
+ * @returns {object|null} - Job, or null if missing or owned by someone else
+ */
+function getOwnedJob(req, jobId) {
+  const job = jobQueue.getJob(jobId);
+  return job && isOwner(req.user, job) ? job : null;
+}
+
+function sendJobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Job not found',
+    error: 'JOB_NOT_FOUND'
+  });
+}
+
+/**
+ * Build the public description of a job
+ * @param {object} job - Job from the job queue
+ * @returns {object} - Job data
+ */
+function buildJobData(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    priority: job.priority,
+    parser: job.parser || null,
+    progress: job.progress,
+    statusMessage: job.statusMessage,
+    documentId: job.documentId,
+    filename: job.filename,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.nextAttemptAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    error: job.error,
+    lastError: job.lastError,
+    result: job.result
+  };
+}
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -25,125 +92,196 @@ const upload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (getDocumentType(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error('Only PDF, Word (.docx), text, Markdown and HTML files are allowed'), false);
     }
   }
 });
 
-// Upload and process PDF with background processing for large documents
-router.post('/upload', upload.single('pdf'), uploadValidation, async (req, res) => {
+// Answer an upload of a file the user already uploaded (same SHA-256, same workspace) with the
+// existing document instead of processing it again; the form field reprocess=true skips this.
+// Runs before the page quota so a duplicate costs nothing.
+const reuseDuplicateUpload = async (req, res, next) => {
+  if (req.body.reprocess === 'true') return next();
+
+  try {
+    const workspaceId = req.body.workspaceId || null;
+    let existing = null;
+
+    for (const candidate of documentStatusService.findByContentHash(req.user.id, req.contentHash)) {
+      if ([STATUS.ERROR, STATUS.CANCELLED].includes(candidate.status)) continue;
+
+      const workspace = await workspaceService.getWorkspaceForDocument(candidate.documentId);
+      if ((workspace ? workspace.id : null) === workspaceId) {
+        existing = candidate;
+        break;
+      }
+    }
+    if (!existing) return next();
+
+    deleteFile(req.file.path);
+    console.log(`♻️ Duplicate upload of ${req.file.originalname}, reusing document ${existing.documentId}`);
+
+    res.json({
+      success: true,
+      message: 'This document has already been uploaded. Returning the existing document.',
+      data: {
+        documentId: existing.documentId,
+        workspaceId,
+        filename: existing.filename,
+        fileType: existing.fileType || 'pdf',
+        fileSize: existing.fileSize,
+        numPages: existing.numPages,
+        preview: req.documentPreview,
+        contentHash: existing.contentHash,
+        isDuplicate: true,
+        processingStatus: existing.status,
+        isProcessing: documentStatusService.isProcessing(existing.documentId),
+        isReady: documentStatusService.isReadyForChat(existing.documentId),
+        statusCheckUrl: `/api/pdf/status/${existing.documentId}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload and process a document (PDF, Word, text, Markdown or HTML, sent as the `pdf` field) in the background
+router.post('/upload', upload.single('pdf'), uploadValidation, reuseDuplicateUpload, enforcePageQuota, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'No PDF file uploaded'
+        message: 'No file uploaded'
+      });
+    }
+
+    // Optional job priority: 'high', 'normal' (default) or 'low'
+    const priority = req.body.priority || 'normal';
+    if (!jobQueue.isValidPriority(priority)) {
+      deleteFile(req.file.path);
+      releasePageQuota(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Priority must be one of high, normal or low',
+        error: 'INVALID_PRIORITY'
+      });
+    }
+
+    // Optional workspace the new document is added to
+    const workspaceId = req.body.workspaceId || null;
+    const workspace = workspaceId ? await workspaceService.getWorkspace(workspaceId) : null;
+    if (workspaceId && !isOwner(req.user, workspace)) {
+      deleteFile(req.file.path);
+      releasePageQuota(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found',
+        error: 'WORKSPACE_NOT_FOUND'
+      });
+    }
+
+    // Optional PDF parser (see GET /parsers); otherwise the workspace's parser, otherwise PDF_PARSER
+    if (req.body.parser && !parserRegistry.isSelectable(req.body.parser)) {
+      deleteFile(req.file.path);
+      releasePageQuota(req);
+      return res.status(400).json({
+        success: false,
+        message: `PDF parser "${req.body.parser}" is not available`,
+        error: 'INVALID_PARSER'
       });
     }
+    const parser = req.body.parser || workspace?.parser || null;
 
     const { filename, originalname, path: filePath, size } = req.file;
     const documentId = uuidv4();
-    const pageCount = req.pdfPageCount; // Added by validation middleware
-    const isLargeDocument = req.isLargeDocument; // Added by validation middleware
+    // Added by validation middleware
+    const fileType = req.documentType;
+    const pageCount = req.pdfPageCount;
+    const isLargeDocument = req.isLargeDocument;
 
-    console.log(`📄 Processing PDF: ${originalname} (${(size / 1024 / 1024).toFixed(2)}MB, ${pageCount} pages)`);
+    console.log(`📄 Processing ${DOCUMENT_TYPES[fileType].label}: ${originalname} (${(size / 1024 / 1024).toFixed(2)}MB, ${pageCount} pages)`);
 
     // Initialize document status tracking
     documentStatusService.setStatus(documentId, STATUS.UPLOADED, {
       filename: originalname,
+      fileType,
       fileSize: size,
       numPages: pageCount,
       isLargeDocument,
+      ownerId: req.user.id,
+      contentHash: req.contentHash,
       uploadedAt: new Date().toISOString()
     });
 
-    // For large documents (20+ pages), use background processing
+    if (workspaceId) {
+      await workspaceService.addDocument(workspaceId, documentId);
+    }
+
+    // Every document is processed in the background so the upload response isn't blocked;
+    // large documents (20+ pages) only get a longer time estimate
     if (isLargeDocument) {
       console.log(`📋 Large document detected (${pageCount} pages), using background processing`);
-
-      // Update status to processing
-      documentStatusService.setStatus(documentId, STATUS.PROCESSING, {
-        filename: originalname,
-        fileSize: size,
-        numPages: pageCount,
-        isLargeDocument: true,
-        processingStartedAt: new Date().toISOString()
-      });
-
-      const jobId = jobQueue.addJob({
-        type: 'pdf_processing',
-        documentId,
-        filePath,
-        filename: originalname,
-        fileSize: size,
-        pageCount,
-        uploadedAt: new Date().toISOString()
-      });
-
-      // Return immediately with processing status - frontend should poll for completion
-      return res.json({
-        success: true,
-        message: 'PDF upload successful. Processing in background...',
-        data: {
-          documentId,
-          jobId,
-          filename: originalname,
-          fileSize: size,
-          numPages: pageCount,
-          isBackgroundProcessing: true,
-          processingStatus: 'processing',
-          isProcessing: true,
-          estimatedProcessingTime: Math.ceil(pageCount * 2) + ' seconds',
-          statusCheckUrl: `/api/pdf/status/${documentId}`
-        }
-      });
+    } else {
+      console.log(`⚡ Small document (${pageCount} pages), processing in background`);
     }
 
-    // For smaller documents, process in background as well to avoid blocking the upload response
-    console.log(`⚡ Small document (${pageCount} pages), processing in background`);
-
     // Update status to processing
     documentStatusService.setStatus(documentId, STATUS.PROCESSING, {
       filename: originalname,
       fileSize: size,
       numPages: pageCount,
-      isLargeDocument: false,
+      isLargeDocument,
       processingStartedAt: new Date().toISOString()
     });
 
-    // Process in background even for small documents to avoid blocking upload response
     const jobId = jobQueue.addJob({
       type: 'pdf_processing',
       documentId,
+      ownerId: req.user.id,
+      contentHash: req.contentHash,
       filePath,
       filename: originalname,
+      fileType,
+      convertedDocument: req.convertedDocument,
       fileSize: size,
       pageCount,
+      priority,
+      parser,
       uploadedAt: new Date().toISOString()
     });
 
     // Return immediately with processing status - frontend should poll for completion
     res.json({
       success: true,
-      message: 'PDF upload successful. Processing...',
+      message: isLargeDocument
+        ? 'Document upload successful. Processing in background...'
+        : 'Document upload successful. Processing...',
       data: {
         documentId,
         jobId,
+        priority,
+        parser,
+        workspaceId,
+        contentHash: req.contentHash,
         filename: originalname,
+        fileType,
         fileSize: size,
         numPages: pageCount,
+        preview: req.documentPreview,
         isBackgroundProcessing: true,
         processingStatus: 'processing',
         isProcessing: true,
-        estimatedProcessingTime: Math.ceil(pageCount * 1) + ' seconds',
+        estimatedProcessingTime: Math.ceil(pageCount * (isLargeDocument ? 2 : 1)) + ' seconds',
         statusCheckUrl: `/api/pdf/status/${documentId}`
       }
     });
 
   } catch (error) {
-    console.error('PDF upload error:', error);
+    console.error('Document upload error:', error);
+    releasePageQuota(req);
 
     // Mark document as error if we have a documentId
     if (typeof documentId !== 'undefined') {
@@ -152,50 +290,236 @@ router.post('/upload', upload.single('pdf'), uploadValidation, async (req, res)
 
     res.status(500).json({
       success: false,
-      message: 'Failed to process PDF',
+      message: 'Failed to process document',
       error: error.message
     });
   }
 });
 
+/**
+ * Build the public description of a document from its status entry and vector store stats
+ * @param {object} documentStatus - Entry from documentStatusService
+ * @param {object|null} stats - Result of getDocumentStats, or null if unavailable
+ * @param {string|null} workspaceId - Workspace the document belongs to
+ * @returns {object} - Document info
+ */
+function buildDocumentInfo(documentStatus, stats, workspaceId = null) {
+  const chunkMetadata = stats?.metadata || {};
+
+  return {
+    documentId: documentStatus.documentId,
+    workspaceId,
+    filename: documentStatus.filename || chunkMetadata.filename || null,
+    fileType: documentStatus.fileType || chunkMetadata.pdfMetadata?.sourceType || chunkMetadata.source_type || 'pdf',
+    numPages: documentStatus.numPages || chunkMetadata.num_pages || chunkMetadata.numPages || null,
+    fileSize: documentStatus.fileSize || chunkMetadata.file_size || chunkMetadata.fileSize || null,
+    chunkCount: stats ? stats.chunkCount : (documentStatus.chunksCreated || 0),
+    tableCount: documentStatus.tableCount || chunkMetadata.pdfMetadata?.tableCount || chunkMetadata.table_count || 0,
+    status: documentStatus.status,
+    isReady: documentStatusService.isReadyForChat(documentStatus.documentId),
+    isProcessing: documentStatusService.isProcessing(documentStatus.documentId),
+    progress: documentStatus.progress || 0,
+    uploadedAt: documentStatus.uploadedAt || chunkMetadata.uploaded_at || chunkMetadata.uploadedAt || null,
+    completedAt: documentStatus.completedAt || null,
+    parser: documentStatus.parser || chunkMetadata.pdfMetadata?.parser || chunkMetadata.parser || null,
+    contentHash: documentStatus.contentHash || chunkMetadata.contentHash || chunkMetadata.content_hash || null,
+    embeddingModel: documentStatus.embeddingModel || chunkMetadata.embedding_model || null,
+    embeddingDimension: documentStatus.embeddingDimension || chunkMetadata.embedding_dimension || null,
+    error: documentStatus.error || null
+  };
+}
+
+/**
+ * Get vector store stats for a document without failing the request if the store is unavailable
+ * @param {string} documentId - Document ID
+ * @returns {Promise<object|null>} - Stats or null
+ */
+async function getDocumentStatsSafe(documentId) {
+  try {
+    return await getDocumentStats(documentId);
+  } catch (error) {
+    console.warn(`⚠️ Could not get vector stats for document ${documentId}:`, error.message);
+    return null;
+  }
+}
+
 // Get document info
 router.get('/document/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
-    
-    // TODO: Implement document retrieval from Chroma
-    // This would get document metadata and stats
-    
+
+    const documentStatus = getOwnedDocumentStatus(req, documentId);
+
+    if (!documentStatus) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        error: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    const stats = await getDocumentStatsSafe(documentId);
+    const workspace = await workspaceService.getWorkspaceForDocument(documentId);
+
     res.json({
       success: true,
       message: 'Document info retrieved',
+      data: buildDocumentInfo(documentStatus, stats, workspace ? workspace.id : null)
+    });
+  } catch (error) {
+    console.error('Document retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve document info',
+      error: error.message
+    });
+  }
+});
+
+// Get the tables extracted from a document as rows and markdown (?page= for the tables of one page)
+router.get('/document/:documentId/tables', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const pageNumber = req.query.page !== undefined ? parseInt(req.query.page) : null;
+
+    if (pageNumber !== null && !(pageNumber >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a positive page number',
+        error: 'INVALID_PAGE'
+      });
+    }
+
+    const documentStatus = getOwnedDocumentStatus(req, documentId);
+
+    if (!documentStatus) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        error: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    const tables = await tableService.getTables(documentId, { pageNumber });
+
+    res.json({
+      success: true,
+      message: 'Document tables retrieved',
       data: {
         documentId,
-        // Add document metadata here
+        tables,
+        total: tables.length
       }
     });
   } catch (error) {
-    console.error('Document retrieval error:', error);
+    console.error('Document tables retrieval error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve document info',
+      message: 'Failed to retrieve document tables',
       error: error.message
     });
   }
 });
 
-// List all documents
+// Delete a document and everything stored for it: processing jobs, the uploaded file,
+// chunks, embeddings and tables, conversations, collection/workspace membership and its status
+router.delete('/document/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    if (!getOwnedDocumentStatus(req, documentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        error: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    // Stop processing first so nothing is written back after the cleanup
+    const removedJobs = jobQueue.removeJobsForDocument(documentId);
+    const filesRemoved = removedJobs
+      .filter(job => job.filePath && deleteFile(job.filePath))
+      .map(job => path.basename(job.filePath));
+
+    const stats = await getDocumentStatsSafe(documentId);
+    await deleteDocument(documentId);
+    const tablesRemoved = await tableService.deleteTables(documentId);
+
+    const conversationsRemoved = await conversationService.deleteConversationsForDocument(documentId);
+    const collectionsUpdated = await collectionService.removeDocumentFromCollections(documentId);
+    const workspaceId = await workspaceService.removeDocumentFromWorkspaces(documentId);
+    documentStatusService.removeStatus(documentId);
+
+    console.log(`🗑️ Document ${documentId} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Document deleted',
+      data: {
+        documentId,
+        removed: {
+          chunks: stats ? stats.chunkCount : 0,
+          tables: tablesRemoved,
+          jobs: removedJobs.map(job => ({ jobId: job.id, status: job.status })),
+          files: filesRemoved,
+          conversations: conversationsRemoved,
+          collections: collectionsUpdated,
+          workspaceId,
+          status: true
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Document deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete document',
+      error: error.message
+    });
+  }
+});
+
+// List all documents (?workspaceId= for the documents of one workspace)
 router.get('/documents', async (req, res) => {
   try {
-    // TODO: Implement document listing from Chroma
-    // This would list all uploaded documents
-    
+    const { workspaceId } = req.query;
+    let statuses = documentStatusService.getAllStatuses()
+      .filter(documentStatus => isOwner(req.user, documentStatus));
+
+    if (workspaceId) {
+      const workspace = await workspaceService.getWorkspace(workspaceId);
+      if (!isOwner(req.user, workspace)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found',
+          error: 'WORKSPACE_NOT_FOUND'
+        });
+      }
+      statuses = statuses.filter(documentStatus => workspace.documentIds.includes(documentStatus.documentId));
+    }
+
+    // documentId -> workspaceId
+    const workspaceByDocument = new Map();
+    for (const workspace of await workspaceService.listWorkspaces(req.user.id)) {
+      for (const documentId of workspace.documentIds) {
+        workspaceByDocument.set(documentId, workspace.id);
+      }
+    }
+
+    const documents = await Promise.all(statuses.map(async (documentStatus) => {
+      const stats = await getDocumentStatsSafe(documentStatus.documentId);
+      return buildDocumentInfo(documentStatus, stats, workspaceByDocument.get(documentStatus.documentId) || null);
+    }));
+
+    // Most recent uploads first
+    documents.sort((a, b) => new Date(b.uploadedAt || 0) - new Date(a.uploadedAt || 0));
+
     res.json({
       success: true,
       message: 'Documents retrieved',
       data: {
-        documents: []
-        // Add documents list here
+        documents,
+        total: documents.length
       }
     });
   } catch (error) {
@@ -211,31 +535,14 @@ router.get('/documents', async (req, res) => {
 // Get job status for background processing
 router.get('/job/:jobId', async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const job = jobQueue.getJob(jobId);
-
+    const job = getOwnedJob(req, req.params.jobId);
     if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
+      return sendJobNotFound(res);
     }
 
     res.json({
       success: true,
-      data: {
-        jobId: job.id,
-        status: job.status,
-        progress: job.progress,
-        statusMessage: job.statusMessage,
-        documentId: job.documentId,
-        filename: job.filename,
-        createdAt: job.createdAt,
-        startedAt: job.startedAt,
-        completedAt: job.completedAt,
-        error: job.error,
-        result: job.result
-      }
+      data: buildJobData(job)
     });
 
   } catch (error) {
@@ -248,113 +555,252 @@ router.get('/job/:jobId', async (req, res) => {
   }
 });
 
-// Get queue statistics
-router.get('/queue/stats', async (req, res) => {
+// Cancel a queued or running job; a running job is aborted and nothing it produced is kept
+router.delete('/job/:jobId', async (req, res) => {
   try {
-    const stats = jobQueue.getStats();
+    const job = getOwnedJob(req, req.params.jobId);
+    if (!job) {
+      return sendJobNotFound(res);
+    }
+
+    if (!jobQueue.cancelJob(job.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Job is already ${job.status} and cannot be cancelled`,
+        error: 'JOB_NOT_CANCELLABLE',
+        data: buildJobData(job)
+      });
+    }
 
     res.json({
       success: true,
-      data: stats
+      message: 'Job cancelled',
+      data: buildJobData(job)
     });
 
   } catch (error) {
-    console.error('Queue stats error:', error);
+    console.error('Job cancellation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get queue statistics',
+      message: 'Failed to cancel job',
       error: error.message
     });
   }
 });
 
-// Get document processing status
-router.get('/status/:documentId', async (req, res) => {
+// Run a failed or cancelled job again from the start
+router.post('/job/:jobId/retry', async (req, res) => {
   try {
-    const { documentId } = req.params;
+    const job = getOwnedJob(req, req.params.jobId);
+    if (!job) {
+      return sendJobNotFound(res);
+    }
 
-    const documentStatus = documentStatusService.getStatus(documentId);
+    if (!['failed', 'cancelled'].includes(job.status) || jobQueue.isRunning(job.id)) {
+      return res.status(409).json({
+        success: false,
+        message: jobQueue.isRunning(job.id)
+          ? 'Job is still stopping, try again shortly'
+          : `Only failed or cancelled jobs can be retried (job is ${job.status})`,
+        error: 'JOB_NOT_RETRYABLE',
+        data: buildJobData(job)
+      });
+    }
 
-    if (!documentStatus) {
-      return res.status(404).json({
+    if (!fileExists(job.filePath)) {
+      return res.status(410).json({
         success: false,
-        message: 'Document not found',
-        error: 'DOCUMENT_NOT_FOUND'
+        message: 'The uploaded file is no longer available. Please upload the document again.',
+        error: 'JOB_FILE_MISSING'
       });
     }
 
-    const isReady = documentStatusService.isReadyForChat(documentId);
-    const isProcessing = documentStatusService.isProcessing(documentId);
+    jobQueue.retryJob(job.id);
 
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: buildJobData(job)
+    });
+
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry job',
+      error: error.message
+    });
+  }
+});
+
+// Get queue statistics for the requesting user's jobs (GET /api/admin/queue/stats covers everyone's)
+router.get('/queue/stats', async (req, res) => {
+  try {
+    const stats = jobQueue.getStats({ ownerId: req.user.id });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Queue stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get queue statistics',
+      error: error.message
+    });
+  }
+});
+
+// List the PDF parsers an upload or workspace can choose
+router.get('/parsers', async (req, res) => {
+  try {
     res.json({
       success: true,
       data: {
-        documentId,
-        status: documentStatus.status,
-        progress: documentStatus.progress || 0,
-        progressMessage: documentStatus.progressMessage || '',
-        isReady,
-        isProcessing,
-        timestamp: documentStatus.timestamp,
-        lastUpdated: documentStatus.lastUpdated,
-        metadata: {
-          filename: documentStatus.filename,
-          fileSize: documentStatus.fileSize,
-          numPages: documentStatus.numPages,
-          isLargeDocument: documentStatus.isLargeDocument
-        }
+        parsers: parserRegistry.list(),
+        default: parserRegistry.getDefaultParser()
       }
     });
 
   } catch (error) {
-    console.error('Status check error:', error);
+    console.error('Parser listing error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to check document status',
+      message: 'Failed to list PDF parsers',
       error: error.message
     });
   }
 });
 
-// Get job status (for background processing)
-router.get('/job/:jobId', async (req, res) => {
+/**
+ * Build the processing status payload returned by the status routes
+ * @param {object} documentStatus - Entry from documentStatusService
+ * @returns {object} - Status data
+ */
+function buildStatusData(documentStatus) {
+  const { documentId } = documentStatus;
+
+  return {
+    documentId,
+    status: documentStatus.status,
+    progress: documentStatus.progress || 0,
+    progressMessage: documentStatus.progressMessage || '',
+    isReady: documentStatusService.isReadyForChat(documentId),
+    isProcessing: documentStatusService.isProcessing(documentId),
+    timestamp: documentStatus.timestamp,
+    lastUpdated: documentStatus.lastUpdated,
+    error: documentStatus.error || null,
+    metadata: {
+      filename: documentStatus.filename,
+      fileType: documentStatus.fileType || 'pdf',
+      fileSize: documentStatus.fileSize,
+      numPages: documentStatus.numPages,
+      isLargeDocument: documentStatus.isLargeDocument,
+      contentHash: documentStatus.contentHash || null
+    }
+  };
+}
+
+// Get document processing status
+router.get('/status/:documentId', async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const { documentId } = req.params;
 
-    const job = jobQueue.getJob(jobId);
+    const documentStatus = getOwnedDocumentStatus(req, documentId);
 
-    if (!job) {
+    if (!documentStatus) {
       return res.status(404).json({
         success: false,
-        message: 'Job not found',
-        error: 'JOB_NOT_FOUND'
+        message: 'Document not found',
+        error: 'DOCUMENT_NOT_FOUND'
       });
     }
 
     res.json({
       success: true,
-      data: {
-        jobId,
-        status: job.status,
-        progress: job.progress || 0,
-        statusMessage: job.statusMessage || '',
-        createdAt: job.createdAt,
-        startedAt: job.startedAt,
-        completedAt: job.completedAt,
-        error: job.error,
-        result: job.result,
-        documentId: job.documentId
-      }
+      data: buildStatusData(documentStatus)
     });
 
   } catch (error) {
-    console.error('Job status check error:', error);
+    console.error('Status check error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to check job status',
+      message: 'Failed to check document status',
       error: error.message
     });
   }
 });
 
+// Stream document processing status as Server-Sent Events.
+// Sends the current status as a `status` event, then relays the document's job queue events
+// (`queued`, `started`, `progress`, `retrying`, `completed`, `failed`, `cancelled`) with the updated
+// status until processing ends.
+router.get('/status/:documentId/events', (req, res) => {
+  const { documentId } = req.params;
+  const documentStatus = getOwnedDocumentStatus(req, documentId);
+
+  if (!documentStatus) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found',
+      error: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendStatus = (event) => {
+    const currentStatus = documentStatusService.getStatus(documentId);
+    if (!currentStatus) return false;
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(buildStatusData(currentStatus))}\n\n`);
+    return !documentStatusService.isProcessing(documentId);
+  };
+
+  // Nothing left to report for documents that are already done
+  if (sendStatus('status')) {
+    return res.end();
+  }
+
+  const listeners = {};
+
+  // The document was deleted while it was being processed
+  listeners.removed = (payload) => {
+    if (payload.documentId !== documentId || res.writableEnded) return;
+
+    res.write(`event: deleted\ndata: ${JSON.stringify({ documentId })}\n\n`);
+    res.end();
+  };
+  jobQueue.on('removed', listeners.removed);
+
+  for (const event of ['queued', 'started', 'progress', 'retrying', 'completed', 'failed', 'cancelled']) {
+    listeners[event] = (payload) => {
+      if (payload.documentId !== documentId || res.writableEnded) return;
+
+      if (sendStatus(event)) {
+        res.end();
+      }
+    };
+    jobQueue.on(event, listeners[event]);
+  }
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    for (const [event, listener] of Object.entries(listeners)) {
+      jobQueue.off(event, listener);
+    }
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const { workspaceValidation, workspaceUpdateValidation, documentIdValidation } = require('../middleware/validation');
+const { workspaceService } = require('../services/workspaceService');
+const { documentStatusService } = require('../services/documentStatusService');
+const { conversationService } = require('../services/conversationService');
+const { parserRegistry } = require('../services/parserRegistry');
+const { isOwner } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Describe a workspace along with the name and readiness of its documents
+ * @param {object} workspace - Stored workspace
+ * @returns {object} - Workspace info
+ */
+function buildWorkspaceInfo(workspace) {
+  return {
+    ...workspace,
+    documentCount: workspace.documentIds.length,
+    documents: workspace.documentIds.map(documentId => {
+      const documentStatus = documentStatusService.getStatus(documentId);
+      return {
+        documentId,
+        filename: documentStatus?.filename || null,
+        status: documentStatus?.status || null,
+        isReady: Boolean(documentStatusService.isReadyForChat(documentId))
+      };
+    })
+  };
+}
+
+/**
+ * Get a workspace owned by the requesting user
+ * @param {object} req - Express request (req.user set by authenticate)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - Workspace, or null if missing or owned by someone else
+ */
+async function getOwnedWorkspace(req, workspaceId) {
+  const workspace = await workspaceService.getWorkspace(workspaceId);
+  return isOwner(req.user, workspace) ? workspace : null;
+}
+
+function sendInvalidParser(res, parser) {
+  return res.status(400).json({
+    success: false,
+    message: `PDF parser "${parser}" is not available`,
+    error: 'INVALID_PARSER'
+  });
+}
+
+function sendWorkspaceNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Workspace not found',
+    error: 'WORKSPACE_NOT_FOUND'
+  });
+}
+
+// List workspaces
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listWorkspaces(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        workspaces: workspaces.map(buildWorkspaceInfo),
+        total: workspaces.length
+      }
+    });
+  } catch (error) {
+    console.error('Workspace listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list workspaces',
+      error: error.message
+    });
+  }
+});
+
+// Create a workspace
+router.post('/', workspaceValidation, async (req, res) => {
+  try {
+    const { parser = null } = req.body;
+    if (parser && !parserRegistry.isSelectable(parser)) {
+      return sendInvalidParser(res, parser);
+    }
+
+    const workspace = await workspaceService.createWorkspace(req.body.name.trim(), req.user.id, { parser });
+
+    res.status(201).json({
+      success: true,
+      data: buildWorkspaceInfo(workspace)
+    });
+  } catch (error) {
+    console.error('Workspace creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create workspace',
+      error: error.message
+    });
+  }
+});
+
+// Get a workspace
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await getOwnedWorkspace(req, req.params.workspaceId);
+    if (!workspace) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: buildWorkspaceInfo(workspace)
+    });
+  } catch (error) {
+    console.error('Workspace retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get workspace',
+      error: error.message
+    });
+  }
+});
+
+// Rename a workspace or change its PDF parser
+router.put('/:workspaceId', workspaceUpdateValidation, async (req, res) => {
+  try {
+    if (!(await getOwnedWorkspace(req, req.params.workspaceId))) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    const { name, parser } = req.body;
+    if (parser && !parserRegistry.isSelectable(parser)) {
+      return sendInvalidParser(res, parser);
+    }
+
+    const workspace = await workspaceService.updateWorkspace(req.params.workspaceId, {
+      name: name === undefined ? undefined : name.trim(),
+      parser
+    });
+
+    res.json({
+      success: true,
+      data: buildWorkspaceInfo(workspace)
+    });
+  } catch (error) {
+    console.error('Workspace update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update workspace',
+      error: error.message
+    });
+  }
+});
+
+// Delete a workspace and its conversations (documents are kept)
+router.delete('/:workspaceId', async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await getOwnedWorkspace(req, workspaceId))) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    const workspace = await workspaceService.deleteWorkspace(workspaceId);
+
+    const deletedConversations = await conversationService.deleteConversationsForWorkspace(workspaceId);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted',
+      data: {
+        workspaceId,
+        releasedDocumentIds: workspace.documentIds,
+        deletedConversations
+      }
+    });
+  } catch (error) {
+    console.error('Workspace deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete workspace',
+      error: error.message
+    });
+  }
+});
+
+// Add a document to a workspace (moves it out of its previous workspace)
+router.post('/:workspaceId/documents', documentIdValidation, async (req, res) => {
+  try {
+    const { documentId } = req.body;
+
+    if (!(await getOwnedWorkspace(req, req.params.workspaceId))) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    if (!isOwner(req.user, documentStatusService.getStatus(documentId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        error: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    const workspace = await workspaceService.addDocument(req.params.workspaceId, documentId);
+
+    res.json({
+      success: true,
+      data: buildWorkspaceInfo(workspace)
+    });
+  } catch (error) {
+    console.error('Workspace document add error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add document to workspace',
+      error: error.message
+    });
+  }
+});
+
+// Remove a document from a workspace (the document itself is kept)
+router.delete('/:workspaceId/documents/:documentId', async (req, res) => {
+  try {
+    const { workspaceId, documentId } = req.params;
+
+    const workspace = await getOwnedWorkspace(req, workspaceId);
+    if (!workspace) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    const removed = await workspaceService.removeDocument(workspaceId, documentId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found in this workspace',
+        error: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildWorkspaceInfo(workspace)
+    });
+  } catch (error) {
+    console.error('Workspace document removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove document from workspace',
+      error: error.message
+    });
+  }
+});
+
+// List the conversations held in a workspace
+router.get('/:workspaceId/conversations', async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const workspace = await getOwnedWorkspace(req, workspaceId);
+    if (!workspace) {
+      return sendWorkspaceNotFound(res);
+    }
+
+    const conversations = await conversationService.listWorkspaceConversations(workspaceId);
+
+    res.json({
+      success: true,
+      data: {
+        workspaceId,
+        conversations: conversations.map(conversationService.summarizeConversation),
+        total: conversations.length
+      }
+    });
+  } catch (error) {
+    console.error('Workspace conversation listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list workspace conversations',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
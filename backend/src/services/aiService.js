@@ -1,6 +1,9 @@
 const Groq = require('groq-sdk');
 const { OpenAI } = require('openai');
 
+// Longest answer requested from the AI providers, in tokens
+const MAX_ANSWER_TOKENS = 1000;
+
 /**
  * Clean citation patterns from AI response
  * @param {string} response - AI response text
@@ -31,56 +34,69 @@ function cleanCitationPatterns(response) {
 }
 
 /**
- * Generate response using Groq API
+ * Text of a chunk for the model context, followed by the full tables on its pages
+ * (set by tableService.attachTables when the chunk only holds part of a table)
+ * @param {object} chunk - Relevant document chunk
+ * @returns {string} - Chunk content
+ */
+function formatChunkContent(chunk) {
+  if (!chunk.tables || chunk.tables.length === 0) return chunk.content;
+
+  const tables = chunk.tables
+    .map(table => `Table on page ${table.pageNumber}:\n${table.markdown}`)
+    .join('\n\n');
+  return `${chunk.content}\n\n${tables}`;
+}
+
+/**
+ * Build the Groq chat messages: system prompt with document context, history and user message
  * @param {string} message - User message
  * @param {Array} relevantChunks - Relevant document chunks
  * @param {Array} conversationHistory - Previous conversation
- * @returns {Promise<object>} - AI response with metadata
+ * @returns {Array} - Chat completion messages
  */
-async function generateResponseGroq(message, relevantChunks, conversationHistory = []) {
-  try {
-    const groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY
-    });
+function buildGroqMessages(message, relevantChunks, conversationHistory = []) {
+  // Build enhanced context from relevant chunks with page information
+  const context = relevantChunks.length > 0
+    ? relevantChunks
+        .map((chunk, index) => {
+          // Try multiple possible page number fields for compatibility
+          const pageNumber = chunk.metadata?.page_number || chunk.metadata?.estimated_page || chunk.page;
+          const pageInfo = pageNumber ? ` (Page ${pageNumber})` : '';
+          const chunkInfo = chunk.metadata?.chunk_index !== undefined ? ` [Chunk ${chunk.metadata.chunk_index}]` : '';
+          // Set when chatting with several documents so the model can tell them apart
+          const documentInfo = chunk.documentName ? ` from "${chunk.documentName}"` : '';
+          const sectionInfo = chunk.metadata?.heading_path ? ` (Section: ${chunk.metadata.heading_path})` : '';
+          return `[Source ${index + 1}${documentInfo}${pageInfo}${sectionInfo}${chunkInfo}]: ${formatChunkContent(chunk)}`;
+        })
+        .join('\n\n---\n\n')
+    : '';
+
+  // Enhanced financial document detection
+  const financialKeywords = [
+    'balance', 'transaction', 'account', 'statement', 'payment', 'deposit', 'withdrawal',
+    'credit', 'debit', 'transfer', 'fee', 'interest', 'overdraft', 'available balance',
+    'current balance', 'previous balance', 'beginning balance', 'ending balance',
+    'account number', 'routing number', 'statement period', 'transaction date',
+    'description', 'amount', 'running balance', 'merchant', 'payee', 'check number',
+    'bank statement', 'checking account', 'savings account', 'credit card statement'
+  ];
+
+  const hasFinancialKeywords = financialKeywords.some(keyword =>
+    context.toLowerCase().includes(keyword.toLowerCase())
+  );
 
-    // Build enhanced context from relevant chunks with page information
-    const context = relevantChunks.length > 0
-      ? relevantChunks
-          .map((chunk, index) => {
-            // Try multiple possible page number fields for compatibility
-            const pageNumber = chunk.metadata?.page_number || chunk.metadata?.estimated_page || chunk.page;
-            const pageInfo = pageNumber ? ` (Page ${pageNumber})` : '';
-            const chunkInfo = chunk.metadata?.chunk_index !== undefined ? ` [Chunk ${chunk.metadata.chunk_index}]` : '';
-            return `[Source ${index + 1}${pageInfo}${chunkInfo}]: ${chunk.content}`;
-          })
-          .join('\n\n---\n\n')
-      : '';
-
-    // Enhanced financial document detection
-    const financialKeywords = [
-      'balance', 'transaction', 'account', 'statement', 'payment', 'deposit', 'withdrawal',
-      'credit', 'debit', 'transfer', 'fee', 'interest', 'overdraft', 'available balance',
-      'current balance', 'previous balance', 'beginning balance', 'ending balance',
-      'account number', 'routing number', 'statement period', 'transaction date',
-      'description', 'amount', 'running balance', 'merchant', 'payee', 'check number',
-      'bank statement', 'checking account', 'savings account', 'credit card statement'
-    ];
-
-    const hasFinancialKeywords = financialKeywords.some(keyword =>
-      context.toLowerCase().includes(keyword.toLowerCase())
-    );
-
-    const hasMonetaryAmounts = /(\$|€|£|¥)\s*\d+\.\d{2}|\d+\.\d{2}\s*(CR|DR|debit|credit)/gi.test(context);
-    const hasDatePatterns = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4}/g.test(context);
-
-    const isFinancialDoc = hasFinancialKeywords && (hasMonetaryAmounts || hasDatePatterns);
-    const isBankStatement = /bank\s+statement|checking\s+account|savings\s+account|account\s+summary/gi.test(context);
-
-    // Build conversation history with enhanced system prompt
-    const messages = [
-      {
-        role: 'system',
-        content: `You are a helpful AI assistant that can both analyze PDF documents and answer general questions.
+  const hasMonetaryAmounts = /(\$|€|£|¥)\s*\d+\.\d{2}|\d+\.\d{2}\s*(CR|DR|debit|credit)/gi.test(context);
+  const hasDatePatterns = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4}/g.test(context);
+
+  const isFinancialDoc = hasFinancialKeywords && (hasMonetaryAmounts || hasDatePatterns);
+  const isBankStatement = /bank\s+statement|checking\s+account|savings\s+account|account\s+summary/gi.test(context);
+
+  // Build conversation history with enhanced system prompt
+  const messages = [
+    {
+      role: 'system',
+      content: `You are a helpful AI assistant that can both analyze PDF documents and answer general questions.
 
 ${context ? `
 DOCUMENT ANALYSIS MODE:
@@ -94,6 +110,7 @@ CORE INSTRUCTIONS:
 - Preserve the original currency symbols and formats exactly as shown in the document
 - Do not assume currency types - use only what is explicitly shown in the document
 - Each source in the context corresponds to a specific part of the document with page information
+- Tables from the document are given as markdown tables; read each value from its row and column header
 ` : `
 GENERAL ASSISTANCE MODE:
 You are answering a general question that doesn't require document analysis. Provide helpful, accurate information based on your knowledge.
@@ -143,30 +160,48 @@ RESPONSE GUIDELINES:
 - Instead of citing sources with brackets, simply state the information as fact from the document
 
 ${context ? `CONTEXT FROM PDF:\n${context}` : ''}`
-      }
-    ];
-
-    // Add conversation history
-    conversationHistory.forEach(msg => {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
-    });
+    }
+  ];
 
-    // Add current user message with explicit instruction
+  // Add conversation history
+  conversationHistory.forEach(msg => {
     messages.push({
-      role: 'user',
-      content: `${message}
+      role: msg.role,
+      content: msg.content
+    });
+  });
+
+  // Add current user message with explicit instruction
+  messages.push({
+    role: 'user',
+    content: `${message}
 
 IMPORTANT: Do not include any bracketed citations like [Source X], [Page Y], or [Chunk Z] in your response. Reference information naturally without brackets.`
+  });
+
+  return messages;
+}
+
+/**
+ * Generate response using Groq API
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @returns {Promise<object>} - AI response with metadata
+ */
+async function generateResponseGroq(message, relevantChunks, conversationHistory = []) {
+  try {
+    const groq = new Groq({
+      apiKey: process.env.GROQ_API_KEY
     });
 
+    const messages = buildGroqMessages(message, relevantChunks, conversationHistory);
+
     const completion = await groq.chat.completions.create({
       messages,
       model: 'llama-3.1-8b-instant', // Current fast and capable model
       temperature: 0.3,
-      max_tokens: 1000,
+      max_tokens: MAX_ANSWER_TOKENS,
       top_p: 0.9
     });
 
@@ -195,58 +230,56 @@ IMPORTANT: Do not include any bracketed citations like [Source X], [Page Y], or
 }
 
 /**
- * Generate response using OpenAI API
+ * Build the OpenAI chat messages: system prompt with document context, history and user message
  * @param {string} message - User message
  * @param {Array} relevantChunks - Relevant document chunks
  * @param {Array} conversationHistory - Previous conversation
- * @returns {Promise<object>} - AI response with metadata
+ * @returns {Array} - Chat completion messages
  */
-async function generateResponseOpenAI(message, relevantChunks, conversationHistory = []) {
-  try {
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+function buildOpenAIMessages(message, relevantChunks, conversationHistory = []) {
+  // Build enhanced context from relevant chunks with metadata
+  const context = relevantChunks.length > 0
+    ? relevantChunks
+        .map((chunk, index) => {
+          // Try multiple possible page number fields for compatibility
+          const pageNumber = chunk.metadata?.page_number || chunk.metadata?.estimated_page || chunk.page;
+          const pageInfo = pageNumber ? `, Page ${pageNumber}` : '';
+          const chunkInfo = chunk.metadata?.chunk_index !== undefined ? `, Chunk ${chunk.metadata.chunk_index}` : '';
+          // Set when chatting with several documents so the model can tell them apart
+          const documentInfo = chunk.documentName ? `, Document "${chunk.documentName}"` : '';
+          const sectionInfo = chunk.metadata?.heading_path ? `, Section "${chunk.metadata.heading_path}"` : '';
+          let chunkText = `[Source ${index + 1}${documentInfo}${pageInfo}${sectionInfo}${chunkInfo}]`;
+          chunkText += `\n${formatChunkContent(chunk)}`;
+          return chunkText;
+        })
+        .join('\n\n---\n\n')
+    : '';
+
+  // Enhanced financial document detection (same as Groq)
+  const financialKeywords = [
+    'balance', 'transaction', 'account', 'statement', 'payment', 'deposit', 'withdrawal',
+    'credit', 'debit', 'transfer', 'fee', 'interest', 'overdraft', 'available balance',
+    'current balance', 'previous balance', 'beginning balance', 'ending balance',
+    'account number', 'routing number', 'statement period', 'transaction date',
+    'description', 'amount', 'running balance', 'merchant', 'payee', 'check number',
+    'bank statement', 'checking account', 'savings account', 'credit card statement'
+  ];
+
+  const hasFinancialKeywords = financialKeywords.some(keyword =>
+    context.toLowerCase().includes(keyword.toLowerCase())
+  );
 
-    // Build enhanced context from relevant chunks with metadata
-    const context = relevantChunks.length > 0
-      ? relevantChunks
-          .map((chunk, index) => {
-            // Try multiple possible page number fields for compatibility
-            const pageNumber = chunk.metadata?.page_number || chunk.metadata?.estimated_page || chunk.page;
-            const pageInfo = pageNumber ? `, Page ${pageNumber}` : '';
-            const chunkInfo = chunk.metadata?.chunk_index !== undefined ? `, Chunk ${chunk.metadata.chunk_index}` : '';
-            let chunkText = `[Source ${index + 1}${pageInfo}${chunkInfo}]`;
-            chunkText += `\n${chunk.content}`;
-            return chunkText;
-          })
-          .join('\n\n---\n\n')
-      : '';
-
-    // Enhanced financial document detection (same as Groq)
-    const financialKeywords = [
-      'balance', 'transaction', 'account', 'statement', 'payment', 'deposit', 'withdrawal',
-      'credit', 'debit', 'transfer', 'fee', 'interest', 'overdraft', 'available balance',
-      'current balance', 'previous balance', 'beginning balance', 'ending balance',
-      'account number', 'routing number', 'statement period', 'transaction date',
-      'description', 'amount', 'running balance', 'merchant', 'payee', 'check number',
-      'bank statement', 'checking account', 'savings account', 'credit card statement'
-    ];
-
-    const hasFinancialKeywords = financialKeywords.some(keyword =>
-      context.toLowerCase().includes(keyword.toLowerCase())
-    );
-
-    const hasMonetaryAmounts = /(\$|€|£|¥)\s*\d+\.\d{2}|\d+\.\d{2}\s*(CR|DR|debit|credit)/gi.test(context);
-    const hasDatePatterns = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4}/g.test(context);
-
-    const isFinancialDoc = hasFinancialKeywords && (hasMonetaryAmounts || hasDatePatterns);
-    const isBankStatement = /bank\s+statement|checking\s+account|savings\s+account|account\s+summary/gi.test(context);
-
-    // Build messages array with enhanced system prompt
-    const messages = [
-      {
-        role: 'system',
-        content: `You are a helpful AI assistant that can both analyze PDF documents and answer general questions.
+  const hasMonetaryAmounts = /(\$|€|£|¥)\s*\d+\.\d{2}|\d+\.\d{2}\s*(CR|DR|debit|credit)/gi.test(context);
+  const hasDatePatterns = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4}/g.test(context);
+
+  const isFinancialDoc = hasFinancialKeywords && (hasMonetaryAmounts || hasDatePatterns);
+  const isBankStatement = /bank\s+statement|checking\s+account|savings\s+account|account\s+summary/gi.test(context);
+
+  // Build messages array with enhanced system prompt
+  const messages = [
+    {
+      role: 'system',
+      content: `You are a helpful AI assistant that can both analyze PDF documents and answer general questions.
 
 ${context ? `
 DOCUMENT ANALYSIS MODE:
@@ -260,6 +293,7 @@ CORE INSTRUCTIONS:
 - Maintain the exact formatting and values from the original document
 - Preserve the original currency symbols and formats exactly as shown in the document
 - Do not assume currency types - use only what is explicitly shown in the document
+- Tables from the document are given as markdown tables; read each value from its row and column header
 ` : `
 GENERAL ASSISTANCE MODE:
 You are answering a general question that doesn't require document analysis. Provide helpful, accurate information based on your knowledge.
@@ -308,30 +342,48 @@ RESPONSE FORMAT:
 - Instead of citing sources with brackets, simply state the information as fact from the document
 
 ${context ? `CONTEXT FROM PDF:\n${context}` : ''}`
-      }
-    ];
-
-    // Add conversation history
-    conversationHistory.forEach(msg => {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
-    });
+    }
+  ];
 
-    // Add current user message with explicit instruction
+  // Add conversation history
+  conversationHistory.forEach(msg => {
     messages.push({
-      role: 'user',
-      content: `${message}
+      role: msg.role,
+      content: msg.content
+    });
+  });
+
+  // Add current user message with explicit instruction
+  messages.push({
+    role: 'user',
+    content: `${message}
 
 IMPORTANT: Do not include any bracketed citations like [Source X], [Page Y], or [Chunk Z] in your response. Reference information naturally without brackets.`
+  });
+
+  return messages;
+}
+
+/**
+ * Generate response using OpenAI API
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @returns {Promise<object>} - AI response with metadata
+ */
+async function generateResponseOpenAI(message, relevantChunks, conversationHistory = []) {
+  try {
+    const openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
     });
 
+    const messages = buildOpenAIMessages(message, relevantChunks, conversationHistory);
+
     const completion = await openai.chat.completions.create({
       model: 'gpt-4o-mini', // Latest, fast, and cost-effective model
       messages,
       temperature: 0.3,
-      max_tokens: 1000,
+      max_tokens: MAX_ANSWER_TOKENS,
       top_p: 0.9
     });
 
@@ -391,6 +443,198 @@ async function generateResponseSimple(message, relevantChunks) {
   };
 }
 
+// Rough characters per token, for usage a provider never reported
+const CHARS_PER_TOKEN = 4;
+
+// Prompt builders of the providers that report token usage
+const MESSAGE_BUILDERS = {
+  groq: buildGroqMessages,
+  openai: buildOpenAIMessages
+};
+
+/**
+ * Estimate the tokens of the prompt a provider is sent
+ * @param {string} provider - 'groq' or 'openai'
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @returns {number} - Estimated prompt tokens
+ */
+function estimatePromptTokens(provider, message, relevantChunks, conversationHistory) {
+  const promptLength = MESSAGE_BUILDERS[provider](message, relevantChunks, conversationHistory)
+    .reduce((length, entry) => length + String(entry.content || '').length, 0);
+  return Math.ceil(promptLength / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens of a streamed answer the provider never reported usage for
+ * (cancelled by the client, failed mid-stream, or finished without a usage chunk):
+ * the prompt plus the text generated so far
+ * @param {string} provider - Provider that streamed the answer; only 'groq' and 'openai' use tokens
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @param {string} generatedText - Text streamed before the answer ended
+ * @returns {number} - Estimated total tokens
+ */
+function estimateStreamTokens(provider, message, relevantChunks, conversationHistory, generatedText = '') {
+  if (!MESSAGE_BUILDERS[provider]) return 0;
+  return estimatePromptTokens(provider, message, relevantChunks, conversationHistory) +
+    Math.ceil(generatedText.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the most tokens answering a message can use, whichever provider answers it:
+ * the larger prompt plus a full-length answer
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @returns {number} - Estimated maximum tokens
+ */
+function estimateMaxChatTokens(message, relevantChunks, conversationHistory = []) {
+  const promptTokens = Object.keys(MESSAGE_BUILDERS)
+    .map(provider => estimatePromptTokens(provider, message, relevantChunks, conversationHistory));
+  return Math.max(...promptTokens) + MAX_ANSWER_TOKENS;
+}
+
+/**
+ * Stream response using Groq API
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @param {object} options - Streaming options
+ * @param {function} options.onToken - Called with each generated text delta
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<object>} - Complete AI response with metadata
+ */
+async function streamResponseGroq(message, relevantChunks, conversationHistory = [], { onToken, signal } = {}) {
+  const groq = new Groq({
+    apiKey: process.env.GROQ_API_KEY
+  });
+
+  const messages = buildGroqMessages(message, relevantChunks, conversationHistory);
+
+  const stream = await groq.chat.completions.create({
+    messages,
+    model: 'llama-3.1-8b-instant',
+    temperature: 0.3,
+    max_tokens: MAX_ANSWER_TOKENS,
+    top_p: 0.9,
+    stream: true
+  }, { signal });
+
+  let response = '';
+  let tokensUsed = 0;
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      response += delta;
+      if (onToken) onToken(delta);
+    }
+    // Groq reports usage on the final chunk
+    if (chunk.x_groq?.usage) {
+      tokensUsed = chunk.x_groq.usage.total_tokens || 0;
+    }
+  }
+
+  if (!response) {
+    throw new Error('No response generated from Groq');
+  }
+
+  // Without a usage chunk, estimate so the answer still counts against token budgets
+  if (!tokensUsed) {
+    tokensUsed = estimateStreamTokens('groq', message, relevantChunks, conversationHistory, response);
+    console.log(`🤖 Streamed response using Groq (~${tokensUsed} tokens, estimated)`);
+  } else {
+    console.log(`🤖 Streamed response using Groq (${tokensUsed} tokens)`);
+  }
+
+  return {
+    text: cleanCitationPatterns(response),
+    confidence: 0.85,
+    tokensUsed,
+    model: 'llama-3.1-8b-instant',
+    provider: 'groq'
+  };
+}
+
+/**
+ * Stream response using OpenAI API
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @param {object} options - Streaming options
+ * @param {function} options.onToken - Called with each generated text delta
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<object>} - Complete AI response with metadata
+ */
+async function streamResponseOpenAI(message, relevantChunks, conversationHistory = [], { onToken, signal } = {}) {
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY
+  });
+
+  const messages = buildOpenAIMessages(message, relevantChunks, conversationHistory);
+
+  const stream = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages,
+    temperature: 0.3,
+    max_tokens: MAX_ANSWER_TOKENS,
+    top_p: 0.9,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let response = '';
+  let tokensUsed = 0;
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      response += delta;
+      if (onToken) onToken(delta);
+    }
+    // OpenAI reports usage on a final chunk without choices
+    if (chunk.usage) {
+      tokensUsed = chunk.usage.total_tokens || 0;
+    }
+  }
+
+  if (!response) {
+    throw new Error('No response generated from OpenAI');
+  }
+
+  // Without a usage chunk, estimate so the answer still counts against token budgets
+  if (!tokensUsed) {
+    tokensUsed = estimateStreamTokens('openai', message, relevantChunks, conversationHistory, response);
+    console.log(`🤖 Streamed response using OpenAI (~${tokensUsed} tokens, estimated)`);
+  } else {
+    console.log(`🤖 Streamed response using OpenAI (${tokensUsed} tokens)`);
+  }
+
+  return {
+    text: cleanCitationPatterns(response),
+    confidence: 0.9,
+    tokensUsed,
+    model: 'gpt-4o-mini',
+    provider: 'openai'
+  };
+}
+
+/**
+ * Stream simple template response (fallback) as a single token
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @param {object} options - Streaming options
+ * @param {function} options.onToken - Called with the generated text
+ * @returns {Promise<object>} - Simple response
+ */
+async function streamResponseSimple(message, relevantChunks, conversationHistory = [], { onToken } = {}) {
+  const result = await generateResponseSimple(message, relevantChunks);
+  if (onToken) onToken(result.text);
+  return result;
+}
+
 /**
  * Main response generation function with fallback strategy
  * @param {string} message - User message
@@ -443,8 +687,78 @@ async function generateResponse(message, relevantChunks, conversationHistory = [
   throw new Error('All response generation strategies failed');
 }
 
+/**
+ * Streaming response generation with fallback strategy
+ * Falls back to the next provider only if the failing one had not streamed any text yet.
+ * Errors carry the `provider` that was streaming, so the caller can estimate what it used.
+ * The returned text has citation patterns removed, so it can differ from the raw streamed tokens.
+ * @param {string} message - User message
+ * @param {Array} relevantChunks - Relevant document chunks
+ * @param {Array} conversationHistory - Previous conversation
+ * @param {object} options - Streaming options
+ * @param {function} options.onToken - Called with each generated text delta
+ * @param {AbortSignal} options.signal - Aborts generation (e.g. when the client disconnects)
+ * @returns {Promise<object>} - Complete AI response with metadata
+ */
+async function generateResponseStream(message, relevantChunks, conversationHistory = [], options = {}) {
+  if (!message || typeof message !== 'string') {
+    throw new Error('Invalid message: must be a non-empty string');
+  }
+
+  if (!Array.isArray(relevantChunks)) {
+    throw new Error('Invalid relevantChunks: must be an array');
+  }
+
+  const strategies = [
+    {
+      name: 'Groq',
+      provider: 'groq',
+      condition: () => process.env.GROQ_API_KEY,
+      function: streamResponseGroq
+    },
+    {
+      name: 'OpenAI',
+      provider: 'openai',
+      condition: () => process.env.OPENAI_API_KEY,
+      function: streamResponseOpenAI
+    },
+    {
+      name: 'Simple Fallback',
+      provider: 'local',
+      condition: () => true,
+      function: streamResponseSimple
+    }
+  ];
+
+  for (const strategy of strategies) {
+    if (strategy.condition()) {
+      let streamedAnyToken = false;
+      const onToken = (token) => {
+        streamedAnyToken = true;
+        if (options.onToken) options.onToken(token);
+      };
+
+      try {
+        console.log(`🚀 Trying ${strategy.name} for streaming response...`);
+        return await strategy.function(message, relevantChunks, conversationHistory, { ...options, onToken });
+      } catch (error) {
+        console.warn(`⚠️ ${strategy.name} streaming failed:`, error.message);
+        if (options.signal?.aborted || streamedAnyToken || strategy.name === 'Simple Fallback') {
+          error.provider = strategy.provider;
+          throw error; // A partial answer was already sent, or the client is gone
+        }
+      }
+    }
+  }
+
+  throw new Error('All response generation strategies failed');
+}
+
 module.exports = {
   generateResponse,
+  generateResponseStream,
+  estimateStreamTokens,
+  estimateMaxChatTokens,
   generateResponseGroq,
   generateResponseOpenAI,
   generateResponseSimple
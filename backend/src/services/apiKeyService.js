@@ -0,0 +1,284 @@
+// API Key Service
+// Keys for programmatic access, each acting as one user with its own rate limit, daily page quota and
+// daily token budget. Only a SHA-256 hash of each key is stored; the key itself is shown once on creation.
+
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+const KEY_PREFIX = 'pdfk_';
+
+// Usage counters are written at most this often
+const PERSIST_DELAY_MS = 5000;
+
+/**
+ * Read a limit from the environment; 0 means unlimited (null)
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when unset
+ * @returns {number|null} - Limit
+ */
+function readLimit(name, fallback) {
+  const value = process.env[name] === undefined ? fallback : parseInt(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+// Limits given to keys created without explicit ones (null = unlimited)
+const DEFAULT_LIMITS = {
+  requestsPerMinute: readLimit('API_KEY_REQUESTS_PER_MINUTE', 60),
+  dailyPages: readLimit('API_KEY_DAILY_PAGES', 500),
+  dailyTokens: readLimit('API_KEY_DAILY_TOKENS', 200000)
+};
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} secret - Plain API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Current quota day (UTC)
+ * @returns {string} - YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function emptyUsage(date = today()) {
+  return { date, requests: 0, pages: 0, tokens: 0 };
+}
+
+class ApiKeyService {
+  /**
+   * @param {string|null} filePath - JSON file to persist keys to (in-memory only if null)
+   */
+  constructor(filePath = path.join(getDataDir(), 'api-keys.json')) {
+    this.filePath = filePath;
+    this.keys = new Map();
+    this.keysByHash = new Map();
+    this.initPromise = null;
+    this.writeQueue = Promise.resolve();
+    this.persistTimer = null;
+  }
+
+  /**
+   * Load stored keys (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+
+    const stored = await readJsonFile(this.filePath, { keys: [] });
+    for (const key of stored.keys || []) {
+      this.keys.set(key.id, key);
+      this.keysByHash.set(key.keyHash, key);
+    }
+
+    console.log(`🔑 Loaded ${this.keys.size} API keys`);
+  }
+
+  /**
+   * Write all keys to disk, one write at a time
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = { keys: Array.from(this.keys.values()) };
+    const next = this.writeQueue.catch(() => {}).then(() => writeJsonFile(this.filePath, snapshot));
+    this.writeQueue = next;
+    return next;
+  }
+
+  /**
+   * Write the keys to disk shortly after their usage changes, batching the writes of busy keys
+   */
+  schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => {
+        console.error('❌ Failed to write API key usage:', error.message);
+      });
+    }, PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Check whether a bearer token looks like an API key rather than a session token
+   * @param {string} token - Token from the request
+   * @returns {boolean} - True for API keys
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a key
+   * @param {object} options - { name, userId, createdBy, limits: { requestsPerMinute, dailyPages, dailyTokens } }
+   * @returns {Promise<object>} - { key: stored key, secret: the plain key (only available now) }
+   */
+  async createKey({ name, userId, createdBy, limits = {} }) {
+    await this.init();
+
+    const secret = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = {
+      id: uuidv4(),
+      name,
+      userId,
+      createdBy,
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(secret),
+      limits: { ...DEFAULT_LIMITS, ...limits },
+      usage: emptyUsage(),
+      totals: { requests: 0, pages: 0, tokens: 0 },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.set(key.id, key);
+    this.keysByHash.set(key.keyHash, key);
+    await this.persist();
+
+    console.log(`🔑 API key ${key.id} created for user ${userId}`);
+    return { key, secret };
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<object|null>} - Stored key or null if not found
+   */
+  async getKey(keyId) {
+    await this.init();
+    return this.keys.get(keyId) || null;
+  }
+
+  /**
+   * List all keys, newest first
+   * @returns {Promise<Array>} - Stored keys
+   */
+  async listKeys() {
+    await this.init();
+    return Array.from(this.keys.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Find the active key matching a plain API key
+   * @param {string} secret - Plain API key
+   * @returns {Promise<object|null>} - Stored key, or null if unknown or revoked
+   */
+  async findActiveKey(secret) {
+    await this.init();
+
+    const key = this.keysByHash.get(hashKey(secret));
+    return key && !key.revokedAt ? key : null;
+  }
+
+  /**
+   * Revoke a key; it stops working immediately
+   * @param {string} keyId - Key ID
+   * @returns {Promise<object|null>} - Revoked key or null if not found
+   */
+  async revokeKey(keyId) {
+    await this.init();
+
+    const key = this.keys.get(keyId);
+    if (!key) return null;
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      await this.persist();
+      console.log(`🔑 API key ${keyId} revoked`);
+    }
+    return key;
+  }
+
+  /**
+   * Today's usage for a key (counters reset at midnight UTC)
+   * @param {object} key - Stored key
+   * @returns {object} - { date, requests, pages, tokens }
+   */
+  getTodayUsage(key) {
+    if (key.usage.date !== today()) {
+      key.usage = emptyUsage();
+    }
+    return key.usage;
+  }
+
+  /**
+   * Add to a key's usage counters (in memory; written to disk by schedulePersist)
+   * @param {object} key - Stored key
+   * @param {object} amounts - { requests, pages, tokens }
+   */
+  recordUsage(key, { requests = 0, pages = 0, tokens = 0 }) {
+    const usage = this.getTodayUsage(key);
+    usage.requests += requests;
+    usage.pages += pages;
+    usage.tokens += tokens;
+
+    key.totals.requests += requests;
+    key.totals.pages += pages;
+    key.totals.tokens += tokens;
+    key.lastUsedAt = new Date().toISOString();
+
+    this.schedulePersist();
+  }
+
+  /**
+   * Describe a key's limits, today's usage and what remains of its quotas
+   * @param {object} key - Stored key
+   * @returns {object} - Usage report
+   */
+  buildUsageReport(key) {
+    const usage = this.getTodayUsage(key);
+    const remaining = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+
+    return {
+      keyId: key.id,
+      date: usage.date,
+      limits: key.limits,
+      today: { requests: usage.requests, pages: usage.pages, tokens: usage.tokens },
+      remaining: {
+        pages: remaining(key.limits.dailyPages, usage.pages),
+        tokens: remaining(key.limits.dailyTokens, usage.tokens)
+      },
+      totals: key.totals,
+      lastUsedAt: key.lastUsedAt
+    };
+  }
+
+  /**
+   * Strip the key hash from a stored key
+   * @param {object} key - Stored key
+   * @returns {object} - Key info safe to return from the API
+   */
+  toPublicKey(key) {
+    const { keyHash, usage, totals, ...publicKey } = key;
+    return {
+      ...publicKey,
+      isActive: !key.revokedAt,
+      usage: this.buildUsageReport(key)
+    };
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  ApiKeyService,
+  apiKeyService,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,166 @@
+// Document Collection Service
+// Named sets of documents that can be chatted with together
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+class CollectionService {
+  /**
+   * @param {string|null} filePath - JSON file to persist collections to (in-memory only if null)
+   */
+  constructor(filePath = path.join(getDataDir(), 'collections.json')) {
+    this.filePath = filePath;
+    this.collections = new Map();
+    this.initPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load stored collections (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+
+    const stored = await readJsonFile(this.filePath, { collections: [] });
+    for (const collection of stored.collections || []) {
+      this.collections.set(collection.id, collection);
+    }
+
+    console.log(`📚 Loaded ${this.collections.size} document collections`);
+  }
+
+  /**
+   * Write all collections to disk, one write at a time
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = { collections: Array.from(this.collections.values()) };
+    const next = this.writeQueue.catch(() => {}).then(() => writeJsonFile(this.filePath, snapshot));
+    this.writeQueue = next;
+    return next;
+  }
+
+  /**
+   * Create a collection
+   * @param {string} name - Collection name
+   * @param {Array<string>} documentIds - Documents in the collection
+   * @param {string} ownerId - ID of the user who owns the collection
+   * @returns {Promise<object>} - New collection
+   */
+  async createCollection(name, documentIds = [], ownerId) {
+    await this.init();
+
+    const now = new Date().toISOString();
+    const collection = {
+      id: uuidv4(),
+      name,
+      ownerId,
+      documentIds: [...new Set(documentIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.collections.set(collection.id, collection);
+    await this.persist();
+
+    console.log(`📚 Collection ${collection.id} created with ${collection.documentIds.length} documents`);
+    return collection;
+  }
+
+  /**
+   * Get a collection by ID
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<object|null>} - Collection or null if not found
+   */
+  async getCollection(collectionId) {
+    await this.init();
+    return this.collections.get(collectionId) || null;
+  }
+
+  /**
+   * List a user's collections, most recently updated first
+   * @param {string} ownerId - Owner's user ID
+   * @returns {Promise<Array>} - Collections
+   */
+  async listCollections(ownerId) {
+    await this.init();
+    return Array.from(this.collections.values())
+      .filter(collection => collection.ownerId === ownerId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Rename a collection or replace its documents
+   * @param {string} collectionId - Collection ID
+   * @param {object} changes - { name, documentIds }
+   * @returns {Promise<object|null>} - Updated collection or null if not found
+   */
+  async updateCollection(collectionId, { name, documentIds } = {}) {
+    await this.init();
+
+    const collection = this.collections.get(collectionId);
+    if (!collection) return null;
+
+    if (name !== undefined) collection.name = name;
+    if (documentIds !== undefined) collection.documentIds = [...new Set(documentIds)];
+    collection.updatedAt = new Date().toISOString();
+
+    await this.persist();
+    return collection;
+  }
+
+  /**
+   * Delete a collection (its documents are kept)
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<boolean>} - True if a collection was removed
+   */
+  async deleteCollection(collectionId) {
+    await this.init();
+
+    const removed = this.collections.delete(collectionId);
+    if (removed) {
+      await this.persist();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove a document from every collection that contains it
+   * @param {string} documentId - Document ID
+   * @returns {Promise<number>} - Number of collections changed
+   */
+  async removeDocumentFromCollections(documentId) {
+    await this.init();
+
+    let changed = 0;
+    for (const collection of this.collections.values()) {
+      if (collection.documentIds.includes(documentId)) {
+        collection.documentIds = collection.documentIds.filter(id => id !== documentId);
+        collection.updatedAt = new Date().toISOString();
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      await this.persist();
+    }
+    return changed;
+  }
+}
+
+// Create singleton instance
+const collectionService = new CollectionService();
+
+module.exports = {
+  CollectionService,
+  collectionService
+};
@@ -0,0 +1,404 @@
+// Conversation Storage Service
+// Records chat turns per document so the server can supply conversation history itself
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+/**
+ * In-memory conversation store (lost on restart, useful for tests and ephemeral deployments)
+ */
+class MemoryConversationStore {
+  constructor() {
+    this.conversations = new Map();
+  }
+
+  async init() {}
+
+  async get(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async save(conversation) {
+    this.conversations.set(conversation.id, conversation);
+  }
+
+  async delete(conversationId) {
+    return this.conversations.delete(conversationId);
+  }
+
+  async list() {
+    return Array.from(this.conversations.values());
+  }
+}
+
+/**
+ * File-backed conversation store - one JSON file per conversation
+ * All conversations are cached in memory after the first load; every write goes through to disk.
+ */
+class FileConversationStore {
+  constructor(directory = getDataDir('conversations')) {
+    this.directory = directory;
+    this.conversations = new Map();
+    this.writeQueues = new Map();
+    this.initPromise = null;
+  }
+
+  /**
+   * Load all stored conversations from disk (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.loadAll();
+    }
+    return this.initPromise;
+  }
+
+  async loadAll() {
+    await fs.mkdir(this.directory, { recursive: true });
+    const files = await fs.readdir(this.directory);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const conversation = await readJsonFile(path.join(this.directory, file));
+        if (conversation && conversation.id) {
+          this.conversations.set(conversation.id, conversation);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable conversation file ${file}:`, error.message);
+      }
+    }
+
+    console.log(`💬 Loaded ${this.conversations.size} conversations from ${this.directory}`);
+  }
+
+  getFilePath(conversationId) {
+    return path.join(this.directory, `${conversationId}.json`);
+  }
+
+  /**
+   * Run file operations for one conversation in order
+   */
+  enqueueWrite(conversationId, operation) {
+    const previous = this.writeQueues.get(conversationId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.writeQueues.set(conversationId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(conversationId) === next) {
+        this.writeQueues.delete(conversationId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async get(conversationId) {
+    await this.init();
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async save(conversation) {
+    await this.init();
+    this.conversations.set(conversation.id, conversation);
+    const snapshot = JSON.parse(JSON.stringify(conversation));
+    await this.enqueueWrite(conversation.id, () => writeJsonFile(this.getFilePath(conversation.id), snapshot));
+  }
+
+  async delete(conversationId) {
+    await this.init();
+    const existed = this.conversations.delete(conversationId);
+    await this.enqueueWrite(conversationId, async () => {
+      try {
+        await fs.unlink(this.getFilePath(conversationId));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+    return existed;
+  }
+
+  async list() {
+    await this.init();
+    return Array.from(this.conversations.values());
+  }
+}
+
+/**
+ * Documents a conversation is about (older conversations only stored a single documentId)
+ * @param {object} conversation - Stored conversation
+ * @returns {Array<string>} - Document IDs
+ */
+function getConversationDocumentIds(conversation) {
+  return conversation.documentIds || [conversation.documentId];
+}
+
+class ConversationService {
+  /**
+   * @param {object} store - Storage backend implementing init/get/save/delete/list
+   */
+  constructor(store) {
+    this.store = store;
+    this.maxHistoryMessages = 20;
+  }
+
+  /**
+   * Swap the storage backend (e.g. for a database-backed store)
+   * @param {object} store - Storage backend implementing init/get/save/delete/list
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Build a new conversation for a document or a set of documents without storing it
+   * (see storeConversation), so requests that never record a turn leave nothing behind
+   * @param {string|Array<string>} documentIds - Document ID or IDs
+   * @param {object} options - { collectionId } when the set comes from a collection, { workspaceId } to scope it
+   *   to a workspace, { ownerId } of the user having the conversation
+   * @returns {object} - New, unstored conversation
+   */
+  newConversation(documentIds, { collectionId = null, workspaceId = null, ownerId = null } = {}) {
+    const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      documentId: ids[0],
+      documentIds: ids,
+      collectionId,
+      workspaceId,
+      ownerId,
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+  }
+
+  /**
+   * Store a conversation built by newConversation
+   * @param {object} conversation - New conversation
+   * @returns {Promise<object>} - Stored conversation
+   */
+  async storeConversation(conversation) {
+    await this.store.save(conversation);
+    const ids = conversation.documentIds;
+    console.log(`💬 Conversation ${conversation.id} created for document${ids.length > 1 ? 's' : ''} ${ids.join(', ')}`);
+    return conversation;
+  }
+
+  /**
+   * Create and store a new conversation for a document or a set of documents
+   * @param {string|Array<string>} documentIds - Document ID or IDs
+   * @param {object} options - Same as newConversation
+   * @returns {Promise<object>} - New conversation
+   */
+  async createConversation(documentIds, options = {}) {
+    return this.storeConversation(this.newConversation(documentIds, options));
+  }
+
+  /**
+   * Check whether a conversation covers exactly the given documents
+   * @param {object} conversation - Stored conversation
+   * @param {Array<string>} documentIds - Document IDs
+   * @returns {boolean} - True if the document sets match
+   */
+  matchesDocuments(conversation, documentIds) {
+    const conversationIds = getConversationDocumentIds(conversation);
+    return conversationIds.length === documentIds.length &&
+      documentIds.every(documentId => conversationIds.includes(documentId));
+  }
+
+  /**
+   * Check whether a conversation belongs to a workspace (null for conversations outside any workspace)
+   * @param {object} conversation - Stored conversation
+   * @param {string|null} workspaceId - Workspace ID
+   * @returns {boolean} - True if the workspaces match
+   */
+  matchesWorkspace(conversation, workspaceId) {
+    return (conversation.workspaceId || null) === (workspaceId || null);
+  }
+
+  /**
+   * Check whether a conversation includes a document
+   * @param {object} conversation - Stored conversation
+   * @param {string} documentId - Document ID
+   * @returns {boolean} - True if the document is part of the conversation
+   */
+  includesDocument(conversation, documentId) {
+    return getConversationDocumentIds(conversation).includes(documentId);
+  }
+
+  /**
+   * Summarize a conversation for listings
+   * @param {object} conversation - Stored conversation
+   * @returns {object} - Conversation summary
+   */
+  summarizeConversation(conversation) {
+    return {
+      conversationId: conversation.id,
+      documentIds: getConversationDocumentIds(conversation),
+      collectionId: conversation.collectionId || null,
+      workspaceId: conversation.workspaceId || null,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length
+    };
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<object|null>} - Conversation or null if not found
+   */
+  async getConversation(conversationId) {
+    return this.store.get(conversationId);
+  }
+
+  /**
+   * List conversations that include a document, most recently updated first
+   * @param {string} documentId - Document ID
+   * @param {object} options - { workspaceId } to only list conversations held in that workspace,
+   *   { ownerId } to only list one user's conversations
+   * @returns {Promise<Array>} - Conversations
+   */
+  async listConversations(documentId, { workspaceId, ownerId } = {}) {
+    const conversations = await this.store.list();
+    return conversations
+      .filter(conversation => this.includesDocument(conversation, documentId))
+      .filter(conversation => workspaceId === undefined || this.matchesWorkspace(conversation, workspaceId))
+      .filter(conversation => ownerId === undefined || conversation.ownerId === ownerId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * List conversations held in a workspace, most recently updated first
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} - Conversations
+   */
+  async listWorkspaceConversations(workspaceId) {
+    const conversations = await this.store.list();
+    return conversations
+      .filter(conversation => conversation.workspaceId === workspaceId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Get the most recently updated conversation for a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object|null>} - Conversation or null if none exist
+   */
+  async getLatestConversation(documentId) {
+    const conversations = await this.listConversations(documentId);
+    return conversations[0] || null;
+  }
+
+  /**
+   * Append a turn to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {object} message - Turn data ({ role, content, citations, confidence, tokensUsed })
+   * @returns {Promise<object>} - Stored message
+   */
+  async addMessage(conversationId, message) {
+    const conversation = await this.store.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const storedMessage = {
+      id: uuidv4(),
+      role: message.role,
+      content: message.content,
+      timestamp: new Date().toISOString()
+    };
+
+    if (message.role === 'assistant') {
+      storedMessage.citations = message.citations || [];
+      storedMessage.confidence = message.confidence ?? null;
+      storedMessage.tokensUsed = message.tokensUsed || 0;
+    }
+
+    conversation.messages.push(storedMessage);
+    conversation.updatedAt = storedMessage.timestamp;
+    await this.store.save(conversation);
+
+    return storedMessage;
+  }
+
+  /**
+   * Get prior turns in the shape expected by generateResponse
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array>} - Most recent messages as { role, content }
+   */
+  async getHistory(conversationId) {
+    const conversation = await this.store.get(conversationId);
+    if (!conversation) return [];
+
+    return conversation.messages
+      .slice(-this.maxHistoryMessages)
+      .map(message => ({ role: message.role, content: message.content }));
+  }
+
+  /**
+   * Delete a single conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} - True if a conversation was removed
+   */
+  async deleteConversation(conversationId) {
+    return this.store.delete(conversationId);
+  }
+
+  /**
+   * Delete every conversation that includes a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<number>} - Number of conversations removed
+   */
+  async deleteConversationsForDocument(documentId) {
+    const conversations = await this.listConversations(documentId);
+    for (const conversation of conversations) {
+      await this.store.delete(conversation.id);
+    }
+
+    if (conversations.length > 0) {
+      console.log(`🗑️ Deleted ${conversations.length} conversations for document ${documentId}`);
+    }
+    return conversations.length;
+  }
+
+  /**
+   * Delete every conversation held in a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<number>} - Number of conversations removed
+   */
+  async deleteConversationsForWorkspace(workspaceId) {
+    const conversations = await this.listWorkspaceConversations(workspaceId);
+    for (const conversation of conversations) {
+      await this.store.delete(conversation.id);
+    }
+
+    if (conversations.length > 0) {
+      console.log(`🗑️ Deleted ${conversations.length} conversations for workspace ${workspaceId}`);
+    }
+    return conversations.length;
+  }
+}
+
+/**
+ * Create the storage backend configured by CONVERSATION_STORE ('file' or 'memory')
+ */
+function createConversationStore() {
+  const storeType = process.env.CONVERSATION_STORE || 'file';
+
+  if (storeType === 'memory') {
+    return new MemoryConversationStore();
+  }
+  return new FileConversationStore();
+}
+
+// Create singleton instance
+const conversationService = new ConversationService(createConversationStore());
+
+module.exports = {
+  ConversationService,
+  FileConversationStore,
+  MemoryConversationStore,
+  conversationService
+};
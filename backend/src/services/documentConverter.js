@@ -0,0 +1,358 @@
+// Document Converter
+// Uploads that are not PDFs (Word documents, plain text, Markdown, HTML) are converted into the
+// same { text, numPages, pages, tables, metadata } shape that processPDF returns, so they are
+// chunked, embedded and cited like PDFs. Word and HTML are converted to markdown, and their
+// "pages" are the sections under the document's main headings; plain text keeps form-feed page
+// breaks or is cut into pages of about TEXT_PAGE_CHARS characters.
+
+const fs = require('fs').promises;
+const path = require('path');
+const mammoth = require('mammoth');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const { parseMarkdownBlocks } = require('./markdownChunker');
+const { tableToMarkdown } = require('./tableExtractor');
+const { processPDF } = require('./pdfService');
+
+// Supported upload types; the extension decides, the MIME type is used when the extension is unknown
+const DOCUMENT_TYPES = {
+  pdf: {
+    label: 'PDF',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf']
+  },
+  docx: {
+    label: 'Word document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  txt: {
+    label: 'Text file',
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt']
+  },
+  markdown: {
+    label: 'Markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown']
+  },
+  html: {
+    label: 'HTML',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm']
+  }
+};
+
+// Size of the pages plain text without page breaks (or a document without headings) is cut into
+const TEXT_PAGE_CHARS = 3000;
+
+const HEADING_LEVEL_PATTERN = /^ {0,3}(#{1,6})\s/;
+
+// Word's Title style has no HTML equivalent in mammoth's default style map
+const DOCX_STYLE_MAP = ["p[style-name='Title'] => h1:fresh"];
+
+/**
+ * Work out the type of an uploaded file
+ * @param {string} mimetype - MIME type sent with the upload
+ * @param {string} filename - Original file name
+ * @returns {string|null} - Key of DOCUMENT_TYPES, or null if the file is not supported
+ */
+function getDocumentType(mimetype, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const types = Object.entries(DOCUMENT_TYPES);
+
+  const byExtension = types.find(([, type]) => type.extensions.includes(extension));
+  if (byExtension) return byExtension[0];
+
+  const byMimeType = types.find(([, type]) => type.mimeTypes.includes(mimetype));
+  return byMimeType ? byMimeType[0] : null;
+}
+
+/**
+ * Normalize line breaks and blank lines of converted text
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Range of text between two offsets, without surrounding whitespace
+ * @returns {object|null} - { startChar, endChar }, or null if the range is blank
+ */
+function trimRange(text, startChar, endChar) {
+  while (startChar < endChar && /\s/.test(text[startChar])) startChar++;
+  while (endChar > startChar && /\s/.test(text[endChar - 1])) endChar--;
+  return endChar > startChar ? { startChar, endChar } : null;
+}
+
+/**
+ * Cut text into pages of about TEXT_PAGE_CHARS characters, ending at paragraph or line breaks
+ * @param {string} text - Text
+ * @returns {Array<object>} - Ranges of { startChar, endChar }
+ */
+function splitFixedPages(text) {
+  const ranges = [];
+  let start = 0;
+
+  while (text.length - start > TEXT_PAGE_CHARS) {
+    const window = text.slice(start, start + TEXT_PAGE_CHARS);
+    let breakAt = window.lastIndexOf('\n\n');
+    if (breakAt < TEXT_PAGE_CHARS * 0.5) breakAt = window.lastIndexOf('\n');
+    if (breakAt < TEXT_PAGE_CHARS * 0.5) breakAt = window.lastIndexOf(' ');
+    const end = breakAt > 0 ? start + breakAt : start + TEXT_PAGE_CHARS;
+
+    const range = trimRange(text, start, end);
+    if (range) ranges.push(range);
+    start = end;
+  }
+
+  const range = trimRange(text, start, text.length);
+  if (range) ranges.push(range);
+  return ranges;
+}
+
+/**
+ * Split markdown into sections at its main headings: the highest heading level used at least twice.
+ * Text before the first such heading is a section of its own.
+ * @param {string} text - Markdown
+ * @returns {Array<object>|null} - Ranges of { startChar, endChar, title }, or null without such headings
+ */
+function splitSections(text) {
+  const headings = parseMarkdownBlocks(text)
+    .filter(block => block.type === 'heading')
+    .map(block => ({
+      startChar: block.startChar,
+      level: text.slice(block.startChar, block.endChar).match(HEADING_LEVEL_PATTERN)[1].length,
+      title: block.headingPath[block.headingPath.length - 1]
+    }));
+
+  const sectionLevel = [1, 2, 3, 4, 5, 6].find(level => headings.filter(heading => heading.level === level).length >= 2);
+  if (!sectionLevel) return null;
+
+  const starts = headings.filter(heading => heading.level <= sectionLevel);
+  const ranges = [];
+
+  const intro = trimRange(text, 0, starts[0].startChar);
+  if (intro) ranges.push({ ...intro, title: null });
+
+  starts.forEach((heading, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].startChar : text.length;
+    const range = trimRange(text, heading.startChar, end);
+    if (range) ranges.push({ ...range, title: heading.title });
+  });
+
+  return ranges;
+}
+
+/**
+ * Build the result of a conversion
+ * @param {string} text - Converted text
+ * @param {Array<object>} ranges - Page or section ranges of the text
+ * @param {object} metadata - Metadata of the converter
+ * @returns {object} - { text, numPages, pages, tables, metadata }
+ */
+function buildResult(text, ranges, metadata) {
+  if (!text) {
+    throw new Error('No text found in the document');
+  }
+
+  const pages = ranges.map((range, index) => ({
+    pageNumber: index + 1,
+    startChar: range.startChar,
+    endChar: range.endChar,
+    ...(range.title !== undefined && { title: range.title })
+  }));
+
+  return {
+    text,
+    numPages: pages.length,
+    pages,
+    tables: [],
+    metadata: {
+      processingMethod: 'local',
+      textLength: text.length,
+      ...metadata
+    }
+  };
+}
+
+/**
+ * Convert markdown into a result with one page per section (or fixed-size pages without headings)
+ * @param {string} markdown - Markdown
+ * @param {object} metadata - Metadata of the converter
+ * @returns {object}
+ */
+function convertMarkdownText(markdown, metadata) {
+  const text = normalizeText(markdown);
+  const sections = splitSections(text);
+
+  return buildResult(text, sections || splitFixedPages(text), {
+    ...metadata,
+    // Chunked by its headings, lists and tables like LlamaParse output
+    format: 'markdown',
+    pageUnit: sections ? 'section' : 'page'
+  });
+}
+
+/**
+ * Cells of a table row as plain text
+ * @param {object} row - Table row element
+ * @returns {Array<string>}
+ */
+function getRowCells(row) {
+  return Array.from(row.childNodes)
+    .filter(node => node.nodeName === 'TD' || node.nodeName === 'TH')
+    .map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Create the HTML to markdown converter (GitHub-flavoured markdown, so tables are kept)
+ * @returns {TurndownService}
+ */
+function createTurndown() {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-'
+  });
+  turndown.use(gfm);
+  turndown.remove(['head', 'title', 'script', 'style', 'noscript', 'iframe', 'nav']);
+
+  // The gfm plugin leaves tables without a header row (all of Word's tables) as HTML;
+  // write them as markdown tables with the first row as header instead
+  turndown.addRule('headerlessTable', {
+    filter: node => node.nodeName === 'TABLE' && node.rows.length > 0 &&
+      node.rows[0].parentNode.nodeName !== 'THEAD' && getRowCells(node.rows[0]).length > 0 &&
+      Array.from(node.rows[0].childNodes).some(cell => cell.nodeName === 'TD'),
+    replacement: (content, node) => {
+      const [header, ...rows] = Array.from(node.rows).map(getRowCells);
+      const columnCount = Math.max(header.length, ...rows.map(row => row.length));
+      const pad = (row) => [...row, ...Array(columnCount - row.length).fill('')];
+      return `\n\n${tableToMarkdown({ header: pad(header), rows: rows.map(pad) })}\n\n`;
+    }
+  });
+
+  return turndown;
+}
+
+/**
+ * Convert a plain text file; form feeds (as in pdftotext output) are page breaks
+ */
+async function convertText(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  const metadata = { parser: 'text', sourceType: 'txt', pageUnit: 'page' };
+
+  if (!raw.includes('\f')) {
+    const text = normalizeText(raw);
+    return buildResult(text, splitFixedPages(text), metadata);
+  }
+
+  // Pages are joined with blank lines; empty pages keep their number. A form feed at the very end
+  // closes the last page (pdftotext ends every page with one) rather than starting an empty one.
+  let text = '';
+  const ranges = [];
+  for (const pageText of raw.replace(/\f[^\S\f]*$/, '').split('\f').map(normalizeText)) {
+    if (text.length > 0 && pageText.length > 0) text += '\n\n';
+    ranges.push({ startChar: text.length, endChar: text.length + pageText.length });
+    text += pageText;
+  }
+  return buildResult(text, ranges, metadata);
+}
+
+/**
+ * Convert a Markdown file
+ */
+async function convertMarkdown(filePath) {
+  const markdown = await fs.readFile(filePath, 'utf8');
+  return convertMarkdownText(markdown, { parser: 'markdown', sourceType: 'markdown' });
+}
+
+/**
+ * Convert an HTML page to markdown
+ */
+async function convertHtml(filePath) {
+  const html = await fs.readFile(filePath, 'utf8');
+  const title = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1].trim() || null;
+
+  return convertMarkdownText(createTurndown().turndown(html), { parser: 'html', sourceType: 'html', title });
+}
+
+/**
+ * Convert a Word document (via HTML, so headings, lists and tables survive) to markdown
+ */
+async function convertDocx(filePath) {
+  const { value: html, messages } = await mammoth.convertToHtml({ path: filePath }, { styleMap: DOCX_STYLE_MAP });
+  const warnings = messages.filter(message => message.type === 'warning');
+  if (warnings.length > 0) {
+    console.warn(`⚠️ Word conversion: ${warnings.length} warnings (first: ${warnings[0].message})`);
+  }
+
+  return convertMarkdownText(createTurndown().turndown(html), { parser: 'docx', sourceType: 'docx' });
+}
+
+const CONVERTERS = {
+  docx: convertDocx,
+  txt: convertText,
+  markdown: convertMarkdown,
+  html: convertHtml
+};
+
+/**
+ * Convert a non-PDF document
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} type - Key of DOCUMENT_TYPES other than 'pdf'
+ * @param {object} options - { onProgress, signal }
+ * @returns {Promise<object>} - { text, numPages, pages, tables, metadata } like processPDF
+ */
+async function convertDocument(filePath, type, options = {}) {
+  const { onProgress, signal } = options;
+  const converter = CONVERTERS[type];
+  if (!converter) {
+    throw new Error(`Unsupported document type "${type}"`);
+  }
+
+  if (onProgress) onProgress(0, `Converting ${DOCUMENT_TYPES[type].label}...`);
+  const result = await converter(filePath);
+  signal?.throwIfAborted();
+
+  console.log(`📄 ${DOCUMENT_TYPES[type].label} converted: ${result.numPages} ${result.metadata.pageUnit}s, ${result.text.length} characters`);
+  if (onProgress) onProgress(100, 'Document conversion completed');
+  return result;
+}
+
+/**
+ * Turn an uploaded document into text: PDFs go to processPDF, other types to their converter
+ * @param {string} filePath - Path to the uploaded file
+ * @param {object} options - { fileType (default 'pdf'), parser, onProgress, signal, converted }; `converted`
+ *   is the result of an earlier convertDocument call for the same file (e.g. by upload validation),
+ *   returned instead of converting the file again
+ * @returns {Promise<object>} - { text, numPages, pages, tables, metadata }
+ */
+async function processDocument(filePath, options = {}) {
+  const { fileType = 'pdf', converted, ...processOptions } = options;
+
+  if (fileType === 'pdf') {
+    return processPDF(filePath, processOptions);
+  }
+
+  if (converted) {
+    if (processOptions.onProgress) processOptions.onProgress(100, 'Document conversion completed');
+    return converted;
+  }
+
+  return convertDocument(filePath, fileType, processOptions);
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  convertDocument,
+  processDocument
+};
@@ -6,6 +6,9 @@ class DocumentStatusService {
     // In-memory storage for document processing status
     // In production, this could be stored in Redis or a database
     this.documentStatus = new Map();
+
+    // `${ownerId}:${contentHash}` -> Set of documentIds uploaded from that file by that user
+    this.contentHashIndex = new Map();
     
     console.log('📊 DocumentStatusService initialized');
   }
@@ -19,17 +22,20 @@ class DocumentStatusService {
     PROCESSING: 'processing',
     VECTORIZING: 'vectorizing',
     COMPLETED: 'completed',
-    ERROR: 'error'
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
   };
 
   /**
    * Set document status
+   * Metadata recorded by earlier stages (filename, upload time, ...) is kept unless overridden
    * @param {string} documentId - Document ID
    * @param {string} status - Processing status
    * @param {object} metadata - Additional metadata
    */
   setStatus(documentId, status, metadata = {}) {
     const statusInfo = {
+      ...this.documentStatus.get(documentId),
       documentId,
       status,
       timestamp: new Date().toISOString(),
@@ -37,6 +43,13 @@ class DocumentStatusService {
     };
 
     this.documentStatus.set(documentId, statusInfo);
+    if (statusInfo.contentHash && statusInfo.ownerId) {
+      const key = `${statusInfo.ownerId}:${statusInfo.contentHash}`;
+      if (!this.contentHashIndex.has(key)) {
+        this.contentHashIndex.set(key, new Set());
+      }
+      this.contentHashIndex.get(key).add(documentId);
+    }
     console.log(`📋 Document ${documentId} status: ${status}`);
     
     return statusInfo;
@@ -51,6 +64,36 @@ class DocumentStatusService {
     return this.documentStatus.get(documentId) || null;
   }
 
+  /**
+   * Find a user's documents by the SHA-256 of their uploaded file
+   * @param {string} ownerId - User ID
+   * @param {string} contentHash - Hex SHA-256 of the file
+   * @returns {Array} - Statuses of the matching documents, most recently uploaded first
+   */
+  findByContentHash(ownerId, contentHash) {
+    const documentIds = this.contentHashIndex.get(`${ownerId}:${contentHash}`) || [];
+
+    return Array.from(documentIds)
+      .map(documentId => this.getStatus(documentId))
+      .filter(Boolean)
+      .sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+  }
+
+  /**
+   * Drop a document from the content hash index
+   * @param {object} status - Document status being removed
+   */
+  unindexContentHash(status) {
+    if (!status?.contentHash) return;
+
+    const key = `${status.ownerId}:${status.contentHash}`;
+    const documentIds = this.contentHashIndex.get(key);
+    documentIds?.delete(status.documentId);
+    if (documentIds?.size === 0) {
+      this.contentHashIndex.delete(key);
+    }
+  }
+
   /**
    * Check if document is ready for chat
    * @param {string} documentId - Document ID
@@ -122,11 +165,60 @@ class DocumentStatusService {
     });
   }
 
+  /**
+   * Mark document as cancelled (its processing job was cancelled)
+   * @param {string} documentId - Document ID
+   */
+  markCancelled(documentId) {
+    return this.setStatus(documentId, DocumentStatusService.STATUS.CANCELLED, {
+      cancelledAt: new Date().toISOString(),
+      progressMessage: 'Processing cancelled'
+    });
+  }
+
+  /**
+   * Re-register documents found in a persistent vector store after a restart
+   * Documents that already have a status are left untouched.
+   * @param {Array} documents - Entries from listDocuments ({ documentId, chunkCount, metadata })
+   * @returns {number} - Number of restored documents
+   */
+  restoreDocuments(documents) {
+    let restoredCount = 0;
+
+    for (const { documentId, chunkCount, metadata = {} } of documents) {
+      if (this.documentStatus.has(documentId)) continue;
+
+      this.markCompleted(documentId, {
+        filename: metadata.filename || null,
+        fileType: metadata.pdfMetadata?.sourceType || metadata.source_type || 'pdf',
+        fileSize: metadata.fileSize || metadata.file_size || null,
+        numPages: metadata.numPages || metadata.num_pages || null,
+        uploadedAt: metadata.uploadedAt || metadata.uploaded_at || null,
+        ownerId: metadata.ownerId || metadata.owner_id || null,
+        contentHash: metadata.contentHash || metadata.content_hash || null,
+        parser: metadata.pdfMetadata?.parser || metadata.parser || null,
+        embeddingModel: metadata.embeddingModel || metadata.embedding_model || null,
+        embeddingDimension: metadata.embeddingDimension || metadata.embedding_dimension || null,
+        chunksCreated: chunkCount,
+        tableCount: metadata.pdfMetadata?.tableCount || metadata.table_count || 0,
+        restored: true
+      });
+      restoredCount++;
+    }
+
+    if (restoredCount > 0) {
+      console.log(`♻️ Restored status for ${restoredCount} stored documents`);
+    }
+
+    return restoredCount;
+  }
+
   /**
    * Remove document status (cleanup)
    * @param {string} documentId - Document ID
    */
   removeStatus(documentId) {
+    this.unindexContentHash(this.documentStatus.get(documentId));
     const removed = this.documentStatus.delete(documentId);
     if (removed) {
       console.log(`🗑️ Removed status for document ${documentId}`);
@@ -153,6 +245,7 @@ class DocumentStatusService {
     for (const [documentId, status] of this.documentStatus.entries()) {
       const statusTime = new Date(status.timestamp);
       if (statusTime < cutoffTime) {
+        this.unindexContentHash(status);
         this.documentStatus.delete(documentId);
         cleanedCount++;
       }
@@ -0,0 +1,302 @@
+// Embedding Cache
+// Remembers embeddings by model and SHA-256 of the embedded text so re-uploads, repeated questions
+// and re-indexing don't pay the embedding provider again. Bounded to a maximum number of entries,
+// evicting the least recently used; persisted to DATA_DIR as one binary file of Float32 vectors.
+// Ingestion worker threads don't load their own copy: their lookups go to the main thread's cache.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { isMainThread, parentPort } = require('worker_threads');
+const { getDataDir, writeFileAtomic } = require('../utils/fileUtils');
+
+// Changes are written at most this often
+const PERSIST_DELAY_MS = 5000;
+
+/**
+ * Pack cache entries into one buffer: a 4-byte header length, a JSON header listing each entry's
+ * key and dimension, padding to a 4-byte boundary, then every vector as Float32 values in order
+ * @param {Map<string, Array<number>>} entries - Cache entries
+ * @returns {Buffer} - File content
+ */
+function encodeEntries(entries) {
+  const index = Array.from(entries, ([key, vector]) => [key, vector.length]);
+  const header = Buffer.from(JSON.stringify({ entries: index }));
+  const dataOffset = Math.ceil((4 + header.length) / 4) * 4;
+  const floatCount = index.reduce((count, [, dimension]) => count + dimension, 0);
+
+  const buffer = Buffer.alloc(dataOffset + floatCount * Float32Array.BYTES_PER_ELEMENT);
+  buffer.writeUInt32LE(header.length, 0);
+  header.copy(buffer, 4);
+
+  const floats = new Float32Array(buffer.buffer, buffer.byteOffset + dataOffset, floatCount);
+  let offset = 0;
+  for (const vector of entries.values()) {
+    floats.set(vector, offset);
+    offset += vector.length;
+  }
+  return buffer;
+}
+
+/**
+ * Unpack a buffer written by encodeEntries
+ * @param {Buffer} buffer - File content
+ * @returns {Array} - [key, vector] pairs, least recently used first
+ */
+function decodeEntries(buffer) {
+  const headerLength = buffer.readUInt32LE(0);
+  const { entries: index } = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+  const dataOffset = Math.ceil((4 + headerLength) / 4) * 4;
+  const floatCount = index.reduce((count, [, dimension]) => count + dimension, 0);
+
+  if (buffer.length !== dataOffset + floatCount * Float32Array.BYTES_PER_ELEMENT) {
+    throw new Error(`size mismatch (expected ${floatCount} floats)`);
+  }
+
+  // Copy into an aligned buffer before viewing it as floats
+  const floats = new Float32Array(buffer.buffer.slice(buffer.byteOffset + dataOffset, buffer.byteOffset + buffer.length));
+  let offset = 0;
+  return index.map(([key, dimension]) => {
+    const vector = Array.from(floats.subarray(offset, offset + dimension));
+    offset += dimension;
+    return [key, vector];
+  });
+}
+
+class EmbeddingCache {
+  /**
+   * @param {object} options - { maxEntries (0 disables the cache), filePath (in-memory only if null) }
+   */
+  constructor({ maxEntries = 10000, filePath = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.filePath = filePath;
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.initPromise = null;
+    this.writeQueue = Promise.resolve();
+    this.persistTimer = null;
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  /**
+   * Load stored embeddings (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    if (!this.filePath || !this.enabled) return;
+
+    try {
+      const buffer = await fs.readFile(this.filePath).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+      if (!buffer) return;
+
+      for (const [key, vector] of decodeEntries(buffer)) {
+        this.entries.set(key, vector);
+      }
+      this.evict();
+      console.log(`💾 Loaded ${this.entries.size} cached embeddings`);
+    } catch (error) {
+      console.warn('⚠️ Could not load the embedding cache, starting empty:', error.message);
+    }
+  }
+
+  /**
+   * Cache key for a text embedded by a model
+   * @param {string} model - Embedding model ID
+   * @param {string} text - Embedded text
+   * @returns {string} - Key
+   */
+  key(model, text) {
+    return `${model}:${crypto.createHash('sha256').update(text).digest('hex')}`;
+  }
+
+  /**
+   * Look up an embedding
+   * @param {string} model - Embedding model ID
+   * @param {string} text - Embedded text
+   * @returns {Array<number>|null} - Cached embedding or null on a miss
+   */
+  get(model, text) {
+    if (!this.enabled) return null;
+
+    const key = this.key(model, text);
+    const vector = this.entries.get(key);
+    if (!vector) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.stats.hits++;
+    return vector;
+  }
+
+  /**
+   * Look up the embeddings of several texts
+   * @param {string} model - Embedding model ID
+   * @param {Array<string>} texts - Embedded texts
+   * @returns {Promise<Array>} - Cached embedding or null for each text
+   */
+  async getMany(model, texts) {
+    await this.init();
+    return texts.map(text => this.get(model, text));
+  }
+
+  /**
+   * Store the embeddings of several texts
+   * @param {string} model - Embedding model ID
+   * @param {Array<string>} texts - Embedded texts
+   * @param {Array<Array<number>>} vectors - One embedding per text
+   */
+  setMany(model, texts, vectors) {
+    texts.forEach((text, index) => this.set(model, text, vectors[index]));
+  }
+
+  /**
+   * Store an embedding, evicting the least recently used ones beyond maxEntries
+   * @param {string} model - Embedding model ID
+   * @param {string} text - Embedded text
+   * @param {Array<number>} vector - Embedding
+   */
+  set(model, text, vector) {
+    if (!this.enabled) return;
+
+    const key = this.key(model, text);
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.evict();
+    this.schedulePersist();
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Write the cache to disk shortly after it changes, batching bursts of new embeddings
+   */
+  schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write all entries to disk, one write at a time
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const content = encodeEntries(this.entries);
+    const next = this.writeQueue.catch(() => {}).then(() => writeFileAtomic(this.filePath, content));
+    this.writeQueue = next.catch(error => {
+      console.error('❌ Failed to write embedding cache:', error.message);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Hit/miss counters and size
+   * @returns {object} - Cache metrics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      persistent: Boolean(this.filePath),
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      evictions: this.stats.evictions,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null
+    };
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+    return this.persist();
+  }
+}
+
+/**
+ * Stand-in for the cache inside an ingestion worker thread; forwards lookups and stores to the
+ * main thread's cache (answered by runIngestionWorker)
+ */
+class WorkerEmbeddingCache {
+  constructor(port) {
+    this.port = port;
+    this.pending = new Map();
+    this.nextRequestId = 0;
+
+    port.on('message', (message) => {
+      if (message.type !== 'cache-result') return;
+
+      this.pending.get(message.requestId)?.(message.vectors);
+      this.pending.delete(message.requestId);
+    });
+  }
+
+  get enabled() {
+    return true;
+  }
+
+  getMany(model, texts) {
+    return new Promise((resolve) => {
+      const requestId = this.nextRequestId++;
+      this.pending.set(requestId, resolve);
+      this.port.postMessage({ type: 'cache-get', requestId, model, texts });
+    });
+  }
+
+  setMany(model, texts, vectors) {
+    this.port.postMessage({ type: 'cache-set', model, texts, vectors });
+  }
+}
+
+/**
+ * Create the cache configured by EMBEDDING_CACHE_MAX_ENTRIES and EMBEDDING_CACHE_STORE ('file' or 'memory')
+ */
+function createEmbeddingCache() {
+  const maxEntries = process.env.EMBEDDING_CACHE_MAX_ENTRIES === undefined
+    ? 10000
+    : parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || 0;
+  const storeType = process.env.EMBEDDING_CACHE_STORE || 'file';
+
+  return new EmbeddingCache({
+    maxEntries,
+    filePath: storeType === 'memory' ? null : path.join(getDataDir(), 'embedding-cache.bin')
+  });
+}
+
+// Create singleton instance
+const embeddingCache = isMainThread ? createEmbeddingCache() : new WorkerEmbeddingCache(parentPort);
+
+module.exports = {
+  EmbeddingCache,
+  embeddingCache
+};
@@ -1,15 +1,39 @@
+const path = require('path');
 const axios = require('axios');
+const { setTimeout: sleep } = require('timers/promises');
+const { chunkDocument } = require('./pdfService');
+const { embeddingCache } = require('./embeddingCache');
+const { getDataDir } = require('../utils/fileUtils');
+
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const HUGGINGFACE_EMBEDDING_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
+const DEFAULT_LOCAL_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const SIMPLE_EMBEDDING_MODEL = 'simple-char-frequency';
+
+// Texts embedded per run of the local model; the signal is checked between batches
+const LOCAL_BATCH_SIZE = 16;
+
+// Loaded on first use so the ONNX runtime is only started when the local provider is selected
+let localPipelinePromise = null;
+
+/**
+ * Model run by the local provider (LOCAL_EMBEDDING_MODEL, a Hugging Face model ID with ONNX weights)
+ * @returns {string} - Model ID
+ */
+function getLocalEmbeddingModel() {
+  return process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_EMBEDDING_MODEL;
+}
 
 /**
  * Generate embeddings using Hugging Face Inference API (free)
  * @param {Array<string>} texts - Array of texts to embed
+ * @param {AbortSignal} signal - Optional signal that cancels the requests
  * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
  */
-async function generateEmbeddingsHuggingFace(texts) {
+async function generateEmbeddingsHuggingFace(texts, signal) {
   try {
     // Use the NEW correct API URL from Hugging Face
-    const model = 'sentence-transformers/all-MiniLM-L6-v2';
-    const apiUrl = `https://router.huggingface.co/hf-inference/models/${model}/pipeline/feature-extraction`;
+    const apiUrl = `https://router.huggingface.co/hf-inference/models/${HUGGINGFACE_EMBEDDING_MODEL}/pipeline/feature-extraction`;
 
     const embeddings = [];
 
@@ -24,7 +48,8 @@ async function generateEmbeddingsHuggingFace(texts) {
           'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
           'Content-Type': 'application/json'
         },
-        timeout: 30000
+        timeout: 30000,
+        signal
       });
 
       // Handle the response format from feature extraction pipeline
@@ -40,7 +65,7 @@ async function generateEmbeddingsHuggingFace(texts) {
       }
 
       // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
+      await sleep(200, undefined, { signal });
     }
 
     console.log(`🔢 Generated ${embeddings.length} embeddings using Hugging Face`);
@@ -55,9 +80,10 @@ async function generateEmbeddingsHuggingFace(texts) {
 /**
  * Generate embeddings using OpenAI API
  * @param {Array<string>} texts - Array of texts to embed
+ * @param {AbortSignal} signal - Optional signal that cancels the request
  * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
  */
-async function generateEmbeddingsOpenAI(texts) {
+async function generateEmbeddingsOpenAI(texts, signal) {
   try {
     const apiKey = process.env.OPENAI_API_KEY;
     if (!apiKey) {
@@ -66,13 +92,14 @@ async function generateEmbeddingsOpenAI(texts) {
 
     const response = await axios.post('https://api.openai.com/v1/embeddings', {
       input: texts,
-      model: 'text-embedding-3-small'
+      model: OPENAI_EMBEDDING_MODEL
     }, {
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
-      timeout: 30000
+      timeout: 30000,
+      signal
     });
 
     const embeddings = response.data.data.map(item => item.embedding);
@@ -85,6 +112,85 @@ async function generateEmbeddingsOpenAI(texts) {
   }
 }
 
+/**
+ * Load Transformers.js, an optional dependency only EMBEDDING_PROVIDER=local needs
+ * @returns {object} - The @huggingface/transformers module
+ */
+function requireTransformers() {
+  try {
+    return require('@huggingface/transformers');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('EMBEDDING_PROVIDER=local needs the optional @huggingface/transformers package; install it with "npm install @huggingface/transformers" in backend/ (with ONNXRUNTIME_NODE_INSTALL=skip where api.nuget.org is unreachable)', { cause: error });
+  }
+}
+
+/**
+ * Load the local feature-extraction pipeline (once per process)
+ * Models are downloaded from the Hugging Face hub on first use and kept in DATA_DIR/models.
+ * With LOCAL_EMBEDDING_MODEL_DIR set, models are only read from that directory and nothing is downloaded.
+ * @returns {Promise<function>} - Pipeline turning texts into a tensor of embeddings
+ */
+function loadLocalPipeline() {
+  if (!localPipelinePromise) {
+    localPipelinePromise = (async () => {
+      const { pipeline, env } = requireTransformers();
+
+      env.cacheDir = path.join(getDataDir(), 'models');
+      if (process.env.LOCAL_EMBEDDING_MODEL_DIR) {
+        env.localModelPath = process.env.LOCAL_EMBEDDING_MODEL_DIR;
+        env.allowRemoteModels = false;
+      }
+
+      const model = getLocalEmbeddingModel();
+      console.log(`📦 Loading local embedding model ${model}...`);
+      const extractor = await pipeline('feature-extraction', model);
+      console.log(`✅ Local embedding model ${model} loaded`);
+      return extractor;
+    })();
+
+    // Allow another attempt after a failed load (e.g. the hub was unreachable)
+    localPipelinePromise.catch(() => {
+      localPipelinePromise = null;
+    });
+  }
+  return localPipelinePromise;
+}
+
+/**
+ * Generate embeddings with a sentence-embedding model running in-process on the CPU
+ * @param {Array<string>} texts - Array of texts to embed
+ * @param {AbortSignal} signal - Optional signal that stops embedding between batches
+ * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
+ */
+async function generateEmbeddingsLocal(texts, signal) {
+  try {
+    const extractor = await loadLocalPipeline();
+    const embeddings = [];
+
+    for (let start = 0; start < texts.length; start += LOCAL_BATCH_SIZE) {
+      signal?.throwIfAborted();
+
+      // Mean-pooled and normalized, as the sentence-transformers models are trained to be used
+      // (inputs longer than the model's limit are truncated by its tokenizer)
+      const output = await extractor(texts.slice(start, start + LOCAL_BATCH_SIZE), {
+        pooling: 'mean',
+        normalize: true
+      });
+      embeddings.push(...output.tolist());
+    }
+
+    console.log(`🔢 Generated ${embeddings.length} embeddings using local model ${getLocalEmbeddingModel()}`);
+    return embeddings;
+
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error('Local embedding error:', error.message);
+    }
+    throw error;
+  }
+}
+
 /**
  * Generate simple embeddings using basic text features (fallback)
  * @param {Array<string>} texts - Array of texts to embed
@@ -114,56 +220,154 @@ async function generateEmbeddingsSimple(texts) {
 }
 
 /**
- * Main embedding function with fallback strategy
- * @param {Array<string>} texts - Array of texts to embed
+ * Embed texts with one strategy, serving texts it has embedded before from the embedding cache
+ * @param {object} strategy - Entry of getEmbeddingStrategies
+ * @param {Array<string>} texts - Texts to embed
+ * @param {AbortSignal} signal - Optional signal that cancels the requests
  * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
  */
-async function generateEmbeddings(texts) {
-  if (!Array.isArray(texts) || texts.length === 0) {
-    throw new Error('Invalid input: texts must be a non-empty array');
+async function embedWithCache(strategy, texts, signal) {
+  if (!strategy.cached || !embeddingCache.enabled) {
+    return strategy.function(texts, signal);
   }
 
-  // Clean and validate texts
-  const cleanTexts = texts.map(text => {
-    if (typeof text !== 'string') {
-      throw new Error('All texts must be strings');
-    }
-    return text.trim();
-  }).filter(text => text.length > 0);
+  const embeddings = await embeddingCache.getMany(strategy.model, texts);
+  const missing = [];
+  embeddings.forEach((embedding, index) => {
+    if (!embedding) missing.push(index);
+  });
 
-  if (cleanTexts.length === 0) {
-    throw new Error('No valid texts to embed after cleaning');
+  if (missing.length < texts.length) {
+    console.log(`💾 ${texts.length - missing.length} of ${texts.length} embeddings served from cache`);
+  }
+  if (missing.length === 0) {
+    return embeddings;
   }
 
-  // Try different embedding services in order of preference
-  const strategies = [
-    {
+  const missingTexts = missing.map(index => texts[index]);
+  const fresh = await strategy.function(missingTexts, signal);
+  missing.forEach((textIndex, i) => {
+    embeddings[textIndex] = fresh[i];
+  });
+  embeddingCache.setMany(strategy.model, missingTexts, fresh);
+
+  return embeddings;
+}
+
+/**
+ * Embedding strategies by EMBEDDING_PROVIDER name
+ * (model is recorded with the stored vectors and is the embedding cache key; the simple fallback
+ * is cheap enough not to cache)
+ * @returns {object} - Strategy per provider
+ */
+function getEmbeddingStrategies() {
+  return {
+    openai: {
       name: 'OpenAI',
+      model: OPENAI_EMBEDDING_MODEL,
+      cached: true,
       condition: () => process.env.OPENAI_API_KEY,
       function: generateEmbeddingsOpenAI
     },
-    {
+    huggingface: {
       name: 'Hugging Face',
+      model: HUGGINGFACE_EMBEDDING_MODEL,
+      cached: true,
       condition: () => true, // Always available (free tier)
       function: generateEmbeddingsHuggingFace
     },
-    {
+    local: {
+      name: 'Local model',
+      model: getLocalEmbeddingModel(),
+      cached: true,
+      condition: () => true,
+      function: generateEmbeddingsLocal
+    },
+    simple: {
       name: 'Simple Fallback',
+      model: SIMPLE_EMBEDDING_MODEL,
+      cached: false,
       condition: () => true,
       function: generateEmbeddingsSimple
     }
-  ];
-
-  for (const strategy of strategies) {
-    if (strategy.condition()) {
-      try {
-        console.log(`🚀 Trying ${strategy.name} for embeddings...`);
-        return await strategy.function(cleanTexts);
-      } catch (error) {
-        console.warn(`⚠️ ${strategy.name} failed:`, error.message);
-        if (strategy.name === 'Simple Fallback') {
-          throw error; // Don't continue if even fallback fails
-        }
+  };
+}
+
+/**
+ * Strategies to try, in order, for the configured EMBEDDING_PROVIDER
+ * 'auto' (default) tries OpenAI when a key is set, then Hugging Face, then the simple fallback;
+ * naming a provider uses only that one, so every vector comes from the same model.
+ * @returns {Array<object>} - Strategies
+ */
+function getConfiguredStrategies() {
+  const strategies = getEmbeddingStrategies();
+  const provider = (process.env.EMBEDDING_PROVIDER || 'auto').toLowerCase();
+
+  if (provider === 'auto') {
+    return [strategies.openai, strategies.huggingface, strategies.simple]
+      .filter(strategy => strategy.condition());
+  }
+
+  if (!strategies[provider]) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}" (expected auto, ${Object.keys(strategies).join(', ')})`);
+  }
+  return [strategies[provider]];
+}
+
+/**
+ * Model new vectors are meant to come from: the first strategy of the configured provider
+ * Stored vectors from any other model are left out of searches until they are re-indexed.
+ * @returns {string} - Model ID
+ */
+function getConfiguredEmbeddingModel() {
+  return getConfiguredStrategies()[0].model;
+}
+
+/**
+ * Main embedding function with fallback strategy, reporting which model produced the vectors
+ * @param {Array<string>} texts - Array of texts to embed
+ * @param {object} options - { signal } to cancel (an aborted request is not retried with the next strategy),
+ *   { model } to embed with that model only, without falling back
+ * @returns {Promise<object>} - { embeddings, model, dimension }
+ */
+async function generateEmbeddingsWithModel(texts, options = {}) {
+  const { signal } = options;
+
+  if (!Array.isArray(texts) || texts.length === 0) {
+    throw new Error('Invalid input: texts must be a non-empty array');
+  }
+
+  // Clean and validate texts
+  const cleanTexts = texts.map(text => {
+    if (typeof text !== 'string') {
+      throw new Error('All texts must be strings');
+    }
+    return text.trim();
+  }).filter(text => text.length > 0);
+
+  if (cleanTexts.length === 0) {
+    throw new Error('No valid texts to embed after cleaning');
+  }
+
+  // Try the configured embedding services in order of preference
+  const strategies = options.model
+    ? Object.values(getEmbeddingStrategies()).filter(strategy => strategy.model === options.model)
+    : getConfiguredStrategies();
+
+  if (strategies.length === 0) {
+    throw new Error(`No embedding provider for model "${options.model}"`);
+  }
+
+  for (const [index, strategy] of strategies.entries()) {
+    try {
+      console.log(`🚀 Trying ${strategy.name} for embeddings...`);
+      const embeddings = await embedWithCache(strategy, cleanTexts, signal);
+      return { embeddings, model: strategy.model, dimension: embeddings[0].length };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`⚠️ ${strategy.name} failed:`, error.message);
+      if (index === strategies.length - 1) {
+        throw error; // Don't continue if the last strategy fails
       }
     }
   }
@@ -171,6 +375,41 @@ async function generateEmbeddings(texts) {
   throw new Error('All embedding strategies failed');
 }
 
+/**
+ * Main embedding function with fallback strategy
+ * @param {Array<string>} texts - Array of texts to embed
+ * @param {object} options - { signal } to cancel; an aborted request is not retried with the next strategy
+ * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
+ */
+async function generateEmbeddings(texts, options = {}) {
+  const { embeddings } = await generateEmbeddingsWithModel(texts, options);
+  return embeddings;
+}
+
+/**
+ * Split a document's text into chunks and embed each chunk
+ * @param {string} text - Document text
+ * @param {object} options - { numPages, pages (per-page text for exact page numbers), format (of the parsed
+ *   text, 'markdown' chunks by structure), signal }
+ * @returns {Promise<object>} - { chunks: chunk objects from chunkDocument, embeddings: one vector per chunk,
+ *   model and dimension of the embeddings }
+ */
+async function embedDocument(text, options = {}) {
+  const chunks = chunkDocument(text, options);
+
+  if (chunks.length === 0) {
+    throw new Error('No text chunks generated from document');
+  }
+
+  console.log(`🔄 Generating embeddings for ${chunks.length} chunks...`);
+  const { embeddings, model, dimension } = await generateEmbeddingsWithModel(
+    chunks.map(chunk => chunk.text),
+    { signal: options.signal }
+  );
+
+  return { chunks, embeddings, model, dimension };
+}
+
 /**
  * Calculate cosine similarity between two vectors
  * @param {Array<number>} a - First vector
@@ -204,7 +443,11 @@ function cosineSimilarity(a, b) {
 
 module.exports = {
   generateEmbeddings,
+  generateEmbeddingsWithModel,
+  getConfiguredEmbeddingModel,
+  embedDocument,
   generateEmbeddingsHuggingFace,
+  generateEmbeddingsLocal,
   generateEmbeddingsOpenAI,
   generateEmbeddingsSimple,
   cosineSimilarity
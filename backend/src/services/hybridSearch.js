@@ -0,0 +1,237 @@
+// Hybrid Retrieval Helpers
+// A BM25 keyword index queried alongside vector search, and reciprocal-rank fusion to merge both rankings.
+// Exact identifiers (invoice numbers, account numbers, rare terms) are matched lexically even when
+// the embeddings don't separate them.
+
+// Standard reciprocal-rank fusion constant; higher values flatten the contribution of top ranks
+const RRF_K = 60;
+
+// Characters that join the parts of identifiers such as INV-2023-001, 4.5.1 or ACC_77
+const IDENTIFIER_JOINERS = /[-_./#,]/;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_./#,][\p{L}\p{N}]+)*/gu;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that',
+  'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'does', 'do',
+  'did', 'about', 'can', 'how', 'tell'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Compound identifiers are kept whole and also indexed by their parts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+  const tokens = [];
+
+  for (const match of (text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    const parts = token.split(IDENTIFIER_JOINERS).filter(Boolean);
+
+    if (parts.length > 1) {
+      tokens.push(token);
+    }
+    for (const part of parts) {
+      if (!STOP_WORDS.has(part)) {
+        tokens.push(part);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Normalize the document filter accepted by searchSimilarChunks
+ * @param {string|Array<string>|null} documentIds - One document ID, several, or null for all documents
+ * @returns {Array<string>|null} - Document IDs, or null for all documents
+ */
+function toDocumentIdList(documentIds) {
+  if (!documentIds) return null;
+  return Array.isArray(documentIds) ? documentIds : [documentIds];
+}
+
+/**
+ * In-memory Okapi BM25 index, partitioned by document
+ */
+class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    // documentId -> { chunks: Map(chunkId -> { termFreqs, length }), docFreqs: Map(term -> count), totalLength }
+    this.documents = new Map();
+  }
+
+  /**
+   * Index the chunks of a document, replacing any previous entry
+   * @param {string} documentId - Document ID
+   * @param {Array<object>} chunks - Chunks as { id, text }
+   */
+  addDocument(documentId, chunks) {
+    const entry = { chunks: new Map(), docFreqs: new Map(), totalLength: 0 };
+
+    for (const { id, text } of chunks) {
+      const terms = tokenize(text);
+      const termFreqs = new Map();
+      for (const term of terms) {
+        termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+      }
+      for (const term of termFreqs.keys()) {
+        entry.docFreqs.set(term, (entry.docFreqs.get(term) || 0) + 1);
+      }
+
+      entry.chunks.set(id, { termFreqs, length: terms.length });
+      entry.totalLength += terms.length;
+    }
+
+    this.documents.set(documentId, entry);
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} documentId - Document ID
+   * @returns {boolean} - True if the document was indexed
+   */
+  removeDocument(documentId) {
+    return this.documents.delete(documentId);
+  }
+
+  hasDocument(documentId) {
+    return this.documents.has(documentId);
+  }
+
+  /**
+   * Rank chunks by BM25 score
+   * @param {string} query - Search query
+   * @param {string|Array<string>|null} documentIds - Restrict to these documents (all documents if null)
+   * @param {number} limit - Maximum number of results
+   * @returns {Array<object>} - Matching chunks as { id, score }, best first
+   */
+  search(query, documentIds = null, limit = 20) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const documentIdList = toDocumentIdList(documentIds);
+    const entries = documentIdList
+      ? documentIdList.map(documentId => this.documents.get(documentId)).filter(Boolean)
+      : Array.from(this.documents.values());
+
+    if (queryTerms.length === 0 || entries.length === 0) {
+      return [];
+    }
+
+    // Corpus statistics over the searched documents
+    let chunkCount = 0;
+    let totalLength = 0;
+    for (const entry of entries) {
+      chunkCount += entry.chunks.size;
+      totalLength += entry.totalLength;
+    }
+    const averageLength = totalLength / chunkCount || 1;
+
+    const idf = new Map();
+    for (const term of queryTerms) {
+      const docFreq = entries.reduce((sum, entry) => sum + (entry.docFreqs.get(term) || 0), 0);
+      if (docFreq > 0) {
+        idf.set(term, Math.log(1 + (chunkCount - docFreq + 0.5) / (docFreq + 0.5)));
+      }
+    }
+
+    if (idf.size === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const entry of entries) {
+      for (const [id, { termFreqs, length }] of entry.chunks) {
+        let score = 0;
+        for (const [term, termIdf] of idf) {
+          const freq = termFreqs.get(term);
+          if (!freq) continue;
+          score += termIdf * (freq * (this.k1 + 1)) /
+            (freq + this.k1 * (1 - this.b + this.b * length / averageLength));
+        }
+        if (score > 0) {
+          results.push({ id, score });
+        }
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+}
+
+/**
+ * Merge vector and lexical rankings with reciprocal-rank fusion
+ * @param {Array<string>} vectorRanking - Chunk IDs ordered by vector similarity
+ * @param {Array<object>} lexicalResults - BM25 results as { id, score }, best first
+ * @param {Map} chunks - Chunk ID -> { content, metadata, vectorScore } for every ranked chunk
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<object>} - Chunks with similarity, vectorScore, lexicalScore and fusedScore, best first
+ */
+function fuseResults(vectorRanking, lexicalResults, chunks, limit) {
+  const fused = new Map();
+  const getEntry = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { fusedScore: 0, lexicalScore: 0, vectorRank: null, lexicalRank: null });
+    }
+    return fused.get(id);
+  };
+
+  vectorRanking.forEach((id, index) => {
+    const entry = getEntry(id);
+    entry.vectorRank = index + 1;
+    entry.fusedScore += 1 / (RRF_K + index + 1);
+  });
+
+  lexicalResults.forEach(({ id, score }, index) => {
+    const entry = getEntry(id);
+    entry.lexicalRank = index + 1;
+    entry.lexicalScore = score;
+    entry.fusedScore += 1 / (RRF_K + index + 1);
+  });
+
+  // Equal fused scores go to the better vector rank, then the better lexical rank
+  const byRank = (rank) => rank ?? Number.MAX_SAFE_INTEGER;
+
+  return Array.from(fused.entries())
+    .filter(([id]) => chunks.has(id))
+    .sort((a, b) => b[1].fusedScore - a[1].fusedScore ||
+      byRank(a[1].vectorRank) - byRank(b[1].vectorRank) ||
+      byRank(a[1].lexicalRank) - byRank(b[1].lexicalRank))
+    .slice(0, limit)
+    .map(([id, entry]) => {
+      const chunk = chunks.get(id);
+      return {
+        content: chunk.content,
+        similarity: chunk.vectorScore,
+        metadata: chunk.metadata,
+        id,
+        vectorScore: chunk.vectorScore,
+        lexicalScore: entry.lexicalScore,
+        fusedScore: entry.fusedScore,
+        vectorRank: entry.vectorRank,
+        lexicalRank: entry.lexicalRank
+      };
+    });
+}
+
+/**
+ * Number of candidates to take from each ranking before fusion
+ * @param {number} limit - Number of results requested
+ * @returns {number} - Candidate pool size
+ */
+function getCandidatePoolSize(limit) {
+  return Math.max(limit * 4, 20);
+}
+
+module.exports = {
+  BM25Index,
+  tokenize,
+  fuseResults,
+  getCandidatePoolSize,
+  toDocumentIdList,
+  RRF_K
+};
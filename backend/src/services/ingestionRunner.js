@@ -0,0 +1,91 @@
+// Ingestion Runner
+// Runs the parse/chunk/embed stage of a processing job in a worker thread (src/workers/ingestionWorker.js)
+// so large uploads don't hold up chat requests on the main event loop.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { embeddingCache } = require('./embeddingCache');
+
+const WORKER_SCRIPT = path.join(__dirname, '../workers/ingestionWorker.js');
+
+/**
+ * Rebuild an error reported by the worker
+ * @param {object} data - Serialized error ({ message, code, status, cause })
+ * @returns {Error} - Error with the same code, status and cause chain
+ */
+function deserializeError(data) {
+  const error = new Error(data.message, data.cause ? { cause: deserializeError(data.cause) } : undefined);
+  if (data.code) error.code = data.code;
+  if (data.status) error.status = data.status;
+  return error;
+}
+
+/**
+ * Parse, chunk and embed an uploaded PDF in a worker thread
+ * @param {string} filePath - Uploaded PDF
+ * @param {object} options - Worker options
+ * @param {string} options.fileType - Upload type passed to processDocument (default 'pdf')
+ * @param {string} options.parser - Parser name passed to processPDF
+ * @param {object} options.converted - Earlier conversion of a non-PDF upload, passed to processDocument
+ * @param {AbortSignal} options.signal - Terminates the worker when aborted
+ * @param {Function} options.onProgress - Called with (progress, message) while parsing
+ * @param {Function} options.onParsed - Called with { numPages, textLength } once parsing is done
+ * @returns {Promise<object>} - { pdfResult: result of processDocument, embeddedChunks: result of embedDocument }
+ */
+function runIngestionWorker(filePath, { fileType, parser, converted, signal, onProgress, onParsed } = {}) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const worker = new Worker(WORKER_SCRIPT, { workerData: { filePath, fileType, parser, converted } });
+    let settled = false;
+
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      callback(value);
+    };
+
+    const onAbort = () => settle(reject, signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.on('message', (message) => {
+      // terminate() is asynchronous, so messages queued before it still arrive; once the job
+      // has settled or been cancelled only the cache traffic is still worth handling
+      const isCacheMessage = message.type === 'cache-get' || message.type === 'cache-set';
+      if ((settled || signal?.aborted) && !isCacheMessage) return;
+
+      switch (message.type) {
+        case 'progress':
+          onProgress?.(message.progress, message.message);
+          break;
+        case 'parsed':
+          onParsed?.({ numPages: message.numPages, textLength: message.textLength });
+          break;
+        case 'done':
+          settle(resolve, { pdfResult: message.pdfResult, embeddedChunks: message.embeddedChunks });
+          break;
+        case 'error':
+          settle(reject, deserializeError(message.error));
+          break;
+        // The worker shares this thread's embedding cache
+        case 'cache-get':
+          embeddingCache.getMany(message.model, message.texts)
+            .then(vectors => worker.postMessage({ type: 'cache-result', requestId: message.requestId, vectors }))
+            .catch(() => worker.postMessage({ type: 'cache-result', requestId: message.requestId, vectors: message.texts.map(() => null) }));
+          break;
+        case 'cache-set':
+          embeddingCache.setMany(message.model, message.texts, message.vectors);
+          break;
+      }
+    });
+
+    worker.on('error', error => settle(reject, error));
+    worker.on('exit', code => settle(reject, new Error(`Ingestion worker exited unexpectedly (code ${code})`)));
+  });
+}
+
+module.exports = {
+  runIngestionWorker
+};
@@ -0,0 +1,131 @@
+// Job Journal
+// Append-only log of job state changes so the job queue survives restarts. Every line is one
+// JSON entry: { op: 'put', job } with the job's latest state, or { op: 'delete', jobId }.
+// Replaying the file yields the current jobs; compact() rewrites it with just those.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDataDir } = require('../utils/fileUtils');
+
+// Job fields holding dates (stored as ISO strings)
+const DATE_FIELDS = ['createdAt', 'startedAt', 'completedAt', 'nextAttemptAt'];
+
+/**
+ * Strip runtime-only state from a job before it is written
+ * @param {object} job - Job from the queue
+ * @returns {object} - Serializable job record
+ */
+function toRecord(job) {
+  const { abortController, convertedDocument, ...record } = job;
+  return record;
+}
+
+/**
+ * Turn a stored record back into a job
+ * @param {object} record - Job record from the journal
+ * @returns {object} - Job with Date fields restored
+ */
+function fromRecord(record) {
+  const job = { ...record, abortController: null };
+  for (const field of DATE_FIELDS) {
+    job[field] = job[field] ? new Date(job[field]) : null;
+  }
+  return job;
+}
+
+class JobJournal {
+  /**
+   * @param {string} filePath - Journal file
+   */
+  constructor(filePath = path.join(getDataDir(), 'jobs.jsonl')) {
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Replay the journal
+   * @returns {Promise<Array>} - Jobs as of the last entry, in the order they were added
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A write cut short by a crash leaves a partial last line
+        console.warn(`⚠️ Skipping unreadable job journal entry: ${line.slice(0, 80)}`);
+        continue;
+      }
+
+      if (entry.op === 'put') {
+        records.set(entry.job.id, entry.job);
+      } else if (entry.op === 'delete') {
+        records.delete(entry.jobId);
+      }
+    }
+
+    return Array.from(records.values()).map(fromRecord);
+  }
+
+  /**
+   * Queue a write; writes happen one at a time in the order they were made
+   */
+  enqueue(write) {
+    const next = this.writeQueue.catch(() => {}).then(write);
+    this.writeQueue = next.catch(error => {
+      console.error('❌ Failed to write job journal:', error.message);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Record a job's current state
+   * @param {object} job - Job from the queue
+   */
+  put(job) {
+    const line = JSON.stringify({ op: 'put', job: toRecord(job) }) + '\n';
+    return this.enqueue(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, line);
+    });
+  }
+
+  /**
+   * Record that a job was removed
+   * @param {string} jobId - Job ID
+   */
+  delete(jobId) {
+    const line = JSON.stringify({ op: 'delete', jobId }) + '\n';
+    return this.enqueue(() => fs.appendFile(this.filePath, line));
+  }
+
+  /**
+   * Rewrite the journal with one entry per current job
+   * @param {Array} jobs - Jobs in the queue
+   */
+  compact(jobs) {
+    const lines = jobs.map(job => JSON.stringify({ op: 'put', job: toRecord(job) })).join('\n');
+    return this.enqueue(async () => {
+      // Write to a temp file, then rename, so a crash never leaves a half-written journal
+      const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, lines ? lines + '\n' : '');
+      await fs.rename(tempPath, this.filePath);
+    });
+  }
+}
+
+module.exports = {
+  JobJournal
+};
@@ -1,34 +1,178 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const { documentStatusService, STATUS } = require('../services/documentStatusService');
+const { JobJournal } = require('./jobJournal');
+const { runIngestionWorker } = require('./ingestionRunner');
+const { tableService } = require('./tableService');
+const { deleteFile, fileExists } = require('../utils/fileUtils');
+
+// Higher runs first; jobs of equal priority run in the order they were added
+const PRIORITY_RANK = {
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+// Network errors worth retrying; anything else without a 429/5xx status is treated as permanent
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Check whether a job failed because an external provider (LlamaParse, embeddings, Chroma)
+ * was unavailable or rate limited, following wrapped errors through `cause`
+ * @param {Error} error - Error thrown by the job
+ * @returns {boolean} - True if retrying later may succeed
+ */
+function isProviderError(error) {
+  for (let current = error; current; current = current.cause) {
+    const status = current.response?.status ?? current.status;
+    if (status === 429 || status >= 500) return true;
+    if (TRANSIENT_ERROR_CODES.includes(current.code)) return true;
+  }
+  return false;
+}
 
 class JobQueue extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} options - { concurrency, maxAttempts, retryBaseDelayMs, retryMaxDelayMs,
+   *   journal: JobJournal that persists jobs (in-memory only if omitted),
+   *   ingestionMode: 'inline' to process PDFs on the main thread or 'worker' for a worker thread per job }
+   */
+  constructor(options = {}) {
     super();
     this.jobs = new Map();
     this.processing = new Set();
-    this.maxConcurrent = 2; // Process max 2 large documents simultaneously
+    this.maxConcurrent = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 2000;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 60000;
+    this.journal = options.journal || null;
+    this.ingestionMode = options.ingestionMode || process.env.INGESTION_MODE || 'inline';
+    this.sequence = 0;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Reload jobs from the journal after a restart. Queued jobs stay queued and jobs that were
+   * interrupted mid-run are queued again; either fails instead if its upload is gone, or if an
+   * interrupted job has used up its attempts. Documents of unfinished jobs get their status back.
+   * @returns {Promise<object>} - { restored, requeued, failed }
+   */
+  async recover() {
+    const summary = { restored: 0, requeued: 0, failed: 0 };
+    if (!this.journal) return summary;
+
+    const { deleteDocument } = require('../../services/vectorServiceSelector');
+    const jobs = (await this.journal.load()).filter(job => !this.jobs.has(job.id));
+    const interrupted = new Set();
+
+    for (const job of jobs) {
+      if (job.status === 'processing') {
+        Object.assign(job, { status: 'queued', progress: 0, startedAt: null, statusMessage: 'Requeued after a server restart' });
+        interrupted.add(job);
+      }
+
+      this.jobs.set(job.id, job);
+      this.sequence = Math.max(this.sequence, job.sequence + 1);
+      this.restoreDocumentStatus(job);
+      summary.restored++;
+    }
+
+    for (const job of jobs) {
+      if (job.status !== 'queued') continue;
+
+      if (!fileExists(job.filePath)) {
+        this.failJob(job.id, new Error('The uploaded file is no longer available'));
+        summary.failed++;
+      } else if (interrupted.has(job) && job.attempts >= job.maxAttempts) {
+        this.failJob(job.id, new Error('Processing was interrupted by a server restart'));
+        summary.failed++;
+      } else if (interrupted.has(job)) {
+        // Drop anything the interrupted run managed to store before it starts over
+        try {
+          await deleteDocument(job.documentId);
+          await tableService.deleteTables(job.documentId);
+        } catch (error) {
+          console.warn(`⚠️ Failed to discard vectors of interrupted job ${job.id}:`, error.message);
+        }
+        summary.requeued++;
+      }
+    }
+
+    await this.journal.compact(Array.from(this.jobs.values()));
+    console.log(`📋 Recovered ${summary.restored} jobs (${summary.requeued} requeued after interruption, ${summary.failed} failed)`);
+
+    this.processNext();
+    return summary;
+  }
+
+  /**
+   * Give the document of a recovered, unfinished job its status back
+   * (completed documents are restored from the vector store instead)
+   * @param {object} job - Recovered job
+   */
+  restoreDocumentStatus(job) {
+    if (job.type !== 'pdf_processing' || !job.documentId || job.status === 'completed') return;
+    if (documentStatusService.getStatus(job.documentId)) return;
+
+    const statusByJobStatus = {
+      queued: STATUS.PROCESSING,
+      failed: STATUS.ERROR,
+      cancelled: STATUS.CANCELLED
+    };
+
+    documentStatusService.setStatus(job.documentId, statusByJobStatus[job.status], {
+      filename: job.filename,
+      fileSize: job.fileSize,
+      numPages: job.pageCount,
+      ownerId: job.ownerId,
+      contentHash: job.contentHash,
+      uploadedAt: job.uploadedAt,
+      progress: job.progress,
+      progressMessage: job.statusMessage || '',
+      ...(job.error && { error: job.error })
+    });
+  }
+
+  /**
+   * Check whether a priority name is supported
+   * @param {string} priority - Priority name
+   * @returns {boolean} - True for high, normal and low
+   */
+  isValidPriority(priority) {
+    return Object.prototype.hasOwnProperty.call(PRIORITY_RANK, priority);
   }
 
   /**
    * Add a job to the queue
+   * @param {object} jobData - Job fields; `priority` is 'high', 'normal' (default) or 'low', a PDF
+   *   job's `fileType` is the upload type ('pdf' by default, see documentConverter), its `parser`
+   *   names the PDF parser to use (default: PDF_PARSER) and its optional `convertedDocument` holds
+   *   the conversion upload validation already did (kept in memory only, not journaled)
    */
   addJob(jobData) {
     const jobId = uuidv4();
     const job = {
       id: jobId,
       ...jobData,
+      priority: this.isValidPriority(jobData.priority) ? jobData.priority : 'normal',
+      sequence: this.sequence++,
       status: 'queued',
       progress: 0,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: null,
+      abortController: null,
       createdAt: new Date(),
       startedAt: null,
       completedAt: null,
       error: null,
+      lastError: null,
       result: null
     };
 
     this.jobs.set(jobId, job);
-    console.log(`📋 Job ${jobId} added to queue: ${job.type}`);
+    this.journal?.put(job);
+    console.log(`📋 Job ${jobId} added to queue: ${job.type} (${job.priority} priority)`);
     
     // Try to process immediately if capacity available
     this.processNext();
@@ -43,6 +187,151 @@ class JobQueue extends EventEmitter {
     return this.jobs.get(jobId);
   }
 
+  /**
+   * Check whether a job's run is still winding down (e.g. after it was cancelled)
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - True while the job holds a processing slot
+   */
+  isRunning(jobId) {
+    return this.processing.has(jobId);
+  }
+
+  /**
+   * Cancel a queued or processing job. A processing job is aborted; its slot is freed
+   * and anything it stored is dropped once it stops. The uploaded file is kept so the
+   * job can be retried.
+   * @param {string} jobId - Job ID
+   * @returns {object|null} - Cancelled job, or null if missing or already finished
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['queued', 'processing'].includes(job.status)) return null;
+
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    job.nextAttemptAt = null;
+    job.abortController?.abort();
+
+    console.log(`🛑 Job ${jobId} cancelled`);
+
+    if (job.type === 'pdf_processing' && job.documentId) {
+      documentStatusService.markCancelled(job.documentId);
+    }
+
+    this.journal?.put(job);
+    this.emit('cancelled', { jobId, documentId: job.documentId });
+    return job;
+  }
+
+  /**
+   * Queue a failed or cancelled job again from the start
+   * @param {string} jobId - Job ID
+   * @returns {object|null} - Requeued job, or null if missing, not failed/cancelled or still stopping
+   */
+  retryJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['failed', 'cancelled'].includes(job.status) || this.isRunning(jobId)) return null;
+
+    Object.assign(job, {
+      status: 'queued',
+      progress: 0,
+      statusMessage: 'Queued for retry',
+      attempts: 0,
+      nextAttemptAt: null,
+      abortController: null,
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      lastError: null,
+      result: null,
+      sequence: this.sequence++
+    });
+
+    console.log(`🔁 Job ${jobId} queued for retry`);
+
+    if (job.type === 'pdf_processing' && job.documentId) {
+      documentStatusService.setStatus(job.documentId, STATUS.PROCESSING, {
+        progress: 0,
+        progressMessage: 'Queued for retry',
+        error: null,
+        processingStartedAt: new Date().toISOString()
+      });
+    }
+
+    this.journal?.put(job);
+    this.emit('queued', { jobId, documentId: job.documentId });
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * Remove every job for a document. Queued jobs are dropped; a job that is already
+   * processing is aborted and its results are discarded once it stops.
+   * @param {string} documentId - Document ID
+   * @returns {Array} - Removed jobs
+   */
+  removeJobsForDocument(documentId) {
+    const removed = [];
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.documentId !== documentId) continue;
+
+      if (job.status === 'processing') {
+        job.removed = true;
+        job.abortController?.abort();
+      }
+      this.jobs.delete(jobId);
+      this.journal?.delete(jobId);
+      removed.push(job);
+
+      console.log(`🗑️ Job ${jobId} removed (was ${job.status})`);
+      this.emit('removed', { jobId, documentId });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Free the slot of a cancelled or removed job that has stopped running and drop anything it stored
+   */
+  async discardAbortedJob(job) {
+    const { deleteDocument } = require('../../services/vectorServiceSelector');
+
+    try {
+      await deleteDocument(job.documentId);
+      await tableService.deleteTables(job.documentId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to discard vectors of aborted job ${job.id}:`, error.message);
+    }
+    this.processing.delete(job.id);
+    console.log(`🗑️ Discarded results of ${job.removed ? 'removed' : 'cancelled'} job ${job.id}`);
+
+    this.processNext();
+  }
+
+  /**
+   * Put a job that hit a provider error back in the queue after an exponential backoff delay
+   * @param {object} job - Job
+   * @param {Error} error - Provider error
+   */
+  scheduleRetry(job, error) {
+    const delay = Math.min(this.retryBaseDelayMs * 2 ** (job.attempts - 1), this.retryMaxDelayMs);
+    const message = `Provider error, retrying in ${Math.ceil(delay / 1000)}s (attempt ${job.attempts + 1} of ${job.maxAttempts})`;
+
+    job.status = 'queued';
+    job.nextAttemptAt = new Date(Date.now() + delay);
+    job.lastError = error.message || String(error);
+    job.abortController = null;
+    this.processing.delete(job.id);
+
+    console.warn(`⏳ Job ${job.id} failed with a provider error (${job.lastError}), retrying in ${delay}ms`);
+    this.updateProgress(job.id, job.progress, message);
+    this.journal?.put(job);
+    this.emit('retrying', { jobId: job.id, documentId: job.documentId, attempt: job.attempts, delayMs: delay, error: job.lastError });
+
+    this.processNext();
+  }
+
   /**
    * Update job progress
    */
@@ -53,12 +342,14 @@ class JobQueue extends EventEmitter {
       if (message) job.statusMessage = message;
 
       console.log(`📊 Job ${jobId} progress: ${job.progress}%${message ? ` - ${message}` : ''}`);
-      this.emit('progress', { jobId, progress: job.progress, message });
 
       // Update document status if this is a PDF processing job
       if (job.type === 'pdf_processing' && job.documentId) {
         documentStatusService.updateProgress(job.documentId, job.progress, message);
       }
+
+      // Emitted after the document status is updated so listeners can read it
+      this.emit('progress', { jobId, documentId: job.documentId, progress: job.progress, message });
     }
   }
 
@@ -75,7 +366,9 @@ class JobQueue extends EventEmitter {
 
       this.processing.delete(jobId);
       console.log(`✅ Job ${jobId} completed`);
-      this.emit('completed', { jobId, result });
+
+      // The upload is only needed while the job can still run
+      deleteFile(job.filePath);
 
       // Mark document as completed if this is a PDF processing job
       if (job.type === 'pdf_processing' && job.documentId) {
@@ -84,18 +377,25 @@ class JobQueue extends EventEmitter {
           fileSize: job.fileSize,
           numPages: result.numPages,
           chunksCreated: result.chunksCreated,
+          tableCount: result.tableCount || 0,
+          embeddingModel: result.embeddingModel || null,
+          embeddingDimension: result.embeddingDimension || null,
           processingTime: result.processingTime,
+          parser: result.metadata?.parser || null,
           jobId: jobId
         });
       }
 
+      this.journal?.put(job);
+      this.emit('completed', { jobId, documentId: job.documentId, result });
+
       // Process next job in queue
       this.processNext();
     }
   }
 
   /**
-   * Mark job as failed
+   * Mark job as failed (the uploaded file is kept so the job can be retried)
    */
   failJob(jobId, error) {
     const job = this.jobs.get(jobId);
@@ -106,33 +406,57 @@ class JobQueue extends EventEmitter {
 
       this.processing.delete(jobId);
       console.error(`❌ Job ${jobId} failed:`, error);
-      this.emit('failed', { jobId, error: job.error });
 
       // Mark document as error if this is a PDF processing job
       if (job.type === 'pdf_processing' && job.documentId) {
         documentStatusService.markError(job.documentId, job.error);
       }
 
+      this.journal?.put(job);
+      this.emit('failed', { jobId, documentId: job.documentId, error: job.error });
+
       // Process next job in queue
       this.processNext();
     }
   }
 
   /**
-   * Process next job in queue
+   * Start queued jobs until the queue is at capacity, highest priority first.
+   * Jobs waiting out a retry delay are skipped and picked up when their delay ends.
    */
   processNext() {
-    if (this.processing.size >= this.maxConcurrent) {
-      return; // At capacity
+    const now = Date.now();
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => (PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority]) || (a.sequence - b.sequence));
+
+    for (const job of queued) {
+      if (this.processing.size >= this.maxConcurrent) {
+        return; // At capacity
+      }
+      if (!job.nextAttemptAt || job.nextAttemptAt.getTime() <= now) {
+        this.startJob(job.id);
+      }
     }
 
-    // Find next queued job
-    const queuedJob = Array.from(this.jobs.values())
-      .find(job => job.status === 'queued');
+    this.scheduleNextRetry();
+  }
 
-    if (queuedJob) {
-      this.startJob(queuedJob.id);
-    }
+  /**
+   * Wake the queue up when the earliest pending retry is due
+   */
+  scheduleNextRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const retryTimes = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && job.nextAttemptAt)
+      .map(job => job.nextAttemptAt.getTime());
+    if (retryTimes.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+    this.retryTimer = setTimeout(() => this.processNext(), delay);
+    this.retryTimer.unref();
   }
 
   /**
@@ -144,10 +468,14 @@ class JobQueue extends EventEmitter {
 
     job.status = 'processing';
     job.startedAt = new Date();
+    job.attempts++;
+    job.nextAttemptAt = null;
+    job.abortController = new AbortController();
     this.processing.add(jobId);
 
-    console.log(`🚀 Starting job ${jobId}: ${job.type}`);
-    this.emit('started', { jobId });
+    console.log(`🚀 Starting job ${jobId}: ${job.type} (attempt ${job.attempts} of ${job.maxAttempts})`);
+    this.journal?.put(job);
+    this.emit('started', { jobId, documentId: job.documentId });
 
     try {
       // Process the job based on type
@@ -155,40 +483,84 @@ class JobQueue extends EventEmitter {
         await this.processPdfJob(job);
       }
     } catch (error) {
-      this.failJob(jobId, error);
+      this.handleJobError(job, error);
     }
   }
 
   /**
-   * Process PDF job with progress tracking
+   * Decide what happens to a job whose run threw: discard it if it was aborted,
+   * retry it later if a provider failed, otherwise mark it as failed
+   */
+  handleJobError(job, error) {
+    if (job.abortController?.signal.aborted) {
+      return this.discardAbortedJob(job);
+    }
+    if (isProviderError(error) && job.attempts < job.maxAttempts) {
+      return this.scheduleRetry(job, error);
+    }
+    this.failJob(job.id, error);
+  }
+
+  /**
+   * Process PDF job with progress tracking (also used for the other upload types, see job.fileType)
    */
   async processPdfJob(job) {
-    const { processPDF } = require('./pdfService');
+    const { processDocument } = require('./documentConverter');
     const { vectorizeDocument } = require('../../services/vectorServiceSelector');
-    
+    const { signal } = job.abortController;
+
     try {
       this.updateProgress(job.id, 10, 'Starting PDF processing...');
-      
-      // Process PDF with progress callbacks
-      const pdfResult = await processPDF(job.filePath, {
-        onProgress: (progress, message) => {
-          // PDF processing takes 60% of total progress
-          this.updateProgress(job.id, 10 + (progress * 0.6), message);
-        }
-      });
-
-      this.updateProgress(job.id, 70, 'PDF processed, creating embeddings...');
 
-      // Update document status to vectorizing
-      if (job.documentId) {
-        documentStatusService.setStatus(job.documentId, STATUS.VECTORIZING, {
-          filename: job.filename,
-          fileSize: job.fileSize,
-          numPages: pdfResult.numPages,
-          textLength: pdfResult.text.length
+      // PDF processing takes 60% of total progress
+      const onProgress = (progress, message) => {
+        this.updateProgress(job.id, 10 + (progress * 0.6), message);
+      };
+
+      const onParsed = ({ numPages, textLength }) => {
+        this.updateProgress(job.id, 70, 'PDF processed, creating embeddings...');
+
+        // Update document status to vectorizing
+        if (job.documentId) {
+          documentStatusService.setStatus(job.documentId, STATUS.VECTORIZING, {
+            filename: job.filename,
+            fileSize: job.fileSize,
+            numPages,
+            textLength
+          });
+        }
+      };
+
+      let pdfResult;
+      let embeddedChunks;
+
+      if (this.ingestionMode === 'worker') {
+        // Parse, chunk and embed in a worker thread; only storing the chunks happens on this thread
+        ({ pdfResult, embeddedChunks } = await runIngestionWorker(job.filePath, {
+          fileType: job.fileType,
+          parser: job.parser,
+          converted: job.convertedDocument,
+          signal,
+          onProgress,
+          onParsed
+        }));
+      } else {
+        pdfResult = await processDocument(job.filePath, {
+          fileType: job.fileType,
+          parser: job.parser,
+          converted: job.convertedDocument,
+          signal,
+          onProgress
         });
+        signal.throwIfAborted();
+        onParsed({ numPages: pdfResult.numPages, textLength: pdfResult.text.length });
       }
 
+      // Only needed once; a retry converts the file again
+      job.convertedDocument = null;
+
+      signal.throwIfAborted();
+
       // Vectorize document
       const vectorResult = await vectorizeDocument(
         job.documentId,
@@ -196,11 +568,16 @@ class JobQueue extends EventEmitter {
         {
           filename: job.filename,
           uploadedAt: job.uploadedAt,
+          ownerId: job.ownerId,
+          contentHash: job.contentHash,
           fileSize: job.fileSize,
           numPages: pdfResult.numPages,
           pdfMetadata: pdfResult.metadata
         },
         {
+          pages: pdfResult.pages,
+          embeddedChunks,
+          signal,
           onProgress: (progress, message) => {
             // Vectorization takes remaining 30% of progress
             this.updateProgress(job.id, 70 + (progress * 0.3), message);
@@ -208,6 +585,12 @@ class JobQueue extends EventEmitter {
         }
       );
 
+      // Tables are stored as rows next to the chunks, which only hold them as markdown text
+      const tables = pdfResult.tables || [];
+      await tableService.saveTables(job.documentId, tables);
+
+      signal.throwIfAborted();
+
       // Complete the job
       this.completeJob(job.id, {
         documentId: job.documentId,
@@ -215,58 +598,83 @@ class JobQueue extends EventEmitter {
         fileSize: job.fileSize,
         numPages: pdfResult.numPages,
         chunksCreated: vectorResult.chunksCreated,
+        tableCount: tables.length,
+        embeddingModel: vectorResult.embeddingModel,
+        embeddingDimension: vectorResult.embeddingDimension,
         processingTime: vectorResult.processingTime,
         metadata: pdfResult.metadata
       });
 
     } catch (error) {
-      this.failJob(job.id, error);
+      this.handleJobError(job, error);
     }
   }
 
   /**
    * Get queue statistics
+   * @param {object} options - { ownerId } to count only that user's jobs
    */
-  getStats() {
-    const jobs = Array.from(this.jobs.values());
+  getStats({ ownerId } = {}) {
+    const jobs = Array.from(this.jobs.values()).filter(job => !ownerId || job.ownerId === ownerId);
     return {
       total: jobs.length,
       queued: jobs.filter(j => j.status === 'queued').length,
       processing: jobs.filter(j => j.status === 'processing').length,
       completed: jobs.filter(j => j.status === 'completed').length,
       failed: jobs.filter(j => j.status === 'failed').length,
+      cancelled: jobs.filter(j => j.status === 'cancelled').length,
+      waitingForRetry: jobs.filter(j => j.status === 'queued' && j.nextAttemptAt).length,
       processingCapacity: this.maxConcurrent,
-      currentlyProcessing: this.processing.size
+      currentlyProcessing: ownerId
+        ? jobs.filter(j => this.processing.has(j.id)).length
+        : this.processing.size
     };
   }
 
   /**
-   * Clean up old completed jobs (older than 1 hour)
+   * Clean up old finished jobs (older than 1 hour) and the uploads kept for retrying them
    */
   cleanup() {
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
     let cleaned = 0;
 
     for (const [jobId, job] of this.jobs.entries()) {
-      if ((job.status === 'completed' || job.status === 'failed') && 
-          job.completedAt && job.completedAt < oneHourAgo) {
+      if (['completed', 'failed', 'cancelled'].includes(job.status) &&
+          job.completedAt && job.completedAt < oneHourAgo && !this.isRunning(jobId)) {
         this.jobs.delete(jobId);
+        this.journal?.delete(jobId);
+        if (job.status !== 'completed') {
+          deleteFile(job.filePath);
+        }
         cleaned++;
       }
     }
 
     if (cleaned > 0) {
       console.log(`🧹 Cleaned up ${cleaned} old jobs`);
+      this.journal?.compact(Array.from(this.jobs.values()));
     }
   }
 }
 
+/**
+ * Create the journal configured by JOB_STORE ('file' or 'memory')
+ */
+function createJobJournal() {
+  const storeType = process.env.JOB_STORE || 'file';
+
+  if (storeType === 'memory') {
+    return null;
+  }
+  return new JobJournal();
+}
+
 // Create singleton instance
-const jobQueue = new JobQueue();
+const jobQueue = new JobQueue({ journal: createJobJournal() });
 
-// Clean up old jobs every 30 minutes
+// Clean up old jobs every 30 minutes (without keeping the process alive for it)
 setInterval(() => {
   jobQueue.cleanup();
-}, 30 * 60 * 1000);
+}, 30 * 60 * 1000).unref();
 
 module.exports = jobQueue;
@@ -0,0 +1,231 @@
+// Markdown Chunker
+// Splits markdown (from LlamaParse) along its structure instead of at arbitrary characters:
+// headings start new chunks, chunks end between list items, tables, code blocks and paragraphs,
+// and a table or code block is never cut in two. Every chunk records the headings it sits under.
+
+// Separator used when a heading path is shown as text, e.g. "Section 3 > Fees"
+const HEADING_PATH_SEPARATOR = ' > ';
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d{1,3}[.)])\s+/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+// Horizontal rules, which LlamaParse also puts between pages
+const RULE_PATTERN = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+/**
+ * Split text into lines with their character offsets
+ * @param {string} text - Text
+ * @returns {Array<object>} - Lines of { text, start, end } (end excludes the newline)
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+
+  while (start <= text.length) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 ? text.length : newline;
+    lines.push({ text: text.slice(start, end), start, end });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+
+  return lines;
+}
+
+/**
+ * Parse markdown into top-level blocks
+ * @param {string} text - Markdown
+ * @returns {Array<object>} - Blocks of { type: heading|paragraph|list-item|table|code, startChar, endChar,
+ *   headingPath (headings the block sits under, its own title included for a heading) }
+ */
+function parseMarkdownBlocks(text) {
+  const lines = splitLines(text);
+  const blocks = [];
+  const headings = [];
+  let current = null;
+
+  const closeBlock = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+  const openBlock = (type, line) => {
+    closeBlock();
+    current = { type, startChar: line.start, endChar: line.end, headingPath: headings.map(heading => heading.title) };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.text.trim();
+
+    // A fenced code block runs to its closing fence (or the end of the text)
+    if (FENCE_PATTERN.test(line.text)) {
+      const fence = line.text.trim().slice(0, 3);
+      openBlock('code', line);
+      while (i + 1 < lines.length) {
+        i++;
+        current.endChar = lines[i].end;
+        if (lines[i].text.trim().startsWith(fence)) break;
+      }
+      closeBlock();
+      continue;
+    }
+
+    if (trimmed === '') {
+      closeBlock();
+      continue;
+    }
+
+    const heading = line.text.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title: heading[2].trim() });
+      openBlock('heading', line);
+      closeBlock();
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line.text)) {
+      closeBlock();
+      continue;
+    }
+
+    const isTableLine = trimmed.startsWith('|');
+    if (isTableLine) {
+      if (current?.type !== 'table') openBlock('table', line);
+      current.endChar = line.end;
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line.text)) {
+      openBlock('list-item', line);
+      continue;
+    }
+
+    // Other lines continue a paragraph or list item; a table ended by text starts a paragraph
+    if (!current || current.type === 'table') {
+      openBlock('paragraph', line);
+    }
+    current.endChar = line.end;
+  }
+  closeBlock();
+
+  return blocks;
+}
+
+/**
+ * Split a block longer than the chunk size at the last line or sentence break that fits
+ * @param {string} text - Full text
+ * @param {object} block - Block from parseMarkdownBlocks
+ * @param {number} chunkSize - Maximum characters per piece
+ * @returns {Array<object>} - Pieces of { startChar, endChar }
+ */
+function splitLongBlock(text, block, chunkSize) {
+  const pieces = [];
+  let start = block.startChar;
+
+  while (block.endChar - start > chunkSize) {
+    const window = text.slice(start, start + chunkSize);
+    const breakAt = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. ') + 1);
+    const spaceAt = window.lastIndexOf(' ');
+    // No usable break in the window: cut at the last space, or hard at the chunk size
+    let end = start + chunkSize;
+    if (breakAt > chunkSize * 0.3) {
+      end = start + breakAt;
+    } else if (spaceAt > chunkSize * 0.3) {
+      end = start + spaceAt;
+    }
+
+    pieces.push({ startChar: start, endChar: end });
+    start = end;
+    while (start < block.endChar && /\s/.test(text[start])) start++;
+  }
+
+  if (start < block.endChar) pieces.push({ startChar: start, endChar: block.endChar });
+  return pieces;
+}
+
+/**
+ * Group markdown blocks into chunks
+ * Headings start a new chunk (unless the chunk so far only holds headings), and a chunk takes
+ * further blocks while it stays within the chunk size. Tables and code blocks are kept whole even
+ * when they are longer; other long blocks are split at line or sentence breaks.
+ * @param {string} text - Markdown
+ * @param {number} chunkSize - Target maximum characters per chunk
+ * @returns {Array<object>} - Chunks of { startChar, endChar, headingPath }
+ */
+function chunkMarkdown(text, chunkSize = 1000) {
+  const chunks = [];
+  let current = null;
+
+  const closeChunk = () => {
+    if (current) chunks.push(current);
+    current = null;
+  };
+  // Pieces of a long block become chunks of their own; the last one can still take the blocks after it
+  const addPieces = (block, pieces) => {
+    for (const piece of pieces) {
+      closeChunk();
+      current = { ...piece, headingPath: block.headingPath, blockTypes: [block.type] };
+    }
+  };
+
+  for (const block of parseMarkdownBlocks(text)) {
+    const onlyHeadings = current && current.blockTypes.every(type => type === 'heading');
+
+    if (block.type === 'heading') {
+      if (current && !onlyHeadings) closeChunk();
+      if (!current) {
+        current = { startChar: block.startChar, endChar: block.endChar, headingPath: block.headingPath, blockTypes: [] };
+      }
+      current.endChar = block.endChar;
+      current.headingPath = block.headingPath;
+      current.blockTypes.push('heading');
+      continue;
+    }
+
+    const blockLength = block.endChar - block.startChar;
+    const fits = current && block.endChar - current.startChar <= chunkSize;
+
+    if (current && (fits || onlyHeadings) && (blockLength <= chunkSize || onlyHeadings)) {
+      if (!fits && blockLength > chunkSize && block.type !== 'table' && block.type !== 'code') {
+        // A long block after its heading: the heading goes with the first piece
+        const [first, ...rest] = splitLongBlock(text, block, chunkSize);
+        current.endChar = first.endChar;
+        current.blockTypes.push(block.type);
+        addPieces(block, rest);
+        continue;
+      }
+      current.endChar = block.endChar;
+      current.blockTypes.push(block.type);
+      continue;
+    }
+
+    closeChunk();
+    if (blockLength > chunkSize && block.type !== 'table' && block.type !== 'code') {
+      addPieces(block, splitLongBlock(text, block, chunkSize));
+    } else {
+      current = { startChar: block.startChar, endChar: block.endChar, headingPath: block.headingPath, blockTypes: [block.type] };
+    }
+  }
+  closeChunk();
+
+  return chunks.map(({ startChar, endChar, headingPath }) => ({ startChar, endChar, headingPath }));
+}
+
+/**
+ * Format a heading path for display
+ * @param {Array<string>} headingPath - Headings, outermost first
+ * @returns {string|null} - e.g. "Section 3 > Fees", or null without headings
+ */
+function formatHeadingPath(headingPath) {
+  return headingPath && headingPath.length > 0 ? headingPath.join(HEADING_PATH_SEPARATOR) : null;
+}
+
+module.exports = {
+  parseMarkdownBlocks,
+  chunkMarkdown,
+  formatHeadingPath
+};
@@ -0,0 +1,93 @@
+// OCR Service
+// Reads text from PDF pages that have no usable text layer (scanned statements, receipts, faxes):
+// pages are rendered to images with pdf.js and recognized with Tesseract running locally.
+// The English language data ships with the @tesseract.js-data/eng package, so nothing is downloaded.
+
+// Render scale: 2 gives roughly 150 DPI for a letter-size page, enough for body text
+const RENDER_SCALE = 2;
+
+/**
+ * Whether OCR is enabled (OCR_MODE=auto, the default, or off)
+ * @returns {boolean}
+ */
+function isOcrEnabled() {
+  return (process.env.OCR_MODE || 'auto').toLowerCase() !== 'off';
+}
+
+/**
+ * Pages with fewer non-whitespace characters than this are treated as images and OCR'd
+ * @returns {number}
+ */
+function getMinPageChars() {
+  const configured = parseInt(process.env.OCR_MIN_PAGE_CHARS);
+  return Number.isNaN(configured) ? 40 : configured;
+}
+
+/**
+ * Find pages whose extracted text is too sparse to be the page's real content
+ * @param {Array<string>} pageTexts - Extracted text of each page, in page order
+ * @returns {Array<number>} - 1-based numbers of the pages to OCR
+ */
+function findLowTextPages(pageTexts) {
+  const minChars = getMinPageChars();
+
+  return pageTexts
+    .map((pageText, index) => ({ pageNumber: index + 1, length: (pageText || '').replace(/\s/g, '').length }))
+    .filter(page => page.length < minChars)
+    .map(page => page.pageNumber);
+}
+
+/**
+ * Render pages of a PDF and run them through OCR
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Array<number>} pageNumbers - 1-based page numbers to read
+ * @param {object} options - { signal, onPage(completed, total, pageNumber) after each page }
+ * @returns {Promise<Map>} - pageNumber -> { text, confidence }
+ */
+async function recognizePages(dataBuffer, pageNumbers, options = {}) {
+  const { signal, onPage } = options;
+
+  // Loaded on first use: pdf-to-img is an ES module, and Tesseract is only needed for scanned documents
+  const { pdf } = await import('pdf-to-img');
+  const Tesseract = require('tesseract.js');
+  const englishData = require('@tesseract.js-data/eng');
+
+  const document = await pdf(dataBuffer, { scale: RENDER_SCALE });
+  const worker = await Tesseract.createWorker(englishData.code, Tesseract.OEM.LSTM_ONLY, {
+    langPath: englishData.langPath,
+    gzip: englishData.gzip,
+    cacheMethod: 'none'
+  });
+
+  // Stop recognizing as soon as the job is cancelled
+  const terminate = () => worker.terminate().catch(() => {});
+  signal?.addEventListener('abort', terminate, { once: true });
+
+  const results = new Map();
+  try {
+    for (const [index, pageNumber] of pageNumbers.entries()) {
+      signal?.throwIfAborted();
+
+      const image = await document.getPage(pageNumber);
+      const { data } = await worker.recognize(image);
+      results.set(pageNumber, { text: data.text || '', confidence: data.confidence });
+
+      if (onPage) onPage(index + 1, pageNumbers.length, pageNumber);
+    }
+  } catch (error) {
+    // A terminated worker rejects with its own error; report the cancellation instead
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', terminate);
+    await terminate();
+  }
+
+  return results;
+}
+
+module.exports = {
+  isOcrEnabled,
+  findLowTextPages,
+  recognizePages
+};
@@ -0,0 +1,171 @@
+// Parser Registry
+// Parsers turn an uploaded PDF into { text, numPages, pages, tables, metadata }. Each one registers
+// its capabilities and whether it can run in this deployment; uploads and workspaces pick one by
+// name, and 'auto' (the default) uses LlamaParse when it is configured and the layout parser otherwise.
+
+const { processPDFLocal, processPDFWithLlamaParse, isLlamaParseConfigured } = require('./pdfService');
+
+// Name that stands for the automatic choice
+const AUTO_PARSER = 'auto';
+
+class ParserRegistry {
+  constructor() {
+    this.parsers = new Map();
+  }
+
+  /**
+   * Add a parser
+   * @param {object} parser - { name, description, capabilities: { pageBoundaries, tables, ocr, markdown, cloud },
+   *   isAvailable() (default: always), fallback (parser to use when this one fails), parse(filePath, options) }
+   */
+  register(parser) {
+    if (parser.name === AUTO_PARSER) {
+      throw new Error(`"${AUTO_PARSER}" is reserved for the automatic parser choice`);
+    }
+    this.parsers.set(parser.name, { isAvailable: () => true, fallback: null, ...parser });
+  }
+
+  /**
+   * Get a registered parser
+   * @param {string} name - Parser name
+   * @returns {object|null}
+   */
+  get(name) {
+    return this.parsers.get(name) || null;
+  }
+
+  /**
+   * Describe the registered parsers
+   * @returns {Array<object>} - { name, description, capabilities, available, fallback }
+   */
+  list() {
+    return Array.from(this.parsers.values()).map(parser => ({
+      name: parser.name,
+      description: parser.description,
+      capabilities: parser.capabilities,
+      available: parser.isAvailable(),
+      fallback: parser.fallback
+    }));
+  }
+
+  /**
+   * Whether a parser can be chosen for an upload or workspace ('auto' always can)
+   * @param {string} name - Parser name
+   * @returns {boolean}
+   */
+  isSelectable(name) {
+    if (name === AUTO_PARSER) return true;
+    const parser = this.get(name);
+    return Boolean(parser && parser.isAvailable());
+  }
+
+  /**
+   * Parser used when none is chosen (PDF_PARSER, default 'auto')
+   * @returns {string}
+   */
+  getDefaultParser() {
+    return process.env.PDF_PARSER || AUTO_PARSER;
+  }
+
+  /**
+   * Turn a requested parser name into the parser that will run
+   * @param {string|null} requested - Parser name, 'auto' or nothing for the default
+   * @returns {object} - Registered parser
+   */
+  resolve(requested) {
+    const name = requested || this.getDefaultParser();
+
+    if (name === AUTO_PARSER) {
+      return this.get('llamaparse')?.isAvailable() ? this.get('llamaparse') : this.get('pdfjs-layout');
+    }
+
+    const parser = this.get(name);
+    if (!parser) {
+      throw new Error(`Unknown PDF parser "${name}"`);
+    }
+    // e.g. a workspace set to LlamaParse after its API key was removed
+    if (!parser.isAvailable()) {
+      if (!parser.fallback) throw new Error(`PDF parser "${name}" is not available`);
+      console.warn(`⚠️ PDF parser ${name} is not available, using ${parser.fallback}`);
+      return this.get(parser.fallback);
+    }
+    return parser;
+  }
+
+  /**
+   * Parse a PDF, falling back to the parser's fallback if it fails
+   * @param {string} filePath - Path to the PDF file
+   * @param {object} options - { parser, onProgress, signal } and options passed on to the parser
+   * @returns {Promise<object>} - Parse result; metadata.parser is the parser that ran, metadata.parserRequested
+   *   the one asked for, and metadata.parserFallback describes a fallback
+   */
+  async parse(filePath, options = {}) {
+    const { parser: requested, onProgress, signal } = options;
+    const parser = this.resolve(requested);
+
+    if (onProgress) onProgress(0, 'Starting PDF processing...');
+    console.log(`📄 Parsing PDF with ${parser.name}...`);
+
+    let result;
+    let fallback = null;
+    try {
+      result = await parser.parse(filePath, options);
+    } catch (error) {
+      if (signal?.aborted || !parser.fallback) throw error;
+
+      console.warn(`⚠️ ${parser.name} failed, falling back to ${parser.fallback}:`, error.message);
+      if (onProgress) onProgress(30, 'Falling back to local processing...');
+      fallback = { from: parser.name, reason: error.message };
+      result = await this.get(parser.fallback).parse(filePath, options);
+    }
+
+    if (onProgress) onProgress(100, 'PDF processing completed');
+
+    result.metadata = {
+      ...result.metadata,
+      parser: fallback ? parser.fallback : parser.name,
+      parserRequested: requested || this.getDefaultParser(),
+      ...(fallback && { parserFallback: fallback })
+    };
+    return result;
+  }
+}
+
+// Create singleton instance with the built-in parsers
+const parserRegistry = new ParserRegistry();
+
+parserRegistry.register({
+  name: 'pdf-parse',
+  description: 'Text layer only, line by line (fastest)',
+  capabilities: { pageBoundaries: true, tables: false, ocr: false, markdown: false, cloud: false },
+  parse: (filePath, options) => processPDFLocal(filePath, { ...options, tables: false, ocr: 'off' })
+});
+
+parserRegistry.register({
+  name: 'pdfjs-layout',
+  description: 'Text layer with tables rebuilt from text positions; scanned pages are OCR\'d unless OCR_MODE=off',
+  capabilities: { pageBoundaries: true, tables: true, ocr: true, markdown: false, cloud: false },
+  parse: (filePath, options) => processPDFLocal(filePath, { ...options, tables: true })
+});
+
+parserRegistry.register({
+  name: 'ocr',
+  description: 'Every page rendered and read with Tesseract OCR, ignoring the text layer (for scans with a bad text layer)',
+  capabilities: { pageBoundaries: true, tables: false, ocr: true, markdown: false, cloud: false },
+  parse: (filePath, options) => processPDFLocal(filePath, { ...options, tables: false, ocr: 'all' })
+});
+
+parserRegistry.register({
+  name: 'llamaparse',
+  description: 'LlamaParse cloud parsing to markdown (needs LLAMAPARSE_API_KEY)',
+  capabilities: { pageBoundaries: false, tables: true, ocr: true, markdown: true, cloud: true },
+  isAvailable: isLlamaParseConfigured,
+  fallback: 'pdfjs-layout',
+  parse: processPDFWithLlamaParse
+});
+
+module.exports = {
+  ParserRegistry,
+  parserRegistry,
+  AUTO_PARSER
+};
@@ -1,58 +1,241 @@
 const fs = require('fs').promises;
+const { setTimeout: sleep } = require('timers/promises');
 const pdfParse = require('pdf-parse');
 const axios = require('axios');
 const FormData = require('form-data');
+const { isOcrEnabled, findLowTextPages, recognizePages } = require('./ocrService');
+const { extractTables, extractMarkdownTables, tableToMarkdown } = require('./tableExtractor');
+const { chunkMarkdown } = require('./markdownChunker');
+
+/**
+ * Clean up raw text extracted from a PDF page
+ * @param {string} text - Raw page text
+ * @returns {string} - Normalized text
+ */
+function cleanExtractedText(text) {
+  return text
+    // Normalize line breaks but preserve structure
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    // Preserve table structure by maintaining reasonable spacing
+    .replace(/[ ]{3,}/g, (match) => ' '.repeat(Math.min(match.length, 4)))
+    // Ensure proper spacing around numbers and text
+    .replace(/(\d+\.?\d*)\s*([A-Za-z])/g, '$1 $2')
+    .replace(/([A-Za-z])\s*(\d+\.?\d*)/g, '$1 $2')
+    // Preserve currency symbols and amounts
+    .replace(/(\$|€|£|¥)\s*(\d)/g, '$1$2')
+    // Clean up excessive whitespace
+    .replace(/\n\s*\n\s*\n/g, '\n\n')
+    .replace(/[ ]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Clean a rendered page: its text runs go through cleanExtractedText, its markdown tables are kept
+ * as they are (the cleanup would split identifiers such as INV2024A inside table cells)
+ * @param {Array<object>} segments - Page segments from renderPageText
+ * @returns {string} - Normalized page text
+ */
+function cleanPageSegments(segments) {
+  return segments
+    .map(segment => segment.table ? segment.text : cleanExtractedText(segment.text))
+    .filter(text => text.length > 0)
+    .join('\n\n');
+}
+
+/**
+ * Render the text content of a single PDF page (same line grouping as pdf-parse's default renderer)
+ * Tables found from the item positions are written as markdown tables where they appear on the page.
+ * @param {object} pageData - pdf.js page proxy
+ * @param {object} options - { tables: false to leave tables as plain lines }
+ * @returns {Promise<object>} - { text, segments, tables }: the raw page text, the same text split into
+ *   text runs and markdown tables ({ text, table }), and the page's tables from extractTables
+ */
+async function renderPageText(pageData, options = {}) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  const tables = options.tables === false ? [] : extractTables(textContent.items, pageData.pageIndex + 1);
+  const tableByItem = new Map();
+  for (const table of tables) {
+    for (const index of table.itemIndices) {
+      tableByItem.set(index, table);
+    }
+  }
+
+  let lastY;
+  let text = '';
+  const segments = [];
+  const writtenTables = new Set();
+  textContent.items.forEach((item, index) => {
+    const table = tableByItem.get(index);
+    if (table) {
+      // The whole table goes where its first item is; its other items are already in it
+      if (!writtenTables.has(table)) {
+        writtenTables.add(table);
+        segments.push({ text, table: false }, { text: tableToMarkdown(table), table: true });
+        text = '';
+        lastY = undefined;
+      }
+      return;
+    }
+
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  });
+  segments.push({ text, table: false });
+
+  return {
+    text: segments.map(segment => segment.table ? `\n\n${segment.text}\n\n` : segment.text).join(''),
+    segments,
+    tables: tables.map(({ itemIndices, ...table }) => table)
+  };
+}
+
+/**
+ * Join per-page texts into one document text, recording exact page boundaries
+ * @param {Array<string>} pageTexts - Cleaned text of each page, in page order
+ * @returns {object} - { text, pages } where pages holds { pageNumber, startChar, endChar }
+ */
+function joinPages(pageTexts) {
+  const separator = '\n\n';
+  const pages = [];
+  let text = '';
+
+  pageTexts.forEach((pageText, index) => {
+    if (text.length > 0 && pageText.length > 0) {
+      text += separator;
+    }
+    const startChar = text.length;
+    text += pageText;
+    pages.push({
+      pageNumber: index + 1,
+      startChar,
+      endChar: text.length
+    });
+  });
+
+  return { text, pages };
+}
+
+/**
+ * OCR the pages whose text layer is missing or too sparse (scanned pages) and merge the result in
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Array<string>} pageTexts - Cleaned text of each page; OCR'd pages are replaced in place
+ * @param {object} options - { onProgress, signal, allPages: OCR every page, not just the sparse ones }
+ * @returns {Promise<Array<number>>} - Numbers of the pages whose text now comes from OCR
+ */
+async function applyOcr(dataBuffer, pageTexts, options = {}) {
+  const { onProgress, signal, allPages = false } = options;
+  const lowTextPages = allPages ? pageTexts.map((_, index) => index + 1) : findLowTextPages(pageTexts);
+  if (lowTextPages.length === 0) return [];
+
+  console.log(allPages
+    ? `🔎 Running OCR on all ${pageTexts.length} pages...`
+    : `🔎 ${lowTextPages.length} of ${pageTexts.length} pages have little or no text, running OCR...`);
+  if (onProgress) onProgress(60, `Running OCR on ${lowTextPages.length} scanned page${lowTextPages.length === 1 ? '' : 's'}...`);
+
+  const recognized = await recognizePages(dataBuffer, lowTextPages, {
+    signal,
+    onPage: (completed, total, pageNumber) => {
+      if (onProgress) onProgress(60 + (completed / total) * 25, `OCR: page ${pageNumber} (${completed}/${total})`);
+    }
+  });
+
+  const ocrPages = [];
+  for (const [pageNumber, { text, confidence }] of recognized) {
+    const ocrText = cleanExtractedText(text);
+    // Keep the text layer if OCR didn't find more (e.g. a genuinely blank page); when every page
+    // is OCR'd the text layer is distrusted and only kept for pages where OCR found nothing
+    const keepTextLayer = allPages ? ocrText.length === 0 : ocrText.length <= pageTexts[pageNumber - 1].length;
+    if (keepTextLayer) continue;
+
+    pageTexts[pageNumber - 1] = ocrText;
+    ocrPages.push(pageNumber);
+    console.log(`🔎 OCR page ${pageNumber}: ${ocrText.length} characters (confidence ${Math.round(confidence)}%)`);
+  }
+
+  return ocrPages;
+}
 
 /**
  * Process PDF using pdf-parse (local processing) with progress tracking
+ * Pages without a usable text layer are read with OCR unless OCR_MODE=off.
  * @param {string} filePath - Path to the PDF file
  * @param {object} options - Processing options
  * @param {function} options.onProgress - Progress callback function
+ * @param {AbortSignal} options.signal - Stops processing between pages when aborted
+ * @param {boolean} options.tables - Rebuild tables from text positions (default true)
+ * @param {string} options.ocr - 'auto' (scanned pages, the default unless OCR_MODE=off), 'all' or 'off'
  * @returns {Promise<object>} - Extracted text content with page information
  */
 async function processPDFLocal(filePath, options = {}) {
-  const { onProgress } = options;
+  const { onProgress, signal, tables: extractPageTables = true } = options;
+  const ocrMode = options.ocr || (isOcrEnabled() ? 'auto' : 'off');
   try {
     if (onProgress) onProgress(10, 'Reading PDF file...');
     const dataBuffer = await fs.readFile(filePath);
+    signal?.throwIfAborted();
 
     if (onProgress) onProgress(30, 'Parsing PDF content...');
-    // Enhanced PDF parsing options for better text extraction
+    // Capture each page's text separately so page boundaries stay exact
+    const rawPageTexts = [];
+    const pageSegments = [];
+    const pageTables = [];
     const data = await pdfParse(dataBuffer, {
-      // Preserve more whitespace and formatting
-      normalizeWhitespace: false,
-      // Better handling of tables and structured content
+      pagerender: async (pageData) => {
+        signal?.throwIfAborted();
+        const { text: pageText, segments, tables } = await renderPageText(pageData, { tables: extractPageTables });
+        rawPageTexts[pageData.pageIndex] = pageText;
+        pageSegments[pageData.pageIndex] = segments;
+        pageTables[pageData.pageIndex] = tables;
+        return pageText;
+      },
       max: 0, // No page limit
       version: 'v1.10.100' // Use latest version features
     });
 
-    console.log(`📄 PDF processed locally: ${data.numpages} pages, ${data.text.length} characters`);
+    const originalTextLength = rawPageTexts.reduce((sum, pageText) => sum + (pageText || '').length, 0);
+    console.log(`📄 PDF processed locally: ${data.numpages} pages, ${originalTextLength} characters`);
     if (onProgress) onProgress(60, 'Processing text content...');
 
-    // General text processing for all document types
-    let processedText = data.text
-      // Normalize line breaks but preserve structure
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      // Preserve table structure by maintaining reasonable spacing
-      .replace(/[ ]{3,}/g, (match) => ' '.repeat(Math.min(match.length, 4)))
-      // Ensure proper spacing around numbers and text
-      .replace(/(\d+\.?\d*)\s*([A-Za-z])/g, '$1 $2')
-      .replace(/([A-Za-z])\s*(\d+\.?\d*)/g, '$1 $2')
-      // Preserve currency symbols and amounts
-      .replace(/(\$|€|£|¥)\s*(\d)/g, '$1$2')
-      // Clean up excessive whitespace
-      .replace(/\n\s*\n\s*\n/g, '\n\n')
-      .replace(/[ ]{2,}/g, ' ')
-      .trim();
-
-    console.log(`📊 Text processing: ${data.text.length} → ${processedText.length} characters`);
+    // General text processing for all document types, applied page by page (tables excepted)
+    const pageTexts = [];
+    for (let i = 0; i < data.numpages; i++) {
+      pageTexts.push(cleanPageSegments(pageSegments[i] || []));
+    }
+
+    const ocrPages = ocrMode === 'off'
+      ? []
+      : await applyOcr(dataBuffer, pageTexts, { onProgress, signal, allPages: ocrMode === 'all' });
+    signal?.throwIfAborted();
+
+    const { text: processedText, pages } = joinPages(pageTexts);
+    for (const page of pages) {
+      page.ocr = ocrPages.includes(page.pageNumber);
+    }
+
+    console.log(`📊 Text processing: ${originalTextLength} → ${processedText.length} characters`);
     if (onProgress) onProgress(90, 'Finalizing processing...');
 
-    // Return both text and page count
+    // An OCR'd page's text layer was too sparse to hold a real table
+    const tables = pageTables.flat().filter(table => table && !ocrPages.includes(table.pageNumber));
+    if (tables.length > 0) {
+      console.log(`📊 Extracted ${tables.length} tables`);
+    }
+
+    // Return text, page count, exact page boundaries and tables
     return {
       text: processedText,
       numPages: data.numpages,
+      pages,
+      tables,
       metadata: {
         title: data.info?.Title || null,
         author: data.info?.Author || null,
@@ -60,116 +243,167 @@ async function processPDFLocal(filePath, options = {}) {
         producer: data.info?.Producer || null,
         creationDate: data.info?.CreationDate || null,
         // Add processing metadata
-        processingMethod: 'enhanced-local',
+        parser: ocrMode === 'all' ? 'ocr' : (extractPageTables ? 'pdfjs-layout' : 'pdf-parse'),
+        processingMethod: ocrPages.length > 0 ? 'enhanced-local+ocr' : 'enhanced-local',
         textLength: processedText.length,
-        originalTextLength: data.text.length
+        originalTextLength,
+        ocrPages,
+        tableCount: tables.length
       }
     };
   } catch (error) {
+    if (signal?.aborted) throw error;
+
     console.error('Local PDF processing error:', error);
-    throw new Error(`Failed to process PDF locally: ${error.message}`);
+    throw new Error(`Failed to process PDF locally: ${error.message}`, { cause: error });
   }
 }
 
+// Placeholder values of LLAMAPARSE_API_KEY from example configurations, treated as no key
+const LLAMAPARSE_PLACEHOLDER_KEYS = ['exaple-key', 'example-key', 'your_key'];
+
 /**
- * Process PDF using LlamaParse API (cloud processing)
- * @param {string} filePath - Path to the PDF file
- * @returns {Promise<object>} - Extracted text content with page information
+ * Base URL of the LlamaParse API (LLAMAPARSE_BASE_URL points it at a local stand-in for testing)
+ * @returns {string}
  */
-async function processPDFWithLlamaParse(filePath) {
-  try {
-    const apiKey = process.env.LLAMAPARSE_API_KEY;
-    if (!apiKey) {
-      throw new Error('LLAMAPARSE_API_KEY not configured');
-    }
-
-    // Read the PDF file
-    const fileBuffer = await fs.readFile(filePath);
+function getLlamaParseBaseUrl() {
+  return (process.env.LLAMAPARSE_BASE_URL || 'https://api.cloud.llamaindex.ai').replace(/\/+$/, '');
+}
 
-    // Create form data for multipart upload
-    const formData = new FormData();
-    formData.append('file', fileBuffer, {
-      filename: 'document.pdf',
-      contentType: 'application/pdf'
-    });
+/**
+ * Whether a real LlamaParse API key is configured
+ * @returns {boolean}
+ */
+function isLlamaParseConfigured() {
+  const apiKey = process.env.LLAMAPARSE_API_KEY;
+  return Boolean(apiKey) && !LLAMAPARSE_PLACEHOLDER_KEYS.includes(apiKey);
+}
 
-    console.log('🚀 Sending PDF to LlamaParse API...');
+/**
+ * Map character offsets of LlamaParse markdown to page numbers
+ * LlamaParse separates pages with a "---" line. When the number of those lines doesn't match the
+ * page count (a page's own rules, or a custom separator), the page is estimated from the offset.
+ * @param {string} markdown - LlamaParse result
+ * @param {number} numPages - Page count of the PDF
+ * @returns {function} - (charOffset) => page number
+ */
+function getLlamaParsePageLocator(markdown, numPages) {
+  const separators = Array.from(markdown.matchAll(/^---[ \t]*$/gm), match => match.index);
 
-    // Send to LlamaParse API (correct endpoint)
-    const response = await axios.post('https://api.cloud.llamaindex.ai/api/parsing/upload', formData, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        ...formData.getHeaders()
-      },
-      timeout: 120000 // 2 minute timeout for large PDFs
-    });
+  if (separators.length === numPages - 1) {
+    return (offset) => 1 + separators.filter(separator => separator < offset).length;
+  }
+  return (offset) => Math.min(numPages, 1 + Math.floor((offset / Math.max(markdown.length, 1)) * numPages));
+}
 
-    // LlamaParse returns a job ID, we need to poll for results
-    const jobId = response.data.id;
-    if (!jobId) {
-      throw new Error('No job ID returned from LlamaParse API');
-    }
+/**
+ * Process PDF using LlamaParse API (cloud processing)
+ * Failures are thrown; the parser registry decides whether to fall back to a local parser.
+ * @param {string} filePath - Path to the PDF file
+ * @param {object} options - Processing options
+ * @param {AbortSignal} options.signal - Cancels the upload and polling when aborted
+ * @returns {Promise<object>} - Extracted text content with page information
+ */
+async function processPDFWithLlamaParse(filePath, options = {}) {
+  const { signal } = options;
+  const apiKey = process.env.LLAMAPARSE_API_KEY;
+  if (!isLlamaParseConfigured()) {
+    throw new Error('LLAMAPARSE_API_KEY not configured');
+  }
 
-    console.log(`📋 LlamaParse job created: ${jobId}, polling for results...`);
+  // Read the PDF file
+  const fileBuffer = await fs.readFile(filePath);
+
+  // Create form data for multipart upload
+  const formData = new FormData();
+  formData.append('file', fileBuffer, {
+    filename: 'document.pdf',
+    contentType: 'application/pdf'
+  });
+
+  console.log('🚀 Sending PDF to LlamaParse API...');
+
+  const response = await axios.post(`${getLlamaParseBaseUrl()}/api/parsing/upload`, formData, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      ...formData.getHeaders()
+    },
+    timeout: 120000, // 2 minute timeout for large PDFs
+    signal
+  });
+
+  // LlamaParse returns a job ID, we need to poll for results
+  const jobId = response.data.id;
+  if (!jobId) {
+    throw new Error('No job ID returned from LlamaParse API');
+  }
 
-    // Poll for results
-    const result = await pollLlamaParseJob(apiKey, jobId);
+  console.log(`📋 LlamaParse job created: ${jobId}, polling for results...`);
 
-    if (result && result.length > 0) {
-      console.log(`📄 PDF processed with LlamaParse: ${result.length} characters`);
+  // Poll for results
+  const result = await pollLlamaParseJob(apiKey, jobId, signal);
 
-      // Get accurate page count using pdf-parse (just for metadata)
-      let actualPages = 1; // fallback
-      try {
-        const dataBuffer = await fs.readFile(filePath);
-        const pdfData = await pdfParse(dataBuffer);
-        actualPages = pdfData.numpages;
-        console.log(`📊 Accurate page count from pdf-parse: ${actualPages} pages`);
-      } catch (pageCountError) {
-        console.warn('⚠️ Could not get accurate page count, using estimation');
-        actualPages = Math.max(1, Math.ceil(result.length / 2000)); // Rough estimate as fallback
-      }
+  if (!result || result.length === 0) {
+    throw new Error('No content returned from LlamaParse API');
+  }
 
-      return {
-        text: result,
-        numPages: actualPages,
-        metadata: {
-          source: 'LlamaParse',
-          processingMethod: 'cloud'
-        }
-      };
-    } else {
-      throw new Error('No content returned from LlamaParse API');
-    }
+  console.log(`📄 PDF processed with LlamaParse: ${result.length} characters`);
 
-  } catch (error) {
-    console.error('LlamaParse processing error:', error);
+  // Get accurate page count using pdf-parse (just for metadata)
+  let actualPages = 1; // fallback
+  try {
+    const pdfData = await pdfParse(fileBuffer);
+    actualPages = pdfData.numpages;
+    console.log(`📊 Accurate page count from pdf-parse: ${actualPages} pages`);
+  } catch (pageCountError) {
+    console.warn('⚠️ Could not get accurate page count, using estimation');
+    actualPages = Math.max(1, Math.ceil(result.length / 2000)); // Rough estimate as fallback
+  }
 
-    // Fallback to local processing if LlamaParse fails
-    console.log('🔄 Falling back to local PDF processing...');
-    return await processPDFLocal(filePath);
+  const tables = extractMarkdownTables(result, getLlamaParsePageLocator(result, actualPages));
+  if (tables.length > 0) {
+    console.log(`📊 Extracted ${tables.length} tables from the LlamaParse markdown`);
   }
+
+  return {
+    text: result,
+    numPages: actualPages,
+    tables,
+    metadata: {
+      source: 'LlamaParse',
+      parser: 'llamaparse',
+      processingMethod: 'cloud',
+      // Chunked by its headings, lists and tables
+      format: 'markdown',
+      tableCount: tables.length
+    }
+  };
 }
 
 /**
  * Poll LlamaParse job for completion and results
  * @param {string} apiKey - LlamaParse API key
  * @param {string} jobId - Job ID from LlamaParse
+ * @param {AbortSignal} signal - Stops polling when aborted
  * @returns {Promise<string>} - Extracted text content
  */
-async function pollLlamaParseJob(apiKey, jobId) {
+async function pollLlamaParseJob(apiKey, jobId, signal) {
   const maxAttempts = 30; // 5 minutes max (10 second intervals)
-  const pollInterval = 10000; // 10 seconds
+  const pollInterval = parseInt(process.env.LLAMAPARSE_POLL_INTERVAL_MS) || 10000; // 10 seconds
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // A failed job is final; only request errors are retried
+    let jobError = null;
+
     try {
       console.log(`🔄 Polling LlamaParse job ${jobId} (attempt ${attempt}/${maxAttempts})...`);
 
-      const response = await axios.get(`https://api.cloud.llamaindex.ai/api/parsing/job/${jobId}`, {
+      const response = await axios.get(`${getLlamaParseBaseUrl()}/api/parsing/job/${jobId}`, {
         headers: {
           'Authorization': `Bearer ${apiKey}`
         },
-        timeout: 30000
+        timeout: 30000,
+        signal
       });
 
       const status = response.data.status;
@@ -177,20 +411,21 @@ async function pollLlamaParseJob(apiKey, jobId) {
 
       if (status === 'SUCCESS') {
         // Job completed successfully, get the result
-        const resultResponse = await axios.get(`https://api.cloud.llamaindex.ai/api/parsing/job/${jobId}/result/markdown`, {
+        const resultResponse = await axios.get(`${getLlamaParseBaseUrl()}/api/parsing/job/${jobId}/result/markdown`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`
           },
-          timeout: 30000
+          timeout: 30000,
+          signal
         });
 
         return resultResponse.data.markdown || resultResponse.data.text || resultResponse.data;
       } else if (status === 'ERROR' || status === 'FAILED') {
-        throw new Error(`LlamaParse job failed with status: ${status}`);
+        jobError = new Error(`LlamaParse job failed with status: ${status}`);
       } else if (status === 'PENDING' || status === 'RUNNING') {
         // Job still processing, wait and try again
         if (attempt < maxAttempts) {
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+          await sleep(pollInterval, undefined, { signal });
           continue;
         } else {
           throw new Error('LlamaParse job timed out');
@@ -199,12 +434,14 @@ async function pollLlamaParseJob(apiKey, jobId) {
         throw new Error(`Unknown LlamaParse job status: ${status}`);
       }
     } catch (error) {
-      if (attempt === maxAttempts) {
+      if (attempt === maxAttempts || signal?.aborted) {
         throw error;
       }
       console.log(`⚠️ Polling attempt ${attempt} failed, retrying...`);
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      await sleep(pollInterval, undefined, { signal });
     }
+
+    if (jobError) throw jobError;
   }
 
   throw new Error('LlamaParse job polling exceeded maximum attempts');
@@ -212,51 +449,127 @@ async function pollLlamaParseJob(apiKey, jobId) {
 
 /**
  * Main PDF processing function with fallback strategy and progress tracking
+ * The parser comes from the parser registry: the one asked for, or PDF_PARSER / automatic choice.
+ * The file is left in place; the caller removes it once it is no longer needed (e.g. for a retry).
  * @param {string} filePath - Path to the PDF file
  * @param {object} options - Processing options
+ * @param {string} options.parser - Parser name (see parserRegistry), default PDF_PARSER or 'auto'
  * @param {function} options.onProgress - Progress callback function
- * @returns {Promise<object>} - Extracted text content with page information
+ * @param {AbortSignal} options.signal - Cancels processing; the returned promise rejects with the abort reason
+ * @returns {Promise<object>} - Extracted text content with page information; metadata.parser names the parser that ran
  */
 async function processPDF(filePath, options = {}) {
-  const { onProgress } = options;
+  // Loaded here: the registry's parsers are the functions of this module
+  const { parserRegistry } = require('./parserRegistry');
 
   try {
-    if (onProgress) onProgress(0, 'Starting PDF processing...');
-
-    // Check if LlamaParse API key is available
-    if (process.env.LLAMAPARSE_API_KEY && process.env.LLAMAPARSE_API_KEY !== 'exaple-key') {
-      console.log('🚀 Using LlamaParse for PDF processing...');
-      if (onProgress) onProgress(20, 'Using cloud processing...');
-
-      try {
-        const result = await processPDFWithLlamaParse(filePath, options);
-        if (onProgress) onProgress(100, 'Cloud processing completed');
-        return result;
-      } catch (llamaError) {
-        console.warn('⚠️ LlamaParse failed, falling back to local processing:', llamaError.message);
-        if (onProgress) onProgress(30, 'Falling back to local processing...');
-      }
+    return await parserRegistry.parse(filePath, options);
+  } catch (error) {
+    if (!options.signal?.aborted) {
+      console.error('PDF processing failed:', error);
     }
+    throw error;
+  }
+}
 
-    console.log('📄 Using local PDF processing...');
-    if (onProgress) onProgress(40, 'Processing locally...');
+/**
+ * Resolve the pages covered by a character range using exact page boundaries
+ * @param {number} startChar - Range start offset (inclusive)
+ * @param {number} endChar - Range end offset (exclusive)
+ * @param {Array<object>} pages - Page boundaries ({ pageNumber, startChar, endChar })
+ * @returns {object|null} - { startPage, endPage, primaryPage } or null if the range is outside every page
+ */
+function resolvePageRange(startChar, endChar, pages) {
+  let startPage = null;
+  let endPage = null;
+  let primaryPage = null;
+  let primaryOverlap = 0;
+
+  for (const page of pages) {
+    const overlap = Math.min(endChar, page.endChar) - Math.max(startChar, page.startChar);
+    if (overlap <= 0) continue;
+
+    if (startPage === null) startPage = page.pageNumber;
+    endPage = page.pageNumber;
+
+    // The page holding most of the range is the one citations point to
+    if (overlap > primaryOverlap) {
+      primaryOverlap = overlap;
+      primaryPage = page.pageNumber;
+    }
+  }
 
-    const result = await processPDFLocal(filePath, options);
-    if (onProgress) onProgress(100, 'Local processing completed');
-    return result;
+  if (startPage === null) return null;
+  return { startPage, endPage, primaryPage };
+}
 
-  } catch (error) {
-    console.error('PDF processing failed:', error);
-    throw error;
-  } finally {
-    // Clean up uploaded file after processing
-    try {
-      await fs.unlink(filePath);
-      console.log(`🗑️ Cleaned up temporary file: ${filePath}`);
-    } catch (cleanupError) {
-      console.warn(`⚠️ Failed to cleanup file ${filePath}:`, cleanupError.message);
+/**
+ * Work out the pages a chunk covers: exact when page boundaries are known, estimated otherwise
+ * @param {object} range - { start, end } of the chunk and { contentStart, contentEnd } of its trimmed text
+ * @param {number} totalPages - Total number of pages in the document
+ * @param {Array<object>|null} pages - Exact page boundaries ({ pageNumber, startChar, endChar, ocr })
+ * @param {number} avgCharsPerPage - Characters per page used for estimates
+ * @returns {object} - { estimatedPage, startPage, endPage, exactPages, ocr }
+ */
+function locateChunk({ start, end, contentStart, contentEnd }, totalPages, pages, avgCharsPerPage) {
+  let startPage;
+  let endPage;
+  let estimatedPage;
+
+  const pageRange = Array.isArray(pages) && pages.length > 0 ? resolvePageRange(contentStart, contentEnd, pages) : null;
+
+  if (pageRange) {
+    startPage = pageRange.startPage;
+    endPage = pageRange.endPage;
+    estimatedPage = pageRange.primaryPage;
+  } else {
+    // Enhanced page estimation algorithm
+    const chunkStart = start;
+    const chunkEnd = end;
+    const chunkMiddle = start + (end - start) / 2;
+
+    // Calculate page estimates for start, middle, and end of chunk
+    const startPageEstimate = Math.max(1, Math.floor(chunkStart / avgCharsPerPage) + 1);
+    const middlePageEstimate = Math.max(1, Math.floor(chunkMiddle / avgCharsPerPage) + 1);
+    const endPageEstimate = Math.max(1, Math.floor(chunkEnd / avgCharsPerPage) + 1);
+
+    // Use the middle estimate as primary, but validate against start/end
+    estimatedPage = middlePageEstimate;
+
+    // If chunk spans multiple pages, use the page where most content is
+    if (startPageEstimate !== endPageEstimate) {
+      // Calculate which page has more content in this chunk
+      const startPageEnd = startPageEstimate * avgCharsPerPage;
+      const endPageStart = (endPageEstimate - 1) * avgCharsPerPage;
+
+      const contentInStartPage = Math.max(0, Math.min(startPageEnd, chunkEnd) - chunkStart);
+      const contentInEndPage = Math.max(0, chunkEnd - Math.max(endPageStart, chunkStart));
+
+      if (contentInEndPage > contentInStartPage) {
+        estimatedPage = endPageEstimate;
+      } else {
+        estimatedPage = startPageEstimate;
+      }
     }
+
+    // Ensure we don't exceed actual page count
+    estimatedPage = Math.min(estimatedPage, totalPages);
+    estimatedPage = Math.max(1, estimatedPage);
+
+    startPage = Math.min(Math.max(1, startPageEstimate), totalPages);
+    endPage = Math.min(Math.max(startPage, endPageEstimate), totalPages);
   }
+
+  return {
+    estimatedPage,
+    startPage,
+    endPage,
+    exactPages: Boolean(pageRange),
+    // Text from a scanned page may contain recognition errors
+    ocr: Boolean(pageRange) && pages.some(page =>
+      page.ocr && page.pageNumber >= startPage && page.pageNumber <= endPage
+    )
+  };
 }
 
 /**
@@ -265,16 +578,22 @@ async function processPDF(filePath, options = {}) {
  * @param {number} chunkSize - Maximum characters per chunk
  * @param {number} overlap - Character overlap between chunks
  * @param {number} totalPages - Total number of pages in the document
+ * @param {Array<object>} pages - Optional exact page boundaries ({ pageNumber, startChar, endChar, ocr })
  * @returns {Array<object>} - Array of text chunks with page information
  */
-function chunkText(text, chunkSize = 1500, overlap = 300, totalPages = 1) {
+function chunkText(text, chunkSize = 1500, overlap = 300, totalPages = 1, pages = null) {
   const chunks = [];
   let start = 0;
+  const hasPageBoundaries = Array.isArray(pages) && pages.length > 0;
 
-  // More conservative page estimation
+  // More conservative page estimation (only used when exact page boundaries are unavailable)
   const avgCharsPerPage = Math.max(500, text.length / Math.max(totalPages, 1));
 
-  console.log(`📊 Enhanced chunking: ${text.length} chars, ${totalPages} pages, ${Math.round(avgCharsPerPage)} chars/page`);
+  if (hasPageBoundaries) {
+    console.log(`📊 Enhanced chunking: ${text.length} chars, ${totalPages} pages, exact page boundaries`);
+  } else {
+    console.log(`📊 Enhanced chunking: ${text.length} chars, ${totalPages} pages, ${Math.round(avgCharsPerPage)} chars/page`);
+  }
 
   // Enhanced financial document detection
   const financialKeywords = [
@@ -393,47 +712,21 @@ function chunkText(text, chunkSize = 1500, overlap = 300, totalPages = 1) {
       }
     }
 
-    const chunk = text.slice(start, end).trim();
+    const rawChunk = text.slice(start, end);
+    const chunk = rawChunk.trim();
     if (chunk.length > 0) {
-      // Enhanced page estimation algorithm
-      const chunkStart = start;
-      const chunkEnd = end;
-      const chunkMiddle = start + (end - start) / 2;
-
-      // Calculate page estimates for start, middle, and end of chunk
-      const startPageEstimate = Math.max(1, Math.floor(chunkStart / avgCharsPerPage) + 1);
-      const middlePageEstimate = Math.max(1, Math.floor(chunkMiddle / avgCharsPerPage) + 1);
-      const endPageEstimate = Math.max(1, Math.floor(chunkEnd / avgCharsPerPage) + 1);
-
-      // Use the middle estimate as primary, but validate against start/end
-      let estimatedPage = middlePageEstimate;
-
-      // If chunk spans multiple pages, use the page where most content is
-      if (startPageEstimate !== endPageEstimate) {
-        // Calculate which page has more content in this chunk
-        const startPageEnd = startPageEstimate * avgCharsPerPage;
-        const endPageStart = (endPageEstimate - 1) * avgCharsPerPage;
-
-        const contentInStartPage = Math.max(0, Math.min(startPageEnd, chunkEnd) - chunkStart);
-        const contentInEndPage = Math.max(0, chunkEnd - Math.max(endPageStart, chunkStart));
-
-        if (contentInEndPage > contentInStartPage) {
-          estimatedPage = endPageEstimate;
-        } else {
-          estimatedPage = startPageEstimate;
-        }
-      }
+      // Offsets of the trimmed content, so whitespace at a page break doesn't pull in a neighbouring page
+      const contentStart = start + (rawChunk.length - rawChunk.trimStart().length);
+      const contentEnd = contentStart + chunk.length;
 
-      // Ensure we don't exceed actual page count
-      estimatedPage = Math.min(estimatedPage, totalPages);
-      estimatedPage = Math.max(1, estimatedPage);
+      const location = locateChunk({ start, end, contentStart, contentEnd }, totalPages, pages, avgCharsPerPage);
 
       // General metadata for all document types
       const chunkMetadata = {
         text: chunk,
         startChar: start,
         endChar: end,
-        estimatedPage: estimatedPage,
+        ...location,
         chunkIndex: chunks.length
       };
 
@@ -449,16 +742,75 @@ function chunkText(text, chunkSize = 1500, overlap = 300, totalPages = 1) {
     return acc;
   }, {});
 
-  console.log(`📝 Text chunked into ${chunks.length} pieces with page estimates`);
+  console.log(`📝 Text chunked into ${chunks.length} pieces with ${hasPageBoundaries ? 'exact pages' : 'page estimates'}`);
   console.log(`📊 Page distribution:`, pageDistribution);
   console.log(`📄 Total pages: ${totalPages}, Avg chars per page: ${Math.round(avgCharsPerPage)}`);
 
   return chunks;
 }
 
+/**
+ * Chunk markdown along its headings, list items, tables and code blocks (see markdownChunker)
+ * Chunks have the same fields as those of chunkText, plus the headings they sit under.
+ * @param {string} text - Markdown to chunk
+ * @param {number} chunkSize - Target maximum characters per chunk (tables are never split)
+ * @param {number} totalPages - Total number of pages in the document
+ * @param {Array<object>} pages - Optional exact page boundaries ({ pageNumber, startChar, endChar, ocr })
+ * @returns {Array<object>} - Array of text chunks with page information and headingPath
+ */
+function chunkStructuredText(text, chunkSize = 1500, totalPages = 1, pages = null) {
+  const avgCharsPerPage = Math.max(500, text.length / Math.max(totalPages, 1));
+  const chunks = [];
+
+  for (const section of chunkMarkdown(text, chunkSize)) {
+    const rawChunk = text.slice(section.startChar, section.endChar);
+    const chunk = rawChunk.trim();
+    if (chunk.length === 0) continue;
+
+    const contentStart = section.startChar + (rawChunk.length - rawChunk.trimStart().length);
+    const location = locateChunk({
+      start: section.startChar,
+      end: section.endChar,
+      contentStart,
+      contentEnd: contentStart + chunk.length
+    }, totalPages, pages, avgCharsPerPage);
+
+    chunks.push({
+      text: chunk,
+      startChar: section.startChar,
+      endChar: section.endChar,
+      ...location,
+      headingPath: section.headingPath,
+      chunkIndex: chunks.length
+    });
+  }
+
+  const withHeadings = chunks.filter(chunk => chunk.headingPath.length > 0).length;
+  console.log(`📝 Markdown chunked by structure into ${chunks.length} pieces (${withHeadings} under headings)`);
+
+  return chunks;
+}
+
+/**
+ * Chunk a parsed document with the chunker that suits its text
+ * @param {string} text - Document text
+ * @param {object} options - { numPages, pages (exact page boundaries), format ('markdown' from
+ *   LlamaParse, anything else is plain text) }
+ * @returns {Array<object>} - Array of text chunks with page information
+ */
+function chunkDocument(text, options = {}) {
+  if (options.format === 'markdown') {
+    return chunkStructuredText(text, 1000, options.numPages || 1, options.pages);
+  }
+  return chunkText(text, 1000, 200, options.numPages || 1, options.pages);
+}
+
 module.exports = {
   processPDF,
   processPDFLocal,
   processPDFWithLlamaParse,
-  chunkText
+  isLlamaParseConfigured,
+  chunkText,
+  chunkStructuredText,
+  chunkDocument
 };
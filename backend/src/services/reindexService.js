@@ -0,0 +1,153 @@
+// Re-index Service
+// Stored chunks are stamped with the embedding model that produced them, and searches only compare
+// a query with chunks from the same model. Documents embedded by another model (a fallback provider,
+// or before EMBEDDING_PROVIDER changed) are found here and re-embedded with the configured model.
+
+const { listDocuments, reindexDocument } = require('../../services/vectorServiceSelector');
+const { getConfiguredEmbeddingModel } = require('./embeddingService');
+const { documentStatusService } = require('./documentStatusService');
+
+/**
+ * Describe a stored document by its embedding model
+ * @param {object} document - Entry from listDocuments
+ * @returns {object} - Document summary
+ */
+function toDocumentSummary({ documentId, chunkCount, metadata = {} }) {
+  return {
+    documentId,
+    filename: metadata.filename || null,
+    chunkCount,
+    embeddingModel: metadata.embedding_model || null,
+    embeddingDimension: metadata.embedding_dimension || null
+  };
+}
+
+class ReindexService {
+  constructor() {
+    this.currentRun = null;
+  }
+
+  get isRunning() {
+    return Boolean(this.currentRun);
+  }
+
+  /**
+   * Stored documents whose vectors don't come from the configured embedding model
+   * @returns {Promise<object>} - { embeddingModel, documents }
+   */
+  async findStaleDocuments() {
+    const embeddingModel = getConfiguredEmbeddingModel();
+    const documents = await listDocuments();
+
+    return {
+      embeddingModel,
+      documents: documents
+        .map(toDocumentSummary)
+        .filter(document => document.embeddingModel !== embeddingModel)
+    };
+  }
+
+  /**
+   * Re-embed documents with the configured embedding model (one run at a time)
+   * @param {object} options - { documentIds (default: every stale document), force (also re-embed
+   *   chunks that already use the configured model), signal, onDocument(result) after each document }
+   * @returns {Promise<object>} - Counts and one result per document
+   */
+  async reindex(options = {}) {
+    if (this.currentRun) {
+      throw new Error('A re-index is already running');
+    }
+
+    this.currentRun = this.runReindex(options);
+    try {
+      return await this.currentRun;
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  async runReindex({ documentIds = null, force = false, signal, onDocument } = {}) {
+    const startTime = Date.now();
+    const embeddingModel = getConfiguredEmbeddingModel();
+
+    let targetIds = documentIds;
+    if (!targetIds) {
+      targetIds = force
+        ? (await listDocuments()).map(document => document.documentId)
+        : (await this.findStaleDocuments()).documents.map(document => document.documentId);
+    }
+
+    console.log(`🔁 Re-indexing ${targetIds.length} documents with ${embeddingModel}...`);
+    const results = [];
+
+    for (const documentId of targetIds) {
+      signal?.throwIfAborted();
+
+      const result = await this.reindexOne(documentId, { force, signal });
+      results.push(result);
+      onDocument?.(result);
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const summary = {
+      embeddingModel,
+      total: results.length,
+      reindexed: count('reindexed'),
+      upToDate: count('up-to-date'),
+      skipped: count('skipped'),
+      notFound: count('not-found'),
+      failed: count('failed'),
+      processingTime: Date.now() - startTime,
+      documents: results
+    };
+
+    console.log(`✅ Re-index finished: ${summary.reindexed} re-indexed, ${summary.failed} failed, ${summary.skipped} skipped`);
+    return summary;
+  }
+
+  /**
+   * Re-embed one document, reporting the outcome instead of throwing
+   * @param {string} documentId - Document ID
+   * @param {object} options - { force, signal }
+   * @returns {Promise<object>} - { documentId, status: reindexed|up-to-date|skipped|not-found|failed, ... }
+   */
+  async reindexOne(documentId, options) {
+    // A document still being processed is embedded with the configured model once it finishes
+    if (documentStatusService.isProcessing(documentId)) {
+      return { documentId, status: 'skipped', reason: 'Document is still being processed' };
+    }
+
+    try {
+      const result = await reindexDocument(documentId, options);
+      if (!result) {
+        return { documentId, status: 'not-found' };
+      }
+
+      if (result.chunksReindexed > 0 && documentStatusService.getStatus(documentId)) {
+        const { status } = documentStatusService.getStatus(documentId);
+        documentStatusService.setStatus(documentId, status, {
+          embeddingModel: result.embeddingModel,
+          embeddingDimension: result.embeddingDimension
+        });
+      }
+
+      return {
+        ...result,
+        status: result.chunksReindexed > 0 ? 'reindexed' : 'up-to-date'
+      };
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+
+      console.error(`❌ Failed to re-index document ${documentId}:`, error.message);
+      return { documentId, status: 'failed', error: error.message };
+    }
+  }
+}
+
+// Create singleton instance
+const reindexService = new ReindexService();
+
+module.exports = {
+  ReindexService,
+  reindexService
+};
@@ -0,0 +1,205 @@
+// Reranking Service
+// Reorders the candidate pool returned by searchSimilarChunks so only the best chunks reach the model.
+// RERANKER selects the strategy: 'term-overlap' (default), 'llm' or 'none'.
+// Additional rerankers can be added with registerReranker.
+
+const Groq = require('groq-sdk');
+const { OpenAI } = require('openai');
+const { tokenize } = require('./hybridSearch');
+
+const LLM_PASSAGE_LENGTH = 600;
+
+/**
+ * Heuristic scorer: how much of the query (weighted by term rarity in the pool) a chunk covers,
+ * with a bonus for matching adjacent query terms and the retrieval vector score as a tie-breaker.
+ * @param {string} query - User question
+ * @param {Array} candidates - Retrieved chunks
+ * @returns {Promise<Array<number>>} - Scores between 0 and 1, in candidate order
+ */
+async function termOverlapReranker(query, candidates) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return candidates.map(candidate => clamp(candidate.vectorScore ?? candidate.similarity ?? 0));
+  }
+
+  const candidateTerms = candidates.map(candidate => new Set(tokenize(candidate.content)));
+
+  // Terms found in fewer candidates say more about relevance
+  const weights = new Map(queryTerms.map(term => {
+    const matches = candidateTerms.filter(terms => terms.has(term)).length;
+    return [term, Math.log(1 + (candidates.length + 1) / (matches + 1))];
+  }));
+  const totalWeight = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+
+  const queryBigrams = [];
+  for (let i = 0; i < queryTerms.length - 1; i++) {
+    queryBigrams.push(`${queryTerms[i]} ${queryTerms[i + 1]}`);
+  }
+
+  return candidates.map((candidate, index) => {
+    const terms = candidateTerms[index];
+
+    const coverage = queryTerms.reduce((sum, term) => sum + (terms.has(term) ? weights.get(term) : 0), 0) / totalWeight;
+
+    let phraseScore = 0;
+    if (queryBigrams.length > 0) {
+      const normalizedContent = tokenize(candidate.content).join(' ');
+      phraseScore = queryBigrams.filter(bigram => normalizedContent.includes(bigram)).length / queryBigrams.length;
+    }
+
+    const vectorScore = clamp(candidate.vectorScore ?? candidate.similarity ?? 0);
+
+    return clamp(0.5 * coverage + 0.2 * phraseScore + 0.3 * vectorScore);
+  });
+}
+
+/**
+ * LLM-judged relevance: the model rates every passage from 0 to 10 in a single request
+ * @param {string} query - User question
+ * @param {Array} candidates - Retrieved chunks
+ * @returns {Promise<Array<number>>} - Scores between 0 and 1, in candidate order
+ */
+async function llmReranker(query, candidates) {
+  const passages = candidates
+    .map((candidate, index) => `[${index + 1}] ${candidate.content.substring(0, LLM_PASSAGE_LENGTH)}`)
+    .join('\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You rate how useful document passages are for answering a question. ' +
+        'Reply with only a JSON array of integers from 0 (irrelevant) to 10 (directly answers it), one per passage, in passage order.'
+    },
+    {
+      role: 'user',
+      content: `Question: ${query}\n\nPassages:\n\n${passages}`
+    }
+  ];
+
+  let completion;
+  if (process.env.GROQ_API_KEY) {
+    const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+    completion = await groq.chat.completions.create({
+      messages,
+      model: 'llama-3.1-8b-instant',
+      temperature: 0,
+      max_tokens: 200
+    });
+  } else if (process.env.OPENAI_API_KEY) {
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    completion = await openai.chat.completions.create({
+      messages,
+      model: 'gpt-4o-mini',
+      temperature: 0,
+      max_tokens: 200
+    });
+  } else {
+    throw new Error('LLM reranker requires GROQ_API_KEY or OPENAI_API_KEY');
+  }
+
+  const content = completion.choices[0]?.message?.content || '';
+  const match = content.match(/\[[\d\s.,]*\]/);
+  const ratings = match ? JSON.parse(match[0]) : null;
+
+  if (!Array.isArray(ratings) || ratings.length !== candidates.length) {
+    throw new Error(`LLM reranker returned ${ratings ? ratings.length : 'no'} ratings for ${candidates.length} passages`);
+  }
+
+  return ratings.map(rating => clamp(Number(rating) / 10));
+}
+
+/**
+ * Keep the retrieval order
+ * Candidates arrive in fused (BM25 + vector) order, so scores follow their position rather than
+ * the vector similarity, which would undo the fusion.
+ */
+async function noopReranker(query, candidates) {
+  return candidates.map((candidate, index) => (candidates.length - index) / candidates.length);
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+}
+
+const rerankers = new Map([
+  ['term-overlap', termOverlapReranker],
+  ['llm', llmReranker],
+  ['none', noopReranker]
+]);
+
+/**
+ * Register a reranker
+ * @param {string} name - Name used in RERANKER
+ * @param {function} reranker - async (query, candidates) => scores between 0 and 1, in candidate order
+ */
+function registerReranker(name, reranker) {
+  rerankers.set(name, reranker);
+}
+
+/**
+ * Get the configured reranker name
+ * @returns {string} - Reranker name
+ */
+function getRerankerName() {
+  const name = (process.env.RERANKER || 'term-overlap').toLowerCase();
+  if (!rerankers.has(name)) {
+    console.warn(`⚠️ Unknown RERANKER "${name}", using term-overlap`);
+    return 'term-overlap';
+  }
+  return name;
+}
+
+/**
+ * Number of chunks to retrieve before reranking
+ * @param {number} limit - Number of chunks passed to the model
+ * @returns {number} - Candidate pool size
+ */
+function getRerankPoolSize(limit) {
+  return Math.max(limit, parseInt(process.env.RERANK_CANDIDATES) || 20);
+}
+
+/**
+ * Rerank retrieved chunks and keep the best ones
+ * The reranked score replaces `similarity`; the retrieval score is kept as `retrievalScore`.
+ * If the reranker fails, the retrieval order is kept.
+ * @param {string} query - User question
+ * @param {Array} candidates - Chunks from searchSimilarChunks
+ * @param {number} limit - Number of chunks to keep
+ * @returns {Promise<Array>} - Best chunks, highest rerank score first
+ */
+async function rerankChunks(query, candidates, limit = 5) {
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const name = getRerankerName();
+  let scores;
+
+  try {
+    scores = await rerankers.get(name)(query, candidates);
+  } catch (error) {
+    console.warn(`⚠️ Reranker "${name}" failed, keeping retrieval order:`, error.message);
+    scores = await noopReranker(query, candidates);
+  }
+
+  const reranked = candidates
+    .map((candidate, index) => ({
+      ...candidate,
+      retrievalScore: candidate.similarity,
+      rerankScore: scores[index],
+      similarity: scores[index]
+    }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, limit);
+
+  console.log(`🎯 Reranked ${candidates.length} candidates with ${name}, keeping ${reranked.length}`);
+  return reranked;
+}
+
+module.exports = {
+  rerankChunks,
+  registerReranker,
+  getRerankPoolSize,
+  termOverlapReranker,
+  llmReranker
+};
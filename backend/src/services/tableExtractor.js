@@ -0,0 +1,471 @@
+// Table Extractor
+// Rebuilds tables from the positions of pdf.js text items: items on the same baseline form a line,
+// wide horizontal gaps split a line into cells, and runs of consecutive multi-cell lines whose cells
+// line up in shared column bands become a table. Bank statement transaction lists and invoice line
+// items come out as rows of cells instead of whitespace-joined text.
+// Detection is deliberately conservative, since a table's markdown replaces the original text:
+// each column of a multi-column page is searched on its own, and a block only counts as a table
+// when its columns line up row after row.
+// Markdown output (LlamaParse) already marks its tables; extractMarkdownTables reads them into the same shape.
+
+const { parseMarkdownBlocks } = require('./markdownChunker');
+
+// Fewest rows (including the header row) and columns for a block of lines to count as a table
+const MIN_TABLE_ROWS = 3;
+const MIN_TABLE_COLUMNS = 2;
+
+// Cells longer than this are prose; two-column page layouts would otherwise look like tables
+const MAX_MEDIAN_CELL_LENGTH = 40;
+
+// Cells of a column must share a left edge, right edge or centre to within this many character widths
+const ALIGNMENT_TOLERANCE_CHARS = 1.5;
+// Share of a column's body cells that have to line up
+const MIN_ALIGNED_SHARE = 0.8;
+
+// A page gutter is a strip at least this wide that at most MAX_GUTTER_CROSSING_SHARE of the lines cross,
+// with text on both sides on at least MIN_GUTTER_SIDE_SHARE of the lines and prose (cells of at least
+// MIN_GUTTER_PROSE_LENGTH characters, median) to its left
+const MIN_GUTTER_WIDTH = 6;
+const MIN_GUTTER_LINES = 8;
+const MAX_GUTTER_CROSSING_SHARE = 0.1;
+const MIN_GUTTER_SIDE_SHARE = 0.3;
+const MIN_GUTTER_PROSE_LENGTH = 30;
+
+// Numbers and bullets that start the items of a list (or the lines of a code listing)
+const LIST_MARKER_PATTERN = /^(?:\(?\d{1,3}[.)\]:]?|\[\d{1,3}\]|[a-z][.)]|[•●▪◦■□*–-])$/i;
+
+// Delimiter row between a markdown table's header and body, e.g. "| --- | :---: |"
+const MARKDOWN_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Median (0 for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Position and size of a text item
+ * @param {object} item - pdf.js text content item
+ * @param {number} index - Item index in the page's text content
+ * @returns {object} - { index, text, x0, x1, y, height, charWidth }
+ */
+function toBox(item, index) {
+  const x0 = item.transform[4];
+  const height = Math.abs(item.height || item.transform[3]) || 10;
+  const width = item.width || 0;
+
+  return {
+    index,
+    text: item.str,
+    x0,
+    x1: x0 + width,
+    y: item.transform[5],
+    height,
+    charWidth: item.str.length > 0 && width > 0 ? width / item.str.length : height / 2
+  };
+}
+
+/**
+ * Group items into lines by baseline, top of the page first
+ * @param {Array<object>} boxes - Item boxes
+ * @returns {Array<object>} - Lines of { y, height, boxes (left to right) }
+ */
+function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x0 - b.x0);
+  const lines = [];
+
+  for (const box of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - box.y) <= Math.max(2, line.height * 0.4)) {
+      line.boxes.push(box);
+    } else {
+      lines.push({ y: box.y, height: box.height, boxes: [box] });
+    }
+  }
+
+  for (const line of lines) {
+    line.boxes.sort((a, b) => a.x0 - b.x0);
+  }
+  return lines;
+}
+
+/**
+ * Split a line into cells wherever the gap between items is wider than a couple of characters
+ * @param {object} line - Line from groupLines
+ * @returns {Array<object>} - Cells of { text, x0, x1, indices }
+ */
+function splitCells(line) {
+  const cells = [];
+
+  for (const box of line.boxes) {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? box.x0 - cell.x1 : Infinity;
+
+    if (cell && gap < Math.max(box.charWidth * 2, 4)) {
+      // Runs split by pdf.js inside one cell; keep a space where the PDF left one
+      cell.text += (gap > box.charWidth * 0.25 && !cell.text.endsWith(' ') ? ' ' : '') + box.text;
+      cell.x1 = Math.max(cell.x1, box.x1);
+      cell.indices.push(box.index);
+    } else {
+      cells.push({ text: box.text, x0: box.x0, x1: box.x1, indices: [box.index] });
+    }
+  }
+
+  return cells
+    .map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }))
+    .filter(cell => cell.text.length > 0);
+}
+
+/**
+ * Merge the horizontal extents of cells into column bands
+ * @param {Array<Array<object>>} rows - Cells of each row
+ * @returns {Array<object>} - Bands of { x0, x1 }, left to right
+ */
+function findColumnBands(rows) {
+  const extents = rows.flat().map(cell => ({ x0: cell.x0, x1: cell.x1 })).sort((a, b) => a.x0 - b.x0);
+  const bands = [];
+
+  for (const extent of extents) {
+    const band = bands[bands.length - 1];
+    if (band && extent.x0 <= band.x1) {
+      band.x1 = Math.max(band.x1, extent.x1);
+    } else {
+      bands.push({ ...extent });
+    }
+  }
+
+  return bands;
+}
+
+/**
+ * Width of one character in a cell
+ * @param {object} cell - Cell from splitCells
+ * @returns {number} - Average character width
+ */
+function charWidthOf(cell) {
+  return (cell.x1 - cell.x0) / Math.max(cell.text.length, 1);
+}
+
+/**
+ * Whether the cells of one column line up on their left edges, right edges or centres
+ * (text columns are usually left-aligned, amounts right-aligned, short codes centred)
+ * @param {Array<object>} cells - Cells of the column
+ * @param {number} tolerance - Allowed distance from the column's median edge
+ * @returns {boolean}
+ */
+function isColumnAligned(cells, tolerance) {
+  const edges = [cell => cell.x0, cell => cell.x1, cell => (cell.x0 + cell.x1) / 2];
+
+  return edges.some(edge => {
+    const reference = median(cells.map(edge));
+    const aligned = cells.filter(cell => Math.abs(edge(cell) - reference) <= tolerance).length;
+    return aligned >= cells.length * MIN_ALIGNED_SHARE;
+  });
+}
+
+/**
+ * Lay a block of multi-cell lines out on its column bands
+ * The block is only a table when every row puts its cells in different columns, most rows fill
+ * all but at most one column, and the body cells of each column line up (the header row is
+ * exempt, headings are often placed differently from the values under them).
+ * @param {Array<Array<object>>} rows - Cells of each row
+ * @returns {object|null} - { cells: row arrays of strings, indices: item indices } or null if it isn't a table
+ */
+function buildTable(rows) {
+  if (rows.length < MIN_TABLE_ROWS) return null;
+
+  const bands = findColumnBands(rows);
+  if (bands.length < MIN_TABLE_COLUMNS) return null;
+
+  const cellLengths = rows.flat().map(cell => cell.text.length);
+  if (median(cellLengths) > MAX_MEDIAN_CELL_LENGTH) return null;
+
+  // Column of every cell; two cells of one row in the same band means the columns don't line up
+  const columnsByRow = rows.map(row => row.map(cell => bands.findIndex(band => cell.x0 >= band.x0 && cell.x0 <= band.x1)));
+  if (columnsByRow.some(columns => new Set(columns).size !== columns.length)) return null;
+
+  const filledColumns = columnsByRow.map(columns => columns.length);
+  if (median(filledColumns) < bands.length - 1) return null;
+
+  const tolerance = Math.max(3, median(rows.flat().map(charWidthOf)) * ALIGNMENT_TOLERANCE_CHARS);
+  let alignedColumns = 0;
+  for (let column = 0; column < bands.length; column++) {
+    const bodyCells = rows.slice(1).flatMap((row, i) => row.filter((_, j) => columnsByRow[i + 1][j] === column));
+    if (bodyCells.length < 2) continue;
+    if (!isColumnAligned(bodyCells, tolerance)) return null;
+    alignedColumns++;
+  }
+  if (alignedColumns < MIN_TABLE_COLUMNS) return null;
+
+  // A column of numbers or bullets next to a single column of text is a list
+  if (bands.length === 2 && rows.every((row, i) => columnsByRow[i][0] !== 0 || LIST_MARKER_PATTERN.test(row[0].text))) {
+    return null;
+  }
+
+  const indices = [];
+  const cells = rows.map((row, i) => {
+    const values = new Array(bands.length).fill('');
+    row.forEach((cell, j) => {
+      values[columnsByRow[i][j]] = cell.text;
+      indices.push(...cell.indices);
+    });
+    return values;
+  });
+
+  // Drop columns that are empty in every row (left over from a stray item)
+  const usedColumns = bands.map((_, column) => cells.some(row => row[column]));
+  const compacted = cells.map(row => row.filter((_, column) => usedColumns[column]));
+  if (compacted[0].length < MIN_TABLE_COLUMNS) return null;
+
+  return { cells: compacted, indices };
+}
+
+/**
+ * Find the gutters between the text columns of a multi-column page
+ * A gutter is a vertical strip of whitespace that almost no line crosses, with text on both sides
+ * and prose to its left. The gaps between table columns are crossed by the prose above and below
+ * the table, or have short cells next to them, so they don't count.
+ * @param {Array<Array<object>>} lineCells - Cells of every line on the page
+ * @returns {Array<object>} - Gutters of { x0, x1 }, left to right
+ */
+function findPageGutters(lineCells) {
+  const lines = lineCells.filter(cells => cells.length > 0);
+  if (lines.length < MIN_GUTTER_LINES) return [];
+
+  const allCells = lines.flat();
+  const minX = Math.floor(Math.min(...allCells.map(cell => cell.x0)));
+  const maxX = Math.ceil(Math.max(...allCells.map(cell => cell.x1)));
+  const maxCrossing = lines.length * MAX_GUTTER_CROSSING_SHARE;
+
+  // Runs of x positions that few lines cross (runs touching the page's text edges are margins)
+  const strips = [];
+  let start = null;
+  for (let x = minX + 1; x < maxX; x++) {
+    const crossing = lines.filter(cells => cells.some(cell => cell.x0 < x && cell.x1 > x)).length;
+    if (crossing <= maxCrossing) {
+      if (start === null) start = x;
+    } else if (start !== null) {
+      strips.push({ x0: start, x1: x - 1 });
+      start = null;
+    }
+  }
+
+  return strips.filter(strip => {
+    if (strip.x0 <= minX + 1 || strip.x1 - strip.x0 < MIN_GUTTER_WIDTH) return false;
+
+    const middle = (strip.x0 + strip.x1) / 2;
+    const leftCells = [];
+    let rightLines = 0;
+    for (const cells of lines) {
+      const left = cells.filter(cell => cell.x1 <= middle);
+      if (left.length > 0) leftCells.push(left[left.length - 1]);
+      if (cells.some(cell => cell.x0 >= middle)) rightLines++;
+    }
+
+    return leftCells.length >= lines.length * MIN_GUTTER_SIDE_SHARE &&
+      rightLines >= lines.length * MIN_GUTTER_SIDE_SHARE &&
+      median(leftCells.map(cell => cell.text.length)) >= MIN_GUTTER_PROSE_LENGTH;
+  });
+}
+
+/**
+ * Split a line's cells into the text columns between the page gutters
+ * @param {Array<object>} cells - Cells of the line
+ * @param {Array<object>} gutters - Gutters from findPageGutters
+ * @returns {Array<Array<object>>|null} - Cells per text column, or null if a cell spans a gutter
+ *   (a heading or figure across the whole page)
+ */
+function splitAtGutters(cells, gutters) {
+  const columns = gutters.map(() => []).concat([[]]);
+
+  for (const cell of cells) {
+    const middles = gutters.map(gutter => (gutter.x0 + gutter.x1) / 2);
+    if (middles.some(middle => cell.x0 < middle && cell.x1 > middle)) return null;
+    columns[middles.filter(middle => cell.x0 >= middle).length].push(cell);
+  }
+
+  return columns;
+}
+
+/**
+ * Join tables found side by side in neighbouring text columns on the same lines: a table wider
+ * than one column whose column gap happens to sit on the page gutter
+ * @param {Array<object>} tables - Tables of { cells, indices, ys, x }
+ * @returns {Array<object>} - Tables, the halves of a split table joined left to right
+ */
+function mergeAcrossGutters(tables) {
+  const merged = [];
+
+  for (const table of [...tables].sort((a, b) => a.x - b.x)) {
+    const left = merged.find(other => other.ys.length === table.ys.length &&
+      other.ys.every((y, i) => y === table.ys[i]));
+    if (left) {
+      left.cells = left.cells.map((row, i) => [...row, ...table.cells[i]]);
+      left.indices.push(...table.indices);
+    } else {
+      merged.push({ ...table, cells: table.cells, indices: [...table.indices] });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Find the tables on a page
+ * @param {Array<object>} items - pdf.js text content items of the page
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Array<object>} - Tables of { id, pageNumber, index, header, rows, columnCount, rowCount, itemIndices },
+ *   top of the page first
+ */
+function extractTables(items, pageNumber) {
+  const boxes = items
+    .map(toBox)
+    .filter(box => box.text.trim().length > 0);
+  const lines = groupLines(boxes);
+  const lineSpacing = median(lines.slice(1).map((line, i) => lines[i].y - line.y).filter(gap => gap > 0)) || 12;
+
+  const lineCells = lines.map(splitCells);
+  const gutters = findPageGutters(lineCells);
+
+  // Lines of each text column, and of lines spanning the gutters; a null entry interrupts a sequence
+  const sequences = gutters.map(() => []).concat([[], []]);
+  const spanning = sequences[sequences.length - 1];
+  lines.forEach((line, i) => {
+    const columns = splitAtGutters(lineCells[i], gutters);
+    if (columns) {
+      columns.forEach((cells, column) => {
+        if (cells.length > 0) sequences[column].push({ y: line.y, cells });
+      });
+      spanning.push(null);
+    } else {
+      sequences.slice(0, -1).forEach(sequence => sequence.push(null));
+      spanning.push({ y: line.y, cells: lineCells[i] });
+    }
+  });
+
+  const found = [];
+  for (const sequence of sequences) {
+    let block = [];
+    let previousY = null;
+
+    const closeBlock = () => {
+      const table = buildTable(block.map(line => line.cells));
+      if (table) {
+        found.push({ ...table, ys: block.map(line => line.y), x: Math.min(...block.flatMap(line => line.cells.map(cell => cell.x0))) });
+      }
+      block = [];
+    };
+
+    for (const line of sequence) {
+      if (!line) {
+        closeBlock();
+        previousY = null;
+        continue;
+      }
+
+      // A wide vertical gap ends the table even if the next line also has several cells
+      const isContinuation = previousY === null || previousY - line.y <= lineSpacing * 2.5;
+      if (!isContinuation || line.cells.length < MIN_TABLE_COLUMNS) closeBlock();
+      if (line.cells.length >= MIN_TABLE_COLUMNS) block.push(line);
+      previousY = line.y;
+    }
+    closeBlock();
+  }
+
+  return mergeAcrossGutters(found)
+    .sort((a, b) => b.ys[0] - a.ys[0] || a.x - b.x)
+    .map((table, index) => {
+      const [header, ...rows] = table.cells;
+      return {
+        id: `p${pageNumber}-t${index + 1}`,
+        pageNumber,
+        index,
+        header,
+        rows,
+        columnCount: header.length,
+        rowCount: rows.length,
+        itemIndices: table.indices
+      };
+    });
+}
+
+/**
+ * Format a table as GitHub-flavoured markdown
+ * @param {object} table - Table from extractTables
+ * @returns {string} - Markdown table
+ */
+function tableToMarkdown(table) {
+  // Empty cells get a single space so the row survives whitespace cleanup unchanged
+  const formatRow = (row) => `|${row.map(cell => (cell ? ` ${cell.replace(/\|/g, '\\|')} ` : ' ')).join('|')}|`;
+
+  return [
+    formatRow(table.header),
+    `| ${table.header.map(() => '---').join(' | ')} |`,
+    ...table.rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Split a markdown table row into its cells (escaped pipes stay inside a cell)
+ * @param {string} line - Row such as "| a | b |"
+ * @returns {Array<string>} - Cell texts
+ */
+function splitMarkdownRow(line) {
+  const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Find the tables in markdown text
+ * Only GitHub-flavoured tables count: a header row followed by a |---| delimiter row.
+ * @param {string} text - Markdown
+ * @param {function} getPageNumber - Page number of a character offset (default: everything on page 1)
+ * @returns {Array<object>} - Tables of { id, pageNumber, index, header, rows, columnCount, rowCount }, in text order
+ */
+function extractMarkdownTables(text, getPageNumber = () => 1) {
+  const tablesPerPage = new Map();
+
+  return parseMarkdownBlocks(text)
+    .filter(block => block.type === 'table')
+    .flatMap(block => {
+      const [headerLine, delimiterLine, ...rowLines] = text.slice(block.startChar, block.endChar)
+        .split('\n')
+        .filter(line => line.trim());
+      if (!delimiterLine || !MARKDOWN_DELIMITER_PATTERN.test(delimiterLine)) return [];
+
+      const header = splitMarkdownRow(headerLine);
+      if (header.length < MIN_TABLE_COLUMNS || rowLines.length === 0) return [];
+
+      // Rows are padded or cut to the header's width, as markdown renderers do
+      const rows = rowLines.map(line => {
+        const cells = splitMarkdownRow(line);
+        return header.map((_, column) => cells[column] || '');
+      });
+
+      const pageNumber = getPageNumber(block.startChar);
+      const index = tablesPerPage.get(pageNumber) || 0;
+      tablesPerPage.set(pageNumber, index + 1);
+
+      return [{
+        id: `p${pageNumber}-t${index + 1}`,
+        pageNumber,
+        index,
+        header,
+        rows,
+        columnCount: header.length,
+        rowCount: rows.length
+      }];
+    });
+}
+
+module.exports = {
+  extractTables,
+  extractMarkdownTables,
+  tableToMarkdown
+};
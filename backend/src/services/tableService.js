@@ -0,0 +1,175 @@
+// Table Storage Service
+// Keeps the tables extracted from each document as structured rows, next to its chunks.
+// Chunks only hold the part of a table that fell inside them; answers get the whole table.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+const { tableToMarkdown } = require('./tableExtractor');
+
+/**
+ * In-memory table store (lost on restart, useful for tests and ephemeral deployments)
+ */
+class MemoryTableStore {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  async get(documentId) {
+    return this.tables.get(documentId) || null;
+  }
+
+  async save(documentId, tables) {
+    this.tables.set(documentId, tables);
+  }
+
+  async delete(documentId) {
+    return this.tables.delete(documentId);
+  }
+}
+
+/**
+ * File-backed table store - one JSON file per document, read on first use
+ */
+class FileTableStore {
+  constructor(directory = getDataDir('tables')) {
+    this.directory = directory;
+    this.cache = new Map();
+  }
+
+  getFilePath(documentId) {
+    return path.join(this.directory, `${documentId}.json`);
+  }
+
+  async get(documentId) {
+    if (!this.cache.has(documentId)) {
+      const stored = await readJsonFile(this.getFilePath(documentId));
+      this.cache.set(documentId, stored ? stored.tables : null);
+    }
+    return this.cache.get(documentId);
+  }
+
+  async save(documentId, tables) {
+    this.cache.set(documentId, tables);
+    await writeJsonFile(this.getFilePath(documentId), { documentId, tables });
+  }
+
+  async delete(documentId) {
+    this.cache.delete(documentId);
+    try {
+      await fs.unlink(this.getFilePath(documentId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+class TableService {
+  /**
+   * @param {object} store - Storage backend implementing get/save/delete
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store the tables of a document, replacing any from an earlier run
+   * @param {string} documentId - Document ID
+   * @param {Array} tables - Tables from processPDF
+   */
+  async saveTables(documentId, tables) {
+    if (!tables || tables.length === 0) {
+      await this.store.delete(documentId);
+      return;
+    }
+    await this.store.save(documentId, tables);
+  }
+
+  /**
+   * Tables of a document, each with its markdown
+   * @param {string} documentId - Document ID
+   * @param {object} options - { pageNumber } to only return the tables of one page
+   * @returns {Promise<Array>} - Tables in page order (empty if the document has none)
+   */
+  async getTables(documentId, options = {}) {
+    const tables = (await this.store.get(documentId)) || [];
+
+    return tables
+      .filter(table => !options.pageNumber || table.pageNumber === options.pageNumber)
+      .map(table => ({ ...table, markdown: tableToMarkdown(table) }));
+  }
+
+  /**
+   * Delete the tables of a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - Whether the document had stored tables
+   */
+  async deleteTables(documentId) {
+    return this.store.delete(documentId);
+  }
+
+  /**
+   * Give retrieved chunks the full tables on their pages
+   * A table split across chunks is only partly in each one; every table is attached once,
+   * to the first (best ranked) chunk whose pages it is on, unless that chunk already holds all of it.
+   * @param {Array} chunks - Retrieved chunks (metadata with document_id, start_page and end_page)
+   * @returns {Promise<Array>} - Copies of the chunks, those with tables getting a tables array of { id, pageNumber, markdown }
+   */
+  async attachTables(chunks) {
+    const tablesByDocument = new Map();
+    const attached = new Set();
+    const results = [];
+
+    for (const chunk of chunks) {
+      const documentId = chunk.metadata?.document_id;
+      const startPage = Number(chunk.metadata?.start_page);
+      if (!documentId || !startPage) {
+        results.push(chunk);
+        continue;
+      }
+
+      if (!tablesByDocument.has(documentId)) {
+        tablesByDocument.set(documentId, await this.getTables(documentId));
+      }
+
+      const endPage = Number(chunk.metadata.end_page) || startPage;
+      const tables = tablesByDocument.get(documentId).filter(table => {
+        const key = `${documentId}:${table.id}`;
+        if (table.pageNumber < startPage || table.pageNumber > endPage || attached.has(key)) return false;
+
+        attached.add(key);
+        return !chunk.content.includes(table.markdown);
+      });
+
+      results.push(tables.length > 0
+        ? { ...chunk, tables: tables.map(({ id, pageNumber, markdown }) => ({ id, pageNumber, markdown })) }
+        : chunk);
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Create the storage backend configured by TABLE_STORE ('file' or 'memory')
+ */
+function createTableStore() {
+  const storeType = process.env.TABLE_STORE || 'file';
+
+  if (storeType === 'memory') {
+    return new MemoryTableStore();
+  }
+  return new FileTableStore();
+}
+
+// Create singleton instance
+const tableService = new TableService(createTableStore());
+
+module.exports = {
+  TableService,
+  FileTableStore,
+  MemoryTableStore,
+  tableService
+};
@@ -0,0 +1,175 @@
+// User Account Service
+// Local user store with bcrypt-hashed passwords, persisted to DATA_DIR/users.json
+
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+/**
+ * Normalize an email address for lookups
+ * @param {string} email - Email address
+ * @returns {string} - Lowercase, trimmed email
+ */
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+class UserService {
+  /**
+   * @param {string|null} filePath - JSON file to persist users to (in-memory only if null)
+   */
+  constructor(filePath = path.join(getDataDir(), 'users.json')) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.initPromise = null;
+    this.writeQueue = Promise.resolve();
+    this.dummyHash = null;
+  }
+
+  /**
+   * Load stored users (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+
+    const stored = await readJsonFile(this.filePath, { users: [] });
+    for (const user of stored.users || []) {
+      this.users.set(user.id, user);
+    }
+
+    console.log(`👤 Loaded ${this.users.size} user accounts`);
+  }
+
+  /**
+   * Write all users to disk, one write at a time
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = { users: Array.from(this.users.values()) };
+    const next = this.writeQueue.catch(() => {}).then(() => writeJsonFile(this.filePath, snapshot));
+    this.writeQueue = next;
+    return next;
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - Email address
+   * @returns {Promise<object|null>} - Stored user or null if not found
+   */
+  async findByEmail(email) {
+    await this.init();
+    return this.lookupEmail(email);
+  }
+
+  /**
+   * Find a loaded user by email without yielding, so a check and a write can't interleave
+   * @param {string} email - Email address
+   * @returns {object|null} - Stored user or null if not found
+   */
+  lookupEmail(email) {
+    const normalized = normalizeEmail(email);
+    for (const user of this.users.values()) {
+      if (user.email === normalized) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a user by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} - Stored user or null if not found
+   */
+  async getUser(userId) {
+    await this.init();
+    return this.users.get(userId) || null;
+  }
+
+  /**
+   * Create a user account
+   * @param {object} details - { email, password, name }
+   * @returns {Promise<object|null>} - New user, or null if the email is already registered
+   */
+  async createUser({ email, password, name = null }) {
+    await this.init();
+
+    if (this.lookupEmail(email)) {
+      return null;
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // A concurrent registration for the same email may have finished while hashing
+    if (this.lookupEmail(email)) {
+      return null;
+    }
+
+    const user = {
+      id: uuidv4(),
+      email: normalizeEmail(email),
+      name: name || null,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.set(user.id, user);
+    await this.persist();
+
+    console.log(`👤 User ${user.id} registered`);
+    return user;
+  }
+
+  /**
+   * Check an email and password
+   * @param {string} email - Email address
+   * @param {string} password - Plain-text password
+   * @returns {Promise<object|null>} - User if the credentials match, otherwise null
+   */
+  async verifyCredentials(email, password) {
+    const user = await this.findByEmail(email);
+    if (!user) {
+      // Compare anyway so unknown emails take as long as wrong passwords
+      if (!this.dummyHash) {
+        this.dummyHash = await bcrypt.hash(uuidv4(), BCRYPT_ROUNDS);
+      }
+      await bcrypt.compare(password, this.dummyHash);
+      return null;
+    }
+
+    return (await bcrypt.compare(password, user.passwordHash)) ? user : null;
+  }
+
+  /**
+   * Strip private fields from a user
+   * @param {object} user - Stored user
+   * @returns {object} - { id, email, name, createdAt }
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = {
+  UserService,
+  userService
+};
@@ -1,6 +1,12 @@
 const { ChromaClient } = require('chromadb');
-const { chunkText } = require('./pdfService');
-const { generateEmbeddings } = require('./embeddingService');
+const {
+  generateEmbeddings,
+  generateEmbeddingsWithModel,
+  getConfiguredEmbeddingModel,
+  embedDocument
+} = require('./embeddingService');
+const { BM25Index, fuseResults, getCandidatePoolSize, toDocumentIdList } = require('./hybridSearch');
+const { formatHeadingPath } = require('./markdownChunker');
 
 // Custom embedding function for ChromaDB
 class CustomEmbeddingFunction {
@@ -9,6 +15,22 @@ class CustomEmbeddingFunction {
   }
 }
 
+/**
+ * Squared L2 distance, the collection's default distance function
+ */
+function squaredDistance(vecA, vecB) {
+  return vecA.reduce((sum, a, i) => sum + (a - vecB[i]) ** 2, 0);
+}
+
+/**
+ * Chroma where clause matching chunks of the given documents
+ */
+function documentFilter(documentIds) {
+  return documentIds.length === 1
+    ? { document_id: documentIds[0] }
+    : { document_id: { $in: documentIds } };
+}
+
 class VectorService {
   constructor() {
     const chromaUrl = process.env.CHROMA_URL || 'http://localhost:8000';
@@ -21,6 +43,10 @@ class VectorService {
     });
     this.collectionName = 'pdf_documents';
     this.collection = null;
+
+    // Keyword index searched alongside Chroma; rebuilt from stored chunks on first use after a restart
+    this.lexicalIndex = new BM25Index();
+    this.lexicalIndexComplete = false;
   }
 
   /**
@@ -58,26 +84,27 @@ class VectorService {
    * @param {string} documentId - Unique document identifier
    * @param {string} text - Document text content
    * @param {object} metadata - Document metadata
+   * @param {object} options - Vectorization options
+   * @param {Array<object>} options.pages - Exact page boundaries from the PDF parser
+   * @param {AbortSignal} options.signal - Cancels embedding; nothing is stored once aborted
+   * @param {object} options.embeddedChunks - Chunks already embedded by an ingestion worker ({ chunks, embeddings, model, dimension })
    * @returns {Promise<object>} - Processing results
    */
-  async vectorizeDocument(documentId, text, metadata = {}) {
+  async vectorizeDocument(documentId, text, metadata = {}, options = {}) {
     const startTime = Date.now();
     
     try {
       await this.initialize();
 
-      // Chunk the text with page information
-      const totalPages = metadata.numPages || 1;
-      const chunks = chunkText(text, 1000, 200, totalPages);
-
-      if (chunks.length === 0) {
-        throw new Error('No text chunks generated from document');
-      }
-
-      // Generate embeddings for all chunks
-      console.log(`🔄 Generating embeddings for ${chunks.length} chunks...`);
+      // Chunk the text with page information and embed it, unless an ingestion worker already has
+      const { chunks, embeddings, model, dimension } = options.embeddedChunks ||
+        await embedDocument(text, {
+          numPages: metadata.numPages,
+          pages: options.pages,
+          format: metadata.pdfMetadata?.format,
+          signal: options.signal
+        });
       const chunkTexts = chunks.map(chunk => chunk.text);
-      const embeddings = await generateEmbeddings(chunkTexts);
 
       // Prepare data for Chroma
       const ids = chunks.map((_, index) => `${documentId}_chunk_${index}`);
@@ -88,12 +115,21 @@ class VectorService {
           chunk_index: Number(index),
           chunk_text: String(chunk.text.substring(0, 100) + '...'),
           page_number: Number(chunk.estimatedPage),
+          start_page: Number(chunk.startPage),
+          end_page: Number(chunk.endPage),
+          exact_pages: Boolean(chunk.exactPages),
+          ocr: Boolean(chunk.ocr),
+          heading_path: formatHeadingPath(chunk.headingPath),
           start_char: Number(chunk.startChar),
           end_char: Number(chunk.endChar),
           filename: metadata.filename ? String(metadata.filename) : null,
           uploaded_at: metadata.uploadedAt ? String(metadata.uploadedAt) : null,
           file_size: metadata.fileSize ? Number(metadata.fileSize) : null,
-          num_pages: metadata.numPages ? Number(metadata.numPages) : null
+          num_pages: metadata.numPages ? Number(metadata.numPages) : null,
+          owner_id: metadata.ownerId ? String(metadata.ownerId) : null,
+          content_hash: metadata.contentHash ? String(metadata.contentHash) : null,
+          embedding_model: String(model),
+          embedding_dimension: Number(dimension)
         };
 
         // Add enhanced metadata for financial documents
@@ -114,12 +150,18 @@ class VectorService {
           if (metadata.pdfMetadata.creator) cleanMetadata.pdf_creator = String(metadata.pdfMetadata.creator);
           if (metadata.pdfMetadata.source) cleanMetadata.pdf_source = String(metadata.pdfMetadata.source);
           if (metadata.pdfMetadata.processingMethod) cleanMetadata.processing_method = String(metadata.pdfMetadata.processingMethod);
+          if (metadata.pdfMetadata.tableCount) cleanMetadata.table_count = Number(metadata.pdfMetadata.tableCount);
+          if (metadata.pdfMetadata.parser) cleanMetadata.parser = String(metadata.pdfMetadata.parser);
+          if (metadata.pdfMetadata.sourceType) cleanMetadata.source_type = String(metadata.pdfMetadata.sourceType);
         }
 
         return cleanMetadata;
       });
 
 
+      // Nothing is stored for a cancelled job
+      options.signal?.throwIfAborted();
+
       // Store in Chroma
       await this.collection.add({
         ids,
@@ -127,64 +169,137 @@ class VectorService {
         documents,
         metadatas
       });
+      this.lexicalIndex.addDocument(documentId, ids.map((id, index) => ({ id, text: documents[index] })));
 
       const processingTime = Date.now() - startTime;
       console.log(`✅ Document vectorized: ${chunks.length} chunks in ${processingTime}ms`);
 
       return {
         chunksCreated: chunks.length,
+        embeddingModel: model,
+        embeddingDimension: dimension,
         processingTime,
         documentId
       };
 
     } catch (error) {
+      if (options.signal?.aborted) throw error;
+
       console.error('Vectorization error:', error);
-      throw new Error(`Failed to vectorize document: ${error.message}`);
+      throw new Error(`Failed to vectorize document: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Make sure the keyword index covers the documents being searched
+   * @param {Array<string>|null} documentIds - Documents to index (all stored documents if null)
+   */
+  async ensureLexicalIndex(documentIds) {
+    if (this.lexicalIndexComplete) {
+      return;
+    }
+
+    const missingIds = documentIds && documentIds.filter(documentId => !this.lexicalIndex.hasDocument(documentId));
+    if (missingIds && missingIds.length === 0) {
+      return;
+    }
+
+    const results = await this.collection.get({
+      ...(missingIds && { where: documentFilter(missingIds) }),
+      include: ['documents', 'metadatas']
+    });
+
+    const chunksByDocument = new Map();
+    results.ids.forEach((id, index) => {
+      const chunkDocumentId = results.metadatas[index]?.document_id;
+      if (!chunkDocumentId || this.lexicalIndex.hasDocument(chunkDocumentId)) return;
+
+      if (!chunksByDocument.has(chunkDocumentId)) {
+        chunksByDocument.set(chunkDocumentId, []);
+      }
+      chunksByDocument.get(chunkDocumentId).push({ id, text: results.documents[index] || '' });
+    });
+
+    for (const [chunkDocumentId, chunks] of chunksByDocument) {
+      this.lexicalIndex.addDocument(chunkDocumentId, chunks);
+    }
+
+    if (!documentIds) {
+      this.lexicalIndexComplete = true;
     }
   }
 
   /**
-   * Search for similar chunks
+   * Search for relevant chunks
+   * Vector similarity and BM25 keyword rankings are merged with reciprocal-rank fusion.
+   * Only chunks embedded with the same model as the query are searched.
    * @param {string} query - Search query
-   * @param {string} documentId - Optional document ID to filter by
+   * @param {string|Array<string>} documentId - Optional document ID, or list of IDs, to filter by
    * @param {number} limit - Number of results to return
-   * @returns {Promise<Array>} - Similar chunks with metadata
+   * @returns {Promise<Array>} - Chunks with metadata, vectorScore and lexicalScore
    */
   async searchSimilarChunks(query, documentId = null, limit = 5) {
     try {
       await this.initialize();
 
-      // Generate embedding for the query
-      const queryEmbedding = await generateEmbeddings([query]);
+      // Embed the query with the configured model only: a fallback model's vector couldn't be
+      // compared with any stored chunk, so a failing provider fails the search instead
+      const { embeddings: queryEmbedding, model } = await generateEmbeddingsWithModel([query], {
+        model: getConfiguredEmbeddingModel()
+      });
+      const poolSize = getCandidatePoolSize(limit);
+      const documentIds = toDocumentIdList(documentId);
+
+      // Vectors from another embedding model aren't comparable with the query's
+      const modelFilter = { embedding_model: model };
 
-      // Prepare search parameters
+      // Prepare search parameters, with the document filter if specified
       const searchParams = {
         queryEmbeddings: queryEmbedding,
-        nResults: limit
+        nResults: poolSize,
+        where: documentIds ? { $and: [documentFilter(documentIds), modelFilter] } : modelFilter
       };
 
-      // Add document filter if specified
-      if (documentId) {
-        searchParams.where = { document_id: documentId };
-      }
-
       // Search in Chroma
       const results = await this.collection.query(searchParams);
 
-      // Format results
-      const formattedResults = [];
+      const chunks = new Map();
+      const vectorRanking = [];
       if (results.documents && results.documents[0]) {
         for (let i = 0; i < results.documents[0].length; i++) {
-          formattedResults.push({
+          const id = results.ids[0][i];
+          vectorRanking.push(id);
+          chunks.set(id, {
             content: results.documents[0][i],
-            similarity: 1 - (results.distances[0][i] || 0), // Convert distance to similarity
-            metadata: results.metadatas[0][i],
-            id: results.ids[0][i]
+            vectorScore: 1 - (results.distances[0][i] || 0), // Convert distance to similarity
+            metadata: results.metadatas[0][i]
           });
         }
       }
 
-      console.log(`🔍 Found ${formattedResults.length} similar chunks for query`);
+      await this.ensureLexicalIndex(documentIds);
+      const lexicalResults = this.lexicalIndex.search(query, documentIds, poolSize);
+
+      // Chunks found only by keyword still get a vector score so both are always reported
+      const lexicalOnlyIds = lexicalResults.map(result => result.id).filter(id => !chunks.has(id));
+      if (lexicalOnlyIds.length > 0) {
+        const lexicalOnly = await this.collection.get({
+          ids: lexicalOnlyIds,
+          where: modelFilter,
+          include: ['documents', 'metadatas', 'embeddings']
+        });
+        lexicalOnly.ids.forEach((id, index) => {
+          chunks.set(id, {
+            content: lexicalOnly.documents[index],
+            vectorScore: 1 - squaredDistance(queryEmbedding[0], lexicalOnly.embeddings[index]),
+            metadata: lexicalOnly.metadatas[index]
+          });
+        });
+      }
+
+      const formattedResults = fuseResults(vectorRanking, lexicalResults, chunks, limit);
+
+      console.log(`🔍 Found ${formattedResults.length} chunks for query (${lexicalResults.length} keyword matches)`);
       return formattedResults;
 
     } catch (error) {
@@ -193,6 +308,70 @@ class VectorService {
     }
   }
 
+  /**
+   * Re-embed a document's stored chunks with the configured embedding model
+   * A collection holds vectors of a single dimension, so switching to a model with another
+   * dimension fails here; such documents have to be uploaded again into a new collection.
+   * @param {string} documentId - Document ID
+   * @param {object} options - { force } to re-embed chunks already using the configured model,
+   *   { signal } to stop before anything is replaced
+   * @returns {Promise<object|null>} - Re-index result, or null if the document has no stored chunks
+   */
+  async reindexDocument(documentId, options = {}) {
+    await this.initialize();
+
+    const model = getConfiguredEmbeddingModel();
+    const results = await this.collection.get({
+      where: { document_id: documentId },
+      include: ['documents', 'metadatas', 'embeddings']
+    });
+
+    if (results.ids.length === 0) {
+      return null;
+    }
+
+    const previousModels = [...new Set(results.metadatas.map(metadata => metadata?.embedding_model || null))];
+    const staleIndices = results.ids
+      .map((_, index) => index)
+      .filter(index => options.force || results.metadatas[index]?.embedding_model !== model);
+
+    const result = {
+      documentId,
+      chunkCount: results.ids.length,
+      chunksReindexed: staleIndices.length,
+      previousModels,
+      embeddingModel: model,
+      embeddingDimension: results.embeddings[0]?.length || null
+    };
+
+    if (staleIndices.length === 0) {
+      return result;
+    }
+
+    const { embeddings, dimension } = await generateEmbeddingsWithModel(
+      staleIndices.map(index => results.documents[index]),
+      { model, signal: options.signal }
+    );
+    if (embeddings.length !== staleIndices.length) {
+      throw new Error(`Expected ${staleIndices.length} embeddings, got ${embeddings.length}`);
+    }
+
+    options.signal?.throwIfAborted();
+
+    await this.collection.update({
+      ids: staleIndices.map(index => results.ids[index]),
+      embeddings,
+      metadatas: staleIndices.map(index => ({
+        ...results.metadatas[index],
+        embedding_model: model,
+        embedding_dimension: dimension
+      }))
+    });
+
+    console.log(`🔁 Re-indexed ${staleIndices.length} chunks of document ${documentId} with ${model}`);
+    return { ...result, embeddingDimension: dimension };
+  }
+
   /**
    * Delete a document and all its chunks
    * @param {string} documentId - Document ID to delete
@@ -206,6 +385,7 @@ class VectorService {
       await this.collection.delete({
         where: { document_id: documentId }
       });
+      this.lexicalIndex.removeDocument(documentId);
 
       console.log(`🗑️ Deleted document: ${documentId}`);
       return true;
@@ -240,6 +420,40 @@ class VectorService {
       throw new Error(`Failed to get document stats: ${error.message}`);
     }
   }
+
+  /**
+   * List stored documents with their chunk counts
+   * @returns {Promise<Array>} - Documents with chunk count and first chunk metadata
+   */
+  async listDocuments() {
+    try {
+      await this.initialize();
+
+      const results = await this.collection.get({ include: ['metadatas'] });
+      const documents = new Map();
+
+      for (const metadata of results.metadatas) {
+        if (!metadata?.document_id) continue;
+
+        const existing = documents.get(metadata.document_id);
+        if (existing) {
+          existing.chunkCount++;
+        } else {
+          documents.set(metadata.document_id, {
+            documentId: metadata.document_id,
+            chunkCount: 1,
+            metadata
+          });
+        }
+      }
+
+      return Array.from(documents.values());
+
+    } catch (error) {
+      console.error('List documents error:', error);
+      throw new Error(`Failed to list documents: ${error.message}`);
+    }
+  }
 }
 
 // Create singleton instance
@@ -247,12 +461,16 @@ const vectorService = new VectorService();
 
 // Export functions that use the singleton
 module.exports = {
-  vectorizeDocument: (documentId, text, metadata) => 
-    vectorService.vectorizeDocument(documentId, text, metadata),
+  vectorizeDocument: (documentId, text, metadata, options) =>
+    vectorService.vectorizeDocument(documentId, text, metadata, options),
   searchSimilarChunks: (query, documentId, limit) => 
     vectorService.searchSimilarChunks(query, documentId, limit),
   deleteDocument: (documentId) => 
     vectorService.deleteDocument(documentId),
-  getDocumentStats: (documentId) => 
-    vectorService.getDocumentStats(documentId)
+  getDocumentStats: (documentId) =>
+    vectorService.getDocumentStats(documentId),
+  listDocuments: () =>
+    vectorService.listDocuments(),
+  reindexDocument: (documentId, options) =>
+    vectorService.reindexDocument(documentId, options)
 };
@@ -0,0 +1,225 @@
+// Workspace Service
+// Named workspaces that group documents; document listings, retrieval and conversations can be scoped to one.
+// A document belongs to at most one workspace.
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDataDir, readJsonFile, writeJsonFile } = require('../utils/fileUtils');
+
+class WorkspaceService {
+  /**
+   * @param {string|null} filePath - JSON file to persist workspaces to (in-memory only if null)
+   */
+  constructor(filePath = path.join(getDataDir(), 'workspaces.json')) {
+    this.filePath = filePath;
+    this.workspaces = new Map();
+    this.initPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load stored workspaces (only once)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.load();
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    if (!this.filePath) return;
+
+    const stored = await readJsonFile(this.filePath, { workspaces: [] });
+    for (const workspace of stored.workspaces || []) {
+      this.workspaces.set(workspace.id, workspace);
+    }
+
+    console.log(`🗂️ Loaded ${this.workspaces.size} workspaces`);
+  }
+
+  /**
+   * Write all workspaces to disk, one write at a time
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = { workspaces: Array.from(this.workspaces.values()) };
+    const next = this.writeQueue.catch(() => {}).then(() => writeJsonFile(this.filePath, snapshot));
+    this.writeQueue = next;
+    return next;
+  }
+
+  /**
+   * Create an empty workspace
+   * @param {string} name - Workspace name
+   * @param {string} ownerId - ID of the user who owns the workspace
+   * @param {object} options - { parser: PDF parser for the workspace's uploads (null for the default) }
+   * @returns {Promise<object>} - New workspace
+   */
+  async createWorkspace(name, ownerId, { parser = null } = {}) {
+    await this.init();
+
+    const now = new Date().toISOString();
+    const workspace = {
+      id: uuidv4(),
+      name,
+      ownerId,
+      parser,
+      documentIds: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.workspaces.set(workspace.id, workspace);
+    await this.persist();
+
+    console.log(`🗂️ Workspace ${workspace.id} created: ${name}`);
+    return workspace;
+  }
+
+  /**
+   * Get a workspace by ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<object|null>} - Workspace or null if not found
+   */
+  async getWorkspace(workspaceId) {
+    await this.init();
+    return this.workspaces.get(workspaceId) || null;
+  }
+
+  /**
+   * List a user's workspaces by name
+   * @param {string} ownerId - Owner's user ID
+   * @returns {Promise<Array>} - Workspaces
+   */
+  async listWorkspaces(ownerId) {
+    await this.init();
+    return Array.from(this.workspaces.values())
+      .filter(workspace => workspace.ownerId === ownerId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rename a workspace or change its PDF parser
+   * @param {string} workspaceId - Workspace ID
+   * @param {object} changes - { name, parser } (omitted fields are left as they are; parser null resets it)
+   * @returns {Promise<object|null>} - Updated workspace or null if not found
+   */
+  async updateWorkspace(workspaceId, { name, parser } = {}) {
+    await this.init();
+
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) return null;
+
+    if (name !== undefined) workspace.name = name;
+    if (parser !== undefined) workspace.parser = parser;
+    workspace.updatedAt = new Date().toISOString();
+
+    await this.persist();
+    return workspace;
+  }
+
+  /**
+   * Delete a workspace (its documents are kept and no longer belong to a workspace)
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<object|null>} - Deleted workspace or null if not found
+   */
+  async deleteWorkspace(workspaceId) {
+    await this.init();
+
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) return null;
+
+    this.workspaces.delete(workspaceId);
+    await this.persist();
+
+    console.log(`🗑️ Workspace ${workspaceId} deleted`);
+    return workspace;
+  }
+
+  /**
+   * Add a document to a workspace, moving it out of any other workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object|null>} - Updated workspace or null if not found
+   */
+  async addDocument(workspaceId, documentId) {
+    await this.init();
+
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) return null;
+
+    const now = new Date().toISOString();
+    for (const other of this.workspaces.values()) {
+      if (other !== workspace && other.documentIds.includes(documentId)) {
+        other.documentIds = other.documentIds.filter(id => id !== documentId);
+        other.updatedAt = now;
+      }
+    }
+
+    if (!workspace.documentIds.includes(documentId)) {
+      workspace.documentIds.push(documentId);
+      workspace.updatedAt = now;
+    }
+
+    await this.persist();
+    return workspace;
+  }
+
+  /**
+   * Remove a document from a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - True if the document was in the workspace
+   */
+  async removeDocument(workspaceId, documentId) {
+    await this.init();
+
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace || !workspace.documentIds.includes(documentId)) return false;
+
+    workspace.documentIds = workspace.documentIds.filter(id => id !== documentId);
+    workspace.updatedAt = new Date().toISOString();
+
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Remove a document from whichever workspace contains it
+   * @param {string} documentId - Document ID
+   * @returns {Promise<string|null>} - ID of the workspace it was removed from, or null
+   */
+  async removeDocumentFromWorkspaces(documentId) {
+    const workspace = await this.getWorkspaceForDocument(documentId);
+    if (!workspace) return null;
+
+    await this.removeDocument(workspace.id, documentId);
+    return workspace.id;
+  }
+
+  /**
+   * Find the workspace a document belongs to
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object|null>} - Workspace or null if the document is not in one
+   */
+  async getWorkspaceForDocument(documentId) {
+    await this.init();
+
+    for (const workspace of this.workspaces.values()) {
+      if (workspace.documentIds.includes(documentId)) {
+        return workspace;
+      }
+    }
+    return null;
+  }
+}
+
+// Create singleton instance
+const workspaceService = new WorkspaceService();
+
+module.exports = {
+  WorkspaceService,
+  workspaceService
+};
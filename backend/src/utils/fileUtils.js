@@ -1,6 +1,15 @@
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Get the directory used for persistent application data
+ * @param {string} subdir - Optional subdirectory
+ * @returns {string} - Data directory path
+ */
+function getDataDir(subdir = '') {
+  return path.join(process.env.DATA_DIR || 'data', subdir);
+}
+
 /**
  * Create uploads directory if it doesn't exist
  */
@@ -107,8 +116,53 @@ function generateUniqueFilename(originalName) {
   return `${cleanName}_${timestamp}${extension}`;
 }
 
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to file
+ * @param {*} fallback - Value returned if the file does not exist
+ * @returns {Promise<*>} - Parsed content or fallback
+ */
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Path to file
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, content);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Path to file
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data) {
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
 module.exports = {
   createUploadsDir,
+  getDataDir,
+  readJsonFile,
+  writeJsonFile,
+  writeFileAtomic,
   formatFileSize,
   fileExists,
   deleteFile,
@@ -0,0 +1,51 @@
+// PDF Ingestion Worker
+// Worker thread entry point for INGESTION_MODE=worker. Parses, chunks and embeds one uploaded PDF
+// off the API server's event loop and reports back to runIngestionWorker:
+//   { type: 'progress', progress, message }   parsing progress (0-100)
+//   { type: 'parsed', numPages, textLength }  parsing finished, embedding started
+//   { type: 'done', pdfResult, embeddedChunks }
+//   { type: 'error', error }
+// Storing the chunks stays on the main thread, which owns the vector store.
+
+const { parentPort, workerData } = require('worker_threads');
+const { processDocument } = require('../services/documentConverter');
+const { embedDocument } = require('../services/embeddingService');
+
+/**
+ * Copy the parts of an error the job queue looks at (message, HTTP status, network code, cause)
+ * @param {Error} error - Error to send to the main thread
+ * @returns {object} - Plain error description
+ */
+function serializeError(error) {
+  return {
+    message: error.message || String(error),
+    code: error.code,
+    status: error.response?.status ?? error.status,
+    cause: error.cause ? serializeError(error.cause) : undefined
+  };
+}
+
+async function run() {
+  const pdfResult = await processDocument(workerData.filePath, {
+    fileType: workerData.fileType,
+    parser: workerData.parser,
+    converted: workerData.converted,
+    onProgress: (progress, message) => {
+      parentPort.postMessage({ type: 'progress', progress, message });
+    }
+  });
+
+  parentPort.postMessage({ type: 'parsed', numPages: pdfResult.numPages, textLength: pdfResult.text.length });
+
+  const embeddedChunks = await embedDocument(pdfResult.text, {
+    numPages: pdfResult.numPages,
+    pages: pdfResult.pages,
+    format: pdfResult.metadata?.format
+  });
+
+  parentPort.postMessage({ type: 'done', pdfResult, embeddedChunks });
+}
+
+run().catch(error => {
+  parentPort.postMessage({ type: 'error', error: serializeError(error) });
+});
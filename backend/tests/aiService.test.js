@@ -0,0 +1,104 @@
+jest.mock('groq-sdk');
+
+const Groq = require('groq-sdk');
+const { estimateStreamTokens, estimateMaxChatTokens, generateResponseStream } = require('../src/services/aiService');
+
+describe('estimateStreamTokens', () => {
+  const chunks = [{ content: 'The invoice total is 120 EUR.', metadata: { page_number: 1, chunk_index: 0 } }];
+  const history = [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Hi, how can I help?' }];
+
+  it('counts the prompt even before any text was generated', () => {
+    expect(estimateStreamTokens('groq', 'What is the total?', chunks, history)).toBeGreaterThan(0);
+  });
+
+  it('adds the text generated so far', () => {
+    const promptOnly = estimateStreamTokens('groq', 'What is the total?', chunks, history, '');
+    const withAnswer = estimateStreamTokens('groq', 'What is the total?', chunks, history, 'x'.repeat(400));
+    expect(withAnswer - promptOnly).toBe(100);
+  });
+
+  it('counts the prompt of the provider that streamed the answer', () => {
+    expect(estimateStreamTokens('openai', 'What is the total?', chunks, history))
+      .not.toBe(estimateStreamTokens('groq', 'What is the total?', chunks, history));
+  });
+
+  it('counts nothing for providers without token usage', () => {
+    expect(estimateStreamTokens('local', 'What is the total?', chunks, history, 'answer')).toBe(0);
+    expect(estimateStreamTokens(undefined, 'What is the total?', chunks, history, 'answer')).toBe(0);
+  });
+
+  it('grows with the retrieved context', () => {
+    const longChunks = [...chunks, { content: 'y'.repeat(4000), metadata: {} }];
+    expect(estimateStreamTokens('groq', 'What is the total?', longChunks, history))
+      .toBeGreaterThan(estimateStreamTokens('groq', 'What is the total?', chunks, history) + 900);
+  });
+});
+
+describe('estimateMaxChatTokens', () => {
+  it('covers the larger prompt plus a full-length answer', () => {
+    const chunks = [{ content: 'The invoice total is 120 EUR.', metadata: { page_number: 1, chunk_index: 0 } }];
+    const largestPrompt = Math.max(
+      estimateStreamTokens('groq', 'What is the total?', chunks, []),
+      estimateStreamTokens('openai', 'What is the total?', chunks, [])
+    );
+
+    expect(estimateMaxChatTokens('What is the total?', chunks)).toBe(largestPrompt + 1000);
+  });
+});
+
+describe('generateResponseStream', () => {
+  const chunks = [{ content: 'The invoice total is 120 EUR.', metadata: { page_number: 1, chunk_index: 0 } }];
+
+  function mockGroqStream(streamChunks) {
+    Groq.mockImplementation(() => ({
+      chat: {
+        completions: {
+          create: async () => (async function* () { yield* streamChunks; })()
+        }
+      }
+    }));
+  }
+
+  beforeEach(() => {
+    process.env.GROQ_API_KEY = 'test-key';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.GROQ_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('reports the usage the provider sent', async () => {
+    mockGroqStream([
+      { choices: [{ delta: { content: 'The total is 120 EUR.' } }] },
+      { choices: [{ delta: {} }], x_groq: { usage: { total_tokens: 42 } } }
+    ]);
+
+    const result = await generateResponseStream('What is the total?', chunks);
+    expect(result.tokensUsed).toBe(42);
+  });
+
+  it('tags errors with the provider that was streaming', async () => {
+    Groq.mockImplementation(() => ({
+      chat: {
+        completions: {
+          create: async () => (async function* () {
+            yield { choices: [{ delta: { content: 'The total' } }] };
+            throw new Error('Connection reset');
+          })()
+        }
+      }
+    }));
+
+    await expect(generateResponseStream('What is the total?', chunks)).rejects.toMatchObject({ provider: 'groq' });
+  });
+
+  it('estimates the tokens of a stream that ends without usage', async () => {
+    mockGroqStream([{ choices: [{ delta: { content: 'The total is 120 EUR.' } }] }]);
+
+    const result = await generateResponseStream('What is the total?', chunks);
+    expect(result.tokensUsed).toBe(estimateStreamTokens('groq', 'What is the total?', chunks, [], 'The total is 120 EUR.'));
+  });
+});
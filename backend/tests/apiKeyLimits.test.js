@@ -0,0 +1,163 @@
+jest.mock('../src/services/apiKeyService', () => {
+  const actual = jest.requireActual('../src/services/apiKeyService');
+  return { ...actual, apiKeyService: new actual.ApiKeyService(null) };
+});
+
+const { apiKeyService } = require('../src/services/apiKeyService');
+const {
+  apiKeyRateLimit,
+  enforcePageQuota,
+  releasePageQuota,
+  enforceTokenBudget,
+  reserveTokens,
+  settleTokenUsage
+} = require('../src/middleware/apiKeyLimits');
+
+/**
+ * Minimal Express response that records what a middleware answered
+ */
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  });
+  return res;
+}
+
+describe('API key limits', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createKey = async (limits) => (await apiKeyService.createKey({ name: 'test', userId: 'user-1', limits })).key;
+
+  describe('apiKeyRateLimit', () => {
+    it('lets session requests through untouched', () => {
+      const next = jest.fn();
+      apiKeyRateLimit({}, createResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('rejects requests beyond the per-minute limit', async () => {
+      const key = await createKey({ requestsPerMinute: 2 });
+      const next = jest.fn();
+
+      const responses = [1, 2, 3].map(() => {
+        const res = createResponse();
+        apiKeyRateLimit({ apiKey: key }, res, next);
+        return res;
+      });
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(responses[2].statusCode).toBe(429);
+      expect(responses[2].body.error).toBe('RATE_LIMIT_EXCEEDED');
+      expect(responses[2].headers['Retry-After']).toBeDefined();
+      expect(apiKeyService.getTodayUsage(key).requests).toBe(2);
+    });
+  });
+
+  describe('enforcePageQuota', () => {
+    it('reserves the pages of an upload within the quota', async () => {
+      const key = await createKey({ dailyPages: 10 });
+      const req = { apiKey: key, pdfPageCount: 6, file: { path: '/tmp/missing-upload.pdf' } };
+      const next = jest.fn();
+
+      await enforcePageQuota(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(6);
+    });
+
+    it('rejects an upload that would exceed the quota without charging it', async () => {
+      const key = await createKey({ dailyPages: 10 });
+      apiKeyService.recordUsage(key, { pages: 6 });
+      const res = createResponse();
+      const next = jest.fn();
+
+      await enforcePageQuota({ apiKey: key, pdfPageCount: 5, file: { path: '/tmp/missing-upload.pdf' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(429);
+      expect(res.body.error).toBe('PAGE_QUOTA_EXCEEDED');
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(6);
+    });
+
+    it('gives reserved pages back when the upload is not accepted', async () => {
+      const key = await createKey({ dailyPages: 10 });
+      const req = { apiKey: key, pdfPageCount: 6, file: { path: '/tmp/missing-upload.pdf' } };
+
+      await enforcePageQuota(req, createResponse(), jest.fn());
+      releasePageQuota(req);
+      releasePageQuota(req);
+
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(0);
+      expect(key.totals.pages).toBe(0);
+    });
+  });
+
+  describe('token budget', () => {
+    it('rejects chat requests once the budget is spent', async () => {
+      const key = await createKey({ dailyTokens: 1000 });
+      apiKeyService.recordUsage(key, { tokens: 1000 });
+      const res = createResponse();
+      const next = jest.fn();
+
+      enforceTokenBudget({ apiKey: key }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(429);
+      expect(res.body.error).toBe('TOKEN_BUDGET_EXCEEDED');
+    });
+
+    it('rejects a request whose reservation does not fit in what remains', async () => {
+      const key = await createKey({ dailyTokens: 1000 });
+      apiKeyService.recordUsage(key, { tokens: 400 });
+
+      const rejection = reserveTokens({ apiKey: key }, 700);
+
+      expect(rejection).toMatchObject({ statusCode: 429, body: { error: 'TOKEN_BUDGET_EXCEEDED' } });
+      expect(apiKeyService.getTodayUsage(key).tokens).toBe(400);
+    });
+
+    it('counts reservations of concurrent requests against each other', async () => {
+      const key = await createKey({ dailyTokens: 1000 });
+
+      expect(reserveTokens({ apiKey: key }, 600)).toBeNull();
+      expect(reserveTokens({ apiKey: key }, 600)).not.toBeNull();
+    });
+
+    it('replaces the reservation with the tokens used', async () => {
+      const key = await createKey({ dailyTokens: 1000 });
+      const req = { apiKey: key };
+
+      reserveTokens(req, 600);
+      settleTokenUsage(req, 250);
+
+      expect(apiKeyService.getTodayUsage(key).tokens).toBe(250);
+      expect(key.totals.tokens).toBe(250);
+    });
+
+    it('releases the whole reservation of a failed request', async () => {
+      const key = await createKey({ dailyTokens: 1000 });
+      const req = { apiKey: key };
+
+      reserveTokens(req, 600);
+      settleTokenUsage(req, 0);
+      settleTokenUsage(req, 0);
+
+      expect(apiKeyService.getTodayUsage(key).tokens).toBe(0);
+    });
+
+    it('leaves session requests alone', () => {
+      expect(reserveTokens({}, 600)).toBeNull();
+      expect(() => settleTokenUsage({}, 250)).not.toThrow();
+    });
+  });
+});
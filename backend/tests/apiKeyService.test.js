@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ApiKeyService } = require('../src/services/apiKeyService');
+
+describe('ApiKeyService', () => {
+  let directory;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+    service = new ApiKeyService(path.join(directory, 'api-keys.json'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const readStoredKey = async () => JSON.parse(await fs.readFile(service.filePath, 'utf8')).keys[0];
+
+  it('finds active keys by their secret and stops finding them once revoked', async () => {
+    const { key, secret } = await service.createKey({ name: 'ci', userId: 'user-1' });
+
+    expect(service.isApiKey(secret)).toBe(true);
+    expect(await service.findActiveKey(secret)).toBe(key);
+    expect(await service.findActiveKey(secret + 'x')).toBeNull();
+
+    await service.revokeKey(key.id);
+    expect(await service.findActiveKey(secret)).toBeNull();
+  });
+
+  it('counts usage in memory and writes it in one batch', async () => {
+    const { key } = await service.createKey({ name: 'ci', userId: 'user-1' });
+    jest.useFakeTimers();
+    const persist = jest.spyOn(service, 'persist');
+
+    service.recordUsage(key, { requests: 1 });
+    service.recordUsage(key, { requests: 1, pages: 3 });
+    service.recordUsage(key, { tokens: 250 });
+
+    expect(service.getTodayUsage(key)).toMatchObject({ requests: 2, pages: 3, tokens: 250 });
+    expect(persist).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(5000);
+    expect(persist).toHaveBeenCalledTimes(1);
+
+    await service.writeQueue;
+    expect((await readStoredKey()).usage).toMatchObject({ requests: 2, pages: 3, tokens: 250 });
+  });
+
+  it('reports what remains of the daily quotas', async () => {
+    const { key } = await service.createKey({ name: 'ci', userId: 'user-1', limits: { dailyPages: 10, dailyTokens: null } });
+    service.recordUsage(key, { pages: 4, tokens: 100 });
+
+    expect(service.buildUsageReport(key).remaining).toEqual({ pages: 6, tokens: null });
+  });
+});
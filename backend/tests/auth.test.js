@@ -0,0 +1,35 @@
+const { getRequestToken } = require('../src/middleware/auth');
+
+describe('getRequestToken', () => {
+  const request = (fields) => ({ method: 'GET', headers: {}, query: {}, baseUrl: '', path: '/', ...fields });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads bearer tokens and API key headers', () => {
+    expect(getRequestToken(request({ headers: { authorization: 'Bearer abc' } }))).toBe('abc');
+    expect(getRequestToken(request({ headers: { 'x-api-key': 'pdfk_key' } }))).toBe('pdfk_key');
+    expect(getRequestToken(request())).toBeNull();
+  });
+
+  it('accepts ?access_token= on the status event stream', () => {
+    const req = request({ baseUrl: '/api/pdf', path: '/status/doc-1/events', query: { access_token: 'abc' } });
+    expect(getRequestToken(req)).toBe('abc');
+  });
+
+  it('ignores ?access_token= on every other route', () => {
+    expect(getRequestToken(request({ baseUrl: '/api/pdf', path: '/documents', query: { access_token: 'abc' } }))).toBeNull();
+    expect(getRequestToken(request({ baseUrl: '/api/pdf', path: '/status/doc-1', query: { access_token: 'abc' } }))).toBeNull();
+    expect(getRequestToken(request({
+      method: 'POST',
+      baseUrl: '/api/pdf',
+      path: '/status/doc-1/events',
+      query: { access_token: 'abc' }
+    }))).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-routes-'));
+process.env.CONVERSATION_STORE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+jest.mock('../src/services/apiKeyService', () => {
+  const actual = jest.requireActual('../src/services/apiKeyService');
+  return { ...actual, apiKeyService: new actual.ApiKeyService(null) };
+});
+jest.mock('../services/vectorServiceSelector', () => ({ searchSimilarChunks: jest.fn() }));
+jest.mock('../src/services/aiService', () => ({
+  generateResponse: jest.fn(),
+  generateResponseStream: jest.fn(),
+  estimateStreamTokens: jest.fn(() => 0),
+  estimateMaxChatTokens: jest.fn(() => 0)
+}));
+jest.mock('../src/services/rerankService', () => ({
+  rerankChunks: jest.fn(async (query, chunks) => chunks),
+  getRerankPoolSize: jest.fn((limit) => limit)
+}));
+jest.mock('../src/services/tableService', () => ({
+  tableService: { attachTables: jest.fn(async (chunks) => chunks) }
+}));
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createApiApp, createSession } = require('./fixtures/apiApp');
+const { searchSimilarChunks } = require('../services/vectorServiceSelector');
+const { generateResponse, estimateMaxChatTokens } = require('../src/services/aiService');
+const { apiKeyService } = require('../src/services/apiKeyService');
+const { documentStatusService, STATUS } = require('../src/services/documentStatusService');
+const { conversationService } = require('../src/services/conversationService');
+
+const chunk = (documentId) => ({
+  content: 'The contract ends on 31 March.',
+  metadata: { document_id: documentId, page_number: 1, chunk_index: 0 },
+  similarity: 0.9
+});
+
+describe('chat routes', () => {
+  const app = createApiApp();
+  const aliceDocumentId = uuidv4();
+  const bobDocumentId = uuidv4();
+  let alice;
+  let bob;
+
+  const ask = (session, body) => request(app)
+    .post('/api/chat/message')
+    .set('Authorization', `Bearer ${session.token}`)
+    .send({ message: 'When does the contract end?', ...body });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    alice = await createSession('alice@example.com');
+    bob = await createSession('bob@example.com');
+    documentStatusService.setStatus(aliceDocumentId, STATUS.COMPLETED, { filename: 'contract.pdf', ownerId: alice.user.id });
+    documentStatusService.setStatus(bobDocumentId, STATUS.COMPLETED, { filename: 'lease.pdf', ownerId: bob.user.id });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    searchSimilarChunks.mockImplementation(async (query, documentIds) => [chunk(documentIds[0])]);
+    generateResponse.mockResolvedValue({ text: 'On 31 March.', confidence: 0.8, tokensUsed: 42 });
+  });
+
+  describe('new conversations', () => {
+    it('stores a new conversation with its first turn', async () => {
+      const response = await ask(alice, { documentId: aliceDocumentId });
+
+      expect(response.status).toBe(200);
+      const conversation = await conversationService.getConversation(response.body.data.conversationId);
+      expect(conversation.ownerId).toBe(alice.user.id);
+      expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    });
+
+    it('stores nothing when the answer fails', async () => {
+      const before = await conversationService.listConversations(aliceDocumentId);
+      generateResponse.mockRejectedValueOnce(new Error('provider down'));
+
+      const response = await ask(alice, { documentId: aliceDocumentId });
+
+      expect(response.status).toBe(500);
+      expect(await conversationService.listConversations(aliceDocumentId)).toHaveLength(before.length);
+    });
+  });
+
+  describe('ownership', () => {
+    let aliceConversationId;
+
+    beforeAll(async () => {
+      aliceConversationId = (await ask(alice, { documentId: aliceDocumentId })).body.data.conversationId;
+    });
+
+    it('requires a session or API key', async () => {
+      const response = await request(app).post('/api/chat/message').send({ message: 'Hi', documentId: aliceDocumentId });
+
+      expect(response.status).toBe(401);
+    });
+
+    it("answers 404 for another user's document", async () => {
+      searchSimilarChunks.mockClear();
+
+      const response = await ask(bob, { documentId: aliceDocumentId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('DOCUMENT_NOT_FOUND');
+      expect(searchSimilarChunks).not.toHaveBeenCalled();
+    });
+
+    it("answers 404 for another user's conversation", async () => {
+      const response = await ask(bob, { documentId: bobDocumentId, conversationId: aliceConversationId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('CONVERSATION_NOT_FOUND');
+      const conversation = await conversationService.getConversation(aliceConversationId);
+      expect(conversation.messages).toHaveLength(2);
+    });
+
+    it("does not show or clear another user's conversation history", async () => {
+      const history = await request(app)
+        .get(`/api/chat/conversation/${aliceDocumentId}`)
+        .set('Authorization', `Bearer ${bob.token}`);
+      const cleared = await request(app)
+        .delete(`/api/chat/conversation/${bobDocumentId}?conversationId=${aliceConversationId}`)
+        .set('Authorization', `Bearer ${bob.token}`);
+
+      expect(history.status).toBe(404);
+      expect(cleared.status).toBe(404);
+      expect(cleared.body.error).toBe('CONVERSATION_NOT_FOUND');
+      expect(await conversationService.getConversation(aliceConversationId)).not.toBeNull();
+    });
+  });
+
+  describe('API key token budget', () => {
+    beforeEach(() => {
+      estimateMaxChatTokens.mockReturnValue(30);
+    });
+
+    afterEach(() => {
+      estimateMaxChatTokens.mockReturnValue(0);
+    });
+
+    const createKey = () => apiKeyService.createKey({
+      name: 'script',
+      userId: alice.user.id,
+      createdBy: alice.user.id,
+      limits: { dailyTokens: 60 }
+    });
+
+    const askWithKey = (secret) => request(app)
+      .post('/api/chat/message')
+      .set('X-API-Key', secret)
+      .send({ message: 'When does the contract end?', documentId: aliceDocumentId });
+
+    it('charges the tokens used and rejects a question whose reservation no longer fits', async () => {
+      const { key, secret } = await createKey();
+
+      const answered = await askWithKey(secret);
+      generateResponse.mockClear();
+      const rejected = await askWithKey(secret);
+
+      expect(answered.status).toBe(200);
+      expect(apiKeyService.getTodayUsage(key).tokens).toBe(42);
+      expect(rejected.status).toBe(429);
+      expect(rejected.body.error).toBe('TOKEN_BUDGET_EXCEEDED');
+      expect(rejected.body.data).toEqual({ limit: 60, used: 42, requested: 30 });
+      expect(generateResponse).not.toHaveBeenCalled();
+    });
+
+    it('charges nothing for a failed answer', async () => {
+      const { key, secret } = await createKey();
+      generateResponse.mockRejectedValueOnce(new Error('provider down'));
+
+      const response = await askWithKey(secret);
+
+      expect(response.status).toBe(500);
+      expect(apiKeyService.getTodayUsage(key).tokens).toBe(0);
+    });
+  });
+});
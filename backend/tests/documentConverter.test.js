@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convertDocument, processDocument, getDocumentType } = require('../src/services/documentConverter');
+
+const pageTexts = (result) => result.pages.map(page => result.text.slice(page.startChar, page.endChar));
+
+describe('convertDocument', () => {
+  let directory;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'document-converter-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const convert = (filename, content, type) => {
+    const filePath = path.join(directory, filename);
+    fs.writeFileSync(filePath, content);
+    return convertDocument(filePath, type);
+  };
+
+  describe('plain text', () => {
+    it('treats form feeds as page breaks, keeping the number of empty pages', async () => {
+      // pdftotext output: every page ends with a form feed
+      const result = await convert('report.txt', 'First page\r\n\f\fThird page\nsecond line\n\f', 'txt');
+
+      expect(result.numPages).toBe(3);
+      expect(result.text).toBe('First page\n\nThird page\nsecond line');
+      expect(pageTexts(result)).toEqual(['First page', '', 'Third page\nsecond line']);
+      expect(result.pages.map(page => page.pageNumber)).toEqual([1, 2, 3]);
+      expect(result.metadata).toMatchObject({ parser: 'text', sourceType: 'txt', pageUnit: 'page' });
+    });
+
+    it('cuts text without form feeds into pages of about 3000 characters at paragraph breaks', async () => {
+      const paragraphs = Array.from({ length: 8 }, (_, i) => `Paragraph ${i + 1}. ${'word '.repeat(150).trim()}`);
+      const result = await convert('notes.txt', paragraphs.join('\n\n'), 'txt');
+      const pages = pageTexts(result);
+
+      expect(result.numPages).toBe(3);
+      expect(pages.every(page => page.length <= 3000)).toBe(true);
+      // Every page holds whole paragraphs, so together they hold all of them
+      expect(pages.join('\n\n')).toBe(result.text);
+      expect(pages.map(page => page.split('\n\n').length)).toEqual([3, 3, 2]);
+    });
+
+    it('keeps short text on one page', async () => {
+      const result = await convert('short.txt', '\uFEFFJust a line.\n', 'txt');
+
+      expect(result.text).toBe('Just a line.');
+      expect(result.pages).toEqual([{ pageNumber: 1, startChar: 0, endChar: 12 }]);
+    });
+
+    it('rejects a file without text', async () => {
+      await expect(convert('empty.txt', '\n\n', 'txt')).rejects.toThrow('No text found in the document');
+    });
+  });
+
+  describe('markdown', () => {
+    it('makes a page of each section under the main headings', async () => {
+      const markdown = [
+        'Draft, not for circulation.',
+        '',
+        '# Guide',
+        'What this covers.',
+        '',
+        '## Install',
+        'Steps.',
+        '',
+        '### Requirements',
+        'Node 20.',
+        '',
+        '## Usage',
+        'Run it.'
+      ].join('\n');
+      const result = await convert('guide.md', markdown, 'markdown');
+
+      expect(result.pages.map(page => page.title)).toEqual([null, 'Guide', 'Install', 'Usage']);
+      expect(pageTexts(result)).toEqual([
+        'Draft, not for circulation.',
+        '# Guide\nWhat this covers.',
+        '## Install\nSteps.\n\n### Requirements\nNode 20.',
+        '## Usage\nRun it.'
+      ]);
+      expect(result.metadata).toMatchObject({ parser: 'markdown', format: 'markdown', pageUnit: 'section' });
+    });
+
+    it('splits at the highest heading level that is used more than once', async () => {
+      const markdown = '# One\n\nIntro.\n\n# Two\n\n## A\n\nText.\n\n## B\n\nText.';
+      const result = await convert('levels.md', markdown, 'markdown');
+
+      expect(result.pages.map(page => page.title)).toEqual(['One', 'Two']);
+    });
+
+    it('falls back to fixed-size pages without repeated headings', async () => {
+      const markdown = `# Only title\n\n${Array.from({ length: 5 }, () => 'text '.repeat(200).trim()).join('\n\n')}`;
+      const result = await convert('long.md', markdown, 'markdown');
+
+      expect(result.numPages).toBe(3);
+      expect(result.pages.every(page => page.title === undefined)).toBe(true);
+      expect(result.metadata.pageUnit).toBe('page');
+    });
+  });
+
+  describe('HTML', () => {
+    it('converts to markdown with headings and tables, taking the title', async () => {
+      const html = `<html><head><title> Fees </title><style>p { color: red; }</style></head><body>
+        <h2>Accounts</h2><p>Monthly fees:</p>
+        <table><tr><td>Plan</td><td>Fee</td></tr><tr><td>Basic</td><td>0.00</td></tr><tr><td>Plus</td><td>4.99</td></tr></table>
+        <h2>Cards</h2><p>No annual fee.</p>
+      </body></html>`;
+      const result = await convert('fees.html', html, 'html');
+
+      expect(result.metadata).toMatchObject({ parser: 'html', sourceType: 'html', title: 'Fees', pageUnit: 'section' });
+      expect(result.pages.map(page => page.title)).toEqual(['Accounts', 'Cards']);
+      expect(result.text).toContain('| Plan | Fee |\n| --- | --- |\n| Basic | 0.00 |\n| Plus | 4.99 |');
+      expect(result.text).not.toContain('color: red');
+    });
+  });
+
+  it('reports progress', async () => {
+    const filePath = path.join(directory, 'progress.txt');
+    fs.writeFileSync(filePath, 'Text');
+    const onProgress = jest.fn();
+
+    await convertDocument(filePath, 'txt', { onProgress });
+
+    expect(onProgress).toHaveBeenNthCalledWith(1, 0, 'Converting Text file...');
+    expect(onProgress).toHaveBeenLastCalledWith(100, 'Document conversion completed');
+  });
+
+  it('rejects unsupported types', async () => {
+    await expect(convertDocument(path.join(directory, 'file.xyz'), 'xyz')).rejects.toThrow('Unsupported document type "xyz"');
+  });
+});
+
+describe('processDocument', () => {
+  it('returns an earlier conversion of the file instead of converting it again', async () => {
+    const converted = { text: 'Converted text', numPages: 1, pages: [], tables: [], metadata: {} };
+    const onProgress = jest.fn();
+
+    const result = await processDocument(path.join(os.tmpdir(), 'missing-upload.txt'), { fileType: 'txt', converted, onProgress });
+
+    expect(result).toBe(converted);
+    expect(onProgress).toHaveBeenLastCalledWith(100, 'Document conversion completed');
+  });
+});
+
+describe('getDocumentType', () => {
+  it('goes by extension first, then by MIME type', () => {
+    expect(getDocumentType('application/octet-stream', 'Notes.MD')).toBe('markdown');
+    expect(getDocumentType('text/plain', 'page.htm')).toBe('html');
+    expect(getDocumentType('application/pdf', 'scan')).toBe('pdf');
+    expect(getDocumentType('application/zip', 'archive.zip')).toBeNull();
+  });
+});
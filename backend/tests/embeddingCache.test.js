@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { EmbeddingCache } = require('../src/services/embeddingCache');
+
+describe('EmbeddingCache', () => {
+  let directory;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const cachePath = () => path.join(directory, 'embedding-cache.bin');
+
+  it('keys entries by model and text', () => {
+    const cache = new EmbeddingCache();
+    cache.set('model-a', 'hello', [1, 2]);
+
+    expect(cache.get('model-a', 'hello')).toEqual([1, 2]);
+    expect(cache.get('model-b', 'hello')).toBeNull();
+    expect(cache.get('model-a', 'hello!')).toBeNull();
+  });
+
+  it('evicts the least recently used entries beyond maxEntries', () => {
+    const cache = new EmbeddingCache({ maxEntries: 2 });
+    cache.set('m', 'a', [1]);
+    cache.set('m', 'b', [2]);
+    cache.get('m', 'a');
+    cache.set('m', 'c', [3]);
+
+    expect(cache.get('m', 'b')).toBeNull();
+    expect(cache.get('m', 'a')).toEqual([1]);
+    expect(cache.get('m', 'c')).toEqual([3]);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  it('counts hits and misses', async () => {
+    const cache = new EmbeddingCache();
+    cache.set('m', 'a', [1]);
+
+    expect(await cache.getMany('m', ['a', 'b', 'a', 'c'])).toEqual([[1], null, [1], null]);
+    expect(cache.getStats()).toMatchObject({ entries: 1, hits: 2, misses: 2, hitRate: 0.5 });
+  });
+
+  it('stores nothing when disabled', () => {
+    const cache = new EmbeddingCache({ maxEntries: 0 });
+    cache.set('m', 'a', [1]);
+
+    expect(cache.get('m', 'a')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ enabled: false, entries: 0, misses: 0 });
+  });
+
+  it('reloads persisted entries in recency order', async () => {
+    const cache = new EmbeddingCache({ filePath: cachePath() });
+    cache.setMany('model-a', ['a', 'b'], [[0.5, -1.25, 3], [2, 0, -0.75]]);
+    cache.set('model-b', 'c', [1, 2, 3, 4, 5]);
+    cache.get('model-a', 'a');
+    await cache.persist();
+
+    const reloaded = new EmbeddingCache({ filePath: cachePath() });
+    await reloaded.init();
+
+    expect(Array.from(reloaded.entries.values())).toEqual([[2, 0, -0.75], [1, 2, 3, 4, 5], [0.5, -1.25, 3]]);
+    expect(reloaded.get('model-b', 'c')).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('keeps only the most recent entries when reloading into a smaller cache', async () => {
+    const cache = new EmbeddingCache({ filePath: cachePath() });
+    cache.setMany('m', ['a', 'b', 'c'], [[1], [2], [3]]);
+    await cache.persist();
+
+    const reloaded = new EmbeddingCache({ maxEntries: 2, filePath: cachePath() });
+    await reloaded.init();
+
+    expect(reloaded.get('m', 'a')).toBeNull();
+    expect(reloaded.get('m', 'c')).toEqual([3]);
+  });
+
+  it('starts empty when the stored file is cut short', async () => {
+    const cache = new EmbeddingCache({ filePath: cachePath() });
+    cache.set('m', 'a', [1, 2, 3]);
+    await cache.persist();
+
+    const buffer = await fs.readFile(cachePath());
+    await fs.writeFile(cachePath(), buffer.subarray(0, buffer.length - 4));
+
+    const reloaded = new EmbeddingCache({ filePath: cachePath() });
+    await reloaded.init();
+
+    expect(reloaded.getStats().entries).toBe(0);
+  });
+
+  it('batches the writes of a burst of new entries', async () => {
+    jest.useFakeTimers();
+    const cache = new EmbeddingCache({ filePath: cachePath() });
+    const persist = jest.spyOn(cache, 'persist');
+
+    cache.setMany('m', ['a', 'b', 'c'], [[1], [2], [3]]);
+    expect(persist).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(5000);
+    expect(persist).toHaveBeenCalledTimes(1);
+
+    await cache.writeQueue;
+    const reloaded = new EmbeddingCache({ filePath: cachePath() });
+    await reloaded.init();
+    expect(reloaded.getStats().entries).toBe(3);
+  });
+});
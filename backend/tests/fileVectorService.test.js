@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/embeddingService', () => ({
+  ...jest.requireActual('../src/services/embeddingService'),
+  getConfiguredEmbeddingModel: jest.fn(() => 'model-a'),
+  generateEmbeddingsWithModel: jest.fn()
+}));
+
+const { generateEmbeddingsWithModel, getConfiguredEmbeddingModel } = require('../src/services/embeddingService');
+const { FileVectorService } = require('../services/fileVectorService');
+
+describe('FileVectorService', () => {
+  let directory;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-vectors-'));
+    process.env.DATA_DIR = directory;
+  });
+
+  afterEach(async () => {
+    delete process.env.DATA_DIR;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const vectorsDirectory = () => path.join(directory, 'vectors');
+  const createService = () => new FileVectorService(vectorsDirectory());
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(vectorsDirectory(), 'manifest.json'), 'utf8'));
+
+  // Store a document whose chunks are already embedded, as an ingestion worker hands them over
+  const storeDocument = (service, documentId, texts, embeddings, model = 'model-a') =>
+    service.vectorizeDocument(documentId, texts.join('\n\n'), { filename: `${documentId}.pdf`, numPages: 1 }, {
+      embeddedChunks: {
+        chunks: texts.map(text => ({ text, estimatedPage: 1 })),
+        embeddings,
+        model,
+        dimension: embeddings[0].length
+      }
+    });
+
+  it('uses DATA_DIR/vectors by default', () => {
+    expect(new FileVectorService().directory).toBe(vectorsDirectory());
+  });
+
+  it('starts empty without a manifest', async () => {
+    const service = createService();
+    expect(await service.listDocuments()).toEqual([]);
+  });
+
+  it('reloads persisted chunks, metadata and vectors', async () => {
+    const service = createService();
+    await storeDocument(service, 'doc-1', ['First chunk', 'Second chunk'], [[0.5, -1, 2], [0.25, 0, -0.75]]);
+
+    const reloaded = createService();
+    await reloaded.initialize();
+
+    expect(reloaded.memoryStore.ids).toEqual(['doc-1_chunk_0', 'doc-1_chunk_1']);
+    expect(reloaded.memoryStore.documents).toEqual(['First chunk', 'Second chunk']);
+    expect(reloaded.memoryStore.embeddings).toEqual([[0.5, -1, 2], [0.25, 0, -0.75]]);
+    expect(reloaded.memoryStore.metadatas[0]).toMatchObject({ document_id: 'doc-1', filename: 'doc-1.pdf', embedding_model: 'model-a' });
+    expect(await reloaded.getDocumentStats('doc-1')).toMatchObject({ chunkCount: 2 });
+  });
+
+  it('restores the keyword index on reload', async () => {
+    await storeDocument(createService(), 'doc-1', ['Invoice INV2024A', 'Delivery note'], [[1, 0], [0, 1]]);
+
+    const reloaded = createService();
+    await reloaded.initialize();
+
+    expect(reloaded.lexicalIndex.search('INV2024A', null, 5).map(result => result.id)).toEqual(['doc-1_chunk_0']);
+  });
+
+  it('records each stored document in the manifest', async () => {
+    const service = createService();
+    await storeDocument(service, 'doc-1', ['One'], [[1, 0, 0]]);
+    await storeDocument(service, 'doc-2', ['Two', 'Three'], [[0, 1, 0], [0, 0, 1]]);
+
+    const manifest = await readManifest();
+    expect(Object.keys(manifest.documents).sort()).toEqual(['doc-1', 'doc-2']);
+    expect(manifest.documents['doc-2']).toMatchObject({ chunkCount: 2, dimension: 3, filename: 'doc-2.pdf' });
+  });
+
+  it('skips a document whose vector file does not match the manifest and keeps the others', async () => {
+    const service = createService();
+    await storeDocument(service, 'doc-1', ['One'], [[1, 0, 0]]);
+    await storeDocument(service, 'doc-2', ['Two'], [[0, 1, 0]]);
+
+    // Lose the last float, as a write cut short would
+    const vectorsPath = path.join(vectorsDirectory(), 'doc-1.vec');
+    const buffer = await fs.readFile(vectorsPath);
+    await fs.writeFile(vectorsPath, buffer.subarray(0, buffer.length - 4));
+
+    const reloaded = createService();
+    await reloaded.initialize();
+
+    expect(reloaded.memoryStore.ids).toEqual(['doc-2_chunk_0']);
+    expect(Object.keys(reloaded.manifest.documents)).toEqual(['doc-2']);
+  });
+
+  it('deletes the files and manifest entry of a deleted document', async () => {
+    const service = createService();
+    await storeDocument(service, 'doc-1', ['One'], [[1, 0, 0]]);
+    await storeDocument(service, 'doc-2', ['Two'], [[0, 1, 0]]);
+
+    await service.deleteDocument('doc-1');
+
+    const files = await fs.readdir(vectorsDirectory());
+    expect(files.sort()).toEqual(['doc-2.json', 'doc-2.vec', 'manifest.json']);
+    expect(Object.keys((await readManifest()).documents)).toEqual(['doc-2']);
+
+    const reloaded = createService();
+    await reloaded.initialize();
+    expect(reloaded.memoryStore.ids).toEqual(['doc-2_chunk_0']);
+  });
+
+  it('rewrites the vectors and manifest entry of a re-indexed document', async () => {
+    const service = createService();
+    await storeDocument(service, 'doc-1', ['One', 'Two'], [[1, 0, 0], [0, 1, 0]], 'model-old');
+
+    getConfiguredEmbeddingModel.mockReturnValue('model-a');
+    generateEmbeddingsWithModel.mockResolvedValue({
+      embeddings: [[1, 0, 0, 0], [0, 0, 0, 1]],
+      model: 'model-a',
+      dimension: 4
+    });
+
+    await service.reindexDocument('doc-1');
+
+    expect((await readManifest()).documents['doc-1']).toMatchObject({ chunkCount: 2, dimension: 4, filename: 'doc-1.pdf' });
+
+    const reloaded = createService();
+    await reloaded.initialize();
+    expect(reloaded.memoryStore.embeddings).toEqual([[1, 0, 0, 0], [0, 0, 0, 1]]);
+    expect(reloaded.memoryStore.metadatas.map(metadata => metadata.embedding_model)).toEqual(['model-a', 'model-a']);
+  });
+});
@@ -0,0 +1,37 @@
+// Express app with the API routes behind the same auth and limit middleware as server.js
+// (server.js itself starts listening when required). Set DATA_DIR and the stores before requiring.
+
+const express = require('express');
+const { identifyApiKey, authenticate, signToken } = require('../../src/middleware/auth');
+const { apiKeyRateLimit } = require('../../src/middleware/apiKeyLimits');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { userService } = require('../../src/services/userService');
+
+/**
+ * Build the app with /api/pdf and /api/chat mounted
+ * @returns {object} - Express app
+ */
+function createApiApp() {
+  const app = express();
+  app.use(identifyApiKey);
+  app.use(express.json());
+  app.use('/api/pdf', authenticate, apiKeyRateLimit, require('../../src/routes/pdf'));
+  app.use('/api/chat', authenticate, apiKeyRateLimit, require('../../src/routes/chat'));
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Register a user and sign a session token for it
+ * @param {string} email - Email address
+ * @returns {Promise<object>} - { user, token }
+ */
+async function createSession(email) {
+  const user = await userService.createUser({ email, password: 'secret123' });
+  return { user, token: signToken(user) };
+}
+
+module.exports = {
+  createApiApp,
+  createSession
+};
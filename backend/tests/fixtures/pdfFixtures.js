@@ -0,0 +1,214 @@
+// PDFs for the extraction tests, built from text placed at exact coordinates so a
+// layout (a table, two columns of prose) can be described line by line.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// pdf.js 1.10 (bundled with pdf-parse) misreads the objects of PDFs under about 4KB, so a comment
+// after the header pads every fixture past that
+const HEADER_PADDING = 4096;
+
+const escapeText = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+/**
+ * Build a Letter-size PDF in Helvetica
+ * @param {...Array<object>} pages - Text runs of each page, as { x, y, text, size (default 10) }
+ * @returns {Buffer} - PDF file contents
+ */
+function buildPdf(...pages) {
+  // Objects 1 and 2 are the catalog and page tree, then a page, its content stream and the font per page
+  const pageObjects = pages.map((runs, index) => {
+    const content = runs
+      .map(({ x, y, text, size = 10 }) => `BT /F1 ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`)
+      .join('\n');
+    const first = 3 + index * 3;
+    return [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${first + 2} 0 R >> >> /Contents ${first + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+  });
+  const kids = pages.map((runs, index) => `${3 + index * 3} 0 R`).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`,
+    ...pageObjects.flat()
+  ];
+
+  let pdf = `%PDF-1.4\n%${' '.repeat(HEADER_PADDING)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Write a PDF to a temporary file
+ * @param {...Array<object>} pages - Text runs of each page, see buildPdf
+ * @returns {string} - File path (the caller removes it)
+ */
+function writePdf(...pages) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-fixture-')), 'fixture.pdf');
+  fs.writeFileSync(filePath, buildPdf(...pages));
+  return filePath;
+}
+
+const LEFT_COLUMN = [
+  'Trace compilation records the operations of',
+  'a hot loop and compiles them into machine',
+  'code. Each recorded path is specialised for',
+  'the types it saw, and guards check that the',
+  'types and branches still hold on later runs.',
+  'When a guard fails the trace exits back to',
+  'the interpreter, which resumes at the exact',
+  'bytecode where the guard was taken. Hence',
+  'recording a trace speculates that the path',
+  'and the types will stay as they were while',
+  'it was recorded, which is true for most',
+  'loops in typical web applications today.'
+];
+
+const RIGHT_COLUMN = [
+  'Figure 1 shows a small program whose',
+  'inner loop becomes hot after a few runs.',
+  ['1', 'for (var i = 2; i < 100; ++i) {'],
+  ['2', 'if (!primes[i])'],
+  ['3', 'continue;'],
+  ['4', 'for (var k = i + i; k < 100; k += i)'],
+  ['5', 'primes[k] = false;'],
+  ['6', '}'],
+  'Figure 1. Sample program: sieve of',
+  'Eratosthenes, with its loops numbered.',
+  'The outer loop is traced only after its',
+  'inner loop has been compiled separately.'
+];
+
+/**
+ * A page from a two-column paper: authors spread across the page, then two columns of prose on
+ * shared baselines, the right one with a numbered code listing. It contains no tables.
+ * @returns {Array<object>} - Text runs
+ */
+function twoColumnPaper() {
+  const runs = [
+    { x: 150, y: 740, text: 'Trace-based Compilation for Dynamic Languages', size: 14 },
+    { x: 90, y: 715, text: 'Ann Author*' },
+    { x: 250, y: 715, text: 'Ben Writer+' },
+    { x: 410, y: 715, text: 'Cho Researcher#' },
+    { x: 110, y: 702, text: '*University A' },
+    { x: 262, y: 702, text: '+Company B' },
+    { x: 400, y: 702, text: '#Institute C, Lab 4' },
+    { x: 72, y: 689, text: 'ann@a.edu' },
+    { x: 240, y: 689, text: 'ben@b.com' },
+    { x: 430, y: 689, text: 'cho@c.org' }
+  ];
+
+  LEFT_COLUMN.forEach((text, i) => runs.push({ x: 72, y: 650 - i * 12, text }));
+  RIGHT_COLUMN.forEach((line, i) => {
+    const y = 650 - i * 12;
+    if (Array.isArray(line)) {
+      runs.push({ x: 320, y, text: line[0] }, { x: 334, y, text: line[1] });
+    } else {
+      runs.push({ x: 320, y, text: line });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * A two-column page whose right column holds a small three-column table between its paragraphs,
+ * on the same baselines as the prose of the left column
+ * @returns {Array<object>} - Text runs
+ */
+function twoColumnPaperWithTable() {
+  const runs = LEFT_COLUMN.map((text, i) => ({ x: 72, y: 650 - i * 12, text }));
+  const rightColumn = [
+    'Values are tagged with their type in the',
+    'low bits of the machine word:',
+    ['Tag', 'JS Type', 'Meaning'],
+    ['xx1', 'number', '31-bit integer'],
+    ['000', 'object', 'pointer'],
+    ['010', 'number', 'double'],
+    ['100', 'string', 'pointer'],
+    'Unboxing a tagged integer is one shift,',
+    'so integer loops stay fast after tracing.'
+  ];
+
+  rightColumn.forEach((line, i) => {
+    const y = 650 - i * 12;
+    if (Array.isArray(line)) {
+      line.forEach((text, column) => runs.push({ x: [320, 370, 430][column], y, text }));
+    } else {
+      runs.push({ x: 320, y, text: line });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * A bank statement: a heading and prose, a transaction table with right-aligned amounts, more
+ * prose, then an invoice-style table
+ * @returns {Array<object>} - Text runs
+ */
+function bankStatement() {
+  const runs = [
+    { x: 72, y: 740, text: 'First National Bank - Checking Account Statement', size: 14 },
+    { x: 72, y: 715, text: 'Statement period 01/01/2024 to 01/31/2024. Account number 123456789.' },
+    { x: 72, y: 701, text: 'Thank you for banking with us. Please review your transactions below.' }
+  ];
+
+  const transactions = [
+    ['Date', 'Description', 'Withdrawals', 'Deposits', 'Balance'],
+    ['01/02/2024', 'Opening balance', '', '', '1,000.00'],
+    ['01/05/2024', 'Coffee Shop #12', '4.50', '', '995.50'],
+    ['01/09/2024', 'Payroll ACME Corp', '', '2,500.00', '3,495.50'],
+    ['01/15/2024', 'Rent payment', '1,200.00', '', '2,295.50'],
+    ['01/28/2024', 'Grocery Store', '86.23', '', '2,209.27']
+  ];
+  // Amount columns are right-aligned at these x positions; headings are left-aligned
+  const columnX = [72, 150, 330, 420, 500];
+  const amountRight = [null, null, 385, 470, 545];
+  let y = 670;
+  for (const [rowIndex, row] of transactions.entries()) {
+    row.forEach((text, column) => {
+      if (!text) return;
+      // Helvetica digits are 0.556 em wide; commas and periods 0.278 em
+      const width = [...text].reduce((sum, char) => sum + (/[.,]/.test(char) ? 2.78 : 5.56), 0);
+      const x = rowIndex > 0 && amountRight[column] ? amountRight[column] - width : columnX[column];
+      runs.push({ x, y, text });
+    });
+    y -= 16;
+  }
+
+  runs.push(
+    { x: 72, y: y - 20, text: 'Closing balance as of 01/31/2024 is 2,209.27. Interest earned this period: 0.00.' },
+    { x: 72, y: y - 34, text: 'For questions call 1-800-555-0100.' }
+  );
+
+  let invoiceY = y - 80;
+  for (const row of [['Item', 'Qty', 'Unit price', 'Total'], ['Widget A', '2', '10.00', '20.00'], ['Gadget B', '1', '99.99', '99.99']]) {
+    row.forEach((text, column) => runs.push({ x: [72, 250, 320, 420][column], y: invoiceY, text }));
+    invoiceY -= 16;
+  }
+
+  return runs;
+}
+
+module.exports = {
+  buildPdf,
+  writePdf,
+  twoColumnPaper,
+  twoColumnPaperWithTable,
+  bankStatement,
+  LEFT_COLUMN,
+  RIGHT_COLUMN
+};
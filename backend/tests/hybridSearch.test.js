@@ -0,0 +1,120 @@
+const { BM25Index, tokenize, fuseResults, RRF_K } = require('../src/services/hybridSearch');
+
+describe('tokenize', () => {
+  it('lowercases and drops stop words', () => {
+    expect(tokenize('What is the Total of the invoice?')).toEqual(['total', 'invoice']);
+  });
+
+  it('keeps identifiers whole and also indexes their parts', () => {
+    expect(tokenize('Invoice INV-2023-001')).toEqual(['invoice', 'inv-2023-001', 'inv', '2023', '001']);
+    expect(tokenize('section 4.5.1')).toEqual(['section', '4.5.1', '4', '5', '1']);
+    expect(tokenize('ACC_77 and #12')).toEqual(['acc_77', 'acc', '77', '12']);
+  });
+
+  it('does not join words across trailing punctuation or spaces', () => {
+    expect(tokenize('paid. Then - refunded')).toEqual(['paid', 'refunded']);
+  });
+
+  it('handles empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('BM25Index', () => {
+  const buildIndex = () => {
+    const index = new BM25Index();
+    index.addDocument('doc-1', [
+      { id: 'a', text: 'The invoice INV-2023-001 was paid in March.' },
+      { id: 'b', text: 'Payment terms are thirty days from the invoice date.' },
+      { id: 'c', text: 'Shipping is free for orders over fifty euros.' }
+    ]);
+    index.addDocument('doc-2', [
+      { id: 'd', text: 'Invoice invoice invoice, every page mentions the invoice.' }
+    ]);
+    return index;
+  };
+
+  it('ranks the chunk with the exact identifier first', () => {
+    const results = buildIndex().search('INV-2023-001');
+    expect(results[0].id).toBe('a');
+    expect(results.every(result => result.score > 0)).toBe(true);
+  });
+
+  it('scores rarer terms higher than common ones', () => {
+    const results = buildIndex().search('invoice shipping');
+    const scores = Object.fromEntries(results.map(result => [result.id, result.score]));
+    expect(scores.c).toBeGreaterThan(scores.b);
+  });
+
+  it('saturates repeated terms', () => {
+    const results = buildIndex().search('invoice');
+    const scores = Object.fromEntries(results.map(result => [result.id, result.score]));
+    // Four mentions score higher than one, but nowhere near four times as high
+    expect(scores.d).toBeGreaterThan(scores.b);
+    expect(scores.d).toBeLessThan(scores.b * 4);
+  });
+
+  it('restricts results to the requested documents and limit', () => {
+    const index = buildIndex();
+    expect(index.search('invoice', 'doc-2').map(result => result.id)).toEqual(['d']);
+    expect(index.search('invoice', ['doc-1'], 1)).toHaveLength(1);
+    expect(index.search('invoice', ['missing'])).toEqual([]);
+  });
+
+  it('returns nothing for queries of stop words or unknown terms', () => {
+    const index = buildIndex();
+    expect(index.search('what is the')).toEqual([]);
+    expect(index.search('zebra')).toEqual([]);
+  });
+
+  it('replaces and removes documents', () => {
+    const index = buildIndex();
+    index.addDocument('doc-2', [{ id: 'e', text: 'Nothing about billing here.' }]);
+    expect(index.search('invoice', 'doc-2')).toEqual([]);
+    expect(index.removeDocument('doc-1')).toBe(true);
+    expect(index.hasDocument('doc-1')).toBe(false);
+    expect(index.search('invoice')).toEqual([]);
+  });
+});
+
+describe('fuseResults', () => {
+  const chunks = new Map(['a', 'b', 'c', 'd'].map((id, index) => [
+    id,
+    { content: `chunk ${id}`, metadata: { chunk_index: index }, vectorScore: 0.9 - index * 0.1 }
+  ]));
+
+  it('sums reciprocal ranks from both rankings', () => {
+    const results = fuseResults(['a', 'b'], [{ id: 'b', score: 3 }, { id: 'c', score: 1 }], chunks, 10);
+
+    expect(results.map(result => result.id)).toEqual(['b', 'a', 'c']);
+    expect(results[0].fusedScore).toBeCloseTo(1 / (RRF_K + 2) + 1 / (RRF_K + 1));
+    expect(results[0]).toMatchObject({ vectorRank: 2, lexicalRank: 1, lexicalScore: 3, similarity: 0.8 });
+    expect(results[2]).toMatchObject({ vectorRank: null, lexicalRank: 2, vectorScore: 0.7 });
+  });
+
+  it('breaks ties by vector rank, then lexical rank', () => {
+    // a and d each lead one ranking; b and c are second in one and third in the other
+    const results = fuseResults(
+      ['d', 'c', 'b'],
+      [{ id: 'a', score: 5 }, { id: 'b', score: 4 }, { id: 'c', score: 3 }],
+      chunks,
+      10
+    );
+
+    expect(results.map(result => result.id)).toEqual(['c', 'b', 'd', 'a']);
+    expect(results[0].fusedScore).toBe(results[1].fusedScore);
+    expect(results[2].fusedScore).toBe(results[3].fusedScore);
+  });
+
+  it('breaks ties between lexical-only chunks by lexical rank', () => {
+    const results = fuseResults([], [{ id: 'c', score: 2 }, { id: 'a', score: 2 }], chunks, 10);
+    expect(results.map(result => result.id)).toEqual(['c', 'a']);
+  });
+
+  it('skips unknown chunks and applies the limit', () => {
+    const results = fuseResults(['x', 'a', 'b'], [{ id: 'c', score: 1 }], chunks, 2);
+    // x is only in the vector ranking, so c (lexical rank 1) beats a (vector rank 2)
+    expect(results.map(result => result.id)).toEqual(['c', 'a']);
+  });
+});
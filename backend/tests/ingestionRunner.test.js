@@ -0,0 +1,76 @@
+let lastWorker;
+
+jest.mock('worker_threads', () => {
+  const { EventEmitter } = require('events');
+  return {
+    Worker: class extends EventEmitter {
+      constructor() {
+        super();
+        this.terminate = jest.fn();
+        this.postMessage = jest.fn();
+        lastWorker = this;
+      }
+    }
+  };
+});
+
+jest.mock('../src/services/embeddingCache', () => ({
+  embeddingCache: { getMany: jest.fn(), setMany: jest.fn() }
+}));
+
+const { embeddingCache } = require('../src/services/embeddingCache');
+const { runIngestionWorker } = require('../src/services/ingestionRunner');
+
+describe('runIngestionWorker', () => {
+  it('forwards progress and parsed messages while the job runs', async () => {
+    const onProgress = jest.fn();
+    const onParsed = jest.fn();
+    const run = runIngestionWorker('/tmp/doc.pdf', { onProgress, onParsed });
+
+    lastWorker.emit('message', { type: 'progress', progress: 40, message: 'Parsing' });
+    lastWorker.emit('message', { type: 'parsed', numPages: 3, textLength: 120 });
+    lastWorker.emit('message', { type: 'done', pdfResult: {}, embeddedChunks: [] });
+
+    await expect(run).resolves.toEqual({ pdfResult: {}, embeddedChunks: [] });
+    expect(onProgress).toHaveBeenCalledWith(40, 'Parsing');
+    expect(onParsed).toHaveBeenCalledWith({ numPages: 3, textLength: 120 });
+    expect(lastWorker.terminate).toHaveBeenCalled();
+  });
+
+  it('ignores progress and parsed messages that arrive after cancellation', async () => {
+    const controller = new AbortController();
+    const onProgress = jest.fn();
+    const onParsed = jest.fn();
+    const run = runIngestionWorker('/tmp/doc.pdf', { signal: controller.signal, onProgress, onParsed });
+
+    controller.abort(new Error('Job cancelled'));
+    lastWorker.emit('message', { type: 'progress', progress: 40, message: 'Parsing' });
+    lastWorker.emit('message', { type: 'parsed', numPages: 3, textLength: 120 });
+
+    await expect(run).rejects.toThrow('Job cancelled');
+    expect(onProgress).not.toHaveBeenCalled();
+    expect(onParsed).not.toHaveBeenCalled();
+  });
+
+  it('ignores parsed messages that arrive after the job settled', async () => {
+    const onParsed = jest.fn();
+    const run = runIngestionWorker('/tmp/doc.pdf', { onParsed });
+
+    lastWorker.emit('message', { type: 'error', error: { message: 'Parse failed' } });
+    lastWorker.emit('message', { type: 'parsed', numPages: 3, textLength: 120 });
+
+    await expect(run).rejects.toThrow('Parse failed');
+    expect(onParsed).not.toHaveBeenCalled();
+  });
+
+  it('still stores embeddings the worker sends after cancellation', async () => {
+    const controller = new AbortController();
+    const run = runIngestionWorker('/tmp/doc.pdf', { signal: controller.signal });
+
+    controller.abort(new Error('Job cancelled'));
+    lastWorker.emit('message', { type: 'cache-set', model: 'm', texts: ['a'], vectors: [[1]] });
+
+    await expect(run).rejects.toThrow('Job cancelled');
+    expect(embeddingCache.setMany).toHaveBeenCalledWith('m', ['a'], [[1]]);
+  });
+});
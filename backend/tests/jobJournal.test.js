@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { JobJournal } = require('../src/services/jobJournal');
+
+describe('JobJournal', () => {
+  let directory;
+  let journal;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'job-journal-'));
+    journal = new JobJournal(path.join(directory, 'jobs.jsonl'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const job = (id, fields = {}) => ({
+    id,
+    status: 'queued',
+    createdAt: new Date('2024-01-01T10:00:00Z'),
+    startedAt: null,
+    abortController: new AbortController(),
+    ...fields
+  });
+
+  it('loads nothing when there is no journal yet', async () => {
+    expect(await journal.load()).toEqual([]);
+  });
+
+  it('replays puts and deletes to the latest state of each job', async () => {
+    journal.put(job('a'));
+    journal.put(job('b'));
+    journal.put(job('a', { status: 'processing', startedAt: new Date('2024-01-01T10:01:00Z') }));
+    await journal.delete('b');
+
+    const jobs = await journal.load();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ id: 'a', status: 'processing', abortController: null, completedAt: null });
+    expect(jobs[0].startedAt).toEqual(new Date('2024-01-01T10:01:00Z'));
+  });
+
+  it('does not write runtime-only state', async () => {
+    await journal.put(job('a', { convertedDocument: { text: 'Converted text', numPages: 1 } }));
+    const content = await fs.readFile(journal.filePath, 'utf8');
+    expect(JSON.parse(content).job).not.toHaveProperty('abortController');
+    expect(JSON.parse(content).job).not.toHaveProperty('convertedDocument');
+  });
+
+  it('skips a partial last line left by a crash', async () => {
+    await journal.put(job('a'));
+    await fs.appendFile(journal.filePath, '{"op":"put","job":{"id":"b","sta');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const jobs = await journal.load();
+    expect(jobs.map(loaded => loaded.id)).toEqual(['a']);
+    console.warn.mockRestore();
+  });
+
+  it('compacts to one entry per job', async () => {
+    journal.put(job('a'));
+    journal.put(job('a', { status: 'completed' }));
+    journal.put(job('b'));
+    await journal.compact([job('a', { status: 'completed' })]);
+
+    const lines = (await fs.readFile(journal.filePath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect((await journal.load()).map(loaded => [loaded.id, loaded.status])).toEqual([['a', 'completed']]);
+    expect((await fs.readdir(directory)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+process.env.JOB_STORE = 'memory';
+
+jest.mock('../services/vectorServiceSelector', () => ({ deleteDocument: jest.fn() }));
+jest.mock('../src/services/tableService', () => ({ tableService: { deleteTables: jest.fn() } }));
+
+const { deleteDocument } = require('../services/vectorServiceSelector');
+const { tableService } = require('../src/services/tableService');
+const { documentStatusService, STATUS } = require('../src/services/documentStatusService');
+const { JobJournal } = require('../src/services/jobJournal');
+const jobQueue = require('../src/services/jobQueue');
+
+const JobQueue = jobQueue.constructor;
+
+describe('JobQueue.recover', () => {
+  let directory;
+  let journal;
+  let uploadPath;
+
+  const record = (id, fields = {}) => ({
+    id,
+    type: 'pdf_processing',
+    documentId: `doc-${id}`,
+    ownerId: 'user-1',
+    filename: `${id}.pdf`,
+    filePath: uploadPath,
+    sequence: 0,
+    status: 'queued',
+    progress: 0,
+    attempts: 0,
+    maxAttempts: 3,
+    createdAt: '2024-01-01T10:00:00.000Z',
+    startedAt: null,
+    completedAt: null,
+    nextAttemptAt: null,
+    error: null,
+    ...fields
+  });
+
+  const writeJournal = (entries) => fs.writeFile(
+    journal.filePath,
+    entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+  );
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+    journal = new JobJournal(path.join(directory, 'jobs.jsonl'));
+    uploadPath = path.join(directory, 'upload.pdf');
+    await fs.writeFile(uploadPath, '%PDF-1.4');
+    deleteDocument.mockClear();
+    tableService.deleteTables.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('requeues interrupted jobs, keeps queued and finished ones, and fails the unrecoverable', async () => {
+    await writeJournal([
+      { op: 'put', job: record('queued', { sequence: 1 }) },
+      { op: 'put', job: record('interrupted', { sequence: 2 }) },
+      { op: 'put', job: record('interrupted', { sequence: 2, status: 'processing', attempts: 1, progress: 40, startedAt: '2024-01-01T10:01:00.000Z' }) },
+      { op: 'put', job: record('exhausted', { sequence: 3, status: 'processing', attempts: 3 }) },
+      { op: 'put', job: record('missing-upload', { sequence: 4, status: 'processing', attempts: 1, filePath: path.join(directory, 'gone.pdf') }) },
+      { op: 'put', job: record('completed', { sequence: 5, status: 'completed', attempts: 1, completedAt: '2024-01-01T10:02:00.000Z' }) },
+      { op: 'put', job: record('removed', { sequence: 6 }) },
+      { op: 'delete', jobId: 'removed' }
+    ]);
+
+    const queue = new JobQueue({ journal });
+    jest.spyOn(queue, 'processNext').mockImplementation(() => {});
+    const summary = await queue.recover();
+
+    expect(summary).toEqual({ restored: 5, requeued: 1, failed: 2 });
+    expect(queue.processNext).toHaveBeenCalled();
+
+    const statuses = Object.fromEntries(Array.from(queue.jobs.values()).map(job => [job.id, job.status]));
+    expect(statuses).toEqual({
+      queued: 'queued',
+      interrupted: 'queued',
+      exhausted: 'failed',
+      'missing-upload': 'failed',
+      completed: 'completed'
+    });
+
+    const interrupted = queue.getJob('interrupted');
+    expect(interrupted).toMatchObject({ progress: 0, startedAt: null, attempts: 1 });
+    expect(queue.getJob('missing-upload').error).toBe('The uploaded file is no longer available');
+
+    // Only the interrupted run's partial output is discarded
+    expect(deleteDocument.mock.calls).toEqual([['doc-interrupted']]);
+    expect(tableService.deleteTables.mock.calls).toEqual([['doc-interrupted']]);
+
+    // New jobs are numbered after the recovered ones
+    expect(queue.sequence).toBe(6);
+
+    expect(documentStatusService.getStatus('doc-interrupted').status).toBe(STATUS.PROCESSING);
+    expect(documentStatusService.getStatus('doc-exhausted').status).toBe(STATUS.ERROR);
+  });
+
+  it('compacts the journal to the recovered state', async () => {
+    await writeJournal([
+      { op: 'put', job: record('a') },
+      { op: 'put', job: record('a', { status: 'processing', attempts: 1 }) },
+      { op: 'put', job: record('b', { sequence: 1, status: 'completed' }) },
+      { op: 'delete', jobId: 'b' }
+    ]);
+
+    const queue = new JobQueue({ journal });
+    jest.spyOn(queue, 'processNext').mockImplementation(() => {});
+    await queue.recover();
+    await journal.writeQueue;
+
+    const lines = (await fs.readFile(journal.filePath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).job).toMatchObject({ id: 'a', status: 'queued', attempts: 1 });
+  });
+
+  it('does nothing without a journal', async () => {
+    const queue = new JobQueue();
+    expect(await queue.recover()).toEqual({ restored: 0, requeued: 0, failed: 0 });
+  });
+});
+
+describe('JobQueue.getStats', () => {
+  const job = (id, ownerId, status) => ({ id, ownerId, status, nextAttemptAt: null });
+
+  it('counts only the jobs of the given owner', () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    queue.jobs.set('a', job('a', 'user-1', 'processing'));
+    queue.jobs.set('b', job('b', 'user-2', 'processing'));
+    queue.jobs.set('c', job('c', 'user-1', 'completed'));
+    queue.processing.add('a');
+    queue.processing.add('b');
+
+    expect(queue.getStats({ ownerId: 'user-1' })).toMatchObject({
+      total: 2,
+      processing: 1,
+      completed: 1,
+      currentlyProcessing: 1,
+      processingCapacity: 2
+    });
+    expect(queue.getStats()).toMatchObject({ total: 3, processing: 2, currentlyProcessing: 2 });
+  });
+});
@@ -0,0 +1,153 @@
+const { parseMarkdownBlocks, chunkMarkdown, formatHeadingPath } = require('../src/services/markdownChunker');
+const { chunkStructuredText } = require('../src/services/pdfService');
+
+const slice = (text, chunk) => text.slice(chunk.startChar, chunk.endChar);
+
+describe('parseMarkdownBlocks', () => {
+  it('tracks nested headings, popping back to the right level', () => {
+    const text = [
+      '# Agreement',
+      '## Fees',
+      '### Late fees',
+      'Paid monthly.',
+      '## Termination',
+      'Either party may end it.'
+    ].join('\n');
+
+    const blocks = parseMarkdownBlocks(text).filter(block => block.type === 'paragraph');
+    expect(blocks.map(block => block.headingPath)).toEqual([
+      ['Agreement', 'Fees', 'Late fees'],
+      ['Agreement', 'Termination']
+    ]);
+  });
+
+  it('recognises list items, tables and code blocks, and skips rules', () => {
+    const text = [
+      '- first',
+      '- second',
+      '',
+      '| a | b |',
+      '| --- | --- |',
+      '| 1 | 2 |',
+      '---',
+      '```',
+      '# not a heading',
+      '```'
+    ].join('\n');
+
+    const blocks = parseMarkdownBlocks(text);
+    expect(blocks.map(block => block.type)).toEqual(['list-item', 'list-item', 'table', 'code']);
+    expect(slice(text, blocks[2])).toBe('| a | b |\n| --- | --- |\n| 1 | 2 |');
+    expect(slice(text, blocks[3])).toBe('```\n# not a heading\n```');
+  });
+
+  it('runs an unclosed code fence to the end of the text', () => {
+    const text = 'Intro\n\n```js\nconst a = 1;\n## still code';
+    const blocks = parseMarkdownBlocks(text);
+    expect(blocks.map(block => block.type)).toEqual(['paragraph', 'code']);
+    expect(blocks[1].endChar).toBe(text.length);
+  });
+});
+
+describe('chunkMarkdown', () => {
+  it('starts a chunk at every heading and keeps the heading with its content', () => {
+    const text = '# Guide\n\nWelcome.\n\n## Setup\n\nInstall it.\n\n## Usage\n\nRun it.';
+    const chunks = chunkMarkdown(text, 1000);
+
+    expect(chunks.map(chunk => slice(text, chunk))).toEqual([
+      '# Guide\n\nWelcome.',
+      '## Setup\n\nInstall it.',
+      '## Usage\n\nRun it.'
+    ]);
+    expect(chunks.map(chunk => formatHeadingPath(chunk.headingPath))).toEqual(['Guide', 'Guide > Setup', 'Guide > Usage']);
+  });
+
+  it('keeps consecutive headings together with the first content below them', () => {
+    const text = '# Report\n\n## Summary\n\n### Numbers\n\nRevenue grew.';
+    const chunks = chunkMarkdown(text, 1000);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].headingPath).toEqual(['Report', 'Summary', 'Numbers']);
+  });
+
+  it('never splits a table, even one longer than the chunk size', () => {
+    const rows = Array.from({ length: 20 }, (_, i) => `| 2024-01-${String(i + 1).padStart(2, '0')} | Payment ${i} | ${i}.00 |`);
+    const table = ['| Date | Description | Amount |', '| --- | --- | --- |', ...rows].join('\n');
+    const text = `## Transactions\n\nAll payments this month.\n\n${table}\n\nEnd of statement.`;
+
+    const chunks = chunkMarkdown(text, 200);
+    const withTable = chunks.filter(chunk => slice(text, chunk).includes('| Date |'));
+
+    expect(withTable).toHaveLength(1);
+    expect(slice(text, withTable[0])).toContain(table);
+    expect(withTable[0].headingPath).toEqual(['Transactions']);
+    expect(slice(text, chunks[chunks.length - 1])).toBe('End of statement.');
+  });
+
+  it('never splits a code block, and headings inside it do not count', () => {
+    const code = ['```python', ...Array.from({ length: 15 }, (_, i) => `# step ${i}\nprint(${i})`), '```'].join('\n');
+    const text = `# Script\n\nThe code:\n\n${code}\n\nDone.`;
+
+    const chunks = chunkMarkdown(text, 120);
+    const withCode = chunks.filter(chunk => slice(text, chunk).includes('```python'));
+
+    expect(withCode).toHaveLength(1);
+    expect(slice(text, withCode[0])).toContain(code);
+    expect(chunks.every(chunk => chunk.headingPath.join() === 'Script')).toBe(true);
+  });
+
+  it('splits a long paragraph at sentence breaks within the chunk size', () => {
+    const sentences = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} says something useful.`);
+    const text = `## Notes\n\n${sentences.join(' ')}`;
+
+    const chunks = chunkMarkdown(text, 200);
+
+    expect(chunks.length).toBeGreaterThan(5);
+    for (const chunk of chunks) {
+      expect(chunk.endChar - chunk.startChar).toBeLessThanOrEqual(200);
+      expect(chunk.headingPath).toEqual(['Notes']);
+    }
+    // The heading goes with the first piece, and every later piece ends on a full sentence
+    expect(slice(text, chunks[0]).startsWith('## Notes')).toBe(true);
+    expect(chunks.slice(0, -1).every(chunk => slice(text, chunk).endsWith('.'))).toBe(true);
+    expect(chunks.map(chunk => slice(text, chunk)).join(' ').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+  });
+
+  it('groups blocks up to the chunk size when there are no headings', () => {
+    const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} `.padEnd(80, 'x'));
+    const text = paragraphs.join('\n\n');
+
+    const chunks = chunkMarkdown(text, 200);
+
+    expect(chunks.map(chunk => slice(text, chunk).split('\n\n').length)).toEqual([2, 2, 2]);
+    expect(chunks.every(chunk => chunk.headingPath.length === 0)).toBe(true);
+    expect(chunks.map(chunk => formatHeadingPath(chunk.headingPath))).toEqual([null, null, null]);
+  });
+});
+
+describe('chunkStructuredText', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives chunks their heading path and exact pages', () => {
+    const page1 = '# Terms\n\nThe first page.';
+    const page2 = '## Fees\n\nThe second page.';
+    const text = `${page1}\n\n${page2}`;
+    const pages = [
+      { pageNumber: 1, startChar: 0, endChar: page1.length },
+      { pageNumber: 2, startChar: page1.length + 2, endChar: text.length }
+    ];
+
+    const chunks = chunkStructuredText(text, 1000, 2, pages);
+
+    expect(chunks.map(chunk => [chunk.text, chunk.headingPath, chunk.startPage, chunk.endPage])).toEqual([
+      [page1, ['Terms'], 1, 1],
+      [page2, ['Terms', 'Fees'], 2, 2]
+    ]);
+  });
+});
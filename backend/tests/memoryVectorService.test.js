@@ -0,0 +1,51 @@
+jest.mock('../src/services/embeddingService', () => ({
+  ...jest.requireActual('../src/services/embeddingService'),
+  getConfiguredEmbeddingModel: jest.fn(() => 'openai/text-embedding-3-small'),
+  generateEmbeddingsWithModel: jest.fn()
+}));
+
+const { generateEmbeddingsWithModel } = require('../src/services/embeddingService');
+const { MemoryVectorService } = require('../services/memoryVectorService');
+
+describe('MemoryVectorService.searchSimilarChunks', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new MemoryVectorService();
+
+    await service.vectorizeDocument('doc-1', 'Invoice INV2024A totals 120 EUR.', { numPages: 1 }, {
+      embeddedChunks: {
+        chunks: [{ text: 'Invoice INV2024A totals 120 EUR.', estimatedPage: 1 }],
+        embeddings: [[1, 0, 0]],
+        model: 'openai/text-embedding-3-small',
+        dimension: 3
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    generateEmbeddingsWithModel.mockReset();
+  });
+
+  it('embeds the query with the configured model only', async () => {
+    generateEmbeddingsWithModel.mockResolvedValue({
+      embeddings: [[1, 0, 0]],
+      model: 'openai/text-embedding-3-small',
+      dimension: 3
+    });
+
+    const results = await service.searchSimilarChunks('invoice total', 'doc-1', 5);
+
+    expect(generateEmbeddingsWithModel).toHaveBeenCalledWith(['invoice total'], { model: 'openai/text-embedding-3-small' });
+    expect(results.map(result => result.id)).toEqual(['doc-1_chunk_0']);
+  });
+
+  it('fails instead of searching with a fallback model when the configured provider is down', async () => {
+    generateEmbeddingsWithModel.mockRejectedValue(new Error('OpenAI unavailable'));
+
+    await expect(service.searchSimilarChunks('invoice total', 'doc-1', 5)).rejects.toThrow('OpenAI unavailable');
+  });
+});
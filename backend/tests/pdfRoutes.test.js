@@ -0,0 +1,318 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-routes-'));
+process.env.UPLOAD_DIR = path.join(process.env.DATA_DIR, 'uploads');
+process.env.JOB_STORE = 'memory';
+process.env.CONVERSATION_STORE = 'memory';
+process.env.TABLE_STORE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+fs.mkdirSync(process.env.UPLOAD_DIR);
+
+jest.mock('../src/services/apiKeyService', () => {
+  const actual = jest.requireActual('../src/services/apiKeyService');
+  return { ...actual, apiKeyService: new actual.ApiKeyService(null) };
+});
+jest.mock('../services/vectorServiceSelector', () => ({
+  getDocumentStats: jest.fn(async () => ({ chunkCount: 3 })),
+  deleteDocument: jest.fn(async () => {})
+}));
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { getDocumentStats, deleteDocument } = require('../services/vectorServiceSelector');
+const { createApiApp, createSession } = require('./fixtures/apiApp');
+const { buildPdf } = require('./fixtures/pdfFixtures');
+const { apiKeyService } = require('../src/services/apiKeyService');
+const { documentStatusService, STATUS } = require('../src/services/documentStatusService');
+const { conversationService } = require('../src/services/conversationService');
+const { collectionService } = require('../src/services/collectionService');
+const { workspaceService } = require('../src/services/workspaceService');
+const { tableService } = require('../src/services/tableService');
+const jobQueue = require('../src/services/jobQueue');
+
+describe('PDF routes', () => {
+  const app = createApiApp();
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Jobs stay queued; processing is covered by the job queue tests
+    jest.spyOn(jobQueue, 'processNext').mockImplementation(() => {});
+
+    alice = await createSession('alice@example.com');
+    bob = await createSession('bob@example.com');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  /**
+   * Register a document of a user with a queued processing job for it
+   */
+  const addDocument = (session, status = STATUS.PROCESSING) => {
+    const documentId = uuidv4();
+    const filePath = path.join(process.env.UPLOAD_DIR, `${documentId}.pdf`);
+    fs.writeFileSync(filePath, '%PDF-1.4');
+
+    documentStatusService.setStatus(documentId, status, {
+      filename: 'report.pdf',
+      ownerId: session.user.id,
+      uploadedAt: new Date().toISOString()
+    });
+    const jobId = jobQueue.addJob({
+      type: 'pdf_processing',
+      documentId,
+      ownerId: session.user.id,
+      filePath,
+      filename: 'report.pdf'
+    });
+    return { documentId, jobId, filePath };
+  };
+
+  const as = (session, method, url) => request(app)[method](url).set('Authorization', `Bearer ${session.token}`);
+
+  /**
+   * A PDF with one line of text per page
+   */
+  const pdfWithPages = (...lines) => buildPdf(...lines.map(text => [{ x: 72, y: 700, text }]));
+
+  const uploadedFiles = () => fs.readdirSync(process.env.UPLOAD_DIR);
+
+  describe('ownership', () => {
+    let document;
+
+    beforeAll(() => {
+      document = addDocument(alice);
+    });
+
+    it("answers 404 for another user's document", async () => {
+      for (const url of [`/api/pdf/status/${document.documentId}`, `/api/pdf/document/${document.documentId}`]) {
+        const response = await as(bob, 'get', url);
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('DOCUMENT_NOT_FOUND');
+      }
+
+      const deleted = await as(bob, 'delete', `/api/pdf/document/${document.documentId}`);
+      expect(deleted.status).toBe(404);
+      expect(documentStatusService.getStatus(document.documentId)).not.toBeNull();
+      expect(fs.existsSync(document.filePath)).toBe(true);
+    });
+
+    it("answers 404 for another user's job", async () => {
+      const status = await as(bob, 'get', `/api/pdf/job/${document.jobId}`);
+      const cancelled = await as(bob, 'delete', `/api/pdf/job/${document.jobId}`);
+
+      expect(status.status).toBe(404);
+      expect(cancelled.status).toBe(404);
+      expect(cancelled.body.error).toBe('JOB_NOT_FOUND');
+      expect(jobQueue.getJob(document.jobId).status).toBe('queued');
+    });
+
+    it('lists only the documents of the requesting user', async () => {
+      const bobDocument = addDocument(bob);
+
+      const response = await as(bob, 'get', '/api/pdf/documents');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.documents.map(item => item.documentId)).toEqual([bobDocument.documentId]);
+    });
+
+    it('lets the owner see the document and its job', async () => {
+      const status = await as(alice, 'get', `/api/pdf/status/${document.documentId}`);
+      const job = await as(alice, 'get', `/api/pdf/job/${document.jobId}`);
+
+      expect(status.status).toBe(200);
+      expect(job.status).toBe(200);
+      expect(job.body.data.documentId).toBe(document.documentId);
+    });
+  });
+
+  describe('document deletion', () => {
+    it('removes the document from every store and reports what was removed', async () => {
+      const { documentId, jobId, filePath } = addDocument(alice);
+      const conversation = await conversationService.createConversation(documentId, { ownerId: alice.user.id });
+      const otherDocumentId = uuidv4();
+      const collection = await collectionService.createCollection('Reports', [documentId, otherDocumentId], alice.user.id);
+      const workspace = await workspaceService.createWorkspace('Finance', alice.user.id);
+      await workspaceService.addDocument(workspace.id, documentId);
+      await tableService.saveTables(documentId, [{ id: 'table-1', pageNumber: 1, headers: ['A'], rows: [['1']] }]);
+      getDocumentStats.mockResolvedValueOnce({ chunkCount: 7 });
+
+      const response = await as(alice, 'delete', `/api/pdf/document/${documentId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.removed).toEqual({
+        chunks: 7,
+        tables: true,
+        jobs: [{ jobId, status: 'queued' }],
+        files: [path.basename(filePath)],
+        conversations: 1,
+        collections: 1,
+        workspaceId: workspace.id,
+        status: true
+      });
+      expect(deleteDocument).toHaveBeenCalledWith(documentId);
+      expect(jobQueue.getJob(jobId)).toBeUndefined();
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(await conversationService.getConversation(conversation.id)).toBeNull();
+      expect((await collectionService.getCollection(collection.id)).documentIds).toEqual([otherDocumentId]);
+      expect(await workspaceService.getWorkspaceForDocument(documentId)).toBeNull();
+      expect(await tableService.getTables(documentId)).toEqual([]);
+      expect(documentStatusService.getStatus(documentId)).toBeNull();
+    });
+
+    it('aborts a job that is processing the document', async () => {
+      const { documentId, jobId } = addDocument(alice);
+      const job = jobQueue.getJob(jobId);
+      job.status = 'processing';
+      job.abortController = new AbortController();
+
+      const response = await as(alice, 'delete', `/api/pdf/document/${documentId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.removed.jobs).toEqual([{ jobId, status: 'processing' }]);
+      expect(job.abortController.signal.aborted).toBe(true);
+      expect(jobQueue.getJob(jobId)).toBeUndefined();
+    });
+  });
+
+  describe('duplicate uploads', () => {
+    const pdf = pdfWithPages('Board minutes', 'Resolutions');
+    const upload = (session, fields = {}) => {
+      const req = as(session, 'post', '/api/pdf/upload');
+      for (const [name, value] of Object.entries(fields)) req.field(name, value);
+      return req.attach('pdf', pdf, 'minutes.pdf');
+    };
+    let original;
+
+    beforeAll(async () => {
+      original = (await upload(alice)).body.data;
+    });
+
+    it('returns the existing document for the same file without queueing a job', async () => {
+      const jobCount = jobQueue.getStats().total;
+      const filesBefore = uploadedFiles();
+
+      const response = await upload(alice);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        documentId: original.documentId,
+        contentHash: original.contentHash,
+        isDuplicate: true,
+        processingStatus: STATUS.PROCESSING
+      });
+      expect(jobQueue.getStats().total).toBe(jobCount);
+      expect(uploadedFiles()).toEqual(filesBefore);
+    });
+
+    it('exposes the content hash in the document metadata', async () => {
+      const response = await as(alice, 'get', `/api/pdf/document/${original.documentId}`);
+
+      expect(original.contentHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(response.body.data.contentHash).toBe(original.contentHash);
+    });
+
+    it('processes the file again with reprocess=true', async () => {
+      const response = await upload(alice, { reprocess: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isDuplicate).toBeUndefined();
+      expect(response.body.data.documentId).not.toBe(original.documentId);
+      expect(response.body.data.contentHash).toBe(original.contentHash);
+      expect(jobQueue.getJob(response.body.data.jobId).documentId).toBe(response.body.data.documentId);
+    });
+
+    it("does not reuse another user's document", async () => {
+      const response = await upload(bob);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isDuplicate).toBeUndefined();
+      expect(documentStatusService.getStatus(response.body.data.documentId).ownerId).toBe(bob.user.id);
+    });
+
+    it('does not reuse a document whose processing failed', async () => {
+      const failedIds = documentStatusService.findByContentHash(bob.user.id, original.contentHash)
+        .map(status => status.documentId);
+      for (const documentId of failedIds) documentStatusService.markError(documentId, 'parser crashed');
+
+      const response = await upload(bob);
+
+      expect(failedIds).toHaveLength(1);
+      expect(response.body.data.isDuplicate).toBeUndefined();
+      expect(failedIds).not.toContain(response.body.data.documentId);
+    });
+
+    it('charges no pages for a duplicate', async () => {
+      const { key, secret } = await apiKeyService.createKey({ name: 'script', userId: alice.user.id, createdBy: alice.user.id });
+
+      const response = await request(app).post('/api/pdf/upload').set('X-API-Key', secret).attach('pdf', pdf, 'minutes.pdf');
+
+      expect(response.body.data.isDuplicate).toBe(true);
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(0);
+    });
+  });
+
+  describe('API key limits', () => {
+    const createKey = async (limits) => {
+      const { key, secret } = await apiKeyService.createKey({ name: 'script', userId: alice.user.id, createdBy: alice.user.id, limits });
+      return { key, withKey: (method, url) => request(app)[method](url).set('X-API-Key', secret) };
+    };
+
+    it('rejects unknown keys', async () => {
+      const response = await request(app).get('/api/pdf/documents').set('X-API-Key', 'pdfk_unknown');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('INVALID_API_KEY');
+    });
+
+    it('acts as the key owner and limits requests per minute', async () => {
+      const { withKey } = await createKey({ requestsPerMinute: 2 });
+
+      const responses = [];
+      for (let i = 0; i < 3; i++) {
+        responses.push(await withKey('get', '/api/pdf/documents'));
+      }
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 429]);
+      expect(responses[2].body.error).toBe('RATE_LIMIT_EXCEEDED');
+      expect(responses[2].headers['retry-after']).toBeDefined();
+    });
+
+    it('charges accepted uploads against the daily page quota and rejects what no longer fits', async () => {
+      const { key, withKey } = await createKey({ dailyPages: 3 });
+
+      const accepted = await withKey('post', '/api/pdf/upload')
+        .attach('pdf', pdfWithPages('Quarterly report', 'Appendix'), 'report.pdf');
+      const filesBefore = uploadedFiles();
+      const rejected = await withKey('post', '/api/pdf/upload')
+        .attach('pdf', pdfWithPages('Annual report', 'Figures'), 'annual.pdf');
+
+      expect(accepted.status).toBe(200);
+      expect(documentStatusService.getStatus(accepted.body.data.documentId).ownerId).toBe(alice.user.id);
+      expect(rejected.status).toBe(429);
+      expect(rejected.body.error).toBe('PAGE_QUOTA_EXCEEDED');
+      expect(rejected.body.data).toEqual({ limit: 3, used: 2, requested: 2 });
+      expect(uploadedFiles()).toEqual(filesBefore);
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(2);
+    });
+
+    it('gives the pages back when the upload is rejected after the quota check', async () => {
+      const { key, withKey } = await createKey({ dailyPages: 10 });
+
+      const response = await withKey('post', '/api/pdf/upload')
+        .field('priority', 'urgent')
+        .attach('pdf', pdfWithPages('Memo'), 'memo.pdf');
+
+      expect(response.status).toBe(400);
+      expect(apiKeyService.getTodayUsage(key).pages).toBe(0);
+    });
+  });
+});
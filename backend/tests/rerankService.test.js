@@ -0,0 +1,47 @@
+const { rerankChunks, registerReranker } = require('../src/services/rerankService');
+
+// Fused order from hybrid search: b has the best vector score but fused second
+const candidates = [
+  { id: 'a', content: 'alpha', similarity: 0.4 },
+  { id: 'b', content: 'beta', similarity: 0.9 },
+  { id: 'c', content: 'gamma', similarity: 0.6 }
+];
+
+describe('rerankChunks', () => {
+  const originalReranker = process.env.RERANKER;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    if (originalReranker === undefined) delete process.env.RERANKER;
+    else process.env.RERANKER = originalReranker;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the fused retrieval order with RERANKER=none', async () => {
+    process.env.RERANKER = 'none';
+    const reranked = await rerankChunks('query', candidates, 3);
+
+    expect(reranked.map(chunk => chunk.id)).toEqual(['a', 'b', 'c']);
+    expect(reranked.map(chunk => chunk.retrievalScore)).toEqual([0.4, 0.9, 0.6]);
+  });
+
+  it('keeps the fused retrieval order when the reranker fails', async () => {
+    registerReranker('failing', async () => { throw new Error('unavailable'); });
+    process.env.RERANKER = 'failing';
+    const reranked = await rerankChunks('query', candidates, 2);
+
+    expect(reranked.map(chunk => chunk.id)).toEqual(['a', 'b']);
+  });
+
+  it('sorts by the reranker scores', async () => {
+    registerReranker('reverse', async (query, pool) => pool.map((candidate, index) => index / pool.length));
+    process.env.RERANKER = 'reverse';
+    const reranked = await rerankChunks('query', candidates, 3);
+
+    expect(reranked.map(chunk => chunk.id)).toEqual(['c', 'b', 'a']);
+  });
+});
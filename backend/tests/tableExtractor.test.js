@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { extractTables, extractMarkdownTables, tableToMarkdown } = require('../src/services/tableExtractor');
+const { processPDFLocal, processPDFWithLlamaParse } = require('../src/services/pdfService');
+const { createLlamaParseStandIn } = require('../scripts/llamaparse-standin');
+const {
+  buildPdf,
+  writePdf,
+  twoColumnPaper,
+  twoColumnPaperWithTable,
+  bankStatement,
+  LEFT_COLUMN
+} = require('./fixtures/pdfFixtures');
+
+/**
+ * Text items of the first page, as the local parser sees them
+ */
+async function getPageItems(runs) {
+  let items = null;
+  await pdfParse(buildPdf(runs), {
+    pagerender: async (pageData) => {
+      items = (await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })).items;
+      return '';
+    },
+    version: 'v1.10.100'
+  });
+  return items;
+}
+
+/**
+ * Hand-placed text item (5 units per character, 10 high)
+ */
+const item = (x, y, str) => ({ str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10 });
+
+describe('extractTables', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds no tables in two columns of prose on shared baselines', async () => {
+    expect(extractTables(await getPageItems(twoColumnPaper()), 1)).toEqual([]);
+  });
+
+  it('finds a table inside one column of a two-column page, without the other column', async () => {
+    const tables = extractTables(await getPageItems(twoColumnPaperWithTable()), 1);
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].header).toEqual(['Tag', 'JS Type', 'Meaning']);
+    expect(tables[0].rows).toEqual([
+      ['xx1', 'number', '31-bit integer'],
+      ['000', 'object', 'pointer'],
+      ['010', 'number', 'double'],
+      ['100', 'string', 'pointer']
+    ]);
+  });
+
+  it('rebuilds a statement table with right-aligned amounts and empty cells', async () => {
+    const tables = extractTables(await getPageItems(bankStatement()), 1);
+
+    expect(tables.map(table => table.id)).toEqual(['p1-t1', 'p1-t2']);
+    expect(tables[0]).toMatchObject({
+      pageNumber: 1,
+      index: 0,
+      header: ['Date', 'Description', 'Withdrawals', 'Deposits', 'Balance'],
+      columnCount: 5,
+      rowCount: 5
+    });
+    expect(tables[0].rows[0]).toEqual(['01/02/2024', 'Opening balance', '', '', '1,000.00']);
+    expect(tables[0].rows[2]).toEqual(['01/09/2024', 'Payroll ACME Corp', '', '2,500.00', '3,495.50']);
+    expect(tables[1].header).toEqual(['Item', 'Qty', 'Unit price', 'Total']);
+    expect(tables[1].rows).toEqual([['Widget A', '2', '10.00', '20.00'], ['Gadget B', '1', '99.99', '99.99']]);
+  });
+
+  it('needs at least three rows', () => {
+    const items = [
+      item(72, 700, 'Name'), item(200, 700, 'Value'),
+      item(72, 688, 'Alpha'), item(200, 688, '1')
+    ];
+    expect(extractTables(items, 1)).toEqual([]);
+  });
+
+  it('rejects rows whose cells do not line up', () => {
+    const items = [
+      item(72, 700, 'Ann Author'), item(250, 700, 'Ben Writer'),
+      item(100, 688, 'University A'), item(300, 688, 'Company B'),
+      item(80, 676, 'ann@a.edu'), item(210, 676, 'ben@b.com')
+    ];
+    expect(extractTables(items, 1)).toEqual([]);
+  });
+
+  it('treats a column of numbers next to one column of text as a list', () => {
+    const items = [
+      item(72, 700, '1.'), item(90, 700, 'Gather the receipts'),
+      item(72, 688, '2.'), item(90, 688, 'Sort them by date'),
+      item(72, 676, '3.'), item(90, 676, 'Enter the totals')
+    ];
+    expect(extractTables(items, 1)).toEqual([]);
+  });
+
+  it('accepts left-, right- and centre-aligned columns', () => {
+    const items = [
+      item(72, 700, 'Item'), item(200, 700, 'Code'), item(330, 700, 'Amount'),
+      item(72, 688, 'Paper'), item(205, 688, 'P1'), item(335, 688, '12.50'),
+      item(72, 676, 'Toner cartridge'), item(202.5, 676, 'TC9'), item(320, 676, '1,240.00'),
+      item(72, 664, 'Pens'), item(205, 664, 'P2'), item(345, 664, '3.10')
+    ];
+    const tables = extractTables(items, 1);
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].rows).toEqual([['Paper', 'P1', '12.50'], ['Toner cartridge', 'TC9', '1,240.00'], ['Pens', 'P2', '3.10']]);
+  });
+});
+
+describe('processPDFLocal with table extraction', () => {
+  let filePaths = [];
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    for (const filePath of filePaths) fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const parse = (runs) => {
+    const filePath = writePdf(runs);
+    filePaths.push(filePath);
+    return processPDFLocal(filePath, { tables: true, ocr: 'off' });
+  };
+
+  it('keeps the original text of a two-column page', async () => {
+    const result = await parse(twoColumnPaper());
+
+    expect(result.tables).toEqual([]);
+    expect(result.text).not.toContain('|');
+    expect(result.text).toContain(LEFT_COLUMN.join('\n'));
+  });
+
+  it('writes statement tables as markdown where they appear', async () => {
+    const result = await parse(bankStatement());
+    const [transactions, invoice] = result.tables;
+
+    expect(result.tables).toHaveLength(2);
+    expect(result.text).toContain(tableToMarkdown(transactions));
+    expect(result.text).toContain(tableToMarkdown(invoice));
+    expect(result.text.indexOf('Please review your transactions below.'))
+      .toBeLessThan(result.text.indexOf(tableToMarkdown(transactions)));
+    expect(result.text.indexOf(tableToMarkdown(transactions)))
+      .toBeLessThan(result.text.indexOf('Closing balance'));
+  });
+
+  it('leaves table cells out of the text cleanup', async () => {
+    const runs = [{ x: 72, y: 740, text: 'Open invoices for account AC1001:' }];
+    const rows = [['Invoice', 'Amount', 'Due'], ['INV2024A', '120.00', '02/01/2024'], ['INV2024B', '80.50', '03/01/2024']];
+    rows.forEach((row, index) => {
+      row.forEach((text, column) => runs.push({ x: [72, 200, 300][column], y: 700 - index * 16, text }));
+    });
+
+    const result = await parse(runs);
+
+    expect(result.tables).toHaveLength(1);
+    expect(result.text).toContain(tableToMarkdown(result.tables[0]));
+    expect(result.text).toContain('| INV2024A |');
+    // Text outside tables is still cleaned as before
+    expect(result.text).toContain('AC 1001');
+  });
+});
+
+describe('extractMarkdownTables', () => {
+  it('reads header and rows, keeping escaped pipes and padding short rows', () => {
+    const markdown = [
+      '# Statement',
+      '',
+      '| Date | Description | Amount |',
+      '| :--- | --- | ---: |',
+      '| 01/02 | Transfer A \\| B | 5.00 |',
+      '| 01/03 | Fee |',
+      '',
+      'Closing balance'
+    ].join('\n');
+
+    expect(extractMarkdownTables(markdown)).toEqual([{
+      id: 'p1-t1',
+      pageNumber: 1,
+      index: 0,
+      header: ['Date', 'Description', 'Amount'],
+      rows: [['01/02', 'Transfer A | B', '5.00'], ['01/03', 'Fee', '']],
+      columnCount: 3,
+      rowCount: 2
+    }]);
+  });
+
+  it('ignores pipe lines without a delimiter row', () => {
+    expect(extractMarkdownTables('| not | a table |\n| just | pipes |')).toEqual([]);
+  });
+
+  it('numbers tables per page', () => {
+    const table = '| a | b |\n| --- | --- |\n| 1 | 2 |';
+    const markdown = `${table}\n\n---\n\n${table}\n\nText\n\n${table}`;
+    const secondPage = markdown.indexOf('---\n');
+
+    const tables = extractMarkdownTables(markdown, offset => (offset < secondPage ? 1 : 2));
+
+    expect(tables.map(({ id, pageNumber, index }) => ({ id, pageNumber, index }))).toEqual([
+      { id: 'p1-t1', pageNumber: 1, index: 0 },
+      { id: 'p2-t1', pageNumber: 2, index: 0 },
+      { id: 'p2-t2', pageNumber: 2, index: 1 }
+    ]);
+  });
+});
+
+describe('processPDFWithLlamaParse tables', () => {
+  const env = {
+    LLAMAPARSE_API_KEY: 'test-key',
+    LLAMAPARSE_POLL_INTERVAL_MS: '10'
+  };
+  const savedEnv = {};
+  let server;
+  let filePath;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    server = await new Promise(resolve => {
+      const listening = createLlamaParseStandIn({ delayMs: 0 }).listen(0, () => resolve(listening));
+    });
+    env.LLAMAPARSE_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    for (const [name, value] of Object.entries(env)) {
+      savedEnv[name] = process.env[name];
+      process.env[name] = value;
+    }
+
+    filePath = writePdf(twoColumnPaper(), bankStatement());
+  });
+
+  afterAll(async () => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('returns the markdown tables on the pages they are on', async () => {
+    const result = await processPDFWithLlamaParse(filePath);
+    const local = await processPDFLocal(filePath, { tables: true, ocr: 'off' });
+
+    expect(result.numPages).toBe(2);
+    expect(result.metadata.tableCount).toBe(2);
+    expect(result.tables.map(table => table.id)).toEqual(['p2-t1', 'p2-t2']);
+    expect(result.tables).toEqual(local.tables);
+  });
+});
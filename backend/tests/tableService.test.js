@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TableService, MemoryTableStore, FileTableStore } = require('../src/services/tableService');
+const { tableToMarkdown } = require('../src/services/tableExtractor');
+
+const transactions = {
+  id: 'p1-t1',
+  pageNumber: 1,
+  index: 0,
+  header: ['Date', 'Description', 'Amount'],
+  rows: [['01/05/2024', 'Coffee Shop | Main St', '4.50'], ['01/09/2024', 'Payroll', '']],
+  columnCount: 3,
+  rowCount: 2
+};
+const invoice = {
+  id: 'p2-t1',
+  pageNumber: 2,
+  index: 0,
+  header: ['Item', 'Qty'],
+  rows: [['Widget A', '2'], ['Gadget B', '1']],
+  columnCount: 2,
+  rowCount: 2
+};
+
+describe('tableToMarkdown', () => {
+  it('escapes pipes and keeps empty cells', () => {
+    expect(tableToMarkdown(transactions)).toBe([
+      '| Date | Description | Amount |',
+      '| --- | --- | --- |',
+      '| 01/05/2024 | Coffee Shop \\| Main St | 4.50 |',
+      '| 01/09/2024 | Payroll | |'
+    ].join('\n'));
+  });
+});
+
+describe('TableService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new TableService(new MemoryTableStore());
+    await service.saveTables('doc-1', [transactions, invoice]);
+  });
+
+  it('returns tables with their markdown, optionally for one page', async () => {
+    const tables = await service.getTables('doc-1');
+    expect(tables.map(table => table.id)).toEqual(['p1-t1', 'p2-t1']);
+    expect(tables[0].markdown).toBe(tableToMarkdown(transactions));
+
+    expect((await service.getTables('doc-1', { pageNumber: 2 })).map(table => table.id)).toEqual(['p2-t1']);
+    expect(await service.getTables('missing')).toEqual([]);
+  });
+
+  it('removes the stored tables when a document has none', async () => {
+    await service.saveTables('doc-1', []);
+    expect(await service.getTables('doc-1')).toEqual([]);
+  });
+
+  it('attaches each table once, to the best chunk on its page that lacks it', async () => {
+    const chunk = (id, startPage, endPage, content = 'text') => ({
+      id,
+      content,
+      metadata: { document_id: 'doc-1', start_page: startPage, end_page: endPage }
+    });
+
+    const results = await service.attachTables([
+      chunk('a', 1, 1, `Statement\n\n${tableToMarkdown(transactions)}`),
+      chunk('b', 1, 2),
+      chunk('c', 2, 2),
+      { id: 'd', content: 'no pages', metadata: {} }
+    ]);
+
+    // a already holds the transactions table; b gets the invoice, c nothing more
+    expect(results.map(result => (result.tables || []).map(table => table.id))).toEqual([[], ['p2-t1'], [], []]);
+  });
+});
+
+describe('FileTableStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'table-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('persists tables across instances and deletes them', async () => {
+    await new FileTableStore(directory).save('doc-1', [transactions]);
+
+    const store = new FileTableStore(directory);
+    expect(await store.get('doc-1')).toEqual([transactions]);
+    expect(await store.delete('doc-1')).toBe(true);
+    expect(await new FileTableStore(directory).get('doc-1')).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const { UserService } = require('../src/services/userService');
+
+describe('UserService.createUser', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UserService(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await service.createUser({ email: 'ada@example.com', password: 'secret123' });
+    expect(await service.createUser({ email: ' ADA@example.com ', password: 'other123' })).toBeNull();
+  });
+
+  it('stores only one of two concurrent registrations for the same email', async () => {
+    const results = await Promise.all([
+      service.createUser({ email: 'ada@example.com', password: 'secret123' }),
+      service.createUser({ email: 'Ada@Example.com', password: 'other123' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(service.users.size).toBe(1);
+  });
+});
@@ -1,4 +1,5 @@
 import { Routes } from '@angular/router';
+import { authGuard } from './services/auth.guard';
 
 export const routes: Routes = [
   {
@@ -11,24 +12,33 @@ export const routes: Routes = [
     loadComponent: () => import('./components/landing/landing.component').then(m => m.LandingComponent),
     title: 'AI PDF Assistant - Home'
   },
+  {
+    path: 'login',
+    loadComponent: () => import('./pages/login/login.component').then(m => m.LoginComponent),
+    title: 'Sign In - AI PDF Assistant'
+  },
   {
     path: 'upload',
     loadComponent: () => import('./pages/upload/upload.component').then(m => m.UploadComponent),
+    canActivate: [authGuard],
     title: 'Upload PDF - AI PDF Assistant'
   },
   {
     path: 'chat',
     loadComponent: () => import('./pages/chat/chat.component').then(m => m.ChatComponent),
+    canActivate: [authGuard],
     title: 'AI Chat - AI PDF Assistant'
   },
   {
     path: 'pdf-viewer',
     loadComponent: () => import('./components/pdf-viewer/pdf-viewer.component').then(m => m.PdfViewerComponent),
+    canActivate: [authGuard],
     title: 'PDF Viewer - AI PDF Assistant'
   },
   {
     path: 'chatbot',
     loadComponent: () => import('./components/chatbot/chatbot.component').then(m => m.ChatbotComponent),
+    canActivate: [authGuard],
     title: 'AI Chatbot - AI PDF Assistant'
   },
   {
@@ -12,10 +12,11 @@ import { MatSnackBar, MatSnackBarModule } from '@angular/material/snack-bar';
 import { MatChipsModule } from '@angular/material/chips';
 import { MatTooltipModule } from '@angular/material/tooltip';
 import { trigger, state, style, transition, animate } from '@angular/animations';
-import { Subject, takeUntil, take, catchError, of, timeout } from 'rxjs';
+import { Subject, Subscription, takeUntil, take, catchError, of, timeout } from 'rxjs';
 import { ApiService, ChatRequest } from '../../services/api.service';
 import { PdfStateService } from '../../services/pdf-state.service';
 import { PdfNavigationService } from '../../services/pdf-navigation.service';
+import { WorkspaceService } from '../../services/workspace.service';
 import { ErrorFallbackComponent } from '../error-fallback/error-fallback.component';
 import { ErrorState, FallbackConfig } from '../../interfaces/error-state.interface';
 
@@ -24,6 +25,8 @@ export interface Citation {
   pageNumber: number | null;
   text: string;
   sourceLabel: string;
+  documentId?: string;
+  documentName?: string | null;
 }
 
 export interface ChatMessage {
@@ -34,6 +37,7 @@ export interface ChatMessage {
   isTyping?: boolean;
   citations?: Citation[];
   isError?: boolean;
+  isStreaming?: boolean;
 }
 
 @Component({
@@ -77,14 +81,35 @@ export class ChatbotComponent implements OnInit, OnDestroy, AfterViewInit {
   @Output() citationClicked = new EventEmitter<Citation>();
   @Input() pdfSrc: Uint8Array | null = null;
 
+  /**
+   * Documents to chat with; when more than one is selected the answer draws on all of them
+   */
+  @Input()
+  set documentIds(documentIds: string[]) {
+    const previous = this.selectedDocumentIds.join(',');
+    this.selectedDocumentIds = documentIds || [];
+
+    // A different document set starts a new conversation
+    if (previous !== this.selectedDocumentIds.join(',')) {
+      this.conversationId = null;
+    }
+  }
+  get documentIds(): string[] {
+    return this.selectedDocumentIds;
+  }
+
   private destroy$ = new Subject<void>();
+  private streamSubscription: Subscription | null = null;
+  private selectedDocumentIds: string[] = [];
 
   messages: ChatMessage[] = [];
   currentMessage = '';
   isLoading = false;
   isTyping = false;
+  isStreaming = false;
   isUploading = false;
   pdfId: string | null = null;
+  conversationId: string | null = null;
 
   // Error handling properties
   errorState: ErrorState | null = null;
@@ -100,6 +125,7 @@ export class ChatbotComponent implements OnInit, OnDestroy, AfterViewInit {
     private apiService: ApiService,
     private pdfStateService: PdfStateService,
     private pdfNavigationService: PdfNavigationService,
+    private workspaceService: WorkspaceService,
     private snackBar: MatSnackBar
   ) {}
 
@@ -122,10 +148,18 @@ export class ChatbotComponent implements OnInit, OnDestroy, AfterViewInit {
 
         // Update welcome message when PDF state changes
         if (previousPdfId !== this.pdfId) {
+          this.conversationId = null;
           this.updateWelcomeMessage();
         }
       });
 
+    // Conversations are kept per workspace, so switching starts a new one
+    this.workspaceService.currentWorkspaceId$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => {
+        this.conversationId = null;
+      });
+
     // Add initial welcome message
     this.updateWelcomeMessage();
   }
@@ -257,44 +291,110 @@ What would you like to know about your document?`;
 
     const chatRequest: ChatRequest = {
       message: userMessage,
-      documentId: this.pdfId || undefined
+      workspaceId: this.workspaceService.currentWorkspaceId || undefined,
+      conversationId: this.conversationId || undefined
     };
 
-    this.apiService.sendChatMessage(chatRequest)
+    if (this.isMultiDocumentChat()) {
+      chatRequest.documentIds = this.selectedDocumentIds;
+    } else {
+      chatRequest.documentId = this.pdfId || undefined;
+    }
+
+    // Filled in progressively as tokens arrive
+    let aiMessage: ChatMessage | null = null;
+
+    this.streamSubscription = this.apiService.streamChatMessage(chatRequest)
       .pipe(
         takeUntil(this.destroy$),
-        timeout(60000), // 60 second timeout
-        catchError(error => {
-          this.handleChatError(error, this.currentMessage);
-          return of(null);
-        })
+        timeout({ first: 60000 }) // 60 second timeout until the answer starts
       )
       .subscribe({
-        next: (response) => {
-          if (response) {
-            this.isTyping = false;
-            this.isLoading = false;
-            this.clearError(); // Clear any previous errors
-
-            const aiMessage: ChatMessage = {
-              id: this.generateId(),
-              content: response.response,
-              isUser: false,
-              timestamp: new Date(),
-              citations: response.citations || []
-            };
-
-            this.addMessage(aiMessage);
-            this.retryCount = 0; // Reset retry count on success
+        next: (event) => {
+          switch (event.type) {
+            case 'start':
+              // Keep the server-side conversation so the next turn gets this history
+              this.conversationId = event.conversationId;
+              break;
+
+            case 'token':
+              if (!aiMessage) {
+                this.isTyping = false;
+                this.isStreaming = true;
+                aiMessage = {
+                  id: this.generateId(),
+                  content: '',
+                  isUser: false,
+                  timestamp: new Date(),
+                  isStreaming: true
+                };
+                this.addMessage(aiMessage);
+              }
+              aiMessage.content += event.text;
+              this.scrollToBottom();
+              break;
+
+            case 'done':
+              this.finishStream();
+              this.clearError(); // Clear any previous errors
+
+              if (event.data.conversationId) {
+                this.conversationId = event.data.conversationId;
+              }
+
+              // The final text has citation markers cleaned up, so it replaces the streamed text
+              if (aiMessage) {
+                aiMessage.content = event.data.response;
+                aiMessage.citations = event.data.citations || [];
+                aiMessage.isStreaming = false;
+              } else {
+                this.addMessage({
+                  id: this.generateId(),
+                  content: event.data.response,
+                  isUser: false,
+                  timestamp: new Date(),
+                  citations: event.data.citations || []
+                });
+              }
+              this.retryCount = 0; // Reset retry count on success
+              break;
           }
         },
         error: (error) => {
-          this.handleChatError(error, this.currentMessage);
+          this.finishStream();
+          if (aiMessage) {
+            aiMessage.isStreaming = false;
+          }
+          this.handleChatError(error, userMessage);
         }
       });
   }
 
+  /**
+   * Stop the answer currently being streamed, keeping the text received so far
+   */
+  cancelStream(): void {
+    if (!this.streamSubscription) {
+      return;
+    }
 
+    this.streamSubscription.unsubscribe();
+    this.finishStream();
+
+    const streamingMessage = this.messages.find(message => message.isStreaming);
+    if (streamingMessage) {
+      streamingMessage.isStreaming = false;
+      streamingMessage.content += ' …';
+    }
+    this.snackBar.open('Response stopped', 'Close', { duration: 2000 });
+  }
+
+  private finishStream(): void {
+    this.streamSubscription = null;
+    this.isStreaming = false;
+    this.isTyping = false;
+    this.isLoading = false;
+  }
 
   private addMessage(message: ChatMessage) {
     this.messages.push(message);
@@ -325,7 +425,24 @@ What would you like to know about your document?`;
     }
   }
 
+  /**
+   * True when the question should be answered from several documents
+   */
+  isMultiDocumentChat(): boolean {
+    return this.selectedDocumentIds.length > 1;
+  }
+
   clearChat() {
+    this.cancelStream();
+
+    const conversationDocumentId = this.isMultiDocumentChat() ? this.selectedDocumentIds[0] : this.pdfId;
+    if (conversationDocumentId && this.conversationId) {
+      this.apiService.clearConversation(conversationDocumentId, this.conversationId)
+        .pipe(catchError(() => of(null)))
+        .subscribe();
+    }
+
+    this.conversationId = null;
     this.messages = [];
     this.ngOnInit();
   }
@@ -354,6 +471,16 @@ What would you like to know about your document?`;
     // Emit citation click to parent component (for mobile PDF viewer)
     this.citationClicked.emit(citation);
 
+    // The viewer only shows the uploaded PDF; other documents can't be navigated to
+    if (citation.documentId && citation.documentId !== this.pdfId) {
+      this.snackBar.open(
+        `📄 This reference is from ${citation.documentName || 'another document'}, which isn't open in the viewer.`,
+        'Close',
+        { duration: 4000 }
+      );
+      return;
+    }
+
     if (citation.pageNumber && citation.pageNumber > 0) {
       // Try to navigate
       this.pdfNavigationService.navigateToPage(citation.pageNumber);
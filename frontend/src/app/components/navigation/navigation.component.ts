@@ -1,4 +1,4 @@
-import { Component, OnInit } from '@angular/core';
+import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { RouterModule, Router, NavigationEnd } from '@angular/router';
 import { MatToolbarModule } from '@angular/material/toolbar';
@@ -6,7 +6,13 @@ import { MatButtonModule } from '@angular/material/button';
 import { MatIconModule } from '@angular/material/icon';
 import { MatMenuModule } from '@angular/material/menu';
 import { MatTooltipModule } from '@angular/material/tooltip';
-import { filter } from 'rxjs/operators';
+import { MatDividerModule } from '@angular/material/divider';
+import { MatSnackBar, MatSnackBarModule } from '@angular/material/snack-bar';
+import { Subject } from 'rxjs';
+import { filter, takeUntil } from 'rxjs/operators';
+import { Workspace } from '../../services/api.service';
+import { WorkspaceService } from '../../services/workspace.service';
+import { AuthService, User } from '../../services/auth.service';
 
 @Component({
   selector: 'app-navigation',
@@ -18,13 +24,20 @@ import { filter } from 'rxjs/operators';
     MatButtonModule,
     MatIconModule,
     MatMenuModule,
-    MatTooltipModule
+    MatTooltipModule,
+    MatDividerModule,
+    MatSnackBarModule
   ],
   templateUrl: './navigation.component.html',
   styleUrl: './navigation.component.scss'
 })
-export class NavigationComponent implements OnInit {
+export class NavigationComponent implements OnInit, OnDestroy {
   currentRoute = '';
+  workspaces: Workspace[] = [];
+  currentWorkspaceId: string | null = null;
+  currentUser: User | null = null;
+
+  private destroy$ = new Subject<void>();
 
   navigationItems = [
     {
@@ -47,9 +60,32 @@ export class NavigationComponent implements OnInit {
     }
   ];
 
-  constructor(private router: Router) {}
+  constructor(
+    private router: Router,
+    private workspaceService: WorkspaceService,
+    private authService: AuthService,
+    private snackBar: MatSnackBar
+  ) {}
 
   ngOnInit() {
+    this.workspaceService.workspaces$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(workspaces => this.workspaces = workspaces);
+
+    this.workspaceService.currentWorkspaceId$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(workspaceId => this.currentWorkspaceId = workspaceId);
+
+    this.authService.currentUser$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(user => this.currentUser = user);
+
+    if (this.authService.isLoggedIn()) {
+      this.workspaceService.refresh().subscribe({
+        error: () => this.snackBar.open('Could not load workspaces', 'Close', { duration: 3000 })
+      });
+    }
+
     this.router.events
       .pipe(filter(event => event instanceof NavigationEnd))
       .subscribe((event: NavigationEnd) => {
@@ -66,4 +102,57 @@ export class NavigationComponent implements OnInit {
   navigateTo(route: string) {
     this.router.navigate([route]);
   }
+
+  ngOnDestroy() {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  logout() {
+    this.authService.logout();
+    this.workspaceService.selectWorkspace(null);
+    this.router.navigate(['/login']);
+  }
+
+  getCurrentWorkspaceName(): string {
+    return this.workspaceService.currentWorkspace?.name || 'All documents';
+  }
+
+  selectWorkspace(workspaceId: string | null) {
+    this.workspaceService.selectWorkspace(workspaceId);
+  }
+
+  createWorkspace() {
+    const name = window.prompt('Name of the new workspace')?.trim();
+    if (!name) return;
+
+    this.workspaceService.createWorkspace(name).subscribe({
+      next: workspace => this.snackBar.open(`Switched to ${workspace.name}`, 'Close', { duration: 3000 }),
+      error: error => this.snackBar.open(error.message, 'Close', { duration: 4000 })
+    });
+  }
+
+  renameWorkspace() {
+    const workspace = this.workspaceService.currentWorkspace;
+    if (!workspace) return;
+
+    const name = window.prompt('Rename workspace', workspace.name)?.trim();
+    if (!name || name === workspace.name) return;
+
+    this.workspaceService.renameWorkspace(workspace.id, name).subscribe({
+      error: error => this.snackBar.open(error.message, 'Close', { duration: 4000 })
+    });
+  }
+
+  deleteWorkspace() {
+    const workspace = this.workspaceService.currentWorkspace;
+    if (!workspace) return;
+
+    if (!window.confirm(`Delete "${workspace.name}" and its conversations? Its documents are kept.`)) return;
+
+    this.workspaceService.deleteWorkspace(workspace.id).subscribe({
+      next: () => this.snackBar.open(`Deleted ${workspace.name}`, 'Close', { duration: 3000 }),
+      error: error => this.snackBar.open(error.message, 'Close', { duration: 4000 })
+    });
+  }
 }
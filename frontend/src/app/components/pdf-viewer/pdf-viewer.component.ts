@@ -8,7 +8,7 @@ import { MatTooltipModule } from '@angular/material/tooltip';
 import { PdfViewerModule } from 'ng2-pdf-viewer';
 import { Subject, takeUntil } from 'rxjs';
 
-import { PdfStateService } from '../../services/pdf-state.service';
+import { PdfStateService, UPLOAD_ACCEPT, isSupportedUpload, isPdfFile } from '../../services/pdf-state.service';
 import { PdfNavigationService } from '../../services/pdf-navigation.service';
 import { PdfErrorHandlerService } from '../../services/pdf-error-handler.service';
 
@@ -40,6 +40,12 @@ export class PdfViewerComponent implements OnInit, OnDestroy {
   error: string | null = null;
   selectedFile: File | null = null;
   loadingMessage = 'Loading PDF...';
+  readonly uploadAccept = UPLOAD_ACCEPT;
+
+  // Word, text, Markdown and HTML uploads are shown as their converted text instead of rendered pages
+  isPdf = true;
+  preview: string | null = null;
+  documentLabel = 'PDF Document';
 
   private destroy$ = new Subject<void>();
   private pageTrackingInterval?: any;
@@ -97,6 +103,10 @@ export class PdfViewerComponent implements OnInit, OnDestroy {
       .subscribe(state => {
         const pdfState = state as any;
 
+        this.isPdf = !pdfState.file || isPdfFile(pdfState.file);
+        this.preview = pdfState.preview;
+        this.documentLabel = this.isPdf ? 'PDF Document' : this.getDocumentLabel(pdfState.filename);
+
         // Track backend processing state
         const wasProcessing = this.isProcessing;
         this.isProcessing = pdfState.isProcessing || pdfState.isUploading;
@@ -147,11 +157,27 @@ export class PdfViewerComponent implements OnInit, OnDestroy {
   // File handling
   onFileSelected(event: any) {
     const file = event.target.files[0];
-    if (file && file.type === 'application/pdf') {
+    if (file && isSupportedUpload(file)) {
       this.selectedFile = file;
       this.processFile(file);
     } else {
-      this.error = 'Please select a valid PDF file';
+      this.error = 'Please select a PDF, Word, text, Markdown or HTML file';
+    }
+  }
+
+  private getDocumentLabel(filename: string | null): string {
+    const extension = (filename || '').split('.').pop()?.toLowerCase();
+    switch (extension) {
+      case 'docx':
+        return 'Word Document';
+      case 'md':
+      case 'markdown':
+        return 'Markdown Document';
+      case 'html':
+      case 'htm':
+        return 'HTML Document';
+      default:
+        return 'Text Document';
     }
   }
 
@@ -185,7 +211,7 @@ export class PdfViewerComponent implements OnInit, OnDestroy {
         // Upload successful
       },
       error: () => {
-        this.error = 'Failed to upload PDF to server';
+        this.error = 'Failed to upload document to server';
       }
     });
   }
@@ -340,11 +366,11 @@ export class PdfViewerComponent implements OnInit, OnDestroy {
     if (files && files.length > 0) {
       const file = files[0];
 
-      // Check if it's a PDF file
-      if (file.type === 'application/pdf') {
+      // Check if it's a supported document
+      if (isSupportedUpload(file)) {
         this.handleDroppedFile(file);
       } else {
-        this.error = 'Please drop a valid PDF file';
+        this.error = 'Please drop a PDF, Word, text, Markdown or HTML file';
 
         // Show error feedback
         setTimeout(() => {
@@ -8,7 +8,7 @@ import { MatSnackBar, MatSnackBarModule } from '@angular/material/snack-bar';
 import { MatTooltipModule } from '@angular/material/tooltip';
 import { MatCardModule } from '@angular/material/card';
 import { Subject, takeUntil, interval, switchMap, takeWhile } from 'rxjs';
-import { PdfStateService, PdfState } from '../../services/pdf-state.service';
+import { PdfStateService, PdfState, UPLOAD_ACCEPT, isSupportedUpload } from '../../services/pdf-state.service';
 import { ErrorFallbackComponent } from '../error-fallback/error-fallback.component';
 import { ErrorState, FallbackConfig } from '../../interfaces/error-state.interface';
 import { ApiService, JobStatus, DocumentStatus } from '../../services/api.service';
@@ -38,6 +38,7 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
     pdfId: null,
     filename: null,
     pages: null,
+    preview: null,
     isUploading: false,
     isProcessing: false,
     isUploaded: false,
@@ -56,6 +57,8 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
   maxRetries = 3;
   lastSelectedFile: File | null = null;
 
+  readonly uploadAccept = UPLOAD_ACCEPT;
+
   // Background processing properties
   isBackgroundProcessing = false;
   currentJobId: string | null = null;
@@ -126,8 +129,8 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
       }
 
       // Validate file type
-      if (file.type !== 'application/pdf') {
-        this.snackBar.open('Please select a PDF file', 'Close', { duration: 3000 });
+      if (!isSupportedUpload(file)) {
+        this.snackBar.open('Please select a PDF, Word, text, Markdown or HTML file', 'Close', { duration: 3000 });
         return;
       }
 
@@ -163,6 +166,10 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: (response) => {
+          if (response.isDuplicate) {
+            this.snackBar.open('This PDF was already uploaded, using the existing document', 'Close', { duration: 3000 });
+          }
+
           // Check if this is background processing or still processing
           if (response.isBackgroundProcessing || response.isProcessing) {
             this.handleBackgroundProcessing(response);
@@ -187,11 +194,27 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
   }
 
   /**
-   * Clear uploaded PDF
+   * Delete the uploaded PDF from the server and clear it
    */
   clearPdf(): void {
-    this.pdfStateService.clearPdf();
-    this.snackBar.open('PDF cleared', 'Close', { duration: 2000 });
+    const documentId = this.pdfState.pdfId;
+    if (!documentId) {
+      this.pdfStateService.clearPdf();
+      this.snackBar.open('PDF cleared', 'Close', { duration: 2000 });
+      return;
+    }
+
+    this.apiService.deleteDocument(documentId)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: () => {
+          this.pdfStateService.clearPdf();
+          this.snackBar.open('PDF deleted', 'Close', { duration: 2000 });
+        },
+        error: (error) => {
+          this.snackBar.open(`Could not delete PDF: ${error.message}`, 'Close', { duration: 4000 });
+        }
+      });
   }
 
 
@@ -220,7 +243,7 @@ export class UploadPdfComponent implements OnInit, OnDestroy {
       errorMessage = 'File is too large. Please try a smaller file.';
     } else if (error.status === 415) {
       errorType = 'upload';
-      errorMessage = 'Invalid file type. Please upload a PDF file.';
+      errorMessage = 'Invalid file type. Please upload a PDF, Word, text, Markdown or HTML file.';
     } else {
       errorType = 'upload';
       errorMessage = error.message || 'Upload failed for unknown reason';
@@ -316,19 +339,19 @@ Please describe what happened when you tried to upload the file.
 
     this.snackBar.open(message, 'OK', { duration: 5000 });
 
-    // Start polling - prefer document status over job status for better accuracy
+    // Start tracking - prefer document status over job status for better accuracy
     if (response.documentId) {
-      this.pollDocumentStatus(response.documentId);
+      this.watchDocumentStatus(response.documentId);
     } else if (response.jobId) {
       this.pollJobStatus();
     }
   }
 
   /**
-   * Poll document status for background processing
+   * Follow document status for background processing (pushed by the server, polled as a fallback)
    */
-  private pollDocumentStatus(documentId: string): void {
-    this.apiService.pollDocumentStatus(documentId)
+  private watchDocumentStatus(documentId: string): void {
+    this.apiService.watchDocumentStatus(documentId)
       .pipe(takeUntil(this.destroy$))
       .subscribe({
         next: (status) => {
@@ -337,12 +360,12 @@ Please describe what happened when you tried to upload the file.
 
           if (status.status === 'completed') {
             this.handleDocumentProcessingComplete(status, documentId);
-          } else if (status.status === 'error') {
+          } else if (status.status === 'error' || status.status === 'cancelled') {
             this.handleDocumentProcessingFailed(status);
           }
         },
         error: (error) => {
-          console.error('Document status polling error:', error);
+          console.error('Document status tracking error:', error);
           this.handleDocumentProcessingFailed({
             status: 'error',
             progressMessage: 'Failed to track processing status'
@@ -366,7 +389,7 @@ Please describe what happened when you tried to upload the file.
 
           if (status.status === 'completed') {
             this.handleBackgroundProcessingComplete(status);
-          } else if (status.status === 'failed') {
+          } else if (status.status === 'failed' || status.status === 'cancelled') {
             this.handleBackgroundProcessingFailed(status);
           }
         },
@@ -8,6 +8,10 @@ import { ErrorFallbackComponent } from '../../components/error-fallback/error-fa
 import { MatIconModule } from '@angular/material/icon';
 import { MatButtonModule } from '@angular/material/button';
 import { MatTooltipModule } from '@angular/material/tooltip';
+import { MatFormFieldModule } from '@angular/material/form-field';
+import { MatSelectModule } from '@angular/material/select';
+import { ApiService, DocumentInfo } from '../../services/api.service';
+import { WorkspaceService } from '../../services/workspace.service';
 import { ErrorState, FallbackConfig } from '../../interfaces/error-state.interface';
 
 @Component({
@@ -21,7 +25,9 @@ import { ErrorState, FallbackConfig } from '../../interfaces/error-state.interfa
     ErrorFallbackComponent,
     MatIconModule,
     MatButtonModule,
-    MatTooltipModule
+    MatTooltipModule,
+    MatFormFieldModule,
+    MatSelectModule
   ],
   templateUrl: './chat.component.html',
   styleUrl: './chat.component.scss'
@@ -34,6 +40,12 @@ export class ChatComponent implements OnInit, OnDestroy {
   showMobilePdf = false; // Toggle state for mobile PDF viewer
   private fileSubscription?: any;
   private stateSubscription?: any;
+  private workspaceSubscription?: any;
+
+  // Documents that can be added to the conversation
+  availableDocuments: DocumentInfo[] = [];
+  selectedDocumentIds: string[] = [];
+  private currentPdfId: string | null = null;
 
   // Error handling properties
   errorState: ErrorState | null = null;
@@ -45,6 +57,8 @@ export class ChatComponent implements OnInit, OnDestroy {
 
   constructor(
     private pdfState: PdfStateService,
+    private apiService: ApiService,
+    private workspaceService: WorkspaceService,
     private cdr: ChangeDetectorRef,
     private zone: NgZone
   ) {}
@@ -62,6 +76,13 @@ export class ChatComponent implements OnInit, OnDestroy {
       this.stateSubscription = this.pdfState.state$.subscribe(state => {
       this.isUploadingToApi = state.isUploading || state.isProcessing;
 
+      // Refresh the document picker when a new document is uploaded or finishes processing
+      if (state.pdfId !== this.currentPdfId || state.processingStage === 'complete') {
+        this.currentPdfId = state.pdfId;
+        this.selectedDocumentIds = state.pdfId ? [state.pdfId] : [];
+        this.loadDocuments();
+      }
+
       // Update progress message based on processing stage
       switch (state.processingStage) {
         case 'uploading':
@@ -103,6 +124,12 @@ export class ChatComponent implements OnInit, OnDestroy {
     });
     }
 
+    // Only documents of the selected workspace can be added to the chat
+    this.workspaceSubscription = this.workspaceService.currentWorkspaceId$.subscribe(() => {
+      this.selectedDocumentIds = this.currentPdfId ? [this.currentPdfId] : [];
+      this.loadDocuments();
+    });
+
     // Load current file if available
     if (this.pdfState && this.pdfState.file !== undefined) {
       this.handleFileChange(this.pdfState.file);
@@ -124,6 +151,9 @@ export class ChatComponent implements OnInit, OnDestroy {
     if (this.stateSubscription && typeof this.stateSubscription.unsubscribe === 'function') {
       this.stateSubscription.unsubscribe();
     }
+    if (this.workspaceSubscription && typeof this.workspaceSubscription.unsubscribe === 'function') {
+      this.workspaceSubscription.unsubscribe();
+    }
   }
 
   private handleFileChange(file: File | null) {
@@ -258,6 +288,36 @@ export class ChatComponent implements OnInit, OnDestroy {
     }
   }
 
+  /**
+   * Load the ready documents of the current workspace the user can chat with alongside the current one
+   */
+  private loadDocuments(): void {
+    this.apiService.getDocuments(this.workspaceService.currentWorkspaceId).subscribe({
+      next: documents => {
+        this.availableDocuments = documents.filter(document => document.isReady);
+        this.cdr.detectChanges();
+      },
+      error: () => {
+        this.availableDocuments = [];
+      }
+    });
+  }
+
+  // Only offer the picker when there is something to add
+  canSelectDocuments(): boolean {
+    return !!this.currentPdfId && this.availableDocuments.some(document => document.documentId !== this.currentPdfId);
+  }
+
+  isCurrentDocument(documentId: string): boolean {
+    return documentId === this.currentPdfId;
+  }
+
+  onDocumentSelectionChange(documentIds: string[]) {
+    // The open document always stays in the conversation
+    const others = documentIds.filter(documentId => documentId !== this.currentPdfId);
+    this.selectedDocumentIds = this.currentPdfId ? [this.currentPdfId, ...others] : others;
+  }
+
   onUserMessageSent() {
     this.hasUserSentMessage = true;
   }
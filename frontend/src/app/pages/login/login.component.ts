@@ -0,0 +1,57 @@
+import { Component } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, Router } from '@angular/router';
+import { MatButtonModule } from '@angular/material/button';
+import { MatFormFieldModule } from '@angular/material/form-field';
+import { MatInputModule } from '@angular/material/input';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+  selector: 'app-login',
+  standalone: true,
+  imports: [CommonModule, FormsModule, MatButtonModule, MatFormFieldModule, MatInputModule],
+  templateUrl: './login.component.html',
+  styleUrl: './login.component.scss'
+})
+export class LoginComponent {
+  mode: 'login' | 'register' = 'login';
+  email = '';
+  password = '';
+  name = '';
+  isSubmitting = false;
+  errorMessage: string | null = null;
+
+  constructor(
+    private authService: AuthService,
+    private router: Router,
+    private route: ActivatedRoute
+  ) {}
+
+  toggleMode() {
+    this.mode = this.mode === 'login' ? 'register' : 'login';
+    this.errorMessage = null;
+  }
+
+  submit() {
+    if (this.isSubmitting || !this.email || !this.password) return;
+
+    this.isSubmitting = true;
+    this.errorMessage = null;
+
+    const request = this.mode === 'login'
+      ? this.authService.login(this.email, this.password)
+      : this.authService.register(this.email, this.password, this.name.trim() || undefined);
+
+    request.subscribe({
+      next: () => {
+        const returnUrl = this.route.snapshot.queryParamMap.get('returnUrl') || '/upload';
+        this.router.navigateByUrl(returnUrl);
+      },
+      error: (error: Error) => {
+        this.errorMessage = error.message;
+        this.isSubmitting = false;
+      }
+    });
+  }
+}
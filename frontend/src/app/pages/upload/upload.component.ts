@@ -1,7 +1,7 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { Router } from '@angular/router';
 import { CommonModule } from '@angular/common';
-import { PdfStateService } from '../../services/pdf-state.service';
+import { PdfStateService, UPLOAD_ACCEPT, isSupportedUpload } from '../../services/pdf-state.service';
 import { ErrorFallbackComponent } from '../../components/error-fallback/error-fallback.component';
 import { ErrorState, FallbackConfig } from '../../interfaces/error-state.interface';
 import { Subject, takeUntil } from 'rxjs';
@@ -16,6 +16,7 @@ import { Subject, takeUntil } from 'rxjs';
 export class UploadComponent implements OnInit, OnDestroy {
   isDragOver = false;
   selectedFile: File | null = null;
+  readonly uploadAccept = UPLOAD_ACCEPT;
   private destroy$ = new Subject<void>();
 
   // Error handling properties
@@ -45,7 +46,7 @@ export class UploadComponent implements OnInit, OnDestroy {
     const files = event.dataTransfer?.files;
     if (files && files.length > 0) {
       const file = files[0];
-      if (file.type === 'application/pdf') {
+      if (isSupportedUpload(file)) {
         this.selectedFile = file;
         this.uploadFile(file);
       }
@@ -54,7 +55,7 @@ export class UploadComponent implements OnInit, OnDestroy {
 
   onFileSelected(event: any) {
     const file = event.target.files[0];
-    if (file && file.type === 'application/pdf') {
+    if (file && isSupportedUpload(file)) {
       this.selectedFile = file;
       this.uploadFile(file);
     }
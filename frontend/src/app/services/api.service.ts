@@ -1,8 +1,9 @@
 import { Injectable } from '@angular/core';
 import { HttpClient, HttpHeaders, HttpEventType } from '@angular/common/http';
-import { Observable, throwError } from 'rxjs';
+import { Observable, Subscription, of, throwError } from 'rxjs';
 import { catchError, map, timeout, filter } from 'rxjs/operators';
 import { environment } from '../../environments/environment';
+import { AuthService } from './auth.service';
 
 export interface ApiResponse<T = any> {
   success: boolean;
@@ -21,6 +22,10 @@ export interface ChatMessage {
 export interface ChatRequest {
   message: string;
   documentId?: string;
+  documentIds?: string[];
+  collectionId?: string;
+  workspaceId?: string;
+  conversationId?: string;
 }
 
 export interface Citation {
@@ -28,14 +33,23 @@ export interface Citation {
   pageNumber: number | null;
   text: string;
   sourceLabel: string;
+  documentId?: string;
+  documentName?: string | null;
+  headingPath?: string | null;
 }
 
 export interface Source {
   id: number;
   content: string;
   similarity: number;
+  retrievalScore?: number | null;
+  vectorScore?: number | null;
+  lexicalScore?: number | null;
   pageNumber: number | null;
   chunkIndex: number | null;
+  headingPath?: string | null;
+  documentId?: string;
+  documentName?: string | null;
   metadata: any;
 }
 
@@ -45,30 +59,52 @@ export interface ChatResponse {
   citations?: Citation[];
   confidence?: number;
   tokensUsed?: number;
+  conversationId?: string;
+  documentIds?: string[];
+  workspaceId?: string | null;
 }
 
+/**
+ * Events emitted while a chat answer is streamed
+ */
+export type ChatStreamEvent =
+  | { type: 'start'; conversationId: string }
+  | { type: 'token'; text: string }
+  | { type: 'done'; data: ChatResponse };
+
+export type DocumentFileType = 'pdf' | 'docx' | 'txt' | 'markdown' | 'html';
+
 export interface UploadResponse {
   documentId: string;
+  workspaceId?: string | null;
   filename: string;
+  fileType?: DocumentFileType;
   fileSize: number;
   numPages?: number;
+  preview?: string | null; // Start of the converted text of non-PDF uploads
   chunksCreated?: number;
   processingTime?: number;
   isBackgroundProcessing: boolean;
   isProcessing?: boolean;
   processingStatus?: string;
   jobId?: string;
+  contentHash?: string;
+  isDuplicate?: boolean;
   estimatedProcessingTime?: string;
   statusCheckUrl?: string;
 }
 
 export interface JobStatus {
   jobId: string;
-  status: 'queued' | 'processing' | 'completed' | 'failed';
+  status: 'queued' | 'processing' | 'completed' | 'failed' | 'cancelled';
+  priority?: 'high' | 'normal' | 'low';
   progress: number;
   statusMessage?: string;
   documentId: string;
   filename: string;
+  attempts?: number;
+  maxAttempts?: number;
+  nextAttemptAt?: string | null;
   createdAt: string;
   startedAt?: string;
   completedAt?: string;
@@ -78,35 +114,83 @@ export interface JobStatus {
 
 export interface DocumentStatus {
   documentId: string;
-  status: 'uploading' | 'uploaded' | 'processing' | 'vectorizing' | 'completed' | 'error';
+  status: 'uploading' | 'uploaded' | 'processing' | 'vectorizing' | 'completed' | 'error' | 'cancelled';
   progress: number;
   progressMessage: string;
   isReady: boolean;
   isProcessing: boolean;
   timestamp: string;
   lastUpdated?: string;
+  error?: string | null;
   metadata: {
     filename: string;
+    fileType?: DocumentFileType;
     fileSize: number;
     numPages: number;
     isLargeDocument: boolean;
+    contentHash?: string | null;
   };
 }
 
+export interface DocumentInfo {
+  documentId: string;
+  workspaceId: string | null;
+  filename: string | null;
+  fileType: DocumentFileType;
+  numPages: number | null;
+  fileSize: number | null;
+  chunkCount: number;
+  status: DocumentStatus['status'];
+  isReady: boolean;
+  isProcessing: boolean;
+  progress: number;
+  uploadedAt: string | null;
+  completedAt: string | null;
+  parser: string | null;
+  error: string | null;
+}
+
+export interface DocumentDeletionResult {
+  documentId: string;
+  removed: {
+    chunks: number;
+    jobs: { jobId: string; status: string }[];
+    files: string[];
+    conversations: number;
+    collections: number;
+    workspaceId: string | null;
+    status: boolean;
+  };
+}
+
+export interface Workspace {
+  id: string;
+  name: string;
+  parser: string | null;
+  documentIds: string[];
+  documentCount: number;
+  documents: { documentId: string; filename: string | null; status: string | null; isReady: boolean }[];
+  createdAt: string;
+  updatedAt: string;
+}
+
 @Injectable({
   providedIn: 'root'
 })
 export class ApiService {
   private readonly baseUrl = environment.apiBaseUrl;
 
-  constructor(private http: HttpClient) {}
+  constructor(private http: HttpClient, private authService: AuthService) {}
 
   /**
    * Upload PDF file to backend
    */
-  uploadPdf(file: File): Observable<UploadResponse> {
+  uploadPdf(file: File, workspaceId?: string | null): Observable<UploadResponse> {
     const formData = new FormData();
     formData.append('pdf', file);
+    if (workspaceId) {
+      formData.append('workspaceId', workspaceId);
+    }
 
     // Calculate timeout based on file size (minimum 2 minutes, +30 seconds per MB)
     const timeoutMs = Math.max(120000, 30000 + (file.size / 1024 / 1024) * 30000);
@@ -154,6 +238,232 @@ export class ApiService {
       );
   }
 
+  /**
+   * Send chat message and stream the AI answer as it is generated.
+   * Unsubscribing cancels the request and stops generation on the server.
+   */
+  streamChatMessage(request: ChatRequest): Observable<ChatStreamEvent> {
+    return new Observable<ChatStreamEvent>(observer => {
+      const abortController = new AbortController();
+
+      const emit = (event: string, data: any) => {
+        switch (event) {
+          case 'start':
+            observer.next({ type: 'start', conversationId: data.conversationId });
+            break;
+          case 'token':
+            observer.next({ type: 'token', text: data.text });
+            break;
+          case 'done':
+            observer.next({ type: 'done', data });
+            observer.complete();
+            break;
+          case 'error':
+            observer.error(new Error(data.error || data.message || 'Chat request failed'));
+            break;
+        }
+      };
+
+      const readStream = async () => {
+        // fetch bypasses the HTTP interceptor, so the session token is added here
+        const token = this.authService.token;
+        const response = await fetch(`${this.baseUrl}/chat/stream`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          },
+          body: JSON.stringify(request),
+          signal: abortController.signal
+        });
+
+        // Requests that can't be answered (document missing or still processing) come back as JSON
+        if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+          const body = await response.json().catch(() => ({}));
+          throw Object.assign(new Error(body.message || 'Chat request failed'), { status: response.status });
+        }
+
+        const reader = response.body!.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop() || '';
+
+          for (const block of blocks) {
+            let event = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+              if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+              } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+              }
+            }
+            if (data) {
+              emit(event, JSON.parse(data));
+            }
+          }
+        }
+
+        if (!observer.closed) {
+          throw new Error('Chat stream ended unexpectedly');
+        }
+      };
+
+      readStream().catch(error => {
+        if (!abortController.signal.aborted) {
+          // fetch rejects with a TypeError when the server can't be reached
+          observer.error(error.name === 'TypeError'
+            ? Object.assign(new Error('Unable to connect to server. Please check if the backend is running.'), { status: 0 })
+            : error);
+        }
+      });
+
+      return () => abortController.abort();
+    });
+  }
+
+  /**
+   * Clear stored conversation history for a document (one conversation if conversationId is given)
+   */
+  clearConversation(documentId: string, conversationId?: string): Observable<{ documentId: string; deletedCount: number }> {
+    const params: Record<string, string> = conversationId ? { conversationId } : {};
+
+    return this.http.delete<ApiResponse<{ documentId: string; deletedCount: number }>>(`${this.baseUrl}/chat/conversation/${documentId}`, { params })
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data;
+          }
+          throw new Error(response.message || 'Failed to clear conversation');
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Delete a document and everything stored for it on the server.
+   * Emits null if the document no longer exists.
+   */
+  deleteDocument(documentId: string): Observable<DocumentDeletionResult | null> {
+    return this.http.delete<ApiResponse<DocumentDeletionResult>>(`${this.baseUrl}/pdf/document/${documentId}`)
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data;
+          }
+          throw new Error(response.message || 'Failed to delete document');
+        }),
+        catchError(error => error.status === 404 ? of(null) : this.handleError(error))
+      );
+  }
+
+  /**
+   * List uploaded documents, most recent first (only those of a workspace if workspaceId is given)
+   */
+  getDocuments(workspaceId?: string | null): Observable<DocumentInfo[]> {
+    const params: Record<string, string> = workspaceId ? { workspaceId } : {};
+
+    return this.http.get<ApiResponse<{ documents: DocumentInfo[]; total: number }>>(`${this.baseUrl}/pdf/documents`, { params })
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data.documents;
+          }
+          throw new Error(response.message || 'Failed to list documents');
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * List workspaces by name
+   */
+  getWorkspaces(): Observable<Workspace[]> {
+    return this.http.get<ApiResponse<{ workspaces: Workspace[]; total: number }>>(`${this.baseUrl}/workspaces`)
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data.workspaces;
+          }
+          throw new Error(response.message || 'Failed to list workspaces');
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Create an empty workspace
+   */
+  createWorkspace(name: string): Observable<Workspace> {
+    return this.http.post<ApiResponse<Workspace>>(`${this.baseUrl}/workspaces`, { name })
+      .pipe(
+        map(response => this.unwrapWorkspace(response, 'Failed to create workspace')),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Rename a workspace
+   */
+  renameWorkspace(workspaceId: string, name: string): Observable<Workspace> {
+    return this.http.put<ApiResponse<Workspace>>(`${this.baseUrl}/workspaces/${workspaceId}`, { name })
+      .pipe(
+        map(response => this.unwrapWorkspace(response, 'Failed to rename workspace')),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Delete a workspace and its conversations (documents are kept)
+   */
+  deleteWorkspace(workspaceId: string): Observable<void> {
+    return this.http.delete<ApiResponse>(`${this.baseUrl}/workspaces/${workspaceId}`)
+      .pipe(
+        map(response => {
+          if (!response.success) {
+            throw new Error(response.message || 'Failed to delete workspace');
+          }
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Add a document to a workspace (moving it out of any other workspace)
+   */
+  addDocumentToWorkspace(workspaceId: string, documentId: string): Observable<Workspace> {
+    return this.http.post<ApiResponse<Workspace>>(`${this.baseUrl}/workspaces/${workspaceId}/documents`, { documentId })
+      .pipe(
+        map(response => this.unwrapWorkspace(response, 'Failed to add document to workspace')),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Remove a document from a workspace
+   */
+  removeDocumentFromWorkspace(workspaceId: string, documentId: string): Observable<Workspace> {
+    return this.http.delete<ApiResponse<Workspace>>(`${this.baseUrl}/workspaces/${workspaceId}/documents/${documentId}`)
+      .pipe(
+        map(response => this.unwrapWorkspace(response, 'Failed to remove document from workspace')),
+        catchError(this.handleError)
+      );
+  }
+
+  private unwrapWorkspace(response: ApiResponse<Workspace>, fallbackMessage: string): Workspace {
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || fallbackMessage);
+  }
+
   /**
    * Get PDF content/text
    */
@@ -224,6 +534,38 @@ export class ApiService {
       );
   }
 
+  /**
+   * Cancel a queued or running background job
+   */
+  cancelJob(jobId: string): Observable<JobStatus> {
+    return this.http.delete<ApiResponse<JobStatus>>(`${this.baseUrl}/pdf/job/${jobId}`)
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data;
+          }
+          throw new Error(response.message || 'Failed to cancel job');
+        }),
+        catchError(this.handleError)
+      );
+  }
+
+  /**
+   * Run a failed or cancelled background job again
+   */
+  retryJob(jobId: string): Observable<JobStatus> {
+    return this.http.post<ApiResponse<JobStatus>>(`${this.baseUrl}/pdf/job/${jobId}/retry`, {})
+      .pipe(
+        map(response => {
+          if (response.success && response.data) {
+            return response.data;
+          }
+          throw new Error(response.message || 'Failed to retry job');
+        }),
+        catchError(this.handleError)
+      );
+  }
+
   /**
    * Poll job status until completion
    */
@@ -234,7 +576,7 @@ export class ApiService {
           next: (status) => {
             observer.next(status);
 
-            if (status.status === 'completed' || status.status === 'failed') {
+            if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
               observer.complete();
             } else {
               setTimeout(poll, intervalMs);
@@ -292,7 +634,7 @@ export class ApiService {
           next: (status) => {
             observer.next(status);
 
-            if (status.status === 'completed' || status.status === 'error') {
+            if (status.status === 'completed' || status.status === 'error' || status.status === 'cancelled') {
               observer.complete();
             } else {
               setTimeout(poll, intervalMs);
@@ -307,4 +649,59 @@ export class ApiService {
       poll();
     });
   }
+
+  /**
+   * Follow document status as it changes, pushed by the server over Server-Sent Events.
+   * Falls back to polling when the event stream is unavailable or drops.
+   */
+  watchDocumentStatus(documentId: string, fallbackIntervalMs: number = 2000): Observable<DocumentStatus> {
+    return new Observable(observer => {
+      let pollingSubscription: Subscription | null = null;
+
+      const startPolling = () => {
+        pollingSubscription = this.pollDocumentStatus(documentId, fallbackIntervalMs).subscribe({
+          next: (status) => observer.next(status),
+          error: (error) => observer.error(error),
+          complete: () => observer.complete()
+        });
+      };
+
+      if (typeof EventSource === 'undefined') {
+        startPolling();
+        return () => pollingSubscription?.unsubscribe();
+      }
+
+      // EventSource can't send an Authorization header, so the token goes in the query string
+      const token = this.authService.token;
+      const query = token ? `?access_token=${encodeURIComponent(token)}` : '';
+      const eventSource = new EventSource(`${this.baseUrl}/pdf/status/${documentId}/events${query}`);
+
+      const onStatus = (event: MessageEvent) => {
+        const status: DocumentStatus = JSON.parse(event.data);
+        observer.next(status);
+
+        if (status.status === 'completed' || status.status === 'error' || status.status === 'cancelled') {
+          eventSource.close();
+          observer.complete();
+        }
+      };
+
+      for (const eventName of ['status', 'started', 'progress', 'retrying', 'completed', 'failed', 'cancelled']) {
+        eventSource.addEventListener(eventName, onStatus as EventListener);
+      }
+
+      eventSource.onerror = () => {
+        eventSource.close();
+        if (!observer.closed) {
+          console.warn('Status event stream unavailable, falling back to polling');
+          startPolling();
+        }
+      };
+
+      return () => {
+        eventSource.close();
+        pollingSubscription?.unsubscribe();
+      };
+    });
+  }
 }
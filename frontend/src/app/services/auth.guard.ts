@@ -0,0 +1,13 @@
+import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+import { AuthService } from './auth.service';
+
+/**
+ * Only let signed-in users through, otherwise redirect to the login page
+ */
+export const authGuard: CanActivateFn = (route, state) => {
+  if (inject(AuthService).isLoggedIn()) {
+    return true;
+  }
+  return inject(Router).createUrlTree(['/login'], { queryParams: { returnUrl: state.url } });
+};
@@ -0,0 +1,36 @@
+import { Injectable } from '@angular/core';
+import { HttpErrorResponse, HttpEvent, HttpHandler, HttpInterceptor, HttpRequest } from '@angular/common/http';
+import { Router } from '@angular/router';
+import { Observable, throwError } from 'rxjs';
+import { catchError } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+import { AuthService } from './auth.service';
+
+/**
+ * Attach the session token to backend requests and send the user back to
+ * the login page when the backend rejects it
+ */
+@Injectable()
+export class AuthInterceptor implements HttpInterceptor {
+  constructor(private authService: AuthService, private router: Router) {}
+
+  intercept(request: HttpRequest<unknown>, next: HttpHandler): Observable<HttpEvent<unknown>> {
+    const token = this.authService.token;
+    const isApiRequest = request.url.startsWith(environment.apiBaseUrl);
+    const isAuthRequest = request.url.startsWith(`${environment.apiBaseUrl}/auth/`);
+
+    const authorized = token && isApiRequest
+      ? request.clone({ setHeaders: { Authorization: `Bearer ${token}` } })
+      : request;
+
+    return next.handle(authorized).pipe(
+      catchError((error: HttpErrorResponse) => {
+        if (error.status === 401 && isApiRequest && !isAuthRequest) {
+          this.authService.logout();
+          this.router.navigate(['/login'], { queryParams: { returnUrl: this.router.url } });
+        }
+        return throwError(() => error);
+      })
+    );
+  }
+}
@@ -0,0 +1,101 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { BehaviorSubject, Observable, throwError } from 'rxjs';
+import { catchError, map, tap } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+import { ApiResponse } from './api.service';
+
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+
+export interface User {
+  id: string;
+  email: string;
+  name: string | null;
+  createdAt: string;
+}
+
+export interface AuthSession {
+  token: string;
+  user: User;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+  private readonly baseUrl = environment.apiBaseUrl;
+
+  private currentUserSubject = new BehaviorSubject<User | null>(this.loadStoredUser());
+  public currentUser$ = this.currentUserSubject.asObservable();
+
+  constructor(private http: HttpClient) {}
+
+  get token(): string | null {
+    try {
+      return localStorage.getItem(TOKEN_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  get currentUser(): User | null {
+    return this.currentUserSubject.value;
+  }
+
+  isLoggedIn(): boolean {
+    return Boolean(this.token);
+  }
+
+  login(email: string, password: string): Observable<User> {
+    return this.startSession(this.http.post<ApiResponse<AuthSession>>(`${this.baseUrl}/auth/login`, { email, password }));
+  }
+
+  register(email: string, password: string, name?: string): Observable<User> {
+    const body = name ? { email, password, name } : { email, password };
+    return this.startSession(this.http.post<ApiResponse<AuthSession>>(`${this.baseUrl}/auth/register`, body));
+  }
+
+  /**
+   * Forget the stored session (the token simply expires on the server)
+   */
+  logout(): void {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    this.currentUserSubject.next(null);
+  }
+
+  private startSession(request: Observable<ApiResponse<AuthSession>>): Observable<User> {
+    return request.pipe(
+      map(response => {
+        if (response.success && response.data) {
+          return response.data;
+        }
+        throw new Error(response.message || 'Authentication failed');
+      }),
+      tap(session => {
+        localStorage.setItem(TOKEN_KEY, session.token);
+        localStorage.setItem(USER_KEY, JSON.stringify(session.user));
+        this.currentUserSubject.next(session.user);
+      }),
+      map(session => session.user),
+      catchError((error: HttpErrorResponse | Error) => {
+        const message = error instanceof HttpErrorResponse
+          ? (error.status === 0
+            ? 'Unable to connect to server. Please check if the backend is running.'
+            : error.error?.details?.[0] || error.error?.message || 'Authentication failed')
+          : error.message;
+        return throwError(() => new Error(message));
+      })
+    );
+  }
+
+  private loadStoredUser(): User | null {
+    try {
+      const stored = localStorage.getItem(USER_KEY);
+      return stored && localStorage.getItem(TOKEN_KEY) ? JSON.parse(stored) : null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -2,12 +2,34 @@ import { Injectable } from '@angular/core';
 import { BehaviorSubject, Observable, throwError } from 'rxjs';
 import { tap, catchError, map } from 'rxjs/operators';
 import { ApiService, UploadResponse, DocumentStatus } from './api.service';
+import { WorkspaceService } from './workspace.service';
+
+// Upload types the backend accepts (AllowedFileExtensions in shared/types.js)
+export const UPLOAD_FILE_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.markdown', '.html', '.htm'];
+export const UPLOAD_ACCEPT = UPLOAD_FILE_EXTENSIONS.join(',');
+
+/**
+ * Whether a file is one of the supported upload types (by extension: browsers often send
+ * Markdown without a MIME type)
+ */
+export function isSupportedUpload(file: File): boolean {
+  const name = file.name.toLowerCase();
+  return UPLOAD_FILE_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * Whether a file is a PDF; other documents have no pages to render and get a text preview
+ */
+export function isPdfFile(file: File | null): boolean {
+  return !!file && (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf'));
+}
 
 export interface PdfState {
   file: File | null;
   pdfId: string | null;
   filename: string | null;
   pages: number | null;
+  preview: string | null; // Converted text of a non-PDF upload, shown instead of the PDF viewer
   isUploading: boolean;
   isProcessing: boolean; // Backend processing (parsing, vectorization)
   isUploaded: boolean;
@@ -22,6 +44,7 @@ export class PdfStateService {
     pdfId: null,
     filename: null,
     pages: null,
+    preview: null,
     isUploading: false,
     isProcessing: false,
     isUploaded: false,
@@ -31,7 +54,10 @@ export class PdfStateService {
 
   private stateSubject = new BehaviorSubject<PdfState>(this.initialState);
 
-  constructor(private apiService: ApiService) {}
+  constructor(
+    private apiService: ApiService,
+    private workspaceService: WorkspaceService
+  ) {}
 
   get state$(): Observable<PdfState> {
     return this.stateSubject.asObservable();
@@ -73,12 +99,13 @@ export class PdfStateService {
   }
 
   /**
-   * Upload PDF file to backend
+   * Upload a PDF (or another supported document) to the backend
    */
   uploadPdf(file: File): Observable<UploadResponse> {
     this.updateState({
       file,
       filename: file.name,
+      preview: null,
       isUploading: true,
       isProcessing: true,
       uploadError: null,
@@ -86,12 +113,14 @@ export class PdfStateService {
       processingStage: 'uploading'
     });
 
-    return this.apiService.uploadPdf(file).pipe(
+    // New documents join the workspace that is currently selected
+    return this.apiService.uploadPdf(file, this.workspaceService.currentWorkspaceId).pipe(
       tap(response => {
         // Upload completed, but processing may still be ongoing
         this.updateState({
           pdfId: response.documentId,
           pages: response.numPages,
+          preview: response.preview ?? null,
           isUploading: false,
           // Keep isProcessing true if background processing is happening
           isProcessing: response.isProcessing || response.isBackgroundProcessing || false,
@@ -100,9 +129,9 @@ export class PdfStateService {
           processingStage: response.isProcessing ? 'processing' : 'complete'
         });
 
-        // If background processing is happening, start polling for status
+        // If background processing is happening, start tracking its status
         if (response.isProcessing || response.isBackgroundProcessing) {
-          this.startStatusPolling(response.documentId);
+          this.startStatusTracking(response.documentId);
         }
       }),
       catchError(error => {
@@ -114,7 +143,7 @@ export class PdfStateService {
         } else if (error.status === 413) {
           errorMessage = 'File is too large. Please try a smaller file.';
         } else if (error.status === 415) {
-          errorMessage = 'Invalid file type. Please upload a PDF file.';
+          errorMessage = 'Invalid file type. Please upload a PDF, Word, text, Markdown or HTML file.';
         } else if (error.status >= 500) {
           errorMessage = 'Server error. Please try again later.';
         } else if (error.name === 'TimeoutError') {
@@ -146,6 +175,7 @@ export class PdfStateService {
       filename: file?.name || null,
       pdfId: null,
       pages: null,
+      preview: null,
       isUploaded: false,
       isProcessing: false,
       uploadError: null,
@@ -187,15 +217,16 @@ export class PdfStateService {
   }
 
   /**
-   * Start polling document status for background processing
+   * Track document status for background processing
+   * Updates are pushed by the server; polling every 2 seconds is only used if the event stream is unavailable
    */
-  private startStatusPolling(documentId: string): void {
-    this.apiService.pollDocumentStatus(documentId, 2000).subscribe({
+  private startStatusTracking(documentId: string): void {
+    this.apiService.watchDocumentStatus(documentId, 2000).subscribe({
       next: (status: DocumentStatus) => {
         this.updateProcessingStatus(status);
       },
       error: (error) => {
-        console.error('Status polling error:', error);
+        console.error('Status tracking error:', error);
         this.updateState({
           isProcessing: false,
           uploadError: 'Failed to track processing status',
@@ -203,7 +234,7 @@ export class PdfStateService {
         });
       },
       complete: () => {
-        // Polling completed (document finished processing)
+        // Tracking completed (document finished processing)
         console.log('Document processing completed');
       }
     });
@@ -226,6 +257,7 @@ export class PdfStateService {
         processingStage = 'complete';
         break;
       case 'error':
+      case 'cancelled':
         processingStage = 'error';
         break;
     }
@@ -233,7 +265,8 @@ export class PdfStateService {
     this.updateState({
       isProcessing: status.isProcessing,
       processingStage,
-      uploadError: status.status === 'error' ? 'Processing failed' : null,
+      uploadError: status.status === 'error' ? 'Processing failed'
+        : status.status === 'cancelled' ? 'Processing cancelled' : null,
       pages: status.metadata?.numPages || this.currentState.pages
     });
   }
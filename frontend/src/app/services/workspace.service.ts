@@ -0,0 +1,94 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { tap } from 'rxjs/operators';
+import { ApiService, Workspace } from './api.service';
+
+const CURRENT_WORKSPACE_KEY = 'currentWorkspaceId';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class WorkspaceService {
+  private workspacesSubject = new BehaviorSubject<Workspace[]>([]);
+  public workspaces$ = this.workspacesSubject.asObservable();
+
+  // null means all documents, outside any workspace
+  private currentWorkspaceIdSubject = new BehaviorSubject<string | null>(this.loadCurrentWorkspaceId());
+  public currentWorkspaceId$ = this.currentWorkspaceIdSubject.asObservable();
+
+  constructor(private apiService: ApiService) {}
+
+  get currentWorkspaceId(): string | null {
+    return this.currentWorkspaceIdSubject.value;
+  }
+
+  get currentWorkspace(): Workspace | null {
+    return this.workspacesSubject.value.find(workspace => workspace.id === this.currentWorkspaceId) || null;
+  }
+
+  /**
+   * Reload the workspace list, dropping the current selection if it no longer exists
+   */
+  refresh(): Observable<Workspace[]> {
+    return this.apiService.getWorkspaces().pipe(
+      tap(workspaces => {
+        this.workspacesSubject.next(workspaces);
+        if (this.currentWorkspaceId && !workspaces.some(workspace => workspace.id === this.currentWorkspaceId)) {
+          this.selectWorkspace(null);
+        }
+      })
+    );
+  }
+
+  /**
+   * Switch the workspace that uploads, document lists and chats are scoped to
+   * @param workspaceId - Workspace ID, or null for all documents
+   */
+  selectWorkspace(workspaceId: string | null): void {
+    if (workspaceId) {
+      localStorage.setItem(CURRENT_WORKSPACE_KEY, workspaceId);
+    } else {
+      localStorage.removeItem(CURRENT_WORKSPACE_KEY);
+    }
+    this.currentWorkspaceIdSubject.next(workspaceId);
+  }
+
+  createWorkspace(name: string): Observable<Workspace> {
+    return this.apiService.createWorkspace(name).pipe(
+      tap(workspace => {
+        this.workspacesSubject.next([...this.workspacesSubject.value, workspace]
+          .sort((a, b) => a.name.localeCompare(b.name)));
+        this.selectWorkspace(workspace.id);
+      })
+    );
+  }
+
+  renameWorkspace(workspaceId: string, name: string): Observable<Workspace> {
+    return this.apiService.renameWorkspace(workspaceId, name).pipe(
+      tap(renamed => {
+        this.workspacesSubject.next(this.workspacesSubject.value
+          .map(workspace => workspace.id === renamed.id ? renamed : workspace)
+          .sort((a, b) => a.name.localeCompare(b.name)));
+      })
+    );
+  }
+
+  deleteWorkspace(workspaceId: string): Observable<void> {
+    return this.apiService.deleteWorkspace(workspaceId).pipe(
+      tap(() => {
+        this.workspacesSubject.next(this.workspacesSubject.value.filter(workspace => workspace.id !== workspaceId));
+        if (this.currentWorkspaceId === workspaceId) {
+          this.selectWorkspace(null);
+        }
+      })
+    );
+  }
+
+  private loadCurrentWorkspaceId(): string | null {
+    try {
+      return localStorage.getItem(CURRENT_WORKSPACE_KEY);
+    } catch {
+      return null;
+    }
+  }
+}
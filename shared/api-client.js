@@ -9,6 +9,28 @@ class ApiClient {
     this.defaultHeaders = {
       'Content-Type': 'application/json'
     };
+    this.token = null;
+  }
+
+  /**
+   * Use a session token or API key for subsequent requests
+   * @param {string|null} token - JWT from login/register, an API key, or null to sign out
+   */
+  setToken(token) {
+    this.token = token;
+  }
+
+  /**
+   * Headers for a request, including the session token when signed in
+   * @param {object} headers - Additional headers
+   * @returns {object} - Request headers
+   */
+  buildHeaders(headers = {}) {
+    return {
+      ...this.defaultHeaders,
+      ...(this.token && { Authorization: `Bearer ${this.token}` }),
+      ...headers
+    };
   }
 
   /**
@@ -23,7 +45,7 @@ class ApiClient {
     const url = `${this.baseUrl}${endpoint}`;
     const config = {
       method: method.toUpperCase(),
-      headers: { ...this.defaultHeaders, ...headers }
+      headers: this.buildHeaders(headers)
     };
 
     if (data) {
@@ -73,9 +95,64 @@ class ApiClient {
     return this.get('/health');
   }
 
-  async uploadPDF(file, onProgress = null) {
+  async register(email, password, name = null) {
+    const result = await this.post('/auth/register', { email, password, ...(name && { name }) });
+    this.setToken(result.data.token);
+    return result;
+  }
+
+  async login(email, password) {
+    const result = await this.post('/auth/login', { email, password });
+    this.setToken(result.data.token);
+    return result;
+  }
+
+  logout() {
+    this.setToken(null);
+  }
+
+  async getCurrentUser() {
+    return this.get('/auth/me');
+  }
+
+  async getApiKeyUsage() {
+    return this.get('/auth/usage');
+  }
+
+  async getApiKeys() {
+    return this.get('/admin/api-keys');
+  }
+
+  async createApiKey(name, { userId = null, limits = null } = {}) {
+    return this.post('/admin/api-keys', { name, ...(userId && { userId }), ...(limits && { limits }) });
+  }
+
+  async revokeApiKey(keyId) {
+    return this.delete(`/admin/api-keys/${keyId}`);
+  }
+
+  async getEmbeddingCacheStats() {
+    return this.get('/admin/embedding-cache');
+  }
+
+  async clearEmbeddingCache() {
+    return this.delete('/admin/embedding-cache');
+  }
+
+  async getReindexStatus() {
+    return this.get('/admin/reindex');
+  }
+
+  async reindexDocuments({ documentIds = null, force = false } = {}) {
+    return this.post('/admin/reindex', { ...(documentIds && { documentIds }), force });
+  }
+
+  async uploadPDF(file, onProgress = null, parser = null) {
     const formData = new FormData();
     formData.append('pdf', file);
+    if (parser) {
+      formData.append('parser', parser);
+    }
 
     // For progress tracking, you might need to use XMLHttpRequest instead of fetch
     if (onProgress) {
@@ -85,28 +162,180 @@ class ApiClient {
     return this.post('/pdf/upload', formData);
   }
 
-  async sendChatMessage(message, documentId, conversationHistory = []) {
+  /**
+   * Build the document part of a chat request
+   * @param {string|Array<string>} documentId - One document ID, or several to chat across them
+   * @returns {object} - { documentId } or { documentIds }
+   */
+  chatTarget(documentId) {
+    return Array.isArray(documentId) ? { documentIds: documentId } : { documentId };
+  }
+
+  async sendChatMessage(message, documentId, conversationHistory = [], conversationId = null) {
     return this.post('/chat/message', {
       message,
-      documentId,
-      conversationHistory
+      ...this.chatTarget(documentId),
+      conversationHistory,
+      ...(conversationId && { conversationId })
     });
   }
 
-  async getDocuments() {
-    return this.get('/pdf/documents');
+  /**
+   * Send a chat message and receive the answer as it is generated
+   * @param {string} message - User message
+   * @param {string|Array<string>} documentId - Document ID, or several document IDs
+   * @param {object} options - { conversationId, onToken(text), signal }
+   * @returns {Promise} - Final response data (same shape as sendChatMessage data)
+   */
+  async streamChatMessage(message, documentId, { conversationId = null, onToken = null, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/stream`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify({ message, ...this.chatTarget(documentId), ...(conversationId && { conversationId }) }),
+      signal
+    });
+
+    // Requests that can't be answered are returned as plain JSON
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const result = await response.json();
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || '{}');
+
+        if (event === 'token' && onToken) {
+          onToken(data.text);
+        } else if (event === 'done') {
+          return data;
+        } else if (event === 'error') {
+          throw new Error(data.error || data.message);
+        }
+      }
+    }
+
+    throw new Error('Chat stream ended unexpectedly');
+  }
+
+  async sendCollectionMessage(message, collectionId, conversationId = null) {
+    return this.post('/chat/message', {
+      message,
+      collectionId,
+      ...(conversationId && { conversationId })
+    });
+  }
+
+  async getCollections() {
+    return this.get('/collections');
+  }
+
+  async createCollection(name, documentIds = []) {
+    return this.post('/collections', { name, documentIds });
+  }
+
+  async updateCollection(collectionId, changes) {
+    return this.put(`/collections/${collectionId}`, changes);
+  }
+
+  async deleteCollection(collectionId) {
+    return this.delete(`/collections/${collectionId}`);
+  }
+
+  async getWorkspaces() {
+    return this.get('/workspaces');
+  }
+
+  async createWorkspace(name, parser = null) {
+    return this.post('/workspaces', parser ? { name, parser } : { name });
+  }
+
+  async renameWorkspace(workspaceId, name) {
+    return this.put(`/workspaces/${workspaceId}`, { name });
+  }
+
+  async setWorkspaceParser(workspaceId, parser) {
+    return this.put(`/workspaces/${workspaceId}`, { parser });
+  }
+
+  async deleteWorkspace(workspaceId) {
+    return this.delete(`/workspaces/${workspaceId}`);
+  }
+
+  async addDocumentToWorkspace(workspaceId, documentId) {
+    return this.post(`/workspaces/${workspaceId}/documents`, { documentId });
+  }
+
+  async removeDocumentFromWorkspace(workspaceId, documentId) {
+    return this.delete(`/workspaces/${workspaceId}/documents/${documentId}`);
+  }
+
+  async getWorkspaceConversations(workspaceId) {
+    return this.get(`/workspaces/${workspaceId}/conversations`);
+  }
+
+  async sendWorkspaceMessage(message, workspaceId, conversationId = null) {
+    return this.post('/chat/message', {
+      message,
+      workspaceId,
+      ...(conversationId && { conversationId })
+    });
+  }
+
+  async getDocuments(workspaceId = null) {
+    const query = workspaceId ? `?workspaceId=${encodeURIComponent(workspaceId)}` : '';
+    return this.get(`/pdf/documents${query}`);
   }
 
   async getDocument(documentId) {
     return this.get(`/pdf/document/${documentId}`);
   }
 
-  async getConversation(documentId) {
-    return this.get(`/chat/conversation/${documentId}`);
+  async getParsers() {
+    return this.get('/pdf/parsers');
   }
 
-  async clearConversation(documentId) {
-    return this.delete(`/chat/conversation/${documentId}`);
+  async getDocumentTables(documentId, pageNumber = null) {
+    const query = pageNumber ? `?page=${encodeURIComponent(pageNumber)}` : '';
+    return this.get(`/pdf/document/${documentId}/tables${query}`);
+  }
+
+  async deleteDocument(documentId) {
+    return this.delete(`/pdf/document/${documentId}`);
+  }
+
+  async getJob(jobId) {
+    return this.get(`/pdf/job/${jobId}`);
+  }
+
+  async cancelJob(jobId) {
+    return this.delete(`/pdf/job/${jobId}`);
+  }
+
+  async retryJob(jobId) {
+    return this.post(`/pdf/job/${jobId}/retry`, {});
+  }
+
+  async getConversation(documentId, conversationId = null) {
+    const query = conversationId ? `?conversationId=${encodeURIComponent(conversationId)}` : '';
+    return this.get(`/chat/conversation/${documentId}${query}`);
+  }
+
+  async clearConversation(documentId, conversationId = null) {
+    const query = conversationId ? `?conversationId=${encodeURIComponent(conversationId)}` : '';
+    return this.delete(`/chat/conversation/${documentId}${query}`);
   }
 
   /**
@@ -146,6 +375,9 @@ class ApiClient {
       });
 
       xhr.open('POST', url);
+      if (this.token) {
+        xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+      }
       xhr.send(formData);
     });
   }
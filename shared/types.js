@@ -14,7 +14,8 @@ const DocumentStatus = {
   UPLOADING: 'uploading',
   PROCESSING: 'processing',
   READY: 'ready',
-  ERROR: 'error'
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
 };
 
 // Chat Message Types
@@ -26,17 +27,36 @@ const MessageRole = {
 
 // File Types
 const AllowedFileTypes = {
-  PDF: 'application/pdf'
+  PDF: 'application/pdf',
+  DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  TXT: 'text/plain',
+  MARKDOWN: 'text/markdown',
+  HTML: 'text/html'
 };
 
+// Upload file extensions (browsers often send Markdown without a MIME type)
+const AllowedFileExtensions = ['.pdf', '.docx', '.txt', '.md', '.markdown', '.html', '.htm'];
+
 // API Endpoints
 const ApiEndpoints = {
   HEALTH: '/api/health',
+  AUTH_REGISTER: '/api/auth/register',
+  AUTH_LOGIN: '/api/auth/login',
+  AUTH_ME: '/api/auth/me',
+  AUTH_USAGE: '/api/auth/usage',
+  ADMIN_API_KEYS: '/api/admin/api-keys',
+  ADMIN_EMBEDDING_CACHE: '/api/admin/embedding-cache',
+  ADMIN_REINDEX: '/api/admin/reindex',
   PDF_UPLOAD: '/api/pdf/upload',
   PDF_DOCUMENTS: '/api/pdf/documents',
   PDF_DOCUMENT: '/api/pdf/document',
+  PDF_JOB: '/api/pdf/job',
+  PDF_PARSERS: '/api/pdf/parsers',
   CHAT_MESSAGE: '/api/chat/message',
-  CHAT_CONVERSATION: '/api/chat/conversation'
+  CHAT_STREAM: '/api/chat/stream',
+  CHAT_CONVERSATION: '/api/chat/conversation',
+  COLLECTIONS: '/api/collections',
+  WORKSPACES: '/api/workspaces'
 };
 
 // Error Codes
@@ -44,10 +64,24 @@ const ErrorCodes = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   FILE_TOO_LARGE: 'FILE_TOO_LARGE',
   INVALID_FILE_TYPE: 'INVALID_FILE_TYPE',
+  INVALID_PAGE: 'INVALID_PAGE',
+  INVALID_PARSER: 'INVALID_PARSER',
   PROCESSING_ERROR: 'PROCESSING_ERROR',
   AI_API_ERROR: 'AI_API_ERROR',
   VECTOR_DB_ERROR: 'VECTOR_DB_ERROR',
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  ADMIN_REQUIRED: 'ADMIN_REQUIRED',
+  PAGE_QUOTA_EXCEEDED: 'PAGE_QUOTA_EXCEEDED',
+  TOKEN_BUDGET_EXCEEDED: 'TOKEN_BUDGET_EXCEEDED',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  JOB_NOT_CANCELLABLE: 'JOB_NOT_CANCELLABLE',
+  JOB_NOT_RETRYABLE: 'JOB_NOT_RETRYABLE',
+  JOB_FILE_MISSING: 'JOB_FILE_MISSING',
+  REINDEX_IN_PROGRESS: 'REINDEX_IN_PROGRESS',
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR'
 };
 
@@ -68,6 +102,7 @@ if (typeof module !== 'undefined' && module.exports) {
     DocumentStatus,
     MessageRole,
     AllowedFileTypes,
+    AllowedFileExtensions,
     ApiEndpoints,
     ErrorCodes,
     Config
@@ -81,6 +116,7 @@ if (typeof window !== 'undefined') {
     DocumentStatus,
     MessageRole,
     AllowedFileTypes,
+    AllowedFileExtensions,
     ApiEndpoints,
     ErrorCodes,
     Config